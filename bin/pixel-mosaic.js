@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+/**
+ * pixel-mosaic command: batch pixelation of PNG files.
+ * Run `pixel-mosaic --help` for the options.
+ */
+
+import { runCli } from '../src/cli.js';
+
+// The first Ctrl+C stops cleanly without leaving half-written files, a second one exits at once
+const controller = new AbortController();
+process.once('SIGINT', () => controller.abort());
+
+runCli(process.argv.slice(2), { signal: controller.signal }).then(code => {
+  process.exitCode = code;
+});
@@ -5,7 +5,7 @@
  */
 
 // Main transformation functions
-export { pixelateImage, pixelateImageEdgeAware, loadImage } from './src/pixelate.js';
+export { pixelateImage, pixelateImageEdgeAware, pixelateBatch, loadImage } from './src/pixelate.js';
 
 // Step functions for functional pipeline composition
 export {
@@ -14,19 +14,152 @@ export {
   createGridStep,
   optimizeGridStep,
   renderEdgeAwarePixelsStep,
+  renderEdgeAwareCellsStep,
   adjustContrastStep,
+  applyAlphaThresholdStep,
   quantizeColorsStep,
   convertToCanvasStep,
   downscaleImageStep,
-  upscaleImageStep
+  upscaleImageStep,
+  applyOutputScaleStep,
+  applyUpscalerStep
 } from './src/pixelate.js';
 
+// Palette functions
+export { PALETTES, getPalette, resolvePalette, parseColor, colorToHex } from './src/palettes.js';
+
+// Palette file functions
+export {
+  PALETTE_FORMATS,
+  parsePaletteFile,
+  serializePaletteFile,
+  parseGimpPalette,
+  serializeGimpPalette,
+  parseJascPalette,
+  serializeJascPalette,
+  parseHexPalette,
+  serializeHexPalette,
+  parseAsePalette,
+  serializeAsePalette
+} from './src/paletteIO.js';
+
+// Color conversion functions
+export {
+  COLOR_SPACES,
+  getColorSpace,
+  srgbToLinear,
+  linearToSrgb,
+  rgbToOklab,
+  oklabToRgb,
+  rgbToLab,
+  labToRgb,
+  deltaE76,
+  deltaE2000,
+  mixColors,
+  averageColors
+} from './src/color.js';
+
+// Color quantization functions
+export {
+  QUANTIZERS,
+  TRANSPARENT_COLOR,
+  buildPalette,
+  indexImageColors,
+  mapToPalette,
+  mapToPaletteIndexed
+} from './src/quantization.js';
+
+// Dithering functions
+export { DITHER_MODES, ditherImage, ditherImageIndexed } from './src/dithering.js';
+
+// PNG encoding and decoding functions
+export {
+  PNG_METADATA_KEYWORD,
+  encodePng,
+  encodeIndexedPng,
+  encodeTruecolorPng,
+  readPngText,
+  readPngMetadata,
+  decodePng
+} from './src/png.js';
+
+// GIF encoding functions
+export { GIF_DISPOSAL_METHODS, encodeGif } from './src/gif.js';
+
+// SVG export functions
+export { SVG_ELEMENTS, encodeSvg, mergeCellRuns } from './src/svg.js';
+
+// Aseprite export functions
+export { ASEPRITE_COLOR_MODES, encodeAseprite } from './src/aseprite.js';
+
+// Tilemap functions
+export {
+  TILED_FORMATS,
+  extractTiles,
+  renderTileset,
+  encodeTiledMap,
+  encodeTilemapJson
+} from './src/tilemap.js';
+
+// Cross-stitch functions
+export { THREAD_CATALOGS, getThreadPalette } from './src/threads.js';
+export { DEFAULT_STITCH_SYMBOLS, createStitchPattern, renderStitchChart } from './src/crossStitch.js';
+
+// Mosaic kit functions
+export { PART_CATALOGS, PART_SHAPES, getPartPalette, getPartShape } from './src/parts.js';
+export {
+  BASEPLATE_SIZES,
+  MOSAIC_FITS,
+  createMosaic,
+  encodePartsList,
+  renderBuildSheets,
+  renderMosaicPreview
+} from './src/mosaic.js';
+
+// Surface backend functions
+export {
+  SURFACE_BACKENDS,
+  PixelSurface,
+  setSurfaceBackend,
+  getSurfaceBackend,
+  createSurface,
+  createImageData,
+  isImageData,
+  getImageSize
+} from './src/surface.js';
+
+// Worker pool functions
+export {
+  createWorkerPool,
+  pixelateImageInWorker,
+  pixelateImageEdgeAwareInWorker,
+  terminateSharedWorkers
+} from './src/workerPool.js';
+
+// Tiled processing functions
+export {
+  DEFAULT_TILE_SIZE,
+  getTileLayout,
+  cropImageData,
+  calculateEdgeStatistics,
+  calculateTileEdgeMap
+} from './src/tiling.js';
+
+// Progress and cancellation functions
+export { PROGRESS_STAGES, throwIfAborted, createProgressReporter } from './src/progress.js';
+
+// Terminal rendering functions
+export { TERMINAL_MODES, DEFAULT_ASCII_RAMP, rgbToAnsi256, renderTerminal } from './src/terminal.js';
+
+// Pixel-art upscaling functions
+export { UPSCALERS, getUpscaleFactor, upscalePixelArt } from './src/upscale.js';
+
 // Edge detection functions
 export { calculateEdgeMap, getEdgeStrength, getEdgeStrengthInterpolated } from './src/edgeDetection.js';
 export { calculateEdgeMapWebGL } from './src/webglEdgeDetection.js';
 
 // Grid optimization functions
-export { createInitialGrid, optimizeGridCorners, renderGrid } from './src/gridOptimization.js';
+export { createInitialGrid, optimizeGridCorners, renderGrid, renderGridCells } from './src/gridOptimization.js';
 
 // Projection functions
 export {
@@ -0,0 +1,457 @@
+/**
+ * Aseprite Module
+ *
+ * Writes Aseprite documents (.aseprite / .ase) so pixelated results can be
+ * touched up with their palette intact. The document holds the pixelated
+ * image as an indexed (or RGBA) layer, the palette, optional reference
+ * layers (original image, edge map, grid overlay) and one frame per input
+ * frame. Works without a DOM.
+ */
+
+import { zlibCompress } from './deflate.js';
+import { mapToPaletteIndexed, findTransparentIndex, TRANSPARENT_COLOR } from './quantization.js';
+import { parseColor } from './palettes.js';
+import { createImageData } from './surface.js';
+
+/**
+ * Sprite color modes the exporter can write.
+ */
+export const ASEPRITE_COLOR_MODES = ['indexed', 'rgba'];
+
+const HEADER_MAGIC = 0xa5e0;
+const FRAME_MAGIC = 0xf1fa;
+const CHUNK_LAYER = 0x2004;
+const CHUNK_CEL = 0x2005;
+const CHUNK_COLOR_PROFILE = 0x2007;
+const CHUNK_PALETTE = 0x2019;
+
+const LAYER_VISIBLE = 1;
+const LAYER_EDITABLE = 2;
+const LAYER_BACKGROUND = 8;
+const CEL_COMPRESSED_IMAGE = 2;
+
+// Extra layers are hidden and drawn half transparent when shown
+const REFERENCE_LAYER_OPACITY = 128;
+// Extra layer pixels below this alpha become transparent in indexed sprites
+const INDEXED_ALPHA_CUTOFF = 128;
+
+/**
+ * Growable little-endian byte buffer.
+ */
+function createByteWriter() {
+  let bytes = new Uint8Array(256);
+  let offset = 0;
+
+  const ensure = (extra) => {
+    if (offset + extra > bytes.length) {
+      const grown = new Uint8Array(Math.max(bytes.length * 2, offset + extra));
+      grown.set(bytes);
+      bytes = grown;
+    }
+  };
+
+  return {
+    byte(value) {
+      ensure(1);
+      bytes[offset++] = value & 0xff;
+    },
+    word(value) {
+      this.byte(value);
+      this.byte(value >> 8);
+    },
+    dword(value) {
+      this.word(value & 0xffff);
+      this.word((value >>> 16) & 0xffff);
+    },
+    zeros(count) {
+      ensure(count);
+      offset += count;
+    },
+    bytes(values) {
+      ensure(values.length);
+      bytes.set(values, offset);
+      offset += values.length;
+    },
+    string(text) {
+      const encoded = new TextEncoder().encode(text);
+      this.word(encoded.length);
+      this.bytes(encoded);
+    },
+    get length() {
+      return offset;
+    },
+    finish() {
+      return bytes.slice(0, offset);
+    }
+  };
+}
+
+/**
+ * Wraps chunk data with its size and type header.
+ */
+function createChunk(type, data) {
+  const writer = createByteWriter();
+  writer.dword(data.length + 6);
+  writer.word(type);
+  writer.bytes(data);
+  return writer.finish();
+}
+
+/**
+ * Returns the per-frame value of an option that may be a single value or an array.
+ */
+function frameOption(value, frameIndex) {
+  return Array.isArray(value) ? value[Math.min(frameIndex, value.length - 1)] : value;
+}
+
+/**
+ * Nearest-neighbor resize, used to fit source-resolution layers to the sprite.
+ */
+function resizeNearest(imageData, width, height) {
+  if (imageData.width === width && imageData.height === height) {
+    return imageData;
+  }
+  const output = createImageData(width, height);
+  for (let y = 0; y < height; y++) {
+    const sy = Math.floor((y * imageData.height) / height);
+    for (let x = 0; x < width; x++) {
+      const sx = Math.floor((x * imageData.width) / width);
+      const src = (sy * imageData.width + sx) * 4;
+      output.data.set(imageData.data.subarray(src, src + 4), (y * width + x) * 4);
+    }
+  }
+  return output;
+}
+
+/**
+ * Renders an edge map as white edges on a transparent background.
+ */
+function edgeMapToImageData(edgeMap, width, height) {
+  if (edgeMap.length !== width * height) {
+    throw new Error(`Edge map has ${edgeMap.length} values, expected ${width * height} (${width}x${height})`);
+  }
+  const output = createImageData(width, height);
+  for (let i = 0; i < edgeMap.length; i++) {
+    const value = Math.min(1, Math.max(0, edgeMap[i]));
+    if (value > 0) {
+      output.data.set([255, 255, 255, Math.round(value * 255)], i * 4);
+    }
+  }
+  return output;
+}
+
+/**
+ * Rasterizes grid lines (corners in source coordinates) at sprite resolution.
+ */
+function gridToImageData(grid, width, height, scaleX, scaleY, color) {
+  const output = createImageData(width, height);
+  const plot = (x, y) => {
+    if (x >= 0 && y >= 0 && x < width && y < height) {
+      output.data.set([color.r, color.g, color.b, 255], (y * width + x) * 4);
+    }
+  };
+  const line = (from, to) => {
+    // Bresenham between the scaled corner positions
+    let x0 = Math.min(width - 1, Math.floor(from.x * scaleX));
+    let y0 = Math.min(height - 1, Math.floor(from.y * scaleY));
+    const x1 = Math.min(width - 1, Math.floor(to.x * scaleX));
+    const y1 = Math.min(height - 1, Math.floor(to.y * scaleY));
+    const dx = Math.abs(x1 - x0), sx = x0 < x1 ? 1 : -1;
+    const dy = -Math.abs(y1 - y0), sy = y0 < y1 ? 1 : -1;
+    let err = dx + dy;
+    for (;;) {
+      plot(x0, y0);
+      if (x0 === x1 && y0 === y1) break;
+      const e2 = 2 * err;
+      if (e2 >= dy) { err += dy; x0 += sx; }
+      if (e2 <= dx) { err += dx; y0 += sy; }
+    }
+  };
+
+  const { corners } = grid;
+  for (let row = 0; row < corners.length; row++) {
+    for (let col = 0; col < corners[row].length; col++) {
+      if (col + 1 < corners[row].length) line(corners[row][col], corners[row][col + 1]);
+      if (row + 1 < corners.length) line(corners[row][col], corners[row + 1][col]);
+    }
+  }
+  return output;
+}
+
+/**
+ * Normalizes a frame to { width, height, palette, indices, imageData }.
+ */
+function resolveFrame(frame, i) {
+  if (frame && frame.palette && frame.indices) {
+    const imageData = frame.imageData;
+    const width = frame.cols ?? imageData.width;
+    const height = frame.rows ?? imageData.height;
+    // Results drawn at a larger output size are exported at that size
+    if (imageData && (imageData.width !== width || imageData.height !== height)) {
+      return { width: imageData.width, height: imageData.height, palette: frame.palette, indices: null, imageData };
+    }
+    return { width, height, palette: frame.palette, indices: frame.indices, imageData };
+  }
+
+  const imageData = frame && frame.data ? frame : frame && frame.imageData;
+  if (!imageData || !imageData.data) {
+    throw new Error(`Frame ${i} must be ImageData or a pixelation result`);
+  }
+  return { width: imageData.width, height: imageData.height, palette: null, indices: null, imageData };
+}
+
+/**
+ * Returns a copy of the palette with a transparent entry, if one fits.
+ */
+function withTransparentEntry(palette) {
+  if (findTransparentIndex(palette) >= 0 || palette.length >= 256) {
+    return palette;
+  }
+  return [...palette, TRANSPARENT_COLOR];
+}
+
+/**
+ * Converts layer pixels to cel data: palette indices or RGBA bytes.
+ */
+function toCelPixels(imageData, colorMode, palette, transparentIndex) {
+  if (colorMode === 'rgba') {
+    return new Uint8Array(imageData.data.buffer, imageData.data.byteOffset, imageData.data.length);
+  }
+
+  // Indexed layers have no partial alpha: snap it before mapping
+  const snapped = createImageData(imageData.width, imageData.height);
+  snapped.data.set(imageData.data);
+  for (let i = 3; i < snapped.data.length; i += 4) {
+    snapped.data[i] = snapped.data[i] < INDEXED_ALPHA_CUTOFF ? 0 : 255;
+  }
+  const { indices } = mapToPaletteIndexed(snapped, palette);
+  const pixels = Uint8Array.from(indices);
+  for (let i = 0; i < pixels.length; i++) {
+    if (snapped.data[i * 4 + 3] === 0) {
+      pixels[i] = transparentIndex;
+    }
+  }
+  return pixels;
+}
+
+function createColorProfileChunk() {
+  const writer = createByteWriter();
+  writer.word(1); // sRGB
+  writer.word(0); // Flags
+  writer.dword(0); // Fixed gamma (unused)
+  writer.zeros(8);
+  return createChunk(CHUNK_COLOR_PROFILE, writer.finish());
+}
+
+function createPaletteChunk(palette) {
+  const writer = createByteWriter();
+  writer.dword(palette.length);
+  writer.dword(0);
+  writer.dword(palette.length - 1);
+  writer.zeros(8);
+  for (const color of palette) {
+    writer.word(color.name ? 1 : 0);
+    writer.byte(color.r);
+    writer.byte(color.g);
+    writer.byte(color.b);
+    writer.byte(color.a === undefined ? 255 : color.a);
+    if (color.name) {
+      writer.string(color.name);
+    }
+  }
+  return createChunk(CHUNK_PALETTE, writer.finish());
+}
+
+function createLayerChunk({ name, flags, opacity }) {
+  const writer = createByteWriter();
+  writer.word(flags);
+  writer.word(0); // Normal image layer
+  writer.word(0); // Child level
+  writer.word(0); // Default width (ignored)
+  writer.word(0); // Default height (ignored)
+  writer.word(0); // Normal blend mode
+  writer.byte(opacity);
+  writer.zeros(3);
+  writer.string(name);
+  return createChunk(CHUNK_LAYER, writer.finish());
+}
+
+function createCelChunk(layerIndex, width, height, pixels) {
+  const writer = createByteWriter();
+  writer.word(layerIndex);
+  writer.word(0); // X position
+  writer.word(0); // Y position
+  writer.byte(255); // Opacity
+  writer.word(CEL_COMPRESSED_IMAGE);
+  writer.word(0); // Z-index
+  writer.zeros(5);
+  writer.word(width);
+  writer.word(height);
+  writer.bytes(zlibCompress(pixels));
+  return createChunk(CHUNK_CEL, writer.finish());
+}
+
+function createFrame(chunks, duration) {
+  const size = chunks.reduce((sum, chunk) => sum + chunk.length, 16);
+  const writer = createByteWriter();
+  writer.dword(size);
+  writer.word(FRAME_MAGIC);
+  writer.word(Math.min(chunks.length, 0xffff));
+  writer.word(duration);
+  writer.zeros(2);
+  writer.dword(chunks.length);
+  chunks.forEach(chunk => writer.bytes(chunk));
+  return writer.finish();
+}
+
+/**
+ * Exports pixelated frames as an Aseprite document.
+ *
+ * Indexed sprites use the palette of the first indexed frame (or the palette
+ * option); other frames and the extra layers are mapped onto it. When the
+ * palette has no transparent entry one is appended, so layers can be
+ * transparent. The pixelated image is the bottom layer; the extra layers sit
+ * above it, hidden and half transparent.
+ *
+ * @param {Object|ImageData|Array<Object|ImageData>} frames - A pixelation result ({ imageData, palette,
+ *   indices, cols, rows } from returnIndexed), ImageData, or an array of them for an animation
+ * @param {Object} options - Optional configuration
+ * @param {string} options.colorMode - 'indexed' or 'rgba' (default: 'indexed' when a palette is available)
+ * @param {Array<Object>} options.palette - Palette for indexed sprites (default: the first frame's palette)
+ * @param {number|Array<number>} options.delay - Frame duration in milliseconds, or one per frame (default: 100)
+ * @param {ImageData|Array<ImageData>} options.reference - Original image for a 'Reference' layer, or one per frame
+ * @param {Float32Array|Array<Float32Array>} options.edgeMap - Edge map from calculateEdgeMapStep for an
+ *   'Edge Map' layer, or one per frame
+ * @param {Object|Array<Object>} options.grid - Grid from createGridStep / optimizeGridStep for a 'Grid'
+ *   layer, or one per frame
+ * @param {string|Array<number>|Object} options.gridColor - Grid line color (default: '#ff0000')
+ * @param {number} options.sourceWidth - Width of the source image the edge map and grid refer to
+ *   (default: the reference width, else the sprite width)
+ * @param {number} options.sourceHeight - Height of the source image (default: the reference height,
+ *   else the sprite height)
+ * @returns {Uint8Array} Aseprite file bytes
+ */
+export function encodeAseprite(frames, options = {}) {
+  const {
+    delay = 100,
+    reference = null,
+    edgeMap = null,
+    grid = null,
+    gridColor = '#ff0000'
+  } = options;
+
+  const frameList = Array.isArray(frames) ? frames : [frames];
+  if (frameList.length === 0) {
+    throw new Error('encodeAseprite requires at least one frame');
+  }
+
+  const prepared = frameList.map(resolveFrame);
+  const { width, height } = prepared[0];
+  prepared.forEach((frame, i) => {
+    if (frame.width !== width || frame.height !== height) {
+      throw new Error(`Frame ${i} is ${frame.width}x${frame.height}, expected ${width}x${height}`);
+    }
+  });
+
+  const basePalette = options.palette ?? prepared.find(frame => frame.palette)?.palette ?? null;
+  const colorMode = options.colorMode ?? (basePalette ? 'indexed' : 'rgba');
+  if (!ASEPRITE_COLOR_MODES.includes(colorMode)) {
+    throw new Error(`Unknown color mode: ${colorMode}. Available modes: ${ASEPRITE_COLOR_MODES.join(', ')}`);
+  }
+  if (colorMode === 'indexed' && !basePalette) {
+    throw new Error('Indexed Aseprite export requires a palette; quantize first or use colorMode: \'rgba\'');
+  }
+  if (colorMode === 'indexed' && basePalette.length > 256) {
+    throw new Error(`Palette has ${basePalette.length} colors; indexed Aseprite sprites support at most 256`);
+  }
+
+  const palette = colorMode === 'indexed' ? withTransparentEntry(basePalette) : basePalette;
+  const transparentIndex = palette ? findTransparentIndex(palette) : -1;
+
+  // Source size for the edge map and grid layers
+  const firstReference = frameOption(reference, 0);
+  const sourceWidth = options.sourceWidth ?? firstReference?.width ?? width;
+  const sourceHeight = options.sourceHeight ?? firstReference?.height ?? height;
+  const lineColor = parseColor(gridColor);
+
+  const layers = [{
+    name: 'Pixels',
+    // Without a free transparent slot, a background layer keeps every index opaque
+    flags: LAYER_VISIBLE | LAYER_EDITABLE | (colorMode === 'indexed' && transparentIndex < 0 ? LAYER_BACKGROUND : 0),
+    opacity: 255,
+    render: (frame) => {
+      if (colorMode === 'indexed' && frame.indices && frame.palette === basePalette) {
+        return Uint8Array.from(frame.indices);
+      }
+      return toCelPixels(frame.imageData, colorMode, palette, Math.max(0, transparentIndex));
+    }
+  }];
+  const addLayer = (name, value, toImageData) => {
+    if (value === null || value === undefined) return;
+    layers.push({
+      name,
+      flags: LAYER_EDITABLE,
+      opacity: REFERENCE_LAYER_OPACITY,
+      render: (frame, i) => {
+        const source = frameOption(value, i);
+        if (!source) return null;
+        return toCelPixels(toImageData(source), colorMode, palette, Math.max(0, transparentIndex));
+      }
+    });
+  };
+  addLayer('Reference', reference, image => resizeNearest(image, width, height));
+  addLayer('Edge Map', edgeMap, map =>
+    resizeNearest(edgeMapToImageData(map, sourceWidth, sourceHeight), width, height));
+  addLayer('Grid', grid, g =>
+    gridToImageData(g, width, height, width / sourceWidth, height / sourceHeight, lineColor));
+
+  const frameBytes = prepared.map((frame, i) => {
+    const chunks = [];
+    if (i === 0) {
+      chunks.push(createColorProfileChunk());
+      if (palette) {
+        chunks.push(createPaletteChunk(palette));
+      }
+      layers.forEach(layer => chunks.push(createLayerChunk(layer)));
+    }
+    layers.forEach((layer, layerIndex) => {
+      const pixels = layer.render(frame, i);
+      if (pixels) {
+        chunks.push(createCelChunk(layerIndex, width, height, pixels));
+      }
+    });
+    return createFrame(chunks, Math.round(frameOption(delay, i)));
+  });
+
+  const fileSize = frameBytes.reduce((sum, bytes) => sum + bytes.length, 128);
+  const header = createByteWriter();
+  header.dword(fileSize);
+  header.word(HEADER_MAGIC);
+  header.word(prepared.length);
+  header.word(width);
+  header.word(height);
+  header.word(colorMode === 'indexed' ? 8 : 32);
+  header.dword(1); // Layer opacity is valid
+  header.word(Math.round(frameOption(delay, 0))); // Deprecated speed
+  header.dword(0);
+  header.dword(0);
+  header.byte(Math.max(0, transparentIndex));
+  header.zeros(3);
+  header.word(palette ? palette.length % 256 : 0); // 0 means 256
+  header.byte(1); // Pixel width
+  header.byte(1); // Pixel height
+  header.word(0); // Grid x
+  header.word(0); // Grid y
+  header.word(16); // Grid width
+  header.word(16); // Grid height
+  header.zeros(84);
+
+  const output = new Uint8Array(fileSize);
+  output.set(header.finish(), 0);
+  let offset = 128;
+  for (const bytes of frameBytes) {
+    output.set(bytes, offset);
+    offset += bytes.length;
+  }
+  return output;
+}
@@ -0,0 +1,668 @@
+/**
+ * Command-Line Module
+ *
+ * Batch pixelation for the `pixel-mosaic` command: argument and preset
+ * parsing, glob expansion, output path templates and a bounded-concurrency
+ * file queue around pixelateImageEdgeAware / pixelateImage. With a
+ * concurrency above 1, files are pixelated on a worker pool, one worker
+ * thread per concurrent file. Node only; images are read and written as PNG
+ * (SVG output is also supported).
+ */
+
+import { promises as fs, readFileSync } from 'fs';
+import { dirname, extname, basename, join, normalize, relative, resolve, sep } from 'path';
+import { fileURLToPath } from 'url';
+import { pixelateImage, pixelateImageEdgeAware } from './pixelate.js';
+import { createWorkerPool } from './workerPool.js';
+import { applyProjection } from './projection.js';
+import { decodePng, encodePng } from './png.js';
+import { encodeSvg } from './svg.js';
+import { resolvePalette } from './palettes.js';
+import { parsePaletteFile } from './paletteIO.js';
+import { QUANTIZERS } from './quantization.js';
+import { DITHER_MODES } from './dithering.js';
+import { COLOR_SPACES } from './color.js';
+import { UPSCALERS } from './upscale.js';
+
+/**
+ * Exit codes: success, some files failed, invalid arguments or presets, aborted (as after SIGINT).
+ */
+export const EXIT_CODES = { success: 0, failure: 1, usage: 2, aborted: 130 };
+
+/**
+ * Default output path template, next to each input file.
+ */
+export const DEFAULT_OUTPUT_TEMPLATE = '{dir}/{name}-pixelated.png';
+
+/**
+ * Output formats, by file extension.
+ */
+const OUTPUT_FORMATS = ['.png', '.svg'];
+
+/**
+ * Command-line options as [flag, option key, type, description]. Types:
+ * 'number', 'boolean' (also accepts --no-<flag>), 'string', 'matrix'
+ * (8 comma-separated numbers), 'scale' ('native', a factor or WxH) and
+ * 'list' (repeatable). A fifth element lists the allowed values.
+ */
+const CLI_OPTIONS = [
+  ['--pixel-size', 'pixelSize', 'number', 'Pixel size / grid cell size (default: 8)'],
+  ['--edge-aware', 'edgeAware', 'boolean', 'Edge-aware pixelation; --no-edge-aware for simple downscaling (default: true)'],
+  ['--edge-sharpness', 'edgeSharpness', 'number', 'Edge sharpness 0-1 (default: 0.8)'],
+  ['--iterations', 'numIterations', 'number', 'Grid optimization iterations (default: 2)'],
+  ['--search-steps', 'searchSteps', 'number', 'Search steps per grid corner (default: 9)'],
+  ['--splines', 'useSplines', 'boolean', 'Use B-spline grid edges (default: false)'],
+  ['--spline-degree', 'splineDegree', 'number', 'B-spline degree (default: 2)'],
+  ['--spline-smoothness', 'splineSmoothness', 'number', 'B-spline smoothness 0-1 (default: 0.3)'],
+  ['--tile-size', 'tileSize', 'number', 'Process edge-aware pixelation in tiles of about this many pixels per side, for very large images'],
+  ['--color-limit', 'colorLimit', 'number', 'Maximum number of colors'],
+  ['--palette', 'palette', 'string', 'Built-in palette name, palette file (.gpl, .pal, .hex, .ase) or comma-separated colors'],
+  ['--quantizer', 'quantizer', 'string', 'Palette algorithm (default: diverse)', QUANTIZERS],
+  ['--color-space', 'colorSpace', 'string', 'Color space for palette matching (default: rgb)', COLOR_SPACES],
+  ['--dither', 'dither', 'string', 'Dither mode (default: none)', DITHER_MODES],
+  ['--dither-strength', 'ditherStrength', 'number', 'Dither strength 0-1 (default: 1)'],
+  ['--seed', 'seed', 'number', 'Random seed for k-means (default: 1)'],
+  ['--contrast', 'contrast', 'number', 'Contrast 0-2, 1 is unchanged (default: 1)'],
+  ['--alpha-threshold', 'alphaThreshold', 'number', 'Snap alpha to 0 or 255 at this cutoff'],
+  ['--linear-light', 'linearLight', 'boolean', 'Average colors in linear light (default: false)'],
+  ['--projection', 'projection', 'matrix', 'Projective transform a1,a2,a3,b1,b2,b3,c1,c2 applied first'],
+  ['--interpolation', 'interpolation', 'string', 'Projection interpolation (default: nearest)', ['nearest', 'bilinear']],
+  ['--output-scale', 'outputScale', 'scale', "Output size: 'native', an integer factor or WIDTHxHEIGHT"],
+  ['--upscaler', 'upscaler', 'string', 'Pixel-art upscaler for the native-resolution result', UPSCALERS],
+  ['--output', 'output', 'string', `Output path template (default: ${DEFAULT_OUTPUT_TEMPLATE})`],
+  ['--preset', 'preset', 'list', 'JSON preset file; repeat to merge several, later ones win'],
+  ['--concurrency', 'concurrency', 'number', 'Files processed at once, on worker threads when above 1 (default: 1)'],
+  ['--metadata', 'metadata', 'boolean', 'Store the options in each PNG (default: false)'],
+  ['--dry-run', 'dryRun', 'boolean', 'Print the resolved options and output paths, write nothing'],
+  ['--quiet', 'quiet', 'boolean', 'Only print errors'],
+  ['--help', 'help', 'boolean', 'Show this help'],
+  ['--version', 'version', 'boolean', 'Show the version']
+];
+
+const SHORT_FLAGS = { '-s': '--pixel-size', '-c': '--color-limit', '-p': '--palette', '-o': '--output', '-j': '--concurrency', '-h': '--help', '-v': '--version' };
+
+const OPTIONS_BY_FLAG = new Map(CLI_OPTIONS.map(option => [option[0], option]));
+const OPTIONS_BY_KEY = new Map(CLI_OPTIONS.map(option => [option[1], option]));
+
+// Options that only steer the command, not the pixelation
+const COMMAND_KEYS = ['output', 'preset', 'concurrency', 'metadata', 'dryRun', 'quiet', 'help', 'version'];
+
+const DEFAULT_OPTIONS = {
+  pixelSize: 8,
+  edgeAware: true,
+  output: DEFAULT_OUTPUT_TEMPLATE,
+  concurrency: 1
+};
+
+/**
+ * Creates an error for invalid arguments, presets or inputs (exit code 2).
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_CODES.usage;
+  return error;
+}
+
+/**
+ * Converts and validates one option value from the command line or a preset.
+ */
+function parseValue(option, value, source) {
+  const [flag, key, type, , choices] = option;
+  const invalid = (expected) => usageError(`Invalid value for ${flag} in ${source}: ${JSON.stringify(value)} (expected ${expected})`);
+
+  switch (type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(value);
+      if (value === '' || value === null || typeof value === 'boolean' || !Number.isFinite(number)) {
+        throw invalid('a number');
+      }
+      return number;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true') return true;
+      if (value === 'false') return false;
+      throw invalid('true or false');
+    case 'matrix': {
+      const numbers = Array.isArray(value) ? value.map(Number) : String(value).split(',').map(Number);
+      if (numbers.length !== 8 || !numbers.every(Number.isFinite)) {
+        throw invalid('8 comma-separated numbers');
+      }
+      return numbers;
+    }
+    case 'scale': {
+      if (value === 'native' || (typeof value === 'number' && Number.isInteger(value) && value >= 1)) {
+        return value;
+      }
+      if (value && typeof value === 'object' && value.width >= 1 && value.height >= 1) {
+        return { width: value.width, height: value.height };
+      }
+      const match = /^(\d+)(?:x(\d+))?$/i.exec(String(value));
+      if (!match || Number(match[1]) < 1 || (match[2] !== undefined && Number(match[2]) < 1)) {
+        throw invalid("'native', an integer factor or WIDTHxHEIGHT");
+      }
+      return match[2] === undefined ? Number(match[1]) : { width: Number(match[1]), height: Number(match[2]) };
+    }
+    case 'list':
+      return Array.isArray(value) ? value.map(String) : [String(value)];
+    default:
+      if (key === 'palette' && Array.isArray(value)) {
+        return value;
+      }
+      if (typeof value !== 'string') {
+        throw invalid('a string');
+      }
+      if (choices && !choices.includes(value)) {
+        throw invalid(choices.join(', '));
+      }
+      return value;
+  }
+}
+
+/**
+ * Parses command-line arguments into input patterns and options. Values come
+ * as `--flag value` or `--flag=value`; booleans take no value and can be
+ * negated with `--no-flag`. Everything after `--` is an input.
+ *
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {Object} { inputs, options } with options keyed like the library options
+ */
+export function parseCliArgs(argv) {
+  const inputs = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      inputs.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      inputs.push(arg);
+      continue;
+    }
+
+    let [flag, value] = arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, undefined];
+    flag = SHORT_FLAGS[flag] || flag;
+
+    let negated = false;
+    if (!OPTIONS_BY_FLAG.has(flag) && flag.startsWith('--no-')) {
+      flag = '--' + flag.slice(5);
+      negated = true;
+    }
+    const option = OPTIONS_BY_FLAG.get(flag);
+    if (!option || (negated && option[2] !== 'boolean')) {
+      throw usageError(`Unknown option: ${arg.split('=')[0]}. Run pixel-mosaic --help for the list of options`);
+    }
+
+    const [, key, type] = option;
+    if (type === 'boolean') {
+      options[key] = negated ? false : (value === undefined ? true : parseValue(option, value, 'arguments'));
+      continue;
+    }
+    if (value === undefined) {
+      if (i + 1 >= argv.length) {
+        throw usageError(`Missing value for ${flag}`);
+      }
+      value = argv[++i];
+    }
+    const parsed = parseValue(option, value, 'arguments');
+    options[key] = type === 'list' ? [...(options[key] || []), ...parsed] : parsed;
+  }
+
+  return { inputs, options };
+}
+
+/**
+ * Loads a JSON preset: an object of option keys (as in the library, e.g.
+ * pixelSize, edgeSharpness, palette, output) and values.
+ */
+async function loadPreset(path) {
+  let text;
+  try {
+    text = await fs.readFile(path, 'utf8');
+  } catch (error) {
+    throw usageError(`Cannot read preset ${path}: ${error.message}`);
+  }
+  let preset;
+  try {
+    preset = JSON.parse(text);
+  } catch (error) {
+    throw usageError(`Invalid JSON in preset ${path}: ${error.message}`);
+  }
+  if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+    throw usageError(`Preset ${path} must be a JSON object of options`);
+  }
+
+  const options = {};
+  for (const [key, value] of Object.entries(preset)) {
+    const option = OPTIONS_BY_KEY.get(key);
+    if (!option || key === 'preset' || key === 'help' || key === 'version') {
+      throw usageError(`Unknown option in preset ${path}: ${key}`);
+    }
+    if (value !== null) {
+      options[key] = parseValue(option, value, `preset ${path}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Resolves the palette option: palette files are parsed, comma-separated
+ * color lists split and built-in names checked.
+ */
+async function resolvePaletteOption(palette, cwd) {
+  if (Array.isArray(palette)) {
+    return resolvePalette(palette);
+  }
+  const path = resolve(cwd, palette);
+  let data = null;
+  try {
+    data = await fs.readFile(path);
+  } catch {
+    data = null;
+  }
+  if (data) {
+    return parsePaletteFile(new Uint8Array(data), extname(path).slice(1) || null);
+  }
+  return resolvePalette(palette.includes(',') ? palette.split(',').map(color => color.trim()) : palette);
+}
+
+/**
+ * Merges defaults, presets (in order) and command-line options, and checks
+ * the result.
+ *
+ * @param {Object} cliOptions - Options from parseCliArgs
+ * @param {Object} context - { cwd }
+ * @returns {Promise<Object>} Resolved options
+ */
+export async function resolveCliOptions(cliOptions, { cwd = process.cwd() } = {}) {
+  let options = { ...DEFAULT_OPTIONS };
+  for (const preset of cliOptions.preset || []) {
+    options = { ...options, ...(await loadPreset(resolve(cwd, preset))) };
+  }
+  options = { ...options, ...cliOptions };
+  delete options.preset;
+
+  if (!(options.pixelSize >= 1)) {
+    throw usageError('--pixel-size must be at least 1');
+  }
+  if (!(Number.isInteger(options.concurrency) && options.concurrency >= 1)) {
+    throw usageError('--concurrency must be a positive integer');
+  }
+  if (!OUTPUT_FORMATS.includes(extname(options.output).toLowerCase())) {
+    throw usageError(`Unsupported output format: ${options.output}. Supported extensions: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (options.palette !== undefined) {
+    try {
+      await resolvePaletteOption(options.palette, cwd);
+    } catch (error) {
+      throw usageError(error.message);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Converts a glob pattern to a regular expression over '/'-separated paths.
+ * Supports *, ?, ** (any number of directories), {a,b} and [...] classes;
+ * * and ? do not match a leading dot.
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let braceDepth = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const atSegmentStart = i === 0 || pattern[i - 1] === '/';
+    if (char === '*' && pattern[i + 1] === '*') {
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:(?!\\.)[^/]+/)*' : '(?:(?!\\.)[^/]*(?:/(?!\\.)[^/]*)*)?';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += atSegmentStart ? '(?!\\.)[^/]*' : '[^/]*';
+    } else if (char === '?') {
+      source += atSegmentStart ? '(?!\\.)[^/]' : '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += '[' + pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+        i = end;
+      }
+    } else if (char === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+const GLOB_CHARS = /[*?[{]/;
+
+/**
+ * Lists files under a directory recursively as '/'-separated relative paths,
+ * down to maxDepth directory levels.
+ */
+async function listFiles(root, maxDepth, prefix = '') {
+  let entries;
+  try {
+    entries = await fs.readdir(join(root, prefix), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const files = [];
+  for (const entry of entries) {
+    const path = prefix + entry.name;
+    if (entry.isDirectory()) {
+      if (maxDepth > 0) {
+        files.push(...await listFiles(root, maxDepth - 1, path + '/'));
+      }
+    } else if (entry.isFile()) {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+/**
+ * Expands input paths and glob patterns to files. Each file comes with the
+ * directory its pattern started from (the part before the first glob
+ * character), so output templates can mirror the input tree.
+ *
+ * @param {Array<string>} patterns - File paths or glob patterns
+ * @param {Object} context - { cwd }
+ * @returns {Promise<Array<Object>>} Files [{ input, base }, ...] in pattern order, sorted per pattern
+ */
+export async function expandInputs(patterns, { cwd = process.cwd() } = {}) {
+  const files = [];
+  const seen = new Set();
+
+  for (const pattern of patterns) {
+    const normalized = pattern.split(sep).join('/');
+    const segments = normalized.split('/');
+    const firstGlob = segments.findIndex(segment => GLOB_CHARS.test(segment));
+
+    let matches;
+    let base;
+    if (firstGlob === -1) {
+      const stat = await fs.stat(resolve(cwd, pattern)).catch(() => null);
+      if (!stat || !stat.isFile()) {
+        throw usageError(`Input file not found: ${pattern}`);
+      }
+      base = dirname(normalized);
+      matches = [normalized];
+    } else {
+      base = segments.slice(0, firstGlob).join('/') || (normalized.startsWith('/') ? '/' : '.');
+      const rest = segments.slice(firstGlob);
+      const maxDepth = rest.some(segment => segment.includes('**')) ? Infinity : rest.length - 1;
+      const regexp = globToRegExp(rest.join('/'));
+      const listed = await listFiles(resolve(cwd, base), maxDepth);
+      matches = listed.filter(path => regexp.test(path)).sort().map(path => (base === '.' ? path : `${base.replace(/\/$/, '')}/${path}`));
+      if (matches.length === 0) {
+        throw usageError(`No files match: ${pattern}`);
+      }
+    }
+
+    for (const input of matches) {
+      const key = resolve(cwd, input);
+      if (!seen.has(key)) {
+        seen.add(key);
+        files.push({ input, base });
+      }
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Fills an output path template for one input file. Placeholders: {dir}
+ * (the input's directory), {path} (the input's directory relative to its
+ * glob base, '.' for files directly in it), {name} (file name without
+ * extension), {ext} (input extension without the dot) and {index}
+ * (1-based position in the input list).
+ *
+ * @param {string} template - Output path template
+ * @param {Object} file - File from expandInputs { input, base }
+ * @param {number} index - 0-based position in the input list
+ * @returns {string} Output path
+ */
+export function formatOutputPath(template, file, index) {
+  const { input, base } = file;
+  const ext = extname(input);
+  const values = {
+    dir: dirname(input),
+    path: relative(base, dirname(input)).split(sep).join('/') || '.',
+    name: basename(input, ext),
+    ext: ext.slice(1),
+    index: String(index + 1)
+  };
+  const path = template.replace(/\{(\w+)\}/g, (match, key) => {
+    if (!(key in values)) {
+      throw usageError(`Unknown placeholder in output template: ${match}. Available placeholders: ${Object.keys(values).map(name => `{${name}}`).join(', ')}`);
+    }
+    return values[key];
+  });
+  return normalize(path).split(sep).join('/');
+}
+
+/**
+ * Builds the option object for the pixelation functions.
+ */
+function getPixelateOptions(options, palette) {
+  const pixelateOptions = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (!COMMAND_KEYS.includes(key) && !['pixelSize', 'edgeAware', 'projection', 'interpolation', 'palette'].includes(key)) {
+      pixelateOptions[key] = value;
+    }
+  }
+  if (palette) {
+    pixelateOptions.palette = palette;
+  }
+  return { ...pixelateOptions, returnIndexed: true };
+}
+
+/**
+ * Pixelates one file and writes the result. `pool` is an optional worker
+ * pool that runs the pixelation off the main thread.
+ */
+async function processFile(file, output, options, palette, cwd, signal, pool) {
+  const inputPath = resolve(cwd, file.input);
+  if (extname(inputPath).toLowerCase() !== '.png') {
+    throw new Error(`Unsupported input format: ${extname(inputPath) || 'no extension'}. Only PNG images can be read`);
+  }
+
+  let image = decodePng(new Uint8Array(await fs.readFile(inputPath)));
+  if (options.projection) {
+    image = applyProjection(image, options.projection, { interpolation: options.interpolation || 'nearest', linearLight: options.linearLight });
+  }
+
+  const pixelateOptions = getPixelateOptions(options, palette);
+  let result;
+  if (pool) {
+    // The decoded image is not needed afterwards, so its buffer is moved to the worker
+    const poolOptions = { ...pixelateOptions, signal, transfer: true };
+    result = options.edgeAware
+      ? await pool.pixelateImageEdgeAware(image, options.pixelSize, poolOptions)
+      : await pool.pixelateImage(image, options.pixelSize, poolOptions);
+  } else {
+    result = options.edgeAware
+      ? await pixelateImageEdgeAware(image, options.pixelSize, { ...pixelateOptions, signal })
+      : pixelateImage(image, options.pixelSize, pixelateOptions);
+  }
+
+  const outputPath = resolve(cwd, output);
+  const encoded = extname(outputPath).toLowerCase() === '.svg'
+    ? encodeSvg(result)
+    : encodePng(result, options.metadata ? { metadata: getMetadata(options) } : {});
+  await fs.mkdir(dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, encoded);
+}
+
+/**
+ * Returns the options worth storing with an output image.
+ */
+function getMetadata(options) {
+  const metadata = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (!COMMAND_KEYS.includes(key)) {
+      metadata[key] = value;
+    }
+  }
+  return metadata;
+}
+
+/**
+ * Formats the help text from the option table.
+ */
+function formatHelp() {
+  const shortFor = Object.fromEntries(Object.entries(SHORT_FLAGS).map(([short, long]) => [long, short]));
+  const lines = CLI_OPTIONS.map(([flag, , type, description, choices]) => {
+    const value = { number: ' <n>', string: ' <value>', matrix: ' <a1,...,c2>', scale: ' <scale>', list: ' <file>' }[type] || '';
+    const name = (shortFor[flag] ? `${shortFor[flag]}, ` : '    ') + flag + value;
+    const allowed = choices ? ` [${choices.join(', ')}]` : '';
+    return `  ${name.padEnd(34)}${description}${allowed}`;
+  });
+  return [
+    'Usage: pixel-mosaic [options] <input.png | glob>...',
+    '',
+    'Pixelates PNG images, edge-aware by default. Quote globs such as "assets/**/*.png"',
+    'so the shell does not expand them.',
+    '',
+    'Options:',
+    ...lines,
+    '',
+    'Output template placeholders: {dir}, {path}, {name}, {ext}, {index}',
+    'Exit codes: 0 success, 1 some files failed, 2 invalid arguments, presets or inputs, 130 interrupted',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Reads the package version. The path is built from this module's file path,
+ * since bundlers and DOM test environments may rewrite `new URL(..., import.meta.url)`.
+ */
+function getVersion() {
+  const packagePath = join(dirname(fileURLToPath(import.meta.url)), '..', 'package.json');
+  return JSON.parse(readFileSync(packagePath, 'utf8')).version;
+}
+
+/**
+ * Runs up to `concurrency` tasks at a time.
+ */
+async function runQueue(items, concurrency, task) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      await task(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+}
+
+/**
+ * Runs the pixel-mosaic command. Failed files are reported and the others
+ * still processed. When `signal` is aborted, no further files are started,
+ * the running ones stop at their next check and nothing more is written.
+ *
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @param {Object} context - Optional { cwd, stdout, stderr, signal } (streams with a write method, an AbortSignal)
+ * @returns {Promise<number>} Exit code (see EXIT_CODES)
+ */
+export async function runCli(argv, context = {}) {
+  const { cwd = process.cwd(), stdout = process.stdout, stderr = process.stderr, signal = null } = context;
+
+  let options, files, outputs, palette;
+  try {
+    const parsed = parseCliArgs(argv);
+    if (parsed.options.help) {
+      stdout.write(formatHelp());
+      return EXIT_CODES.success;
+    }
+    if (parsed.options.version) {
+      stdout.write(`${getVersion()}\n`);
+      return EXIT_CODES.success;
+    }
+    if (parsed.inputs.length === 0) {
+      throw usageError('No input files. Run pixel-mosaic --help for usage');
+    }
+
+    options = await resolveCliOptions(parsed.options, { cwd });
+    files = await expandInputs(parsed.inputs, { cwd });
+    outputs = files.map((file, index) => formatOutputPath(options.output, file, index));
+
+    // Refuse to overwrite inputs or write two results to one path
+    const inputPaths = new Set(files.map(file => resolve(cwd, file.input)));
+    const outputPaths = new Map();
+    outputs.forEach((output, index) => {
+      const path = resolve(cwd, output);
+      if (inputPaths.has(path)) {
+        throw usageError(`Output would overwrite an input: ${output}`);
+      }
+      if (outputPaths.has(path)) {
+        throw usageError(`Inputs ${files[outputPaths.get(path)].input} and ${files[index].input} map to the same output: ${output}. Add {path} or {index} to the output template`);
+      }
+      outputPaths.set(path, index);
+    });
+
+    if (options.dryRun) {
+      const resolved = { ...options };
+      delete resolved.dryRun;
+      const report = { options: resolved, files: files.map((file, index) => ({ input: file.input, output: outputs[index] })) };
+      stdout.write(JSON.stringify(report, null, 2) + '\n');
+      return EXIT_CODES.success;
+    }
+
+    if (options.palette !== undefined) {
+      palette = await resolvePaletteOption(options.palette, cwd);
+    }
+  } catch (error) {
+    stderr.write(`pixel-mosaic: ${error.message}\n`);
+    return error.exitCode || EXIT_CODES.failure;
+  }
+
+  // Pixelation is synchronous, so concurrent files only run in parallel on worker threads
+  const concurrency = Math.min(options.concurrency, files.length);
+  const pool = concurrency > 1 ? createWorkerPool({ size: concurrency }) : null;
+
+  let failed = 0;
+  try {
+    await runQueue(files, concurrency, async (file, index) => {
+      if (signal && signal.aborted) return;
+      try {
+        await processFile(file, outputs[index], options, palette, cwd, signal, pool);
+        if (!options.quiet) {
+          stdout.write(`${file.input} -> ${outputs[index]}\n`);
+        }
+      } catch (error) {
+        if (signal && signal.aborted) return;
+        failed++;
+        stderr.write(`pixel-mosaic: ${file.input}: ${error.message}\n`);
+      }
+    });
+  } finally {
+    if (pool) {
+      pool.terminate();
+    }
+  }
+
+  if (signal && signal.aborted) {
+    stderr.write('pixel-mosaic: aborted\n');
+    return EXIT_CODES.aborted;
+  }
+  if (failed > 0) {
+    stderr.write(`pixel-mosaic: ${failed} of ${files.length} files failed\n`);
+    return EXIT_CODES.failure;
+  }
+  return EXIT_CODES.success;
+}
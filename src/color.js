@@ -0,0 +1,418 @@
+/**
+ * Color Module
+ *
+ * Color space conversions (sRGB, linear light, CIELAB, OKLab) and color
+ * difference metrics shared across the library. sRGB transfer functions
+ * use lookup tables so they are cheap enough for per-pixel work.
+ */
+
+/**
+ * LINEAR LIGHT
+ */
+
+const LINEAR_TO_SRGB_STEPS = 4096;
+
+// sRGB byte (0-255) -> linear light (0-1)
+const SRGB_TO_LINEAR_LUT = new Float32Array(256);
+for (let i = 0; i < 256; i++) {
+  const v = i / 255;
+  SRGB_TO_LINEAR_LUT[i] = v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+// Linear light quantized to 4096 steps -> sRGB byte
+const LINEAR_TO_SRGB_LUT = new Uint8ClampedArray(LINEAR_TO_SRGB_STEPS + 1);
+for (let i = 0; i <= LINEAR_TO_SRGB_STEPS; i++) {
+  const v = i / LINEAR_TO_SRGB_STEPS;
+  const srgb = v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+  LINEAR_TO_SRGB_LUT[i] = Math.round(srgb * 255);
+}
+
+/**
+ * Converts an sRGB channel value to linear light.
+ *
+ * @param {number} value - sRGB channel value (0-255, integer)
+ * @returns {number} Linear light value (0-1)
+ */
+export function srgbToLinear(value) {
+  return SRGB_TO_LINEAR_LUT[value];
+}
+
+/**
+ * Converts a linear light value back to an sRGB channel value.
+ *
+ * @param {number} value - Linear light value (0-1, clamped)
+ * @returns {number} sRGB channel value (0-255, integer)
+ */
+export function linearToSrgb(value) {
+  if (!(value > 0)) return 0;
+  if (value >= 1) return 255;
+  return LINEAR_TO_SRGB_LUT[Math.round(value * LINEAR_TO_SRGB_STEPS)];
+}
+
+/**
+ * ALPHA
+ */
+
+/**
+ * Interpolates between two RGBA colors with premultiplied alpha, so that
+ * transparent pixels (whose RGB is meaningless) do not darken the result.
+ *
+ * @param {Object} color1 - First color {r, g, b, a}
+ * @param {Object} color2 - Second color {r, g, b, a}
+ * @param {number} t - Interpolation factor (0-1)
+ * @param {boolean} linearLight - Interpolate in linear light instead of sRGB (default: false)
+ * @returns {Object} Interpolated color {r, g, b, a}
+ */
+export function mixColors(color1, color2, t, linearLight = false) {
+  const w1 = color1.a * (1 - t);
+  const w2 = color2.a * t;
+  const a = w1 + w2;
+
+  if (a === 0) {
+    return { r: 0, g: 0, b: 0, a: 0 };
+  }
+
+  if (linearLight) {
+    return {
+      r: linearToSrgb((SRGB_TO_LINEAR_LUT[color1.r] * w1 + SRGB_TO_LINEAR_LUT[color2.r] * w2) / a),
+      g: linearToSrgb((SRGB_TO_LINEAR_LUT[color1.g] * w1 + SRGB_TO_LINEAR_LUT[color2.g] * w2) / a),
+      b: linearToSrgb((SRGB_TO_LINEAR_LUT[color1.b] * w1 + SRGB_TO_LINEAR_LUT[color2.b] * w2) / a),
+      a: Math.round(a)
+    };
+  }
+
+  return {
+    r: Math.round((color1.r * w1 + color2.r * w2) / a),
+    g: Math.round((color1.g * w1 + color2.g * w2) / a),
+    b: Math.round((color1.b * w1 + color2.b * w2) / a),
+    a: Math.round(a)
+  };
+}
+
+/**
+ * Averages RGBA colors with premultiplied alpha. With linearLight the RGB
+ * channels are averaged in linear light, so fine high-contrast detail keeps
+ * its perceived brightness instead of coming out too dark.
+ *
+ * @param {Array<Object>} colors - Colors {r, g, b, a}
+ * @param {boolean} linearLight - Average in linear light instead of sRGB (default: false)
+ * @returns {Object} Average color {r, g, b, a}
+ */
+export function averageColors(colors, linearLight = false) {
+  let r = 0, g = 0, b = 0, a = 0;
+
+  if (linearLight) {
+    for (const c of colors) {
+      r += SRGB_TO_LINEAR_LUT[c.r] * c.a;
+      g += SRGB_TO_LINEAR_LUT[c.g] * c.a;
+      b += SRGB_TO_LINEAR_LUT[c.b] * c.a;
+      a += c.a;
+    }
+  } else {
+    for (const c of colors) {
+      r += c.r * c.a;
+      g += c.g * c.a;
+      b += c.b * c.a;
+      a += c.a;
+    }
+  }
+
+  if (a === 0) {
+    return { r: 0, g: 0, b: 0, a: 0 };
+  }
+
+  if (linearLight) {
+    return {
+      r: linearToSrgb(r / a),
+      g: linearToSrgb(g / a),
+      b: linearToSrgb(b / a),
+      a: Math.round(a / colors.length)
+    };
+  }
+
+  return {
+    r: Math.round(r / a),
+    g: Math.round(g / a),
+    b: Math.round(b / a),
+    a: Math.round(a / colors.length)
+  };
+}
+
+/**
+ * OKLAB
+ */
+
+/**
+ * Converts an sRGB color to OKLab.
+ *
+ * @param {Object} color - Color {r, g, b} (0-255)
+ * @returns {Object} OKLab color {L, a, b} (L in 0-1)
+ */
+export function rgbToOklab(color) {
+  const [L, a, b] = rgbToOklabCoords(color.r, color.g, color.b);
+  return { L, a, b };
+}
+
+/**
+ * Converts an OKLab color to sRGB (rounded and clamped to 0-255).
+ *
+ * @param {Object} lab - OKLab color {L, a, b}
+ * @returns {Object} Color {r, g, b}
+ */
+export function oklabToRgb(lab) {
+  return oklabCoordsToRgb(lab.L, lab.a, lab.b);
+}
+
+function rgbToOklabCoords(r, g, b) {
+  const lr = SRGB_TO_LINEAR_LUT[r];
+  const lg = SRGB_TO_LINEAR_LUT[g];
+  const lb = SRGB_TO_LINEAR_LUT[b];
+
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+  return [
+    0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  ];
+}
+
+function oklabCoordsToRgb(L, a, b) {
+  const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+
+  return {
+    r: linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+    g: linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+    b: linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+  };
+}
+
+/**
+ * CIELAB
+ */
+
+// D65 reference white
+const WHITE_X = 0.95047;
+const WHITE_Y = 1.0;
+const WHITE_Z = 1.08883;
+const LAB_EPSILON = 216 / 24389;
+const LAB_KAPPA = 24389 / 27;
+
+/**
+ * Converts an sRGB color to CIELAB (D65).
+ *
+ * @param {Object} color - Color {r, g, b} (0-255)
+ * @returns {Object} CIELAB color {L, a, b} (L in 0-100)
+ */
+export function rgbToLab(color) {
+  const [L, a, b] = rgbToLabCoords(color.r, color.g, color.b);
+  return { L, a, b };
+}
+
+/**
+ * Converts a CIELAB (D65) color to sRGB (rounded and clamped to 0-255).
+ *
+ * @param {Object} lab - CIELAB color {L, a, b}
+ * @returns {Object} Color {r, g, b}
+ */
+export function labToRgb(lab) {
+  return labCoordsToRgb(lab.L, lab.a, lab.b);
+}
+
+function rgbToLabCoords(r, g, b) {
+  const lr = SRGB_TO_LINEAR_LUT[r];
+  const lg = SRGB_TO_LINEAR_LUT[g];
+  const lb = SRGB_TO_LINEAR_LUT[b];
+
+  const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / WHITE_X;
+  const y = (0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb) / WHITE_Y;
+  const z = (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / WHITE_Z;
+
+  const f = (t) => (t > LAB_EPSILON ? Math.cbrt(t) : (LAB_KAPPA * t + 16) / 116);
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+function labCoordsToRgb(L, a, b) {
+  const fy = (L + 16) / 116;
+  const fx = a / 500 + fy;
+  const fz = fy - b / 200;
+
+  const x = (fx ** 3 > LAB_EPSILON ? fx ** 3 : (116 * fx - 16) / LAB_KAPPA) * WHITE_X;
+  const y = (L > LAB_KAPPA * LAB_EPSILON ? fy ** 3 : L / LAB_KAPPA) * WHITE_Y;
+  const z = (fz ** 3 > LAB_EPSILON ? fz ** 3 : (116 * fz - 16) / LAB_KAPPA) * WHITE_Z;
+
+  return {
+    r: linearToSrgb(3.2404542 * x - 1.5371385 * y - 0.4985314 * z),
+    g: linearToSrgb(-0.9692660 * x + 1.8760108 * y + 0.0415560 * z),
+    b: linearToSrgb(0.0556434 * x - 0.2040259 * y + 1.0572252 * z)
+  };
+}
+
+/**
+ * COLOR DIFFERENCE
+ */
+
+/**
+ * CIE76 color difference (Euclidean distance in CIELAB).
+ *
+ * @param {Object} lab1 - CIELAB color {L, a, b}
+ * @param {Object} lab2 - CIELAB color {L, a, b}
+ * @returns {number} Delta E
+ */
+export function deltaE76(lab1, lab2) {
+  return Math.sqrt((lab1.L - lab2.L) ** 2 + (lab1.a - lab2.a) ** 2 + (lab1.b - lab2.b) ** 2);
+}
+
+/**
+ * CIEDE2000 color difference (Sharma, Wu and Dalal formulation).
+ *
+ * @param {Object} lab1 - CIELAB color {L, a, b}
+ * @param {Object} lab2 - CIELAB color {L, a, b}
+ * @returns {number} Delta E
+ */
+export function deltaE2000(lab1, lab2) {
+  return ciede2000(lab1.L, lab1.a, lab1.b, lab2.L, lab2.a, lab2.b);
+}
+
+const DEG = Math.PI / 180;
+const POW25_7 = 25 ** 7;
+
+function ciede2000(L1, a1, b1, L2, a2, b2) {
+  const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+  const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+  const Cbar7 = ((C1 + C2) / 2) ** 7;
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + POW25_7)));
+
+  const a1p = (1 + G) * a1;
+  const a2p = (1 + G) * a2;
+  const C1p = Math.sqrt(a1p * a1p + b1 * b1);
+  const C2p = Math.sqrt(a2p * a2p + b2 * b2);
+
+  const hue = (b, ap) => {
+    if (b === 0 && ap === 0) return 0;
+    const h = Math.atan2(b, ap) / DEG;
+    return h < 0 ? h + 360 : h;
+  };
+  const h1p = hue(b1, a1p);
+  const h2p = hue(b2, a2p);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * DEG);
+
+  const Lbarp = (L1 + L2) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) {
+      hbarp = (h1p + h2p) / 2;
+    } else if (h1p + h2p < 360) {
+      hbarp = (h1p + h2p + 360) / 2;
+    } else {
+      hbarp = (h1p + h2p - 360) / 2;
+    }
+  }
+
+  const T = 1 -
+    0.17 * Math.cos((hbarp - 30) * DEG) +
+    0.24 * Math.cos(2 * hbarp * DEG) +
+    0.32 * Math.cos((3 * hbarp + 6) * DEG) -
+    0.20 * Math.cos((4 * hbarp - 63) * DEG);
+
+  const dTheta = 30 * Math.exp(-(((hbarp - 275) / 25) ** 2));
+  const Cbarp7 = Cbarp ** 7;
+  const Rc = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + POW25_7));
+  const Lbarp50 = (Lbarp - 50) ** 2;
+  const Sl = 1 + (0.015 * Lbarp50) / Math.sqrt(20 + Lbarp50);
+  const Sc = 1 + 0.045 * Cbarp;
+  const Sh = 1 + 0.015 * Cbarp * T;
+  const Rt = -Math.sin(2 * dTheta * DEG) * Rc;
+
+  const dL = dLp / Sl;
+  const dC = dCp / Sc;
+  const dH = dHp / Sh;
+
+  return Math.sqrt(dL * dL + dC * dC + dH * dH + Rt * dC * dH);
+}
+
+/**
+ * COLOR SPACES
+ */
+
+/**
+ * Names of the color spaces accepted by getColorSpace().
+ */
+export const COLOR_SPACES = ['rgb', 'oklab', 'lab76', 'ciede2000'];
+
+const euclidean = (p, q) => Math.sqrt((p[0] - q[0]) ** 2 + (p[1] - q[1]) ** 2 + (p[2] - q[2]) ** 2);
+
+const colorSpaces = {
+  rgb: {
+    name: 'rgb',
+    toCoords: (r, g, b) => [r, g, b],
+    fromCoords: ([r, g, b]) => ({
+      r: Math.max(0, Math.min(255, Math.round(r))),
+      g: Math.max(0, Math.min(255, Math.round(g))),
+      b: Math.max(0, Math.min(255, Math.round(b)))
+    }),
+    distance: euclidean
+  },
+  oklab: {
+    name: 'oklab',
+    toCoords: rgbToOklabCoords,
+    fromCoords: ([L, a, b]) => oklabCoordsToRgb(L, a, b),
+    distance: euclidean
+  },
+  lab76: {
+    name: 'lab76',
+    toCoords: rgbToLabCoords,
+    fromCoords: ([L, a, b]) => labCoordsToRgb(L, a, b),
+    distance: euclidean
+  },
+  ciede2000: {
+    name: 'ciede2000',
+    toCoords: rgbToLabCoords,
+    fromCoords: ([L, a, b]) => labCoordsToRgb(L, a, b),
+    distance: (p, q) => ciede2000(p[0], p[1], p[2], q[0], q[1], q[2])
+  }
+};
+
+/**
+ * Returns a color space used for palette selection and color matching.
+ *
+ * The returned object converts sRGB bytes to coordinates in the space
+ * (`toCoords(r, g, b)` -> [x, y, z]), converts averaged coordinates back
+ * (`fromCoords([x, y, z])` -> {r, g, b}) and measures the difference between
+ * two coordinate triples (`distance(p, q)`).
+ *
+ * - 'rgb': Euclidean distance on sRGB bytes
+ * - 'oklab': Euclidean distance in OKLab
+ * - 'lab76': Euclidean distance in CIELAB (CIE76 delta E)
+ * - 'ciede2000': CIEDE2000 delta E on CIELAB coordinates
+ *
+ * @param {string} name - Color space name (see COLOR_SPACES, default: 'rgb')
+ * @returns {Object} Color space {name, toCoords, fromCoords, distance}
+ */
+export function getColorSpace(name = 'rgb') {
+  const space = colorSpaces[name];
+  if (!space) {
+    throw new Error(`Unknown color space: ${name}. Use one of: ${COLOR_SPACES.join(', ')}`);
+  }
+  return space;
+}
@@ -0,0 +1,360 @@
+/**
+ * Cross-Stitch Module
+ *
+ * Turns pixelated results into cross-stitch patterns: every cell becomes
+ * one stitch, every color is matched to a floss from a thread catalog
+ * (see threads.js) and gets its own chart symbol. Charts are rendered as
+ * printable SVG pages with bold grid lines every 10 stitches, row and
+ * column numbers, and a separate legend page. Works without a DOM.
+ */
+
+import { colorToHex } from './palettes.js';
+import { createColorMatcher, indexImageColors } from './quantization.js';
+import { mergeCellRuns } from './svg.js';
+import { getThreadPalette } from './threads.js';
+
+/**
+ * Default chart symbols, assigned to threads from the most to the least used.
+ */
+export const DEFAULT_STITCH_SYMBOLS = [
+  '●', '○', '■', '□', '▲', '△', '◆', '◇', '★', '☆', '♥', '♠', '♣', '♦', '+', '×',
+  '/', '\\', '=', '#', '%', '@', '&', '$', '?', '!', '~', '^', 'A', 'B', 'C', 'D',
+  'E', 'F', 'G', 'H', 'K', 'L', 'M', 'N', 'P', 'R', 'S', 'T', 'U', 'V', 'W', 'X',
+  'Y', 'Z', '2', '3', '4', '5', '6', '7', '8', '9'
+];
+
+// Cells with less alpha than this are left unstitched
+const VISIBLE_ALPHA = 128;
+
+/**
+ * Normalizes the input to { width, height, palette, indices }.
+ */
+function resolveCells(image) {
+  if (image.palette && image.indices) {
+    return {
+      width: image.cols ?? image.imageData.width,
+      height: image.rows ?? image.imageData.height,
+      palette: image.palette,
+      indices: image.indices
+    };
+  }
+
+  const imageData = image.data ? image : image.imageData;
+  if (!imageData || !imageData.data) {
+    throw new Error('createStitchPattern requires ImageData or a pixelation result');
+  }
+  return { width: imageData.width, height: imageData.height, ...indexImageColors(imageData) };
+}
+
+/**
+ * Creates a cross-stitch pattern from a pixelated result.
+ *
+ * Each cell of an indexed result (from returnIndexed) becomes one stitch; for
+ * ImageData, each pixel does. Every palette color is matched to the nearest
+ * thread, so the number of threads is at most the number of colors: use
+ * colorLimit when pixelating to keep the thread count manageable. Palette
+ * entries that already are threads (when pixelating with a thread palette)
+ * match themselves exactly. Cells with alpha below 128 are not stitched.
+ *
+ * @param {ImageData|Object} image - ImageData, or a result { imageData, palette, indices, cols?, rows? }
+ * @param {Object} options - Optional configuration
+ * @param {string|Array<Object>} options.threads - Thread catalog: 'dmc', 'anchor', or an array of
+ *   threads {r, g, b, code?, name?, brand?} (default: 'dmc')
+ * @param {string} options.colorSpace - Color space for thread matching: 'rgb', 'oklab', 'lab76'
+ *   or 'ciede2000' (default: 'ciede2000')
+ * @param {Array<string>} options.symbols - Chart symbols in order of use (default: DEFAULT_STITCH_SYMBOLS)
+ * @returns {Object} { width, height, threads, stitches } where threads are
+ *   {brand, code, name, r, g, b, symbol, count}, sorted by stitch count, and stitches
+ *   holds one thread index per cell, row-major (-1 for cells left unstitched)
+ */
+export function createStitchPattern(image, options = {}) {
+  const { threads = 'dmc', colorSpace = 'ciede2000', symbols = DEFAULT_STITCH_SYMBOLS } = options;
+
+  const catalog = typeof threads === 'string' ? getThreadPalette(threads) : threads;
+  if (!Array.isArray(catalog) || catalog.length === 0) {
+    throw new Error('threads must be a thread catalog name or a non-empty array of threads');
+  }
+
+  const { width, height, palette, indices } = resolveCells(image);
+  const findThread = createColorMatcher(catalog, colorSpace);
+
+  // Palette index -> catalog index (-1 for transparent colors)
+  const paletteThreads = palette.map(color =>
+    (color.a ?? 255) < VISIBLE_ALPHA ? -1 : findThread(color.r, color.g, color.b)
+  );
+
+  const counts = new Map();
+  for (let i = 0; i < width * height; i++) {
+    const thread = paletteThreads[indices[i]];
+    if (thread >= 0) {
+      counts.set(thread, (counts.get(thread) || 0) + 1);
+    }
+  }
+
+  // Most used threads first; ties keep catalog order
+  const used = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a - b);
+  if (used.length > symbols.length) {
+    throw new Error(
+      `Pattern needs ${used.length} symbols but only ${symbols.length} are available; ` +
+      'lower colorLimit or pass more symbols'
+    );
+  }
+
+  const patternIndex = new Map(used.map((thread, i) => [thread, i]));
+  const stitches = new Int16Array(width * height);
+  for (let i = 0; i < stitches.length; i++) {
+    const thread = paletteThreads[indices[i]];
+    stitches[i] = thread >= 0 ? patternIndex.get(thread) : -1;
+  }
+
+  return {
+    width,
+    height,
+    threads: used.map((thread, i) => {
+      const { r, g, b, brand = '', code = colorToHex(catalog[thread]), name = '' } = catalog[thread];
+      return { brand, code, name, r, g, b, symbol: symbols[i], count: counts.get(thread) };
+    }),
+    stitches
+  };
+}
+
+/**
+ * Formats a coordinate without trailing zeros.
+ */
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(4)));
+}
+
+/**
+ * Escapes text for use in XML content and attributes.
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Returns black or white, whichever reads better on the given color.
+ */
+function contrastColor({ r, g, b }) {
+  return 0.299 * r + 0.587 * g + 0.114 * b > 140 ? '#000000' : '#ffffff';
+}
+
+/**
+ * Renders one chart page covering stitches [x0, x1) x [y0, y1).
+ */
+function renderChartPage(pattern, region, page, settings) {
+  const { width, height, threads, stitches } = pattern;
+  const { x0, y0, x1, y1 } = region;
+  const { cellSize, gridInterval, colored } = settings;
+  const cols = x1 - x0;
+  const rows = y1 - y0;
+
+  const left = cellSize * 3;
+  const top = cellSize * 3;
+  const svgWidth = left + cols * cellSize + cellSize;
+  const svgHeight = top + rows * cellSize + cellSize;
+  const fontSize = formatNumber(cellSize * 0.7);
+  const px = (x) => formatNumber(left + (x - x0) * cellSize);
+  const py = (y) => formatNumber(top + (y - y0) * cellSize);
+
+  const lines = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(svgWidth)}" height="${formatNumber(svgHeight)}" ` +
+      `viewBox="0 0 ${formatNumber(svgWidth)} ${formatNumber(svgHeight)}" font-family="sans-serif">`,
+    '  <rect width="100%" height="100%" fill="#ffffff"/>',
+    `  <text x="${formatNumber(left)}" y="${formatNumber(cellSize * 1.2)}" font-size="${formatNumber(cellSize)}">` +
+      `Page ${page.number} of ${page.count}: columns ${x0 + 1}-${x1}, rows ${y0 + 1}-${y1}</text>`
+  ];
+
+  // Cell colors, merged into one path per thread
+  if (colored) {
+    const cells = new Int32Array(cols * rows);
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        cells[y * cols + x] = stitches[(y0 + y) * width + x0 + x] + 1;
+      }
+    }
+    const byThread = new Map();
+    for (const rect of mergeCellRuns(cells, cols, rows)) {
+      if (rect.index === 0) continue;
+      if (!byThread.has(rect.index)) byThread.set(rect.index, []);
+      byThread.get(rect.index).push(rect);
+    }
+    for (const [index, rects] of [...byThread].sort((a, b) => a[0] - b[0])) {
+      const d = rects.map(rect =>
+        `M${px(x0 + rect.x)} ${py(y0 + rect.y)}h${formatNumber(rect.width * cellSize)}` +
+        `v${formatNumber(rect.height * cellSize)}h${formatNumber(-rect.width * cellSize)}z`
+      ).join('');
+      lines.push(`  <path fill="${colorToHex(threads[index - 1])}" d="${d}"/>`);
+    }
+  }
+
+  // Symbols, grouped by thread so each group has one fill
+  const symbolCells = threads.map(() => []);
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const thread = stitches[y * width + x];
+      if (thread >= 0) symbolCells[thread].push([x, y]);
+    }
+  }
+  threads.forEach((thread, index) => {
+    if (symbolCells[index].length === 0) return;
+    const fill = colored ? contrastColor(thread) : '#000000';
+    lines.push(
+      `  <g fill="${fill}" font-size="${fontSize}" text-anchor="middle" dominant-baseline="central">`
+    );
+    for (const [x, y] of symbolCells[index]) {
+      lines.push(
+        `    <text x="${formatNumber(left + (x - x0 + 0.5) * cellSize)}" ` +
+        `y="${formatNumber(top + (y - y0 + 0.5) * cellSize)}">${escapeXml(thread.symbol)}</text>`
+      );
+    }
+    lines.push('  </g>');
+  });
+
+  // Grid: thin lines between stitches, bold every gridInterval stitches and at the chart edges
+  const isMajor = (v, size) => v % gridInterval === 0 || v === size;
+  const thin = [];
+  const bold = [];
+  for (let x = x0; x <= x1; x++) {
+    (isMajor(x, width) ? bold : thin).push(`M${px(x)} ${py(y0)}V${py(y1)}`);
+  }
+  for (let y = y0; y <= y1; y++) {
+    (isMajor(y, height) ? bold : thin).push(`M${px(x0)} ${py(y)}H${px(x1)}`);
+  }
+  if (thin.length > 0) {
+    lines.push(`  <path fill="none" stroke="#999999" stroke-width="${formatNumber(cellSize * 0.05)}" d="${thin.join('')}"/>`);
+  }
+  if (bold.length > 0) {
+    lines.push(`  <path fill="none" stroke="#000000" stroke-width="${formatNumber(cellSize * 0.15)}" d="${bold.join('')}"/>`);
+  }
+
+  // Column and row numbers at the bold lines, counted from 1 across the whole pattern
+  lines.push(`  <g font-size="${fontSize}" fill="#000000">`);
+  for (let x = x0; x <= x1; x++) {
+    if (x > 0 && x % gridInterval === 0) {
+      lines.push(`    <text x="${px(x)}" y="${formatNumber(top - cellSize * 0.4)}" text-anchor="middle">${x}</text>`);
+    }
+  }
+  for (let y = y0; y <= y1; y++) {
+    if (y > 0 && y % gridInterval === 0) {
+      lines.push(
+        `    <text x="${formatNumber(left - cellSize * 0.3)}" y="${py(y)}" text-anchor="end" ` +
+        `dominant-baseline="central">${y}</text>`
+      );
+    }
+  }
+  lines.push('  </g>');
+
+  lines.push('</svg>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Renders the legend: symbol, swatch, thread code, name and stitch count per thread.
+ */
+function renderLegend(pattern, settings) {
+  const { width, height, threads } = pattern;
+  const { cellSize } = settings;
+  const rowHeight = cellSize * 1.6;
+  const fontSize = formatNumber(cellSize * 0.8);
+  const columns = { symbol: cellSize, swatch: cellSize * 3, code: cellSize * 5, name: cellSize * 11, count: cellSize * 30 };
+  const svgWidth = cellSize * 31;
+  const svgHeight = rowHeight * (threads.length + 3);
+  const baseline = (row) => formatNumber(rowHeight * (row + 0.5));
+  const total = threads.reduce((sum, thread) => sum + thread.count, 0);
+
+  const lines = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(svgWidth)}" height="${formatNumber(svgHeight)}" ` +
+      `viewBox="0 0 ${formatNumber(svgWidth)} ${formatNumber(svgHeight)}" font-family="sans-serif">`,
+    '  <rect width="100%" height="100%" fill="#ffffff"/>',
+    `  <g font-size="${fontSize}" fill="#000000" dominant-baseline="central">`,
+    `    <g font-weight="bold">`,
+    `      <text x="${formatNumber(columns.symbol)}" y="${baseline(0)}">Symbol</text>`,
+    `      <text x="${formatNumber(columns.code)}" y="${baseline(0)}">Thread</text>`,
+    `      <text x="${formatNumber(columns.name)}" y="${baseline(0)}">Name</text>`,
+    `      <text x="${formatNumber(columns.count)}" y="${baseline(0)}" text-anchor="end">Stitches</text>`,
+    '    </g>'
+  ];
+
+  threads.forEach((thread, i) => {
+    const row = i + 1;
+    const y = baseline(row);
+    const code = thread.brand ? `${thread.brand} ${thread.code}` : thread.code;
+    lines.push(
+      `    <text x="${formatNumber(columns.symbol + cellSize * 0.6)}" y="${y}" text-anchor="middle">${escapeXml(thread.symbol)}</text>`,
+      `    <rect x="${formatNumber(columns.swatch)}" y="${formatNumber(rowHeight * row + (rowHeight - cellSize) / 2)}" ` +
+        `width="${formatNumber(cellSize * 1.5)}" height="${formatNumber(cellSize)}" fill="${colorToHex(thread)}" ` +
+        `stroke="#000000" stroke-width="${formatNumber(cellSize * 0.05)}"/>`,
+      `    <text x="${formatNumber(columns.code)}" y="${y}">${escapeXml(code)}</text>`,
+      `    <text x="${formatNumber(columns.name)}" y="${y}">${escapeXml(thread.name)}</text>`,
+      `    <text x="${formatNumber(columns.count)}" y="${y}" text-anchor="end">${thread.count}</text>`
+    );
+  });
+
+  const footer = threads.length + 1.5;
+  lines.push(
+    `    <text x="${formatNumber(columns.symbol)}" y="${baseline(footer)}">` +
+      `${width} x ${height} stitches, ${threads.length} threads</text>`,
+    `    <text x="${formatNumber(columns.count)}" y="${baseline(footer)}" text-anchor="end" font-weight="bold">${total}</text>`,
+    '  </g>',
+    '</svg>'
+  );
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Renders a cross-stitch pattern as printable SVG: chart pages plus a legend.
+ *
+ * Large patterns are split into pages of pageColumns x pageRows stitches,
+ * ordered left to right, then top to bottom. Row and column numbers count
+ * stitches across the whole pattern, so pages line up when taped together.
+ *
+ * @param {Object} pattern - Pattern from createStitchPattern
+ * @param {Object} options - Optional configuration
+ * @param {number} options.cellSize - Size of one stitch in SVG units (default: 12)
+ * @param {number} options.pageColumns - Stitches per page horizontally (default: 60)
+ * @param {number} options.pageRows - Stitches per page vertically (default: 80)
+ * @param {number} options.gridInterval - Stitches between bold grid lines (default: 10)
+ * @param {boolean} options.colored - Fill cells with their thread color, not just
+ *   symbols on white (default: false)
+ * @returns {Object} { pages, legend } where pages holds one SVG document per chart page
+ *   and legend is an SVG document
+ */
+export function renderStitchChart(pattern, options = {}) {
+  const {
+    cellSize = 12,
+    pageColumns = 60,
+    pageRows = 80,
+    gridInterval = 10,
+    colored = false
+  } = options;
+
+  if (!(pageColumns >= 1 && pageRows >= 1 && gridInterval >= 1)) {
+    throw new Error('pageColumns, pageRows and gridInterval must be at least 1');
+  }
+
+  const { width, height } = pattern;
+  const pagesAcross = Math.ceil(width / pageColumns);
+  const pagesDown = Math.ceil(height / pageRows);
+  const settings = { cellSize, gridInterval, colored };
+
+  const pages = [];
+  for (let py = 0; py < pagesDown; py++) {
+    for (let px = 0; px < pagesAcross; px++) {
+      const region = {
+        x0: px * pageColumns,
+        y0: py * pageRows,
+        x1: Math.min(width, (px + 1) * pageColumns),
+        y1: Math.min(height, (py + 1) * pageRows)
+      };
+      const page = { number: pages.length + 1, count: pagesAcross * pagesDown };
+      pages.push(renderChartPage(pattern, region, page, settings));
+    }
+  }
+
+  return { pages, legend: renderLegend(pattern, settings) };
+}
@@ -0,0 +1,533 @@
+/**
+ * Deflate Module
+ *
+ * Minimal pure-JS DEFLATE (RFC 1951) and zlib (RFC 1950) compressor and
+ * decompressor plus the CRC-32 and Adler-32 checksums used by the file
+ * encoders. Compression uses LZ77 with hash chains and the fixed Huffman code,
+ * which works well for the long runs found in pixel art; decompression reads
+ * all block types. No DOM or Node APIs are required.
+ */
+
+const WINDOW_SIZE = 32768;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const HASH_BITS = 15;
+const HASH_SIZE = 1 << HASH_BITS;
+const MAX_CHAIN = 64;
+
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+  35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+];
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+  3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+];
+const DISTANCE_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+  257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+];
+const DISTANCE_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+  7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+];
+
+/**
+ * Reverses the lowest `length` bits of a Huffman code, since DEFLATE
+ * writes codes most-significant bit first into an LSB-first stream.
+ */
+function reverseBits(code, length) {
+  let reversed = 0;
+  for (let i = 0; i < length; i++) {
+    reversed = (reversed << 1) | ((code >> i) & 1);
+  }
+  return reversed;
+}
+
+// Fixed Huffman literal/length codes (RFC 1951, 3.2.6), pre-reversed
+const FIXED_LITERAL_CODES = new Uint16Array(288);
+const FIXED_LITERAL_LENGTHS = new Uint8Array(288);
+for (let symbol = 0; symbol < 288; symbol++) {
+  let code, length;
+  if (symbol < 144) {
+    code = 0x30 + symbol; length = 8;
+  } else if (symbol < 256) {
+    code = 0x190 + symbol - 144; length = 9;
+  } else if (symbol < 280) {
+    code = symbol - 256; length = 7;
+  } else {
+    code = 0xc0 + symbol - 280; length = 8;
+  }
+  FIXED_LITERAL_CODES[symbol] = reverseBits(code, length);
+  FIXED_LITERAL_LENGTHS[symbol] = length;
+}
+
+// Fixed distance codes are plain 5-bit codes
+const FIXED_DISTANCE_CODES = new Uint8Array(30);
+for (let symbol = 0; symbol < 30; symbol++) {
+  FIXED_DISTANCE_CODES[symbol] = reverseBits(symbol, 5);
+}
+
+// Match length (3-258) -> length code index
+const LENGTH_CODE = new Uint8Array(MAX_MATCH + 1);
+for (let code = 0; code < LENGTH_BASE.length; code++) {
+  const end = code + 1 < LENGTH_BASE.length ? LENGTH_BASE[code + 1] : MAX_MATCH + 1;
+  for (let length = LENGTH_BASE[code]; length < end; length++) {
+    LENGTH_CODE[length] = code;
+  }
+}
+LENGTH_CODE[MAX_MATCH] = LENGTH_BASE.length - 1;
+
+/**
+ * Finds the distance code for a match distance (1-32768).
+ */
+function distanceCode(distance) {
+  let code = 0;
+  while (code + 1 < DISTANCE_BASE.length && DISTANCE_BASE[code + 1] <= distance) {
+    code++;
+  }
+  return code;
+}
+
+/**
+ * Growable LSB-first bit writer.
+ */
+function createBitWriter(initialSize) {
+  let bytes = new Uint8Array(Math.max(64, initialSize));
+  let offset = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const ensure = (extra) => {
+    if (offset + extra > bytes.length) {
+      const grown = new Uint8Array(Math.max(bytes.length * 2, offset + extra));
+      grown.set(bytes);
+      bytes = grown;
+    }
+  };
+
+  return {
+    writeBits(value, count) {
+      bitBuffer |= value << bitCount;
+      bitCount += count;
+      while (bitCount >= 8) {
+        ensure(1);
+        bytes[offset++] = bitBuffer & 0xff;
+        bitBuffer >>>= 8;
+        bitCount -= 8;
+      }
+    },
+    finish() {
+      if (bitCount > 0) {
+        ensure(1);
+        bytes[offset++] = bitBuffer & 0xff;
+        bitBuffer = 0;
+        bitCount = 0;
+      }
+      return bytes.slice(0, offset);
+    }
+  };
+}
+
+/**
+ * Compresses data into a raw DEFLATE stream (a single fixed-Huffman block).
+ *
+ * @param {Uint8Array} data - Data to compress
+ * @returns {Uint8Array} Raw DEFLATE stream
+ */
+export function deflateRaw(data) {
+  const length = data.length;
+  const writer = createBitWriter(length / 2);
+  const head = new Int32Array(HASH_SIZE).fill(-1);
+  const prev = new Int32Array(WINDOW_SIZE);
+
+  const hashAt = (pos) => ((data[pos] << 10) ^ (data[pos + 1] << 5) ^ data[pos + 2]) & (HASH_SIZE - 1);
+  const insert = (pos) => {
+    if (pos + MIN_MATCH > length) return;
+    const hash = hashAt(pos);
+    prev[pos & (WINDOW_SIZE - 1)] = head[hash];
+    head[hash] = pos;
+  };
+  const writeLiteral = (symbol) => {
+    writer.writeBits(FIXED_LITERAL_CODES[symbol], FIXED_LITERAL_LENGTHS[symbol]);
+  };
+
+  // BFINAL = 1, BTYPE = 01 (fixed Huffman)
+  writer.writeBits(1, 1);
+  writer.writeBits(1, 2);
+
+  let pos = 0;
+  while (pos < length) {
+    let bestLength = 0;
+    let bestDistance = 0;
+
+    if (pos + MIN_MATCH <= length) {
+      const maxLength = Math.min(MAX_MATCH, length - pos);
+      let candidate = head[hashAt(pos)];
+      let chain = MAX_CHAIN;
+
+      while (candidate >= 0 && pos - candidate <= WINDOW_SIZE && chain-- > 0) {
+        if (data[candidate + bestLength] === data[pos + bestLength]) {
+          let matchLength = 0;
+          while (matchLength < maxLength && data[candidate + matchLength] === data[pos + matchLength]) {
+            matchLength++;
+          }
+          if (matchLength > bestLength) {
+            bestLength = matchLength;
+            bestDistance = pos - candidate;
+            if (matchLength === maxLength) break;
+          }
+        }
+        const next = prev[candidate & (WINDOW_SIZE - 1)];
+        if (next >= candidate) break;
+        candidate = next;
+      }
+    }
+
+    if (bestLength >= MIN_MATCH) {
+      const lengthIndex = LENGTH_CODE[bestLength];
+      writeLiteral(257 + lengthIndex);
+      writer.writeBits(bestLength - LENGTH_BASE[lengthIndex], LENGTH_EXTRA[lengthIndex]);
+
+      const distanceIndex = distanceCode(bestDistance);
+      writer.writeBits(FIXED_DISTANCE_CODES[distanceIndex], 5);
+      writer.writeBits(bestDistance - DISTANCE_BASE[distanceIndex], DISTANCE_EXTRA[distanceIndex]);
+
+      for (let i = 0; i < bestLength; i++) {
+        insert(pos + i);
+      }
+      pos += bestLength;
+    } else {
+      writeLiteral(data[pos]);
+      insert(pos);
+      pos++;
+    }
+  }
+
+  // End of block
+  writeLiteral(256);
+
+  return writer.finish();
+}
+
+/**
+ * Computes the Adler-32 checksum used by zlib streams.
+ *
+ * @param {Uint8Array} data - Data to checksum
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function adler32(data) {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < data.length;) {
+    // Reduce modulo 65521 at least every 5552 bytes to avoid overflow
+    const end = Math.min(i + 5552, data.length);
+    for (; i < end; i++) {
+      a += data[i];
+      b += a;
+    }
+    a %= 65521;
+    b %= 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c >>> 0;
+}
+
+/**
+ * Computes the CRC-32 checksum used by PNG chunks (and ZIP/GZIP).
+ * Pass the previous result as `crc` to checksum data in pieces.
+ *
+ * @param {Uint8Array} data - Data to checksum
+ * @param {number} crc - Running checksum (default: 0)
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(data, crc = 0) {
+  let c = ~crc >>> 0;
+  for (let i = 0; i < data.length; i++) {
+    c = CRC_TABLE[(c ^ data[i]) & 0xff] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+}
+
+/**
+ * Compresses data into a zlib stream (header, DEFLATE data, Adler-32).
+ *
+ * @param {Uint8Array} data - Data to compress
+ * @returns {Uint8Array} zlib stream
+ */
+export function zlibCompress(data) {
+  const deflated = deflateRaw(data);
+  const output = new Uint8Array(deflated.length + 6);
+
+  // CMF: deflate with 32K window; FLG: default level, check bits
+  output[0] = 0x78;
+  output[1] = 0x9c;
+  output.set(deflated, 2);
+
+  const checksum = adler32(data);
+  const view = new DataView(output.buffer);
+  view.setUint32(deflated.length + 2, checksum);
+
+  return output;
+}
+
+// Order in which code length code lengths are stored (RFC 1951, 3.2.7)
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * Builds a canonical Huffman decoding table from code lengths: symbol
+ * counts per length plus symbols sorted by code.
+ */
+function createHuffmanTable(lengths) {
+  const counts = new Uint16Array(16);
+  for (const length of lengths) {
+    counts[length]++;
+  }
+  counts[0] = 0;
+
+  const offsets = new Uint16Array(16);
+  for (let length = 1; length < 16; length++) {
+    offsets[length] = offsets[length - 1] + counts[length - 1];
+  }
+
+  const symbols = new Uint16Array(lengths.length);
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    if (lengths[symbol] > 0) {
+      symbols[offsets[lengths[symbol]]++] = symbol;
+    }
+  }
+  return { counts, symbols };
+}
+
+const FIXED_LITERAL_TABLE = createHuffmanTable(FIXED_LITERAL_LENGTHS);
+const FIXED_DISTANCE_TABLE = createHuffmanTable(new Uint8Array(30).fill(5));
+
+/**
+ * LSB-first bit reader over a byte array.
+ */
+function createBitReader(bytes) {
+  let offset = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const readBits = (count) => {
+    while (bitCount < count) {
+      if (offset >= bytes.length) {
+        throw new Error('Unexpected end of DEFLATE stream');
+      }
+      bitBuffer |= bytes[offset++] << bitCount;
+      bitCount += 8;
+    }
+    const value = bitBuffer & ((1 << count) - 1);
+    bitBuffer >>>= count;
+    bitCount -= count;
+    return value;
+  };
+
+  return {
+    readBits,
+    // Decodes one symbol, reading the code bit by bit (MSB of the code first)
+    decodeSymbol({ counts, symbols }) {
+      let code = 0;
+      let first = 0;
+      let index = 0;
+      for (let length = 1; length < 16; length++) {
+        code |= readBits(1);
+        const count = counts[length];
+        if (code - first < count) {
+          return symbols[index + code - first];
+        }
+        index += count;
+        first = (first + count) << 1;
+        code <<= 1;
+      }
+      throw new Error('Invalid Huffman code in DEFLATE stream');
+    },
+    alignToByte() {
+      bitBuffer = 0;
+      bitCount = 0;
+    },
+    readBytes(length) {
+      if (offset + length > bytes.length) {
+        throw new Error('Unexpected end of DEFLATE stream');
+      }
+      const chunk = bytes.subarray(offset, offset + length);
+      offset += length;
+      return chunk;
+    },
+    get offset() {
+      return offset;
+    }
+  };
+}
+
+/**
+ * Reads the dynamic Huffman tables at the start of a type 2 block.
+ */
+function readDynamicTables(reader) {
+  const literalCount = reader.readBits(5) + 257;
+  const distanceCount = reader.readBits(5) + 1;
+  const codeLengthCount = reader.readBits(4) + 4;
+
+  const codeLengthLengths = new Uint8Array(19);
+  for (let i = 0; i < codeLengthCount; i++) {
+    codeLengthLengths[CODE_LENGTH_ORDER[i]] = reader.readBits(3);
+  }
+  const codeLengthTable = createHuffmanTable(codeLengthLengths);
+
+  const lengths = new Uint8Array(literalCount + distanceCount);
+  for (let i = 0; i < lengths.length;) {
+    const symbol = reader.decodeSymbol(codeLengthTable);
+    if (symbol < 16) {
+      lengths[i++] = symbol;
+      continue;
+    }
+    let repeat, value = 0;
+    if (symbol === 16) {
+      if (i === 0) {
+        throw new Error('Invalid code lengths in DEFLATE stream');
+      }
+      value = lengths[i - 1];
+      repeat = 3 + reader.readBits(2);
+    } else if (symbol === 17) {
+      repeat = 3 + reader.readBits(3);
+    } else {
+      repeat = 11 + reader.readBits(7);
+    }
+    if (i + repeat > lengths.length) {
+      throw new Error('Invalid code lengths in DEFLATE stream');
+    }
+    lengths.fill(value, i, i + repeat);
+    i += repeat;
+  }
+
+  return {
+    literalTable: createHuffmanTable(lengths.subarray(0, literalCount)),
+    distanceTable: createHuffmanTable(lengths.subarray(literalCount))
+  };
+}
+
+/**
+ * Decompresses a raw DEFLATE stream.
+ *
+ * @param {Uint8Array} data - Raw DEFLATE stream
+ * @returns {Uint8Array} Decompressed data
+ */
+export function inflateRaw(data) {
+  return inflateStream(createBitReader(data));
+}
+
+/**
+ * Inflates every block of a stream.
+ */
+function inflateStream(reader) {
+  let output = new Uint8Array(1024);
+  let length = 0;
+
+  const ensure = (extra) => {
+    if (length + extra > output.length) {
+      const grown = new Uint8Array(Math.max(output.length * 2, length + extra));
+      grown.set(output.subarray(0, length));
+      output = grown;
+    }
+  };
+
+  let lastBlock = false;
+  while (!lastBlock) {
+    lastBlock = reader.readBits(1) === 1;
+    const type = reader.readBits(2);
+
+    if (type === 0) {
+      // Stored block: byte-aligned LEN, NLEN, then raw bytes
+      reader.alignToByte();
+      const header = reader.readBytes(4);
+      const size = header[0] | (header[1] << 8);
+      if ((size ^ (header[2] | (header[3] << 8))) !== 0xffff) {
+        throw new Error('Invalid stored block length in DEFLATE stream');
+      }
+      ensure(size);
+      output.set(reader.readBytes(size), length);
+      length += size;
+      continue;
+    }
+    if (type === 3) {
+      throw new Error('Invalid block type in DEFLATE stream');
+    }
+
+    const { literalTable, distanceTable } = type === 1
+      ? { literalTable: FIXED_LITERAL_TABLE, distanceTable: FIXED_DISTANCE_TABLE }
+      : readDynamicTables(reader);
+
+    for (;;) {
+      const symbol = reader.decodeSymbol(literalTable);
+      if (symbol < 256) {
+        ensure(1);
+        output[length++] = symbol;
+        continue;
+      }
+      if (symbol === 256) {
+        break;
+      }
+
+      const code = symbol - 257;
+      if (code >= LENGTH_BASE.length) {
+        throw new Error('Invalid length code in DEFLATE stream');
+      }
+      const matchLength = LENGTH_BASE[code] + reader.readBits(LENGTH_EXTRA[code]);
+      const distanceSymbol = reader.decodeSymbol(distanceTable);
+      if (distanceSymbol >= DISTANCE_BASE.length) {
+        throw new Error('Invalid distance code in DEFLATE stream');
+      }
+      const distance = DISTANCE_BASE[distanceSymbol] + reader.readBits(DISTANCE_EXTRA[distanceSymbol]);
+      if (distance > length) {
+        throw new Error('Invalid distance in DEFLATE stream');
+      }
+
+      ensure(matchLength);
+      // Byte by byte, since a match may overlap the bytes it produces
+      for (let i = 0; i < matchLength; i++) {
+        output[length] = output[length - distance];
+        length++;
+      }
+    }
+  }
+
+  return output.slice(0, length);
+}
+
+/**
+ * Decompresses a zlib stream and verifies its Adler-32 checksum.
+ *
+ * @param {Uint8Array} data - zlib stream
+ * @returns {Uint8Array} Decompressed data
+ */
+export function zlibDecompress(data) {
+  if (data.length < 6 || (data[0] & 0x0f) !== 8 || ((data[0] << 8) | data[1]) % 31 !== 0) {
+    throw new Error('Invalid zlib header');
+  }
+  if (data[1] & 0x20) {
+    throw new Error('zlib streams with a preset dictionary are not supported');
+  }
+
+  const reader = createBitReader(data.subarray(2));
+  const output = inflateStream(reader);
+
+  const checksumOffset = 2 + reader.offset;
+  if (checksumOffset + 4 > data.length) {
+    throw new Error('Unexpected end of zlib stream');
+  }
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  if (view.getUint32(checksumOffset) !== adler32(output)) {
+    throw new Error('zlib checksum mismatch');
+  }
+
+  return output;
+}
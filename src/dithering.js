@@ -0,0 +1,415 @@
+/**
+ * Dithering Module
+ *
+ * Error-diffusion and ordered dithering onto a fixed palette. Used by the
+ * quantization step to trade hard color banding for a dot pattern.
+ */
+
+import { createColorMatcher, createIndexBuffer, createRandom, findTransparentIndex } from './quantization.js';
+import { createImageData } from './surface.js';
+
+/**
+ * Error-diffusion kernels. Each entry is [dx, dy, weight]; weights are
+ * divided by the kernel divisor. Atkinson deliberately diffuses only 6/8
+ * of the error, which keeps highlights and shadows clean.
+ */
+const DIFFUSION_KERNELS = {
+  'floyd-steinberg': {
+    divisor: 16,
+    offsets: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+  },
+  'atkinson': {
+    divisor: 8,
+    offsets: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]]
+  },
+  'sierra': {
+    divisor: 32,
+    offsets: [
+      [1, 0, 5], [2, 0, 3],
+      [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2],
+      [-1, 2, 2], [0, 2, 3], [1, 2, 2]
+    ]
+  },
+  'jarvis-judice-ninke': {
+    divisor: 48,
+    offsets: [
+      [1, 0, 7], [2, 0, 5],
+      [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+      [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1]
+    ]
+  }
+};
+
+/**
+ * Ordered dithering modes and the size of their threshold matrix.
+ */
+const ORDERED_MODES = {
+  'bayer2': 2,
+  'bayer4': 4,
+  'bayer8': 8,
+  'blue-noise': 64
+};
+
+/**
+ * Available dither modes ('none' disables dithering).
+ */
+export const DITHER_MODES = ['none', ...Object.keys(DIFFUSION_KERNELS), ...Object.keys(ORDERED_MODES)];
+
+/**
+ * Dithers an image onto a palette. Fully transparent pixels map to the
+ * palette's transparent entry when it has one and take no part in error
+ * diffusion; other pixels keep their alpha.
+ *
+ * @param {ImageData} imageData - Image data to dither
+ * @param {Array<Object>} palette - Palette colors [{r, g, b}, ...]
+ * @param {Object} options - Optional configuration
+ * @param {string} options.dither - Dither mode, one of DITHER_MODES (default: 'floyd-steinberg')
+ * @param {number} options.ditherStrength - Amount of error or threshold noise applied, 0-1 (default: 1)
+ * @param {boolean} options.serpentine - Alternate scan direction on each row for error diffusion (default: true)
+ * @param {string} options.colorSpace - Color space used to match colors (default: 'rgb')
+ * @returns {ImageData} Dithered image data
+ */
+export function ditherImage(imageData, palette, options = {}) {
+  return ditherImageIndexed(imageData, palette, options).imageData;
+}
+
+/**
+ * Dithers an image onto a palette, also returning the palette index
+ * chosen for every pixel. Takes the same options as ditherImage().
+ *
+ * @param {ImageData} imageData - Image data to dither
+ * @param {Array<Object>} palette - Palette colors [{r, g, b}, ...]
+ * @param {Object} options - Optional configuration (see ditherImage)
+ * @returns {Object} { imageData, palette, indices } with one index per pixel
+ */
+export function ditherImageIndexed(imageData, palette, options = {}) {
+  const {
+    dither = 'floyd-steinberg',
+    ditherStrength = 1,
+    serpentine = true,
+    colorSpace = 'rgb'
+  } = options;
+
+  if (dither === 'none') {
+    return ditherOrdered(imageData, palette, null, 0, colorSpace);
+  }
+
+  const strength = Math.max(0, Math.min(1, ditherStrength));
+
+  if (DIFFUSION_KERNELS[dither]) {
+    return ditherErrorDiffusion(imageData, palette, DIFFUSION_KERNELS[dither], strength, serpentine, colorSpace);
+  }
+
+  if (ORDERED_MODES[dither]) {
+    const matrix = dither === 'blue-noise' ? getBlueNoiseMatrix() : getBayerMatrix(ORDERED_MODES[dither]);
+    return ditherOrdered(imageData, palette, matrix, strength, colorSpace);
+  }
+
+  throw new Error(`Unknown dither mode: ${dither}. Available modes: ${DITHER_MODES.join(', ')}`);
+}
+
+/**
+ * Error-diffusion dithering. The quantization error of each pixel is
+ * distributed to its unvisited neighbours according to the kernel.
+ */
+function ditherErrorDiffusion(imageData, palette, kernel, strength, serpentine, colorSpace) {
+  const { data, width, height } = imageData;
+  const findNearest = createColorMatcher(palette, colorSpace);
+  const output = createImageData(width, height);
+  const outputData = output.data;
+  const indices = createIndexBuffer(width * height, palette.length);
+  const transparentIndex = findTransparentIndex(palette);
+
+  // Working copy of RGB values that accumulates diffused error
+  const buffer = new Float32Array(width * height * 3);
+  for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+    buffer[j] = data[i];
+    buffer[j + 1] = data[i + 1];
+    buffer[j + 2] = data[i + 2];
+  }
+
+  const scale = strength / kernel.divisor;
+
+  for (let y = 0; y < height; y++) {
+    const reverse = serpentine && (y % 2 === 1);
+    const direction = reverse ? -1 : 1;
+
+    for (let step = 0; step < width; step++) {
+      const x = reverse ? width - 1 - step : step;
+      const pixel = y * width + x;
+      const bufferIdx = pixel * 3;
+
+      if (data[pixel * 4 + 3] === 0 && transparentIndex >= 0) {
+        indices[pixel] = transparentIndex;
+        continue;
+      }
+
+      const r = clampByte(buffer[bufferIdx]);
+      const g = clampByte(buffer[bufferIdx + 1]);
+      const b = clampByte(buffer[bufferIdx + 2]);
+      const index = findNearest(r, g, b);
+      const color = palette[index];
+      indices[pixel] = index;
+
+      const outIdx = pixel * 4;
+      outputData[outIdx] = color.r;
+      outputData[outIdx + 1] = color.g;
+      outputData[outIdx + 2] = color.b;
+      outputData[outIdx + 3] = data[outIdx + 3];
+
+      const errR = (r - color.r) * scale;
+      const errG = (g - color.g) * scale;
+      const errB = (b - color.b) * scale;
+      if (errR === 0 && errG === 0 && errB === 0) {
+        continue;
+      }
+
+      for (const [dx, dy, weight] of kernel.offsets) {
+        const nx = x + dx * direction;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny >= height) {
+          continue;
+        }
+        const nIdx = (ny * width + nx) * 3;
+        if (transparentIndex >= 0 && data[(ny * width + nx) * 4 + 3] === 0) {
+          continue;
+        }
+        buffer[nIdx] += errR * weight;
+        buffer[nIdx + 1] += errG * weight;
+        buffer[nIdx + 2] += errB * weight;
+      }
+    }
+  }
+
+  return { imageData: output, palette, indices };
+}
+
+/**
+ * Ordered dithering. Each pixel is offset by a position-dependent
+ * threshold before matching, scaled to the typical spacing between
+ * palette colors so the pattern spans neighbouring palette entries.
+ * With a null matrix this is plain nearest-color mapping.
+ */
+function ditherOrdered(imageData, palette, matrix, strength, colorSpace) {
+  const { data, width, height } = imageData;
+  const findNearest = createColorMatcher(palette, colorSpace);
+  const output = createImageData(width, height);
+  const outputData = output.data;
+  const indices = createIndexBuffer(width * height, palette.length);
+  const transparentIndex = findTransparentIndex(palette);
+
+  const size = matrix ? Math.round(Math.sqrt(matrix.length)) : 0;
+  const spread = matrix ? getPaletteSpread(palette) * strength : 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const pixel = y * width + x;
+      const idx = pixel * 4;
+
+      if (data[idx + 3] === 0 && transparentIndex >= 0) {
+        indices[pixel] = transparentIndex;
+        continue;
+      }
+
+      const offset = matrix ? (matrix[(y % size) * size + (x % size)] - 0.5) * spread : 0;
+
+      const index = findNearest(
+        clampByte(data[idx] + offset),
+        clampByte(data[idx + 1] + offset),
+        clampByte(data[idx + 2] + offset)
+      );
+      const color = palette[index];
+      indices[pixel] = index;
+
+      outputData[idx] = color.r;
+      outputData[idx + 1] = color.g;
+      outputData[idx + 2] = color.b;
+      outputData[idx + 3] = data[idx + 3];
+    }
+  }
+
+  return { imageData: output, palette, indices };
+}
+
+/**
+ * Estimates the per-channel spacing between opaque palette colors: the mean
+ * distance from each color to its nearest neighbour, divided by sqrt(3).
+ */
+function getPaletteSpread(palette) {
+  const opaque = palette.filter(color => color.a !== 0);
+  if (opaque.length < 2) {
+    return 0;
+  }
+
+  let total = 0;
+  for (let i = 0; i < opaque.length; i++) {
+    let nearest = Infinity;
+    for (let j = 0; j < opaque.length; j++) {
+      if (i === j) continue;
+      const dr = opaque[i].r - opaque[j].r;
+      const dg = opaque[i].g - opaque[j].g;
+      const db = opaque[i].b - opaque[j].b;
+      nearest = Math.min(nearest, Math.sqrt(dr * dr + dg * dg + db * db));
+    }
+    total += nearest;
+  }
+
+  return total / opaque.length / Math.sqrt(3);
+}
+
+/**
+ * Clamps and rounds a channel value to an integer byte.
+ */
+function clampByte(value) {
+  return value <= 0 ? 0 : value >= 255 ? 255 : Math.round(value);
+}
+
+const bayerCache = new Map();
+
+/**
+ * Builds a normalized Bayer threshold matrix (values in [0, 1)) of the
+ * given power-of-two size, using the recursive definition
+ * M(2n) = [[4M, 4M + 2], [4M + 3, 4M + 1]].
+ *
+ * @param {number} size - Matrix size (2, 4 or 8)
+ * @returns {Float32Array} Row-major thresholds
+ */
+function getBayerMatrix(size) {
+  if (bayerCache.has(size)) {
+    return bayerCache.get(size);
+  }
+
+  let matrix = [0];
+  let n = 1;
+  while (n < size) {
+    const next = new Array(4 * n * n);
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        const value = 4 * matrix[y * n + x];
+        next[y * 2 * n + x] = value;
+        next[y * 2 * n + x + n] = value + 2;
+        next[(y + n) * 2 * n + x] = value + 3;
+        next[(y + n) * 2 * n + x + n] = value + 1;
+      }
+    }
+    matrix = next;
+    n *= 2;
+  }
+
+  const thresholds = Float32Array.from(matrix, value => (value + 0.5) / (size * size));
+  bayerCache.set(size, thresholds);
+  return thresholds;
+}
+
+let blueNoiseMatrix = null;
+
+/**
+ * Returns a tileable 64x64 blue-noise threshold matrix (values in [0, 1)).
+ * Generated once with Ulichney's void-and-cluster method using a fixed
+ * seed, so the pattern is the same on every run.
+ *
+ * @returns {Float32Array} Row-major thresholds
+ */
+function getBlueNoiseMatrix() {
+  if (!blueNoiseMatrix) {
+    blueNoiseMatrix = generateBlueNoise(ORDERED_MODES['blue-noise'], 1.5, 1);
+  }
+  return blueNoiseMatrix;
+}
+
+/**
+ * Void-and-cluster blue-noise generation.
+ *
+ * @param {number} size - Matrix size
+ * @param {number} sigma - Gaussian filter width
+ * @param {number} seed - Seed for the initial random pattern
+ * @returns {Float32Array} Row-major thresholds
+ */
+function generateBlueNoise(size, sigma, seed) {
+  const count = size * size;
+
+  // Toroidal Gaussian kernel indexed by wrapped offset
+  const kernel = new Float32Array(count);
+  for (let dy = 0; dy < size; dy++) {
+    for (let dx = 0; dx < size; dx++) {
+      const wx = Math.min(dx, size - dx);
+      const wy = Math.min(dy, size - dy);
+      kernel[dy * size + dx] = Math.exp(-(wx * wx + wy * wy) / (2 * sigma * sigma));
+    }
+  }
+
+  const pattern = new Uint8Array(count);
+  const energy = new Float32Array(count);
+
+  const toggle = (pixel, value) => {
+    pattern[pixel] = value;
+    const sign = value ? 1 : -1;
+    const px = pixel % size;
+    const py = Math.floor(pixel / size);
+    for (let y = 0; y < size; y++) {
+      const ky = ((y - py + size) % size) * size;
+      for (let x = 0; x < size; x++) {
+        energy[y * size + x] += sign * kernel[ky + (x - px + size) % size];
+      }
+    }
+  };
+
+  // Tightest cluster: set pixel with highest energy. Largest void: unset pixel with lowest.
+  const tightestCluster = () => {
+    let best = -1;
+    for (let i = 0; i < count; i++) {
+      if (pattern[i] && (best < 0 || energy[i] > energy[best])) best = i;
+    }
+    return best;
+  };
+  const largestVoid = () => {
+    let best = -1;
+    for (let i = 0; i < count; i++) {
+      if (!pattern[i] && (best < 0 || energy[i] < energy[best])) best = i;
+    }
+    return best;
+  };
+
+  // Initial random pattern with ~10% of pixels set
+  const random = createRandom(seed);
+  const initialOnes = Math.floor(count / 10);
+  let placed = 0;
+  while (placed < initialOnes) {
+    const pixel = Math.floor(random() * count);
+    if (!pattern[pixel]) {
+      toggle(pixel, 1);
+      placed++;
+    }
+  }
+
+  // Relax the initial pattern by moving clusters into voids until stable
+  for (let i = 0; i < count; i++) {
+    const cluster = tightestCluster();
+    toggle(cluster, 0);
+    const voidPixel = largestVoid();
+    toggle(voidPixel, 1);
+    if (voidPixel === cluster) break;
+  }
+
+  const initialPattern = pattern.slice();
+  const ranks = new Uint32Array(count);
+
+  // Phase 1: rank the initial points by removing tightest clusters
+  for (let rank = initialOnes - 1; rank >= 0; rank--) {
+    const cluster = tightestCluster();
+    toggle(cluster, 0);
+    ranks[cluster] = rank;
+  }
+
+  // Phase 2: restore the initial pattern and fill the largest voids
+  for (let i = 0; i < count; i++) {
+    if (initialPattern[i]) toggle(i, 1);
+  }
+  for (let rank = initialOnes; rank < count; rank++) {
+    const voidPixel = largestVoid();
+    toggle(voidPixel, 1);
+    ranks[voidPixel] = rank;
+  }
+
+  return Float32Array.from(ranks, rank => (rank + 0.5) / count);
+}
@@ -5,6 +5,8 @@
  * Creates an edge map that can be used for adaptive grid alignment.
  */
 
+import { throwIfAborted } from './progress.js';
+
 /**
  * Applies non-maximum suppression to thin edges.
  * Keeps only local maxima in the gradient direction.
@@ -13,13 +15,15 @@
  * @param {Float32Array} directionMap - Gradient direction map (in radians, perpendicular to gradient)
  * @param {number} width - Image width
  * @param {number} height - Image height
+ * @param {AbortSignal} signal - Optional abort signal, checked between rows
  * @returns {Float32Array} Suppressed edge map
  */
-export function applyNonMaximumSuppression(magnitudeMap, directionMap, width, height) {
+export function applyNonMaximumSuppression(magnitudeMap, directionMap, width, height, signal = null) {
   const suppressed = new Float32Array(width * height);
 
   // For each pixel (excluding borders)
   for (let y = 1; y < height - 1; y++) {
+    throwIfAborted(signal);
     for (let x = 1; x < width - 1; x++) {
       const idx = y * width + x;
       const magnitude = magnitudeMap[idx];
@@ -208,47 +212,31 @@ export function applyThresholding(edgeMap, width, height, options = {}) {
 }
 
 /**
- * Calculates the gradient magnitude at each pixel using Sobel operators.
+ * Maps edge sharpness (0-1) to the percentile threshold used by
+ * calculateEdgeMap. Lower thresholds keep more edges:
+ * edgeSharpness 0.0 -> 0.1 (keep the top 90% of edges),
+ * edgeSharpness 1.0 -> 0.6 (keep the top 40%).
  *
- * @param {ImageData} imageData - Source image data
- * @param {Object} options - Optional configuration
- * @param {boolean} options.applyNMS - Apply non-maximum suppression (default: true)
- * @param {number} options.threshold - Threshold value for edge sharpening (0-1, default: 0.4)
- * @param {number} options.edgeSharpness - Edge sharpness level (0-1, default: 0.8). Maps to threshold: 0 = soft (0.0), 1 = very sharp (0.9)
- * @param {number} options.highThreshold - High threshold for hysteresis (optional)
- * @param {number} options.lowThreshold - Low threshold for hysteresis (optional)
- * @param {boolean} options.captureIntermediates - If true, return object with intermediate steps (default: false)
- * @returns {Float32Array|Object} Edge strength map, or object with edgeMap and intermediates if captureIntermediates is true
+ * @param {number} edgeSharpness - Edge sharpness level (0-1)
+ * @returns {number} Percentile threshold (0-1)
  */
-export function calculateEdgeMap(imageData, options = {}) {
-  let {
-    applyNMS = true,
-    threshold = null,
-    edgeSharpness = 0.8,
-    highThreshold = null,
-    lowThreshold = null,
-    captureIntermediates = false
-  } = options;
-
-  // Map edgeSharpness (0-1) to threshold for edge detection
-  // Lower thresholds keep more edges
-  // edgeSharpness 0.0 -> threshold 0.02 (keep top 98% - very soft, many edges)
-  // edgeSharpness 0.5 -> threshold 0.10 (keep top 90% - moderate)
-  // edgeSharpness 1.0 -> threshold 0.20 (keep top 80% - sharper, fewer edges)
-  if (threshold === null) {
-    threshold = 0.1 + edgeSharpness * 0.5;
-  }
+export function getEdgeThreshold(edgeSharpness) {
+  return 0.1 + edgeSharpness * 0.5;
+}
 
+/**
+ * Calculates raw Sobel gradient magnitude and edge direction (perpendicular
+ * to the gradient) for each pixel. Border pixels are left at 0.
+ *
+ * @param {ImageData} imageData - Source image data
+ * @param {AbortSignal} signal - Optional abort signal, checked between rows
+ * @returns {Object} { magnitudeMap, directionMap } as Float32Arrays
+ */
+export function calculateGradientMaps(imageData, signal = null) {
   const { data, width, height } = imageData;
   const magnitudeMap = new Float32Array(width * height);
   const directionMap = new Float32Array(width * height);
 
-  // Capture grayscale if needed
-  let grayscaleMap = null;
-  if (captureIntermediates) {
-    grayscaleMap = new Float32Array(width * height);
-  }
-
   // Sobel kernels for gradient calculation
   const sobelX = [
     -1, 0, 1,
@@ -264,6 +252,7 @@ export function calculateEdgeMap(imageData, options = {}) {
 
   // Calculate gradient magnitude and direction for each pixel (excluding border pixels)
   for (let y = 1; y < height - 1; y++) {
+    throwIfAborted(signal);
     for (let x = 1; x < width - 1; x++) {
       let gx = 0, gy = 0;
 
@@ -276,71 +265,106 @@ export function calculateEdgeMap(imageData, options = {}) {
           const kernelIdx = (ky + 1) * 3 + (kx + 1);
           gx += gray * sobelX[kernelIdx];
           gy += gray * sobelY[kernelIdx];
-
-          // Capture center pixel grayscale
-          if (captureIntermediates && ky === 0 && kx === 0) {
-            grayscaleMap[y * width + x] = gray / 255;
-          }
         }
       }
 
       // Calculate gradient magnitude
-      const magnitude = Math.sqrt(gx * gx + gy * gy);
-      magnitudeMap[y * width + x] = magnitude;
+      magnitudeMap[y * width + x] = Math.sqrt(gx * gx + gy * gy);
 
       // Calculate edge direction (perpendicular to gradient)
-      const direction = Math.atan2(gy, gx) + Math.PI / 2;
-      directionMap[y * width + x] = direction;
+      directionMap[y * width + x] = Math.atan2(gy, gx) + Math.PI / 2;
     }
   }
 
-  // Fill in border pixels for grayscale
-  if (captureIntermediates) {
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        if (y === 0 || y === height - 1 || x === 0 || x === width - 1) {
-          const idx = (y * width + x) * 4;
-          const gray = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
-          grayscaleMap[y * width + x] = gray / 255;
-        }
-      }
+  return { magnitudeMap, directionMap };
+}
+
+/**
+ * Returns the largest value of a map.
+ */
+function getMaxValue(map) {
+  let max = 0;
+  for (let i = 0; i < map.length; i++) {
+    if (map[i] > max) {
+      max = map[i];
     }
   }
+  return max;
+}
 
-  // Normalize magnitude map to 0-1 range before processing
-  let maxEdge = 0;
-  for (let i = 0; i < magnitudeMap.length; i++) {
-    if (magnitudeMap[i] > maxEdge) {
-      maxEdge = magnitudeMap[i];
+/**
+ * Returns a copy of a magnitude map divided by its maximum (or by `max`).
+ */
+function normalizeMagnitudes(map, max = getMaxValue(map)) {
+  const normalized = new Float32Array(map);
+  if (max > 0) {
+    for (let i = 0; i < normalized.length; i++) {
+      normalized[i] /= max;
     }
   }
+  return normalized;
+}
 
-  if (maxEdge > 0) {
-    for (let i = 0; i < magnitudeMap.length; i++) {
-      magnitudeMap[i] /= maxEdge;
-    }
+/**
+ * Calculates the gradient magnitude at each pixel using Sobel operators.
+ *
+ * @param {ImageData} imageData - Source image data
+ * @param {Object} options - Optional configuration
+ * @param {boolean} options.applyNMS - Apply non-maximum suppression (default: true)
+ * @param {number} options.threshold - Threshold value for edge sharpening (0-1, default: 0.4)
+ * @param {number} options.edgeSharpness - Edge sharpness level (0-1, default: 0.8). Maps to threshold: 0 = soft (0.0), 1 = very sharp (0.9)
+ * @param {number} options.highThreshold - High threshold for hysteresis (optional)
+ * @param {number} options.lowThreshold - Low threshold for hysteresis (optional)
+ * @param {boolean} options.captureIntermediates - If true, return object with intermediate steps (default: false)
+ * @param {AbortSignal} options.signal - Optional abort signal, checked between rows; throws its reason when aborted
+ * @returns {Float32Array|Object} Edge strength map, or object with edgeMap and intermediates if captureIntermediates is true
+ */
+export function calculateEdgeMap(imageData, options = {}) {
+  let {
+    applyNMS = true,
+    threshold = null,
+    edgeSharpness = 0.8,
+    highThreshold = null,
+    lowThreshold = null,
+    captureIntermediates = false,
+    signal = null
+  } = options;
+
+  if (threshold === null) {
+    threshold = getEdgeThreshold(edgeSharpness);
   }
 
-  // Capture normalized magnitude before NMS
-  let normalizedMagnitude = null;
+  const { data, width, height } = imageData;
+  const { magnitudeMap, directionMap } = calculateGradientMaps(imageData, signal);
+
+  // Capture grayscale if needed
+  let grayscaleMap = null;
   if (captureIntermediates) {
-    normalizedMagnitude = new Float32Array(magnitudeMap);
+    grayscaleMap = new Float32Array(width * height);
+    for (let i = 0; i < grayscaleMap.length; i++) {
+      const idx = i * 4;
+      grayscaleMap[i] = (data[idx] + data[idx + 1] + data[idx + 2]) / 3 / 255;
+    }
   }
 
+  // Suppression and the percentile threshold only compare magnitudes, so they
+  // run on the raw values; the result then does not depend on the image-wide
+  // maximum, which lets tiled processing reproduce it (see tiling.js)
   let edgeMap = magnitudeMap;
-  let afterNMS = null;
-
-  // Apply non-maximum suppression if requested
   if (applyNMS) {
-    edgeMap = applyNonMaximumSuppression(magnitudeMap, directionMap, width, height);
+    edgeMap = applyNonMaximumSuppression(magnitudeMap, directionMap, width, height, signal);
+  }
 
-    // Capture after NMS
-    if (captureIntermediates) {
-      afterNMS = new Float32Array(edgeMap);
-    }
+  // Capture magnitudes before and after NMS, normalized to 0-1
+  let normalizedMagnitude = null;
+  let afterNMS = null;
+  if (captureIntermediates) {
+    normalizedMagnitude = normalizeMagnitudes(magnitudeMap);
+    afterNMS = applyNMS ? normalizeMagnitudes(edgeMap, getMaxValue(magnitudeMap)) : null;
   }
 
   // Apply thresholding
+  throwIfAborted(signal);
   edgeMap = applyThresholding(edgeMap, width, height, {
     threshold,
     highThreshold,
@@ -0,0 +1,327 @@
+/**
+ * GIF Module
+ *
+ * Pure-JS GIF89a encoder for animated pixel art. Frames can be ImageData,
+ * which is quantized to a shared palette with the regular quantization
+ * options, or already indexed results ({ palette, indices }). Supports
+ * global and local color tables, frame delays, disposal methods, a
+ * transparent index and the NETSCAPE2.0 loop extension. Works without a DOM.
+ */
+
+import { selectPalette, mapToPaletteIndexed, concatImageData, findTransparentIndex } from './quantization.js';
+import { ditherImageIndexed } from './dithering.js';
+
+/**
+ * Frame disposal methods, in GIF order (0-3): 'none' leaves the frame to be
+ * drawn over, 'keep' explicitly keeps it, 'background' clears the frame area
+ * to transparent, 'previous' restores what was there before the frame.
+ */
+export const GIF_DISPOSAL_METHODS = ['none', 'keep', 'background', 'previous'];
+
+const MAX_CODE_SIZE = 12;
+
+/**
+ * Growable byte buffer with little-endian helpers.
+ */
+function createByteWriter() {
+  let bytes = new Uint8Array(1024);
+  let offset = 0;
+
+  const ensure = (extra) => {
+    if (offset + extra > bytes.length) {
+      const grown = new Uint8Array(Math.max(bytes.length * 2, offset + extra));
+      grown.set(bytes);
+      bytes = grown;
+    }
+  };
+
+  return {
+    byte(value) {
+      ensure(1);
+      bytes[offset++] = value;
+    },
+    uint16(value) {
+      ensure(2);
+      bytes[offset++] = value & 0xff;
+      bytes[offset++] = (value >> 8) & 0xff;
+    },
+    bytes(values) {
+      ensure(values.length);
+      bytes.set(values, offset);
+      offset += values.length;
+    },
+    ascii(text) {
+      for (let i = 0; i < text.length; i++) {
+        this.byte(text.charCodeAt(i));
+      }
+    },
+    finish() {
+      return bytes.slice(0, offset);
+    }
+  };
+}
+
+/**
+ * Returns the color table size exponent: tables hold 2^(n + 1) entries.
+ */
+function getTableSizeBits(paletteSize) {
+  let bits = 0;
+  while ((2 << bits) < paletteSize) {
+    bits++;
+  }
+  return bits;
+}
+
+/**
+ * Writes a color table padded with black to its power-of-two size.
+ */
+function writeColorTable(writer, palette) {
+  const size = 2 << getTableSizeBits(palette.length);
+  for (let i = 0; i < size; i++) {
+    const color = palette[i] || { r: 0, g: 0, b: 0 };
+    writer.byte(color.r);
+    writer.byte(color.g);
+    writer.byte(color.b);
+  }
+}
+
+/**
+ * Compresses palette indices with GIF's variable-width LZW.
+ *
+ * @param {Uint8Array|Array<number>} indices - Palette indices
+ * @param {number} minCodeSize - LZW minimum code size (2-8)
+ * @returns {Uint8Array} Compressed code stream (not yet split into sub-blocks)
+ */
+export function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+
+  const writeCode = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      output.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  writeCode(clearCode);
+
+  if (indices.length > 0) {
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const index = indices[i];
+      const key = (prefix << 8) | index;
+      const code = table.get(key);
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+
+      writeCode(prefix);
+      if (nextCode < (1 << MAX_CODE_SIZE)) {
+        // The decoder grows its code size one code later than the encoder adds it
+        if (nextCode === (1 << codeSize)) {
+          codeSize++;
+        }
+        table.set(key, nextCode++);
+      } else {
+        writeCode(clearCode);
+        table = new Map();
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+      }
+      prefix = index;
+    }
+    writeCode(prefix);
+  }
+
+  writeCode(endCode);
+  if (bitCount > 0) {
+    output.push(bitBuffer & 0xff);
+  }
+
+  return Uint8Array.from(output);
+}
+
+/**
+ * Writes image data as 255-byte sub-blocks followed by a terminator.
+ */
+function writeSubBlocks(writer, data) {
+  for (let offset = 0; offset < data.length; offset += 255) {
+    const chunk = data.subarray(offset, offset + 255);
+    writer.byte(chunk.length);
+    writer.bytes(chunk);
+  }
+  writer.byte(0);
+}
+
+/**
+ * Returns the per-frame value of an option that may be a single value or an array.
+ */
+function frameOption(value, frameIndex) {
+  return Array.isArray(value) ? value[Math.min(frameIndex, value.length - 1)] : value;
+}
+
+/**
+ * Checks whether two palettes hold the same colors in the same order.
+ */
+function samePalette(a, b) {
+  if (a === b) return true;
+  if (!a || !b || a.length !== b.length) return false;
+  return a.every((color, i) =>
+    color.r === b[i].r && color.g === b[i].g && color.b === b[i].b && (color.a === 0) === (b[i].a === 0)
+  );
+}
+
+/**
+ * Normalizes the input frames to { width, height, palette, indices }.
+ * ImageData frames are quantized to one palette shared by all of them.
+ */
+function prepareFrames(frames, options) {
+  const { palette = null, width = null, height = null, colorLimit = 256, dither = 'none' } = options;
+
+  const imageFrames = frames.filter(frame => !ArrayBuffer.isView(frame) && frame.data);
+  const sharedPalette = imageFrames.length > 0
+    ? selectPalette(concatImageData(imageFrames), Math.min(256, colorLimit), options)
+    : null;
+
+  return frames.map((frame, i) => {
+    if (ArrayBuffer.isView(frame)) {
+      // Bare index buffer: palette and size come from the options
+      if (!palette || !width || !height) {
+        throw new Error(`Frame ${i} is an index buffer; palette, width and height options are required`);
+      }
+      return { width, height, palette, indices: frame };
+    }
+
+    if (frame.indices && frame.palette) {
+      return {
+        width: frame.cols ?? frame.width ?? frame.imageData.width,
+        height: frame.rows ?? frame.height ?? frame.imageData.height,
+        palette: frame.palette,
+        indices: frame.indices
+      };
+    }
+
+    if (frame.data) {
+      const indexed = dither && dither !== 'none'
+        ? ditherImageIndexed(frame, sharedPalette, options)
+        : mapToPaletteIndexed(frame, sharedPalette, options);
+      return { width: frame.width, height: frame.height, palette: sharedPalette, indices: indexed.indices };
+    }
+
+    throw new Error(`Frame ${i} must be ImageData, an indexed result or an index buffer`);
+  });
+}
+
+/**
+ * Encodes frames as an animated GIF89a.
+ *
+ * Frames that share a palette use the global color table; frames with a
+ * different palette get a local color table. A palette entry with alpha 0
+ * becomes the frame's transparent index.
+ *
+ * @param {Array<ImageData|Object|Uint8Array>} frames - ImageData frames, indexed results
+ *   ({ palette, indices, cols?, rows? } from returnIndexed) or bare index buffers
+ * @param {Object} options - Optional configuration
+ * @param {number|Array<number>} options.delay - Frame delay in milliseconds, or one per frame (default: 100).
+ *   GIF stores delays in 10 ms steps
+ * @param {string|Array<string>} options.disposal - Disposal method, or one per frame: 'none', 'keep',
+ *   'background' or 'previous' (default: 'background' for frames with transparency, otherwise 'none')
+ * @param {number|null} options.loop - Number of times to repeat, 0 for forever, null to play once (default: 0)
+ * @param {Array<Object>} options.palette - Palette for bare index buffer frames
+ * @param {number} options.width - Frame width for bare index buffer frames
+ * @param {number} options.height - Frame height for bare index buffer frames
+ * @param {number} options.colorLimit - Maximum colors when quantizing ImageData frames (default: 256, at most 256).
+ *   The other quantizeColorsStep options (quantizer, colorSpace, dither, lockedColors, ...) also apply
+ * @returns {Uint8Array} GIF file bytes
+ */
+export function encodeGif(frames, options = {}) {
+  const { delay = 100, disposal = null, loop = 0 } = options;
+
+  if (!frames || frames.length === 0) {
+    throw new Error('encodeGif requires at least one frame');
+  }
+
+  const prepared = prepareFrames(frames, options);
+  const { width, height } = prepared[0];
+
+  prepared.forEach((frame, i) => {
+    if (frame.width !== width || frame.height !== height) {
+      throw new Error(`Frame ${i} is ${frame.width}x${frame.height}, expected ${width}x${height}`);
+    }
+    if (frame.indices.length !== width * height) {
+      throw new Error(`Frame ${i} has ${frame.indices.length} indices, expected ${width * height}`);
+    }
+    if (frame.palette.length > 256) {
+      throw new Error(`Frame ${i} has ${frame.palette.length} colors; GIF supports at most 256`);
+    }
+  });
+
+  const globalPalette = prepared[0].palette;
+  const writer = createByteWriter();
+
+  // Header and logical screen descriptor with the global color table
+  writer.ascii('GIF89a');
+  writer.uint16(width);
+  writer.uint16(height);
+  const globalBits = getTableSizeBits(globalPalette.length);
+  writer.byte(0x80 | (globalBits << 4) | globalBits);
+  writer.byte(0); // Background color index
+  writer.byte(0); // Pixel aspect ratio
+  writeColorTable(writer, globalPalette);
+
+  // NETSCAPE2.0 application extension for looping
+  if (loop !== null && loop !== false) {
+    writer.bytes([0x21, 0xff, 0x0b]);
+    writer.ascii('NETSCAPE2.0');
+    writer.bytes([0x03, 0x01]);
+    writer.uint16(loop);
+    writer.byte(0);
+  }
+
+  prepared.forEach((frame, i) => {
+    const transparentIndex = findTransparentIndex(frame.palette);
+    const disposalName = frameOption(disposal, i) ?? (transparentIndex >= 0 ? 'background' : 'none');
+    const disposalMethod = GIF_DISPOSAL_METHODS.indexOf(disposalName);
+    if (disposalMethod < 0) {
+      throw new Error(`Unknown disposal method: ${disposalName}. Available methods: ${GIF_DISPOSAL_METHODS.join(', ')}`);
+    }
+
+    // Graphic control extension
+    writer.bytes([0x21, 0xf9, 0x04]);
+    writer.byte((disposalMethod << 2) | (transparentIndex >= 0 ? 1 : 0));
+    writer.uint16(Math.round(frameOption(delay, i) / 10));
+    writer.byte(Math.max(0, transparentIndex));
+    writer.byte(0);
+
+    // Image descriptor, with a local color table if the palette differs
+    const local = !samePalette(frame.palette, globalPalette);
+    const tableBits = getTableSizeBits(frame.palette.length);
+    writer.byte(0x2c);
+    writer.uint16(0);
+    writer.uint16(0);
+    writer.uint16(width);
+    writer.uint16(height);
+    writer.byte(local ? 0x80 | tableBits : 0);
+    if (local) {
+      writeColorTable(writer, frame.palette);
+    }
+
+    const minCodeSize = Math.max(2, (local ? tableBits : globalBits) + 1);
+    writer.byte(minCodeSize);
+    writeSubBlocks(writer, lzwEncode(frame.indices, minCodeSize));
+  });
+
+  writer.byte(0x3b); // Trailer
+
+  return writer.finish();
+}
@@ -6,6 +6,9 @@
  */
 
 import { getEdgeStrengthInterpolated, getEdgeDensity } from './edgeDetection.js';
+import { mixColors, averageColors } from './color.js';
+import { createImageData } from './surface.js';
+import { throwIfAborted, createProgressReporter } from './progress.js';
 // WebGL polygon renderer no longer used - now rendering rectangular pixels
 // import { renderGridWebGL } from './webglGridRender.js';
 
@@ -792,7 +795,7 @@ export function renderGridAsRectangles(grid, imageData, cellColors) {
   const { width, height } = imageData;
   const { cols, rows } = grid;
 
-  const output = new ImageData(width, height);
+  const output = createImageData(width, height);
   const outputData = output.data;
 
   // Calculate pixel block size
@@ -818,7 +821,7 @@ export function renderGridAsRectangles(grid, imageData, cellColors) {
           outputData[idx] = color.r;
           outputData[idx + 1] = color.g;
           outputData[idx + 2] = color.b;
-          outputData[idx + 3] = 255;
+          outputData[idx + 3] = color.a === undefined ? 255 : color.a;
         }
       }
     }
@@ -961,6 +964,9 @@ function evaluateEdgeDensity(edgeMap, width, height, x, y, radius = 3) {
  * @param {boolean} options.useSplines - Whether to use B-spline curves for edge alignment (default: false)
  * @param {number} options.splineDegree - B-spline degree (default: 2)
  * @param {number} options.splineSmoothness - Smoothness factor (0-1) for spline curves (default: 0.3)
+ * @param {Function} options.onProgress - Called after each iteration with
+ *   { stage: 'grid-optimization', iteration, fraction, elapsedMs }
+ * @param {AbortSignal} options.signal - Optional abort signal, checked between rows; throws its reason when aborted
  * @returns {Object} Optimized grid
  */
 export function optimizeGridCorners(grid, edgeMap, width, height, options = {}) {
@@ -971,7 +977,9 @@ export function optimizeGridCorners(grid, edgeMap, width, height, options = {})
     edgeSharpness = 0.8,
     useSplines = false,
     splineDegree = 2,
-    splineSmoothness = 0.3
+    splineSmoothness = 0.3,
+    onProgress = null,
+    signal = null
   } = options;
 
   // Validate edge map
@@ -991,10 +999,13 @@ export function optimizeGridCorners(grid, edgeMap, width, height, options = {})
   const baseDamping = 0.3 + edgeSharpness * 0.5; // 0.3 to 0.8
   const dampingRange = 0.2 * (1 - edgeSharpness * 0.5); // 0.2 to 0.1
 
+  const reportProgress = createProgressReporter(onProgress, { 'grid-optimization': 1 });
+
   // Optimization loop
   for (let iteration = 0; iteration < numIterations; iteration++) {
     // Process each corner (excluding border corners to keep grid connected)
     for (let row = 1; row < rows - 1; row++) {
+      throwIfAborted(signal);
       for (let col = 1; col < cols - 1; col++) {
         const corner = corners[row][col];
         let bestX = corner.x;
@@ -1124,6 +1135,8 @@ export function optimizeGridCorners(grid, edgeMap, width, height, options = {})
         corner.y += deltaY * damping;
       }
     }
+
+    reportProgress('grid-optimization', (iteration + 1) / numIterations, { iteration: iteration + 1 });
   }
 
   return grid;
@@ -1139,9 +1152,10 @@ export function optimizeGridCorners(grid, edgeMap, width, height, options = {})
  * @param {number} endX - Right edge (exclusive)
  * @param {number} endY - Bottom edge (exclusive)
  * @param {number} sharpness - Blend factor (0=average, 1=median)
+ * @param {boolean} linearLight - Average and blend in linear light (default: false)
  * @returns {Object} Color {r, g, b, a}
  */
-function sampleUniformRect(imageData, startX, startY, endX, endY, sharpness) {
+function sampleUniformRect(imageData, startX, startY, endX, endY, sharpness, linearLight = false) {
   const { data, width, height } = imageData;
 
   startX = Math.max(0, Math.floor(startX));
@@ -1158,14 +1172,10 @@ function sampleUniformRect(imageData, startX, startY, endX, endY, sharpness) {
   const step = Math.max(1, Math.floor(Math.min(rw / 6, rh / 6, 4)));
 
   const samples = [];
-  let sumR = 0, sumG = 0, sumB = 0, sumA = 0;
-
   for (let y = startY; y < endY; y += step) {
     for (let x = startX; x < endX; x += step) {
       const idx = (y * width + x) * 4;
-      const r = data[idx], g = data[idx + 1], b = data[idx + 2], a = data[idx + 3];
-      samples.push({ r, g, b, a });
-      sumR += r; sumG += g; sumB += b; sumA += a;
+      samples.push({ r: data[idx], g: data[idx + 1], b: data[idx + 2], a: data[idx + 3] });
     }
   }
 
@@ -1173,50 +1183,41 @@ function sampleUniformRect(imageData, startX, startY, endX, endY, sharpness) {
     return { r: 128, g: 128, b: 128, a: 255 };
   }
 
+  // Premultiplied average so transparent pixels don't darken the result
   const n = samples.length;
-  const avgR = Math.round(sumR / n);
-  const avgG = Math.round(sumG / n);
-  const avgB = Math.round(sumB / n);
-  const avgA = Math.round(sumA / n);
+  const average = averageColors(samples, linearLight);
 
   if (sharpness < 0.01) {
-    return { r: avgR, g: avgG, b: avgB, a: avgA };
+    return average;
   }
 
-  samples.sort((a, b) => (a.r + a.g + a.b) - (b.r + b.g + b.b));
-  const mid = samples[Math.floor(n / 2)];
+  // Median of the visible samples; the cell is transparent if most samples are
+  const visible = samples.filter(sample => sample.a > 0);
+  if (visible.length * 2 < n) {
+    return mixColors(average, { r: 0, g: 0, b: 0, a: 0 }, sharpness, linearLight);
+  }
 
-  const t = sharpness;
-  return {
-    r: Math.round(avgR * (1 - t) + mid.r * t),
-    g: Math.round(avgG * (1 - t) + mid.g * t),
-    b: Math.round(avgB * (1 - t) + mid.b * t),
-    a: Math.round(avgA * (1 - t) + mid.a * t)
-  };
+  visible.sort((a, b) => (a.r + a.g + a.b) - (b.r + b.g + b.b));
+  const mid = visible[Math.floor(visible.length / 2)];
+
+  return mixColors(average, mid, sharpness, linearLight);
 }
 
 /**
- * Renders the optimized grid to a canvas with sharp boundaries.
+ * Samples one color per grid cell from uniform rectangles of the source
+ * image, row-major.
  *
- * CRITICAL: For clean pixel art without fuzzy edges, colors are sampled from
- * the SAME uniform rectangular regions that will be rendered. This ensures
- * perfect alignment between sampling and output.
- *
- * The grid optimization (corner movement) is used for edge detection during
- * optimization, but final rendering always uses uniform rectangular blocks.
- *
- * @param {Object} grid - Optimized grid
+ * @param {Object} grid - Grid with cols and rows
  * @param {ImageData} imageData - Source image data
- * @param {Float32Array} edgeMap - Optional edge map (unused)
  * @param {number} edgeSharpness - Edge sharpness (0-1)
- * @param {boolean} useSplines - Whether splines were used (doesn't affect sampling)
- * @param {number} splineDegree - Unused
- * @param {number} splineSmoothness - Unused
- * @returns {ImageData} Rendered pixelated image
+ * @param {boolean} linearLight - Average and blend colors in linear light
+ * @param {Object} area - Cells to sample {x, y, width, height} (default: the whole grid)
+ * @returns {Array<Object>} Cell colors [{r, g, b, a}, ...]
  */
-export function renderGrid(grid, imageData, edgeMap = null, edgeSharpness = 0.8, useSplines = false, splineDegree = 2, splineSmoothness = 0.3) {
+function sampleGridColors(grid, imageData, edgeSharpness, linearLight, area = null) {
   const { width, height } = imageData;
   const { cols, rows } = grid;
+  const { x = 0, y = 0, width: areaCols = cols, height: areaRows = rows } = area || {};
 
   const blockW = width / cols;
   const blockH = height / rows;
@@ -1225,18 +1226,70 @@ export function renderGrid(grid, imageData, edgeMap = null, edgeSharpness = 0.8,
   // This ensures sampling region = output region = no fuzzy edges
   const cellColors = [];
 
-  for (let row = 0; row < rows; row++) {
-    for (let col = 0; col < cols; col++) {
+  for (let row = y; row < y + areaRows; row++) {
+    for (let col = x; col < x + areaCols; col++) {
       const x0 = col * blockW;
       const y0 = row * blockH;
       const x1 = (col + 1) * blockW;
       const y1 = (row + 1) * blockH;
 
-      cellColors.push(sampleUniformRect(imageData, x0, y0, x1, y1, edgeSharpness));
+      cellColors.push(sampleUniformRect(imageData, x0, y0, x1, y1, edgeSharpness, linearLight));
     }
   }
 
+  return cellColors;
+}
+
+/**
+ * Renders the optimized grid to a canvas with sharp boundaries.
+ *
+ * CRITICAL: For clean pixel art without fuzzy edges, colors are sampled from
+ * the SAME uniform rectangular regions that will be rendered. This ensures
+ * perfect alignment between sampling and output.
+ *
+ * The grid optimization (corner movement) is used for edge detection during
+ * optimization, but final rendering always uses uniform rectangular blocks.
+ *
+ * @param {Object} grid - Optimized grid
+ * @param {ImageData} imageData - Source image data
+ * @param {Float32Array} edgeMap - Optional edge map (unused)
+ * @param {number} edgeSharpness - Edge sharpness (0-1)
+ * @param {boolean} useSplines - Whether splines were used (doesn't affect sampling)
+ * @param {number} splineDegree - Unused
+ * @param {number} splineSmoothness - Unused
+ * @param {boolean} linearLight - Average and blend colors in linear light (default: false)
+ * @returns {ImageData} Rendered pixelated image
+ */
+export function renderGrid(grid, imageData, edgeMap = null, edgeSharpness = 0.8, useSplines = false, splineDegree = 2, splineSmoothness = 0.3, linearLight = false) {
+  const cellColors = sampleGridColors(grid, imageData, edgeSharpness, linearLight);
+
   // Render as rectangular pixels
   return renderGridAsRectangles(grid, imageData, cellColors);
 }
 
+/**
+ * Renders the grid at native resolution: one output pixel per grid cell
+ * (cols x rows), sampled exactly like renderGrid. With `area`, only that
+ * rectangle of cells is rendered, so large grids can be rendered in parts.
+ *
+ * @param {Object} grid - Optimized grid
+ * @param {ImageData} imageData - Source image data
+ * @param {number} edgeSharpness - Edge sharpness (0-1, default: 0.8)
+ * @param {boolean} linearLight - Average and blend colors in linear light (default: false)
+ * @param {Object} area - Cells to render {x, y, width, height} (default: null, the whole grid)
+ * @returns {ImageData} Cell image (cols x rows, or the size of area)
+ */
+export function renderGridCells(grid, imageData, edgeSharpness = 0.8, linearLight = false, area = null) {
+  const cellColors = sampleGridColors(grid, imageData, edgeSharpness, linearLight, area);
+  const output = createImageData(area ? area.width : grid.cols, area ? area.height : grid.rows);
+
+  cellColors.forEach((color, cellIdx) => {
+    const idx = cellIdx * 4;
+    output.data[idx] = color.r;
+    output.data[idx + 1] = color.g;
+    output.data[idx + 2] = color.b;
+    output.data[idx + 3] = color.a === undefined ? 255 : color.a;
+  });
+
+  return output;
+}
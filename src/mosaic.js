@@ -0,0 +1,460 @@
+/**
+ * Mosaic Module
+ *
+ * Builds physical mosaics (LEGO plates, fuse beads) from images: the image
+ * is pixelated to an exact part count with a fixed part palette, then
+ * described as a parts list, per-baseplate build sheets (SVG) and a preview
+ * render with round studs or beads.
+ */
+
+import { pixelateImage } from './pixelate.js';
+import { parseColor, colorToHex } from './palettes.js';
+import { TRANSPARENT_COLOR, createColorMatcher, createIndexBuffer } from './quantization.js';
+import { getPartPalette, getPartShape, PART_SHAPES } from './parts.js';
+import { createImageData, convertToImageData } from './surface.js';
+
+/**
+ * Common baseplate and pegboard section sizes, in parts per side.
+ */
+export const BASEPLATE_SIZES = [16, 32, 48];
+
+/**
+ * Ways to fit the image to the mosaic's aspect ratio.
+ */
+export const MOSAIC_FITS = ['cover', 'stretch'];
+
+// Cells with less alpha than this are left empty
+const VISIBLE_ALPHA = 128;
+
+/**
+ * Crops the center of an image to the given aspect ratio.
+ */
+function cropToAspect(imageData, cols, rows) {
+  const { width, height, data } = imageData;
+  const cropWidth = Math.min(width, Math.max(1, Math.round((height * cols) / rows)));
+  const cropHeight = Math.min(height, Math.max(1, Math.round((width * rows) / cols)));
+  if (cropWidth === width && cropHeight === height) {
+    return imageData;
+  }
+
+  const left = Math.floor((width - cropWidth) / 2);
+  const top = Math.floor((height - cropHeight) / 2);
+  const output = createImageData(cropWidth, cropHeight);
+  for (let y = 0; y < cropHeight; y++) {
+    const start = ((top + y) * width + left) * 4;
+    output.data.set(data.subarray(start, start + cropWidth * 4), y * cropWidth * 4);
+  }
+  return output;
+}
+
+/**
+ * Builds a mosaic from an image: pixelates it to exactly width x height parts
+ * and maps every cell to a part color.
+ *
+ * Without colorLimit, cells are quantized straight to the part palette (so
+ * dithering works against the real part colors). With colorLimit, a palette of
+ * that many colors is built from the image first and each color is matched
+ * to its nearest part, which keeps the number of distinct parts small.
+ * Other options (quantizer, dither, linearLight, contrast, ...) are passed
+ * to pixelateImage.
+ *
+ * @param {HTMLImageElement|HTMLCanvasElement|ImageData} image - Source image
+ * @param {Object} options - Configuration
+ * @param {number} options.width - Mosaic width in parts (studs or beads)
+ * @param {number} options.height - Mosaic height in parts (default: from the image's aspect ratio)
+ * @param {string|Array<Object>} options.parts - Part catalog: 'lego', 'perler', or an array of
+ *   parts {r, g, b, code?, name?, brand?} (default: 'lego')
+ * @param {string} options.fit - 'cover' crops the image to the mosaic's aspect ratio, 'stretch'
+ *   scales it to fit (default: 'cover')
+ * @param {number} options.colorLimit - Maximum number of distinct part colors; as in pixelateImage, empty
+ *   (transparent) cells take one of them (default: null, no limit)
+ * @param {string} options.colorSpace - Color space for part matching (default: 'oklab')
+ * @param {string} options.shape - Preview part shape: 'stud' or 'bead' (default: the catalog's shape,
+ *   'stud' for custom parts)
+ * @returns {Object} { imageData, palette, indices, cols, rows, parts, shape } where imageData has one
+ *   pixel per part, palette lists the parts used (plus a transparent entry when some cells are empty),
+ *   indices holds one palette index per cell and parts is the parts list: the palette's parts as
+ *   {brand, code, name, r, g, b, count, number}, most used first (number is the 1-based position)
+ */
+export function createMosaic(image, options = {}) {
+  const {
+    width,
+    height = null,
+    parts = 'lego',
+    fit = 'cover',
+    colorLimit = null,
+    colorSpace = 'oklab',
+    shape = typeof parts === 'string' ? getPartShape(parts) : 'stud',
+    ...pixelateOptions
+  } = options;
+
+  if (!(width >= 1) || (height !== null && !(height >= 1))) {
+    throw new Error('Mosaic width and height must be at least 1');
+  }
+  if (!MOSAIC_FITS.includes(fit)) {
+    throw new Error(`Unknown mosaic fit: ${fit}. Available fits: ${MOSAIC_FITS.join(', ')}`);
+  }
+  if (!PART_SHAPES.includes(shape)) {
+    throw new Error(`Unknown part shape: ${shape}. Available shapes: ${PART_SHAPES.join(', ')}`);
+  }
+
+  const catalog = typeof parts === 'string' ? getPartPalette(parts) : Array.isArray(parts) ? parts.map(parseColor) : [];
+  if (catalog.length === 0) {
+    throw new Error('parts must be a part catalog name or a non-empty array of parts');
+  }
+
+  let source = image;
+  const sourceSize = convertToImageData(image);
+  const cols = Math.floor(width);
+  const rows = height !== null ? Math.floor(height) : Math.max(1, Math.round((cols * sourceSize.height) / sourceSize.width));
+  if (fit === 'cover') {
+    source = cropToAspect(sourceSize, cols, rows);
+  }
+
+  const result = pixelateImage(source, 1, {
+    ...pixelateOptions,
+    palette: colorLimit ? null : catalog,
+    colorLimit,
+    colorSpace,
+    gridSize: { cols, rows },
+    outputScale: 'native',
+    returnIndexed: true
+  });
+
+  // Result palette index -> catalog index (-1 for empty cells)
+  const findPart = createColorMatcher(catalog, colorSpace);
+  const paletteParts = result.palette.map(color =>
+    (color.a ?? 255) < VISIBLE_ALPHA ? -1 : findPart(color.r, color.g, color.b)
+  );
+
+  const counts = new Map();
+  let empty = 0;
+  for (let i = 0; i < cols * rows; i++) {
+    const part = result.imageData.data[i * 4 + 3] < VISIBLE_ALPHA ? -1 : paletteParts[result.indices[i]];
+    if (part < 0) {
+      empty++;
+    } else {
+      counts.set(part, (counts.get(part) || 0) + 1);
+    }
+  }
+
+  // Most used parts first; ties keep catalog order
+  const used = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a - b);
+  const paletteIndex = new Map(used.map((part, i) => [part, i]));
+  const palette = used.map(part => catalog[part]);
+  if (empty > 0) {
+    palette.push({ ...TRANSPARENT_COLOR });
+  }
+
+  const indices = createIndexBuffer(cols * rows, palette.length);
+  const imageData = createImageData(cols, rows);
+  for (let i = 0; i < indices.length; i++) {
+    const part = result.imageData.data[i * 4 + 3] < VISIBLE_ALPHA ? -1 : paletteParts[result.indices[i]];
+    const index = part < 0 ? palette.length - 1 : paletteIndex.get(part);
+    const color = palette[index];
+    indices[i] = index;
+    imageData.data.set([color.r, color.g, color.b, color.a ?? 255], i * 4);
+  }
+
+  return {
+    imageData,
+    palette,
+    indices,
+    cols,
+    rows,
+    parts: used.map((part, i) => {
+      const { r, g, b, brand = '', code = colorToHex(catalog[part]), name = '' } = catalog[part];
+      return { brand, code, name, r, g, b, count: counts.get(part), number: i + 1 };
+    }),
+    shape
+  };
+}
+
+/**
+ * Escapes text for use in CSV fields.
+ */
+function escapeCsv(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes a mosaic's parts list as CSV (number, brand, code, name, color, quantity).
+ *
+ * @param {Object} mosaic - Mosaic from createMosaic
+ * @param {Object} options - Optional configuration
+ * @param {number} options.spare - Extra parts to add per color, as a fraction of the count
+ *   (e.g. 0.05 for 5% spares, rounded up, default: 0)
+ * @returns {string} CSV text with a header row
+ */
+export function encodePartsList(mosaic, options = {}) {
+  const { spare = 0 } = options;
+  const lines = ['number,brand,code,name,color,quantity'];
+  for (const part of mosaic.parts) {
+    const quantity = part.count + Math.ceil(part.count * spare);
+    lines.push([part.number, part.brand, part.code, part.name, colorToHex(part), quantity].map(escapeCsv).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats a coordinate without trailing zeros.
+ */
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(4)));
+}
+
+/**
+ * Escapes text for use in XML content and attributes.
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Returns black or white, whichever reads better on the given color.
+ */
+function contrastColor({ r, g, b }) {
+  return 0.299 * r + 0.587 * g + 0.114 * b > 140 ? '#000000' : '#ffffff';
+}
+
+/**
+ * Names a section by row letter(s) and column number: A1, B3, AA12, ...
+ */
+function sectionName(row, col) {
+  let letters = '';
+  for (let n = row + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return `${letters}${col + 1}`;
+}
+
+/**
+ * Renders one section's build sheet: a part-number grid and its parts list.
+ */
+function renderSectionSheet(mosaic, section, cellSize) {
+  const { cols, palette, indices, parts } = mosaic;
+  const { name, x, y, width, height, counts } = section;
+  const margin = cellSize;
+  const top = cellSize * 2.5;
+  const rowHeight = cellSize * 1.4;
+  const gridWidth = width * cellSize;
+  const svgWidth = margin * 2 + Math.max(gridWidth, cellSize * 16);
+  const listTop = top + height * cellSize + cellSize;
+  const svgHeight = listTop + rowHeight * counts.length + margin;
+
+  const lines = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(svgWidth)}" height="${formatNumber(svgHeight)}" ` +
+      `viewBox="0 0 ${formatNumber(svgWidth)} ${formatNumber(svgHeight)}" font-family="sans-serif">`,
+    '  <rect width="100%" height="100%" fill="#ffffff"/>',
+    `  <text x="${formatNumber(margin)}" y="${formatNumber(cellSize * 1.4)}" font-size="${formatNumber(cellSize)}" font-weight="bold">` +
+      `Section ${name}: columns ${x + 1}-${x + width}, rows ${y + 1}-${y + height}</text>`,
+    `  <rect x="${formatNumber(margin)}" y="${formatNumber(top)}" width="${formatNumber(gridWidth)}" ` +
+      `height="${formatNumber(height * cellSize)}" fill="#eeeeee" stroke="#000000" stroke-width="${formatNumber(cellSize * 0.08)}"/>`
+  ];
+
+  // One circle per part, labeled with its number in the parts list
+  const labels = [];
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const index = indices[(y + row) * cols + x + col];
+      if (index >= parts.length) continue;
+      const cx = formatNumber(margin + (col + 0.5) * cellSize);
+      const cy = formatNumber(top + (row + 0.5) * cellSize);
+      lines.push(
+        `  <circle cx="${cx}" cy="${cy}" r="${formatNumber(cellSize * 0.45)}" fill="${colorToHex(palette[index])}" ` +
+        `stroke="#666666" stroke-width="${formatNumber(cellSize * 0.04)}"/>`
+      );
+      labels.push(`    <text x="${cx}" y="${cy}" fill="${contrastColor(palette[index])}">${parts[index].number}</text>`);
+    }
+  }
+  lines.push(
+    `  <g font-size="${formatNumber(cellSize * 0.42)}" text-anchor="middle" dominant-baseline="central">`,
+    ...labels,
+    '  </g>'
+  );
+
+  // Parts used in this section
+  lines.push(`  <g font-size="${formatNumber(cellSize * 0.7)}" fill="#000000" dominant-baseline="central">`);
+  counts.forEach(({ index, count }, i) => {
+    const part = parts[index];
+    const cy = listTop + rowHeight * (i + 0.5);
+    const label = [part.brand, part.code, part.name].filter(Boolean).join(' ');
+    lines.push(
+      `    <circle cx="${formatNumber(margin + cellSize * 0.5)}" cy="${formatNumber(cy)}" r="${formatNumber(cellSize * 0.45)}" ` +
+        `fill="${colorToHex(part)}" stroke="#666666" stroke-width="${formatNumber(cellSize * 0.04)}"/>`,
+      `    <text x="${formatNumber(margin + cellSize * 1.5)}" y="${formatNumber(cy)}">${part.number}. ${escapeXml(label)}: ${count}</text>`
+    );
+  });
+  lines.push('  </g>', '</svg>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Splits a mosaic into baseplate sections and renders a build sheet for each.
+ *
+ * Sections are sectionSize x sectionSize parts (smaller at the right and
+ * bottom edges when the mosaic is not a multiple of the size), named by row
+ * letter and column number (A1, A2, ..., B1, ...) and ordered row by row.
+ * Each sheet shows a circle per part labeled with its number in the mosaic's
+ * parts list, followed by the parts needed for that section.
+ *
+ * @param {Object} mosaic - Mosaic from createMosaic
+ * @param {Object} options - Optional configuration
+ * @param {number} options.sectionSize - Parts per section side, e.g. 16, 32 or 48 for LEGO baseplates
+ *   (default: 16)
+ * @param {number} options.cellSize - Size of one part in SVG units (default: 24)
+ * @returns {Array<Object>} Sections { name, x, y, width, height, parts, svg } where x / y are the
+ *   section's first column / row (0-based), parts lists { number, count } per part used and svg is
+ *   the build sheet
+ */
+export function renderBuildSheets(mosaic, options = {}) {
+  const { sectionSize = 16, cellSize = 24 } = options;
+
+  if (!(sectionSize >= 1)) {
+    throw new Error('sectionSize must be at least 1');
+  }
+
+  const { cols, rows, indices, parts } = mosaic;
+  const sections = [];
+  for (let sy = 0; sy * sectionSize < rows; sy++) {
+    for (let sx = 0; sx * sectionSize < cols; sx++) {
+      const x = sx * sectionSize;
+      const y = sy * sectionSize;
+      const width = Math.min(sectionSize, cols - x);
+      const height = Math.min(sectionSize, rows - y);
+
+      const tally = new Array(parts.length).fill(0);
+      for (let row = y; row < y + height; row++) {
+        for (let col = x; col < x + width; col++) {
+          const index = indices[row * cols + col];
+          if (index < parts.length) tally[index]++;
+        }
+      }
+      const counts = tally
+        .map((count, index) => ({ index, count }))
+        .filter(({ count }) => count > 0);
+
+      const section = { name: sectionName(sy, sx), x, y, width, height, counts };
+      sections.push({
+        name: section.name,
+        x,
+        y,
+        width,
+        height,
+        parts: counts.map(({ index, count }) => ({ number: parts[index].number, count })),
+        svg: renderSectionSheet(mosaic, section, cellSize)
+      });
+    }
+  }
+  return sections;
+}
+
+/**
+ * Scales a color's channels by a factor.
+ */
+function shade(color, factor) {
+  return { r: color.r * factor, g: color.g * factor, b: color.b * factor };
+}
+
+/**
+ * Anti-aliased coverage of a circle edge at the given distance from its center.
+ */
+function circleCoverage(distance, radius) {
+  return Math.max(0, Math.min(1, radius - distance + 0.5));
+}
+
+/**
+ * Blends color b over color a with weight t.
+ */
+function blend(a, b, t) {
+  return { r: a.r + (b.r - a.r) * t, g: a.g + (b.g - a.g) * t, b: a.b + (b.b - a.b) * t };
+}
+
+/**
+ * Renders a preview of the built mosaic: plates with round studs, or beads
+ * with a center hole on a pegboard. Empty cells show bare baseplate studs
+ * (stud shape) or the board with its peg (bead shape).
+ *
+ * @param {Object} mosaic - Mosaic from createMosaic
+ * @param {Object} options - Optional configuration
+ * @param {number} options.partSize - Size of one part in pixels (default: 16)
+ * @param {string} options.shape - 'stud' or 'bead' (default: the mosaic's shape)
+ * @param {string|Array<number>|Object} options.background - Baseplate or pegboard color
+ *   (default: '#a0a5a9' for studs, '#ffffff' for beads)
+ * @returns {ImageData} Preview image, cols * partSize x rows * partSize
+ */
+export function renderMosaicPreview(mosaic, options = {}) {
+  const { partSize = 16, shape = mosaic.shape || 'stud' } = options;
+
+  if (!PART_SHAPES.includes(shape)) {
+    throw new Error(`Unknown part shape: ${shape}. Available shapes: ${PART_SHAPES.join(', ')}`);
+  }
+  if (!(partSize >= 1)) {
+    throw new Error('partSize must be at least 1');
+  }
+
+  const size = Math.floor(partSize);
+  const background = parseColor(options.background ?? (shape === 'stud' ? '#a0a5a9' : '#ffffff'));
+  const { cols, rows, palette, indices } = mosaic;
+  const output = createImageData(cols * size, rows * size);
+
+  // Distance of each pixel in a cell from the cell center, shared by all cells
+  const distances = new Float32Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      distances[y * size + x] = Math.hypot(x + 0.5 - size / 2, y + 0.5 - size / 2);
+    }
+  }
+
+  const renderCell = (color, empty) => {
+    const pixels = new Array(size * size);
+    for (let i = 0; i < pixels.length; i++) {
+      const d = distances[i];
+      let pixel;
+      if (shape === 'stud') {
+        // Plate, stud shadow ring, stud top
+        pixel = shade(color, 0.82);
+        pixel = blend(pixel, shade(color, 0.62), circleCoverage(d, size * 0.37));
+        pixel = blend(pixel, color, circleCoverage(d, size * 0.31));
+      } else if (empty) {
+        // Pegboard with its peg
+        pixel = blend(background, shade(background, 0.85), circleCoverage(d, size * 0.1));
+      } else {
+        // Bead with a center hole
+        pixel = blend(background, shade(color, 0.8), circleCoverage(d, size * 0.47));
+        pixel = blend(pixel, color, circleCoverage(d, size * 0.4));
+        pixel = blend(pixel, background, circleCoverage(d, size * 0.17));
+      }
+      pixels[i] = pixel;
+    }
+    return pixels;
+  };
+
+  const cellCache = new Map();
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const index = indices[row * cols + col];
+      const empty = (palette[index].a ?? 255) < VISIBLE_ALPHA;
+      if (!cellCache.has(index)) {
+        cellCache.set(index, renderCell(empty ? background : palette[index], empty));
+      }
+      const pixels = cellCache.get(index);
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          const { r, g, b } = pixels[y * size + x];
+          output.data.set(
+            [Math.round(r), Math.round(g), Math.round(b), 255],
+            (((row * size + y) * cols * size) + col * size + x) * 4
+          );
+        }
+      }
+    }
+  }
+
+  return output;
+}
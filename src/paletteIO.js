@@ -0,0 +1,393 @@
+/**
+ * Palette File Module
+ *
+ * Parsers and serializers for common palette file formats: GIMP (.gpl),
+ * JASC/Paint Shop Pro (.pal), Lospec hex lists (.hex) and Adobe swatch
+ * exchange files (.ase). Parsed palettes are arrays of {r, g, b} colors
+ * (with an optional name) and can be passed straight to the `palette`
+ * option of the quantization functions. None of the formats store alpha, so
+ * fully transparent entries (a === 0) are left out when serializing.
+ */
+
+import { parseColor, colorToHex } from './palettes.js';
+import { labToRgb } from './color.js';
+
+/**
+ * Supported palette file formats (file extensions).
+ */
+export const PALETTE_FORMATS = ['gpl', 'pal', 'hex', 'ase'];
+
+/**
+ * Splits text into trimmed, non-empty lines.
+ */
+function splitLines(text) {
+  return String(text).split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+}
+
+/**
+ * Clamps and rounds a channel value to an integer byte.
+ */
+function toByte(value) {
+  return Math.max(0, Math.min(255, Math.round(value)));
+}
+
+/**
+ * Parses palette colors, dropping fully transparent entries (a === 0),
+ * which would otherwise be written as opaque black.
+ */
+function toOpaqueColors(palette) {
+  return palette.map(parseColor).filter(color => color.a !== 0);
+}
+
+/**
+ * Parses a GIMP palette (.gpl).
+ *
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Palette colors [{r, g, b, name?}, ...]
+ */
+export function parseGimpPalette(text) {
+  const lines = splitLines(text);
+  if (lines[0] !== 'GIMP Palette') {
+    throw new Error('Invalid GIMP palette: missing "GIMP Palette" header');
+  }
+
+  const palette = [];
+  for (const line of lines.slice(1)) {
+    if (line.startsWith('#') || /^(Name|Columns):/i.test(line)) {
+      continue;
+    }
+
+    const match = line.match(/^(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/);
+    if (!match) {
+      throw new Error(`Invalid GIMP palette line: ${line}`);
+    }
+
+    const color = { r: toByte(+match[1]), g: toByte(+match[2]), b: toByte(+match[3]) };
+    if (match[4] && match[4] !== 'Untitled') {
+      color.name = match[4];
+    }
+    palette.push(color);
+  }
+
+  return palette;
+}
+
+/**
+ * Serializes a palette as a GIMP palette (.gpl).
+ *
+ * @param {Array} palette - Palette colors
+ * @param {Object} options - Optional configuration
+ * @param {string} options.name - Palette name (default: 'Pixel Mosaic')
+ * @param {number} options.columns - Preferred number of columns in the GIMP palette editor (default: 0, automatic)
+ * @returns {string} File contents
+ */
+export function serializeGimpPalette(palette, options = {}) {
+  const { name = 'Pixel Mosaic', columns = 0 } = options;
+  const lines = ['GIMP Palette', `Name: ${name}`, `Columns: ${columns}`, '#'];
+
+  for (const color of toOpaqueColors(palette)) {
+    const channels = [color.r, color.g, color.b].map(v => String(toByte(v)).padStart(3, ' '));
+    lines.push(`${channels.join(' ')}\t${color.name || colorToHex(color)}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parses a JASC palette (.pal, as written by Paint Shop Pro and Aseprite).
+ *
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Palette colors [{r, g, b}, ...]
+ */
+export function parseJascPalette(text) {
+  const lines = splitLines(text);
+  if (lines[0] !== 'JASC-PAL') {
+    throw new Error('Invalid JASC palette: missing "JASC-PAL" header');
+  }
+
+  const count = parseInt(lines[2], 10);
+  if (!Number.isFinite(count) || lines.length < count + 3) {
+    throw new Error('Invalid JASC palette: color count does not match contents');
+  }
+
+  return lines.slice(3, 3 + count).map(line => {
+    const values = line.split(/\s+/).map(Number);
+    if (values.length < 3 || values.slice(0, 3).some(v => !Number.isFinite(v))) {
+      throw new Error(`Invalid JASC palette line: ${line}`);
+    }
+    return { r: toByte(values[0]), g: toByte(values[1]), b: toByte(values[2]) };
+  });
+}
+
+/**
+ * Serializes a palette as a JASC palette (.pal).
+ *
+ * @param {Array} palette - Palette colors
+ * @returns {string} File contents (CRLF line endings, as Paint Shop Pro writes them)
+ */
+export function serializeJascPalette(palette) {
+  const colors = toOpaqueColors(palette);
+  const lines = ['JASC-PAL', '0100', String(colors.length)];
+  for (const color of colors) {
+    lines.push(`${toByte(color.r)} ${toByte(color.g)} ${toByte(color.b)}`);
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parses a hex palette (.hex, one 'rrggbb' color per line as used by Lospec).
+ *
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Palette colors [{r, g, b}, ...]
+ */
+export function parseHexPalette(text) {
+  return splitLines(text)
+    .filter(line => !line.startsWith(';') && !line.startsWith('//'))
+    .map(line => {
+      const hex = line.replace(/^#/, '');
+      // Some tools write 'aarrggbb'; ignore the alpha byte
+      return parseColor(hex.length === 8 ? hex.slice(2) : hex);
+    });
+}
+
+/**
+ * Serializes a palette as a hex palette (.hex).
+ *
+ * @param {Array} palette - Palette colors
+ * @returns {string} File contents
+ */
+export function serializeHexPalette(palette) {
+  return toOpaqueColors(palette).map(color => colorToHex(color).slice(1)).join('\n') + '\n';
+}
+
+// ASE block types
+const ASE_GROUP_START = 0xc001;
+const ASE_GROUP_END = 0xc002;
+const ASE_COLOR_ENTRY = 0x0001;
+
+/**
+ * Parses an Adobe Swatch Exchange file (.ase). RGB, CMYK, LAB and gray
+ * swatches are converted to sRGB; groups are flattened.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer - File contents
+ * @returns {Array<Object>} Palette colors [{r, g, b, name?}, ...]
+ */
+export function parseAsePalette(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (bytes.length < 12 || String.fromCharCode(...bytes.subarray(0, 4)) !== 'ASEF') {
+    throw new Error('Invalid ASE file: missing "ASEF" signature');
+  }
+
+  const blockCount = view.getUint32(8);
+  const palette = [];
+  let offset = 12;
+
+  for (let i = 0; i < blockCount; i++) {
+    if (offset + 6 > bytes.length) {
+      throw new Error('Invalid ASE file: unexpected end of data');
+    }
+
+    const type = view.getUint16(offset);
+    const length = view.getUint32(offset + 2);
+    const start = offset + 6;
+    offset = start + length;
+
+    if (offset > bytes.length) {
+      throw new Error('Invalid ASE file: unexpected end of data');
+    }
+    if (type !== ASE_COLOR_ENTRY) {
+      continue;
+    }
+
+    // Name: UTF-16BE code unit count (including terminator), then the string
+    const nameLength = view.getUint16(start);
+    let name = '';
+    for (let j = 0; j < nameLength - 1; j++) {
+      name += String.fromCharCode(view.getUint16(start + 2 + j * 2));
+    }
+
+    let pos = start + 2 + nameLength * 2;
+    const model = String.fromCharCode(...bytes.subarray(pos, pos + 4));
+    pos += 4;
+    const read = (index) => view.getFloat32(pos + index * 4);
+
+    let color;
+    switch (model) {
+      case 'RGB ':
+        color = { r: toByte(read(0) * 255), g: toByte(read(1) * 255), b: toByte(read(2) * 255) };
+        break;
+      case 'CMYK': {
+        const k = 1 - read(3);
+        color = {
+          r: toByte(255 * (1 - read(0)) * k),
+          g: toByte(255 * (1 - read(1)) * k),
+          b: toByte(255 * (1 - read(2)) * k)
+        };
+        break;
+      }
+      case 'LAB ':
+        color = labToRgb({ L: read(0) * 100, a: read(1), b: read(2) });
+        break;
+      case 'Gray': {
+        const v = toByte(read(0) * 255);
+        color = { r: v, g: v, b: v };
+        break;
+      }
+      default:
+        throw new Error(`Invalid ASE file: unsupported color model "${model}"`);
+    }
+
+    if (name) {
+      color.name = name;
+    }
+    palette.push(color);
+  }
+
+  return palette;
+}
+
+/**
+ * Serializes a palette as an Adobe Swatch Exchange file (.ase) with RGB
+ * swatches inside a single named group.
+ *
+ * @param {Array} palette - Palette colors
+ * @param {Object} options - Optional configuration
+ * @param {string} options.name - Group name (default: 'Pixel Mosaic')
+ * @returns {Uint8Array} File contents
+ */
+export function serializeAsePalette(palette, options = {}) {
+  const { name = 'Pixel Mosaic' } = options;
+  const colors = toOpaqueColors(palette);
+
+  const nameSize = (text) => 2 + (text.length + 1) * 2;
+  const colorNames = colors.map(color => color.name || colorToHex(color));
+
+  let size = 12 + 6 + nameSize(name) + 6;
+  for (const colorName of colorNames) {
+    size += 6 + nameSize(colorName) + 4 + 12 + 2;
+  }
+
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+
+  const writeAscii = (text) => {
+    for (let i = 0; i < text.length; i++) {
+      bytes[offset++] = text.charCodeAt(i);
+    }
+  };
+  const writeName = (text) => {
+    view.setUint16(offset, text.length + 1);
+    offset += 2;
+    for (let i = 0; i < text.length; i++) {
+      view.setUint16(offset, text.charCodeAt(i));
+      offset += 2;
+    }
+    offset += 2; // null terminator
+  };
+  const writeBlockHeader = (type, length) => {
+    view.setUint16(offset, type);
+    view.setUint32(offset + 2, length);
+    offset += 6;
+  };
+
+  writeAscii('ASEF');
+  view.setUint16(offset, 1);
+  view.setUint16(offset + 2, 0);
+  view.setUint32(offset + 4, colors.length + 2);
+  offset += 8;
+
+  writeBlockHeader(ASE_GROUP_START, nameSize(name));
+  writeName(name);
+
+  colors.forEach((color, i) => {
+    writeBlockHeader(ASE_COLOR_ENTRY, nameSize(colorNames[i]) + 4 + 12 + 2);
+    writeName(colorNames[i]);
+    writeAscii('RGB ');
+    view.setFloat32(offset, toByte(color.r) / 255);
+    view.setFloat32(offset + 4, toByte(color.g) / 255);
+    view.setFloat32(offset + 8, toByte(color.b) / 255);
+    view.setUint16(offset + 12, 2); // Normal (non-global, non-spot) color
+    offset += 14;
+  });
+
+  writeBlockHeader(ASE_GROUP_END, 0);
+
+  return bytes;
+}
+
+/**
+ * Detects the format of palette file contents.
+ *
+ * @param {string|ArrayBuffer|Uint8Array} data - File contents
+ * @returns {string} One of PALETTE_FORMATS
+ */
+function detectPaletteFormat(data) {
+  if (typeof data !== 'string') {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (String.fromCharCode(...bytes.subarray(0, 4)) === 'ASEF') {
+      return 'ase';
+    }
+    data = new TextDecoder().decode(bytes);
+  }
+
+  const header = data.trimStart();
+  if (header.startsWith('GIMP Palette')) return 'gpl';
+  if (header.startsWith('JASC-PAL')) return 'pal';
+  return 'hex';
+}
+
+/**
+ * Parses palette file contents in any supported format.
+ *
+ * @param {string|ArrayBuffer|Uint8Array} data - File contents (text or binary)
+ * @param {string} format - Format ('gpl', 'pal', 'hex' or 'ase'); detected from the contents when omitted
+ * @returns {Array<Object>} Palette colors [{r, g, b, name?}, ...]
+ */
+export function parsePaletteFile(data, format = null) {
+  const resolvedFormat = (format || detectPaletteFormat(data)).toLowerCase().replace(/^\./, '');
+
+  if (resolvedFormat === 'ase') {
+    if (typeof data === 'string') {
+      throw new Error('ASE palettes must be passed as an ArrayBuffer or Uint8Array');
+    }
+    return parseAsePalette(data);
+  }
+
+  const text = typeof data === 'string' ? data : new TextDecoder().decode(data);
+  switch (resolvedFormat) {
+    case 'gpl':
+      return parseGimpPalette(text);
+    case 'pal':
+      return parseJascPalette(text);
+    case 'hex':
+      return parseHexPalette(text);
+    default:
+      throw new Error(`Unknown palette format: ${format}. Supported formats: ${PALETTE_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Serializes a palette to a supported file format.
+ *
+ * @param {Array} palette - Palette colors
+ * @param {string} format - Format ('gpl', 'pal', 'hex' or 'ase')
+ * @param {Object} options - Format options (see the individual serializers)
+ * @returns {string|Uint8Array} File contents; Uint8Array for 'ase', string otherwise
+ */
+export function serializePaletteFile(palette, format, options = {}) {
+  switch (String(format).toLowerCase().replace(/^\./, '')) {
+    case 'gpl':
+      return serializeGimpPalette(palette, options);
+    case 'pal':
+      return serializeJascPalette(palette);
+    case 'hex':
+      return serializeHexPalette(palette);
+    case 'ase':
+      return serializeAsePalette(palette, options);
+    default:
+      throw new Error(`Unknown palette format: ${format}. Supported formats: ${PALETTE_FORMATS.join(', ')}`);
+  }
+}
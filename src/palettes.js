@@ -0,0 +1,191 @@
+/**
+ * Palette Module
+ *
+ * Built-in fixed palettes (retro consoles, home computers and popular
+ * pixel art palettes) and helpers for resolving palette arguments into
+ * the {r, g, b} color objects used throughout the library.
+ */
+
+/**
+ * Generates every combination of the given channel levels (used for EGA).
+ *
+ * @param {Array<string>} levels - Two-digit hex channel levels
+ * @returns {Array<string>} Hex colors
+ */
+function allCombinations(levels) {
+  const colors = [];
+  for (const r of levels) {
+    for (const g of levels) {
+      for (const b of levels) {
+        colors.push(`#${r}${g}${b}`);
+      }
+    }
+  }
+  return colors;
+}
+
+/**
+ * Built-in palettes, keyed by name. Colors are stored as hex strings.
+ * Lookups via getPalette() ignore case and punctuation, so 'PICO-8',
+ * 'pico8' and 'Pico 8' all resolve to the same palette.
+ */
+export const PALETTES = {
+  // PICO-8 fantasy console
+  'pico-8': [
+    '#000000', '#1d2b53', '#7e2553', '#008751', '#ab5236', '#5f574f', '#c2c3c7', '#fff1e8',
+    '#ff004d', '#ffa300', '#ffec27', '#00e436', '#29adff', '#83769c', '#ff77a8', '#ffccaa'
+  ],
+
+  // Original Game Boy (DMG-01) green shades, darkest to lightest
+  'gameboy': ['#0f380f', '#306230', '#8bac0f', '#9bbc0f'],
+
+  // NES 2C02 PPU palette (duplicate blacks removed)
+  'nes': [
+    '#7c7c7c', '#0000fc', '#0000bc', '#4428bc', '#940084', '#a80020', '#a81000', '#881400',
+    '#503000', '#007800', '#006800', '#005800', '#004058', '#000000',
+    '#bcbcbc', '#0078f8', '#0058f8', '#6844fc', '#d800cc', '#e40058', '#f83800', '#e45c10',
+    '#ac7c00', '#00b800', '#00a800', '#00a844', '#008888',
+    '#f8f8f8', '#3cbcfc', '#6888fc', '#9878f8', '#f878f8', '#f85898', '#f87858', '#fca044',
+    '#f8b800', '#b8f818', '#58d854', '#58f898', '#00e8d8', '#787878',
+    '#fcfcfc', '#a4e4fc', '#b8b8f8', '#d8b8f8', '#f8b8f8', '#f8a4c0', '#f0d0b0', '#fce0a8',
+    '#f8d878', '#d8f878', '#b8f8b8', '#b8f8d8', '#00fcfc', '#f8d8f8'
+  ],
+
+  // Commodore 64 (Pepto's measured palette)
+  'c64': [
+    '#000000', '#ffffff', '#68372b', '#70a4b2', '#6f3d86', '#588d43', '#352879', '#b8c76f',
+    '#6f4f25', '#433900', '#9a6759', '#444444', '#6c6c6c', '#9ad284', '#6c5eb5', '#959595'
+  ],
+
+  // IBM CGA 16-color RGBI palette (also the default EGA palette)
+  'cga': [
+    '#000000', '#0000aa', '#00aa00', '#00aaaa', '#aa0000', '#aa00aa', '#aa5500', '#aaaaaa',
+    '#555555', '#5555ff', '#55ff55', '#55ffff', '#ff5555', '#ff55ff', '#ffff55', '#ffffff'
+  ],
+
+  // CGA 320x200 mode 4, palette 0 (high intensity)
+  'cga-0': ['#000000', '#55ff55', '#ff5555', '#ffff55'],
+
+  // CGA 320x200 mode 4, palette 1 (high intensity)
+  'cga-1': ['#000000', '#55ffff', '#ff55ff', '#ffffff'],
+
+  // Full 64-color EGA palette (2 bits per channel)
+  'ega': allCombinations(['00', '55', 'aa', 'ff']),
+
+  // Sinclair ZX Spectrum, normal and bright (bright black is black)
+  'zx-spectrum': [
+    '#000000', '#0000d7', '#d70000', '#d700d7', '#00d700', '#00d7d7', '#d7d700', '#d7d7d7',
+    '#0000ff', '#ff0000', '#ff00ff', '#00ff00', '#00ffff', '#ffff00', '#ffffff'
+  ],
+
+  // Endesga 32 by ENDESGA
+  'endesga-32': [
+    '#be4a2f', '#d77643', '#ead4aa', '#e4a672', '#b86f50', '#733e39', '#3e2731', '#a22633',
+    '#e43b44', '#f77622', '#feae34', '#fee761', '#63c74d', '#3e8948', '#265c42', '#193c3e',
+    '#124e89', '#0099db', '#2ce8f5', '#ffffff', '#c0cbdc', '#8b9bb4', '#5a6988', '#3a4466',
+    '#262b44', '#181425', '#ff0044', '#68386c', '#b55088', '#f6757a', '#e8b796', '#c28569'
+  ],
+
+  // Sweetie 16 by GrafxKid
+  'sweetie-16': [
+    '#1a1c2c', '#5d275d', '#b13e53', '#ef7d57', '#ffcd75', '#a7f070', '#38b764', '#257179',
+    '#29366f', '#3b5dc9', '#41a6f6', '#73eff7', '#f4f4f4', '#94b0c2', '#566c86', '#333c57'
+  ],
+
+  // DawnBringer 16
+  'db16': [
+    '#140c1c', '#442434', '#30346d', '#4e4a4e', '#854c30', '#346524', '#d04648', '#757161',
+    '#597dce', '#d27d2c', '#8595a1', '#6daa2c', '#d2aa99', '#6dc2ca', '#dad45e', '#deeed6'
+  ],
+
+  // Plain black and white
+  '1bit': ['#000000', '#ffffff']
+};
+
+/**
+ * Normalizes a palette name for lookup (lowercase, alphanumerics only).
+ */
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+const paletteLookup = new Map(
+  Object.keys(PALETTES).map(name => [normalizeName(name), name])
+);
+
+/**
+ * Parses a single color into an {r, g, b} object.
+ * Accepts '#rgb' / '#rrggbb' hex strings (leading '#' optional),
+ * [r, g, b] arrays and {r, g, b} objects.
+ *
+ * @param {string|Array<number>|Object} color - Color to parse
+ * @returns {Object} Color {r, g, b}
+ */
+export function parseColor(color) {
+  if (typeof color === 'string') {
+    let hex = color.trim().replace(/^#/, '');
+    if (hex.length === 3) {
+      hex = hex.split('').map(c => c + c).join('');
+    }
+    if (!/^[0-9a-fA-F]{6}$/.test(hex)) {
+      throw new Error(`Invalid color: ${color}`);
+    }
+    const value = parseInt(hex, 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+  }
+
+  if (Array.isArray(color) && color.length >= 3) {
+    return { r: color[0], g: color[1], b: color[2] };
+  }
+
+  if (color && typeof color === 'object' && 'r' in color && 'g' in color && 'b' in color) {
+    return { ...color };
+  }
+
+  throw new Error(`Invalid color: ${color}`);
+}
+
+/**
+ * Formats an {r, g, b} color as a '#rrggbb' hex string.
+ *
+ * @param {Object} color - Color {r, g, b}
+ * @returns {string} Hex string
+ */
+export function colorToHex(color) {
+  return '#' + [color.r, color.g, color.b]
+    .map(v => Math.max(0, Math.min(255, Math.round(v))).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Returns a built-in palette by name.
+ *
+ * @param {string} name - Palette name (see PALETTES), case and punctuation insensitive
+ * @returns {Array<Object>} Palette colors [{r, g, b}, ...]
+ */
+export function getPalette(name) {
+  const key = paletteLookup.get(normalizeName(name));
+  if (!key) {
+    throw new Error(`Unknown palette: ${name}. Available palettes: ${Object.keys(PALETTES).join(', ')}`);
+  }
+  return PALETTES[key].map(parseColor);
+}
+
+/**
+ * Resolves a palette argument into an array of {r, g, b} colors.
+ *
+ * @param {string|Array} palette - Built-in palette name, or an array of colors
+ *   (hex strings, [r, g, b] arrays or {r, g, b} objects)
+ * @returns {Array<Object>} Palette colors [{r, g, b}, ...]
+ */
+export function resolvePalette(palette) {
+  if (typeof palette === 'string') {
+    return getPalette(palette);
+  }
+
+  if (!Array.isArray(palette) || palette.length === 0) {
+    throw new Error('Palette must be a built-in palette name or a non-empty array of colors');
+  }
+
+  return palette.map(parseColor);
+}
@@ -0,0 +1,154 @@
+/**
+ * Mosaic Parts Module
+ *
+ * Color catalogs of physical mosaic parts: LEGO 1x1 plates and Perler fuse
+ * beads. Colors are approximate sRGB values for on-screen matching and
+ * previews; parts lists and build sheets identify parts by code.
+ */
+
+/**
+ * LEGO 1x1 plate colors, as [LEGO color id, name, hex].
+ */
+const LEGO_COLORS = [
+  ['1', 'White', '#f4f4f4'],
+  ['26', 'Black', '#1b2a34'],
+  ['194', 'Medium Stone Grey', '#a0a5a9'],
+  ['199', 'Dark Stone Grey', '#6c6e68'],
+  ['21', 'Bright Red', '#c91a09'],
+  ['154', 'Dark Red', '#720e0f'],
+  ['353', 'Vibrant Coral', '#ff698f'],
+  ['222', 'Light Purple', '#e4adc8'],
+  ['221', 'Bright Purple', '#c870a0'],
+  ['124', 'Bright Reddish Violet', '#923978'],
+  ['324', 'Medium Lavender', '#ac78ba'],
+  ['325', 'Lavender', '#e1d5ed'],
+  ['268', 'Medium Lilac', '#3f3691'],
+  ['106', 'Bright Orange', '#fe8a18'],
+  ['38', 'Dark Orange', '#a95500'],
+  ['191', 'Flame Yellowish Orange', '#f8bb3d'],
+  ['24', 'Bright Yellow', '#f2cd37'],
+  ['226', 'Cool Yellow', '#fff03a'],
+  ['5', 'Brick Yellow', '#e4cd9e'],
+  ['138', 'Sand Yellow', '#958a73'],
+  ['283', 'Light Nougat', '#fcc39e'],
+  ['18', 'Nougat', '#d09168'],
+  ['312', 'Medium Nougat', '#aa7d55'],
+  ['192', 'Reddish Brown', '#582a12'],
+  ['308', 'Dark Brown', '#352100'],
+  ['119', 'Bright Yellowish Green', '#bbe90b'],
+  ['326', 'Spring Yellowish Green', '#dfeea5'],
+  ['37', 'Bright Green', '#4b9f4a'],
+  ['28', 'Dark Green', '#237841'],
+  ['141', 'Earth Green', '#184632'],
+  ['151', 'Sand Green', '#a0bcac'],
+  ['330', 'Olive Green', '#9b9a5a'],
+  ['323', 'Aqua', '#b3d7d1'],
+  ['107', 'Bright Bluish Green', '#008f9b'],
+  ['322', 'Medium Azur', '#36aebf'],
+  ['321', 'Dark Azur', '#078bc9'],
+  ['212', 'Light Royal Blue', '#9fc3e9'],
+  ['102', 'Medium Blue', '#5a93db'],
+  ['23', 'Bright Blue', '#0055bf'],
+  ['140', 'Earth Blue', '#0a3463'],
+  ['135', 'Sand Blue', '#6074a1']
+];
+
+/**
+ * Perler fuse bead colors, as [code, name, hex].
+ */
+const PERLER_COLORS = [
+  ['P01', 'White', '#f1f1f1'],
+  ['P02', 'Cream', '#e0dea9'],
+  ['P03', 'Yellow', '#ecd800'],
+  ['P04', 'Orange', '#ed6120'],
+  ['P05', 'Red', '#bf2633'],
+  ['P06', 'Bubblegum', '#dd6698'],
+  ['P07', 'Purple', '#604089'],
+  ['P08', 'Dark Blue', '#2b3f87'],
+  ['P09', 'Light Blue', '#3370c0'],
+  ['P10', 'Dark Green', '#1c753e'],
+  ['P11', 'Light Green', '#56ba9f'],
+  ['P12', 'Brown', '#513931'],
+  ['P17', 'Grey', '#8a8d91'],
+  ['P18', 'Black', '#2e2f32'],
+  ['P20', 'Rust', '#8c3a35'],
+  ['P21', 'Light Brown', '#815d34'],
+  ['P33', 'Peach', '#eebab2'],
+  ['P35', 'Tan', '#cdad8b'],
+  ['P38', 'Magenta', '#f22a7b'],
+  ['P53', 'Pastel Green', '#76c882'],
+  ['P54', 'Pastel Lavender', '#8a72c1'],
+  ['P56', 'Pastel Yellow', '#fdf584'],
+  ['P57', 'Cheddar', '#f1aa0c'],
+  ['P58', 'Toothpaste', '#b0e8d5'],
+  ['P59', 'Hot Coral', '#ff3d5a'],
+  ['P60', 'Plum', '#a24b9c'],
+  ['P61', 'Kiwi Lime', '#7ad03c'],
+  ['P62', 'Turquoise', '#0097cb'],
+  ['P63', 'Blush', '#ff9197'],
+  ['P70', 'Periwinkle', '#87a6e4'],
+  ['P79', 'Light Pink', '#f3c4d0'],
+  ['P83', 'Pink', '#e44e9b'],
+  ['P88', 'Raspberry', '#a3315c'],
+  ['P90', 'Butterscotch', '#cf8c39'],
+  ['P92', 'Dark Grey', '#4f5355'],
+  ['P93', 'Blueberry Cream', '#86a8d9'],
+  ['P96', 'Cranapple', '#7d2929'],
+  ['P97', 'Prickly Pear', '#bed650']
+];
+
+/**
+ * Built-in part catalogs, keyed by name. `shape` selects how previews draw
+ * the parts: 'stud' for plates seen from above, 'bead' for fused beads.
+ */
+const CATALOGS = {
+  lego: { brand: 'LEGO', shape: 'stud', colors: LEGO_COLORS },
+  perler: { brand: 'Perler', shape: 'bead', colors: PERLER_COLORS }
+};
+
+/**
+ * Names of the built-in part catalogs.
+ */
+export const PART_CATALOGS = Object.keys(CATALOGS);
+
+/**
+ * Part shapes mosaic previews can draw.
+ */
+export const PART_SHAPES = ['stud', 'bead'];
+
+/**
+ * Looks up a catalog entry, throwing for unknown names.
+ */
+function getCatalog(catalog) {
+  const entry = CATALOGS[String(catalog).toLowerCase()];
+  if (!entry) {
+    throw new Error(`Unknown part catalog: ${catalog}. Available catalogs: ${PART_CATALOGS.join(', ')}`);
+  }
+  return entry;
+}
+
+/**
+ * Returns a part catalog as palette colors. Each entry carries the part's
+ * brand, code and name next to its color, and can be passed to the `palette`
+ * option of the pixelation functions as is.
+ *
+ * @param {string} catalog - Catalog name: 'lego' or 'perler' (case insensitive)
+ * @returns {Array<Object>} Parts [{r, g, b, brand, code, name}, ...]
+ */
+export function getPartPalette(catalog) {
+  const { brand, colors } = getCatalog(catalog);
+  return colors.map(([code, name, hex]) => {
+    const value = parseInt(hex.slice(1), 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255, brand, code, name };
+  });
+}
+
+/**
+ * Returns the part shape of a catalog ('stud' or 'bead').
+ *
+ * @param {string} catalog - Catalog name
+ * @returns {string} Part shape
+ */
+export function getPartShape(catalog) {
+  return getCatalog(catalog).shape;
+}
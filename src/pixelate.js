@@ -6,7 +6,7 @@
 
 import { calculateEdgeMap } from './edgeDetection.js';
 import { calculateEdgeMapWebGL } from './webglEdgeDetection.js';
-import { createInitialGrid, optimizeGridCorners, renderGrid } from './gridOptimization.js';
+import { createInitialGrid, optimizeGridCorners, renderGrid, renderGridCells } from './gridOptimization.js';
 import {
   edgeMapToCanvas,
   createGrayscaleCanvas,
@@ -15,6 +15,38 @@ import {
   cloneGridCorners
 } from './visualization.js';
 import { pipe } from './pipeline.js';
+import { selectPalette, mapToPaletteIndexed, concatImageData } from './quantization.js';
+import { ditherImageIndexed } from './dithering.js';
+import { mixColors, averageColors } from './color.js';
+import { upscalePixelArt } from './upscale.js';
+import { createSurface, createImageData, isImageData, getImageSize, convertToImageData } from './surface.js';
+import { getTileLayout, cropImageData, calculateEdgeStatistics, calculateTileEdgeMap } from './tiling.js';
+import { throwIfAborted, yieldIfAbortable, createProgressReporter } from './progress.js';
+
+// Rough share of run time per stage, for progress fractions
+const EDGE_AWARE_STAGE_WEIGHTS = {
+  'edge-detection': 30,
+  'grid-creation': 1,
+  'grid-optimization': 50,
+  rendering: 12,
+  contrast: 2,
+  quantization: 5
+};
+
+// Tiled runs skip the grid stages; edge detection covers the threshold pass
+const TILED_STAGE_WEIGHTS = {
+  'edge-detection': 45,
+  rendering: 47,
+  contrast: 2,
+  quantization: 6
+};
+
+// Tiled spline rendering samples uniform rectangles and needs no edge map
+const TILED_SPLINE_STAGE_WEIGHTS = {
+  rendering: 92,
+  contrast: 2,
+  quantization: 6
+};
 
 /**
  * Pixelates an image by scaling it down and then back up with nearest-neighbor interpolation.
@@ -25,27 +57,98 @@ import { pipe } from './pipeline.js';
  * @param {Object} options - Optional configuration
  * @param {boolean} options.returnCanvas - If true, returns canvas element; otherwise returns ImageData
  * @param {number} options.colorLimit - Limit the number of colors (optional, for color quantization)
+ * @param {string|Array} options.palette - Fixed palette to map colors onto (built-in name or color array)
+ * @param {string} options.quantizer - Palette generation algorithm: 'diverse', 'median-cut', 'octree', 'wu' or 'kmeans' (default: 'diverse')
+ * @param {number} options.kmeansIterations - Maximum k-means refinement iterations (default: 10)
+ * @param {number} options.seed - Random seed for k-means initialization (default: 1)
+ * @param {string} options.colorSpace - Color space for palette selection and matching: 'rgb', 'oklab', 'lab76' or 'ciede2000' (default: 'rgb')
+ * @param {string} options.dither - Dither mode: 'none', 'floyd-steinberg', 'atkinson', 'sierra', 'jarvis-judice-ninke', 'bayer2', 'bayer4', 'bayer8' or 'blue-noise' (default: 'none')
+ * @param {number} options.ditherStrength - Dither strength (0-1, default: 1)
+ * @param {boolean} options.serpentine - Alternate scan direction per row for error diffusion (default: true)
+ * @param {Array} options.lockedColors - Colors that are always included in the palette (e.g. outline black, brand colors)
+ * @param {number} options.reservedSlots - Palette slots to leave unused, e.g. for a transparent key (default: 0)
+ * @param {number} options.alphaThreshold - Snap each cell's alpha to 0 or 255 at this cutoff (0-255, default: null, keep partial alpha)
+ * @param {boolean} options.linearLight - Average and blend colors in linear light instead of sRGB (default: false)
+ * @param {Object} options.gridSize - Exact grid size { cols, rows }, e.g. a stud or bead count; pixelSize is
+ *   ignored when set and cells may be non-square (default: null)
+ * @param {string|number|Object} options.outputScale - Output size: 'native' for one pixel per cell (cols x rows),
+ *   an integer factor (cols * n x rows * n), or { width, height } (default: null, source resolution)
+ * @param {string} options.upscaler - Pixel-art filter applied to the native-resolution result: 'epx', 'scale2x',
+ *   'scale3x', 'eagle', 'hq2x', 'hq3x', 'hq4x' or 'xbr' (default: null). outputScale then scales the filtered image
+ * @param {boolean} options.returnIndexed - If true, returns { imageData, canvas, palette, indices, cols, rows }
+ *   where indices holds one palette index per cell, row-major (canvas is null unless returnCanvas is set, default: false)
  * @param {number} options.contrast - Contrast adjustment (0-2, where 1 is no change, default: 1)
- * @returns {HTMLCanvasElement|ImageData} Pixelated image
+ * @returns {HTMLCanvasElement|ImageData|Object} Pixelated image, or indexed result object if returnIndexed is true
  */
 export function pixelateImage(image, pixelSize, options = {}) {
+  const { linearLight = false, gridSize = null } = options;
+
+  // Downscale the image
+  return pixelateDownscaled(downscaleImageStep(image, pixelSize, { linearLight, gridSize }), options);
+}
+
+/**
+ * Runs the rest of the simple pipeline (alpha threshold, quantization, upscaling
+ * and contrast) on an image that downscaleImageStep has already downscaled.
+ *
+ * @param {Object} downscaleContext - Result of downscaleImageStep
+ * @param {Object} options - pixelateImage options
+ * @returns {HTMLCanvasElement|ImageData|Object} See pixelateImage
+ */
+function pixelateDownscaled(downscaleContext, options) {
   const {
     returnCanvas = false,
     colorLimit = null,
+    palette = null,
+    quantizer = 'diverse',
+    kmeansIterations = 10,
+    seed = 1,
+    colorSpace = 'rgb',
+    dither = 'none',
+    ditherStrength = 1,
+    serpentine = true,
+    lockedColors = null,
+    reservedSlots = 0,
+    alphaThreshold = null,
+    linearLight = false,
+    outputScale = null,
+    upscaler = null,
+    returnIndexed = false,
     contrast = 1.0
   } = options;
 
-  // Convert to ImageData if needed
-  let imageData = image instanceof ImageData ? image : convertToImageData(image);
-
-  // Downscale the image
-  const downscaleContext = downscaleImageStep(image, pixelSize);
-  let scaledImageData = downscaleContext.scaledImageData;
+  let scaledImageData = applyAlphaThresholdStep(downscaleContext.scaledImageData, alphaThreshold);
 
   // Apply color quantization if requested
-  if (colorLimit && colorLimit > 0) {
-    scaledImageData = quantizeColorsStep(scaledImageData, colorLimit);
-    // Put quantized imageData back onto tempCanvas so it's used when upscaling
+  let indexed = { palette: null, indices: null };
+  if (palette || (colorLimit && colorLimit > 0)) {
+    indexed = quantizeColorsStep(scaledImageData, colorLimit, {
+      palette, quantizer, kmeansIterations, seed, colorSpace, dither, ditherStrength, serpentine,
+      lockedColors, reservedSlots, returnIndexed: true
+    });
+    scaledImageData = indexed.imageData;
+  }
+
+  if (outputScale !== null || upscaler !== null) {
+    // The scaled image already has one pixel per cell; skip upscaling to source size
+    const upscaled = applyUpscalerStep(scaledImageData, upscaler, linearLight);
+    const outputImageData = adjustContrastStep(applyOutputScaleStep(upscaled, outputScale), contrast);
+
+    if (returnIndexed) {
+      return {
+        imageData: outputImageData,
+        canvas: returnCanvas ? convertToCanvasStep(outputImageData, true) : null,
+        palette: indexed.palette,
+        indices: indexed.indices,
+        cols: scaledImageData.width,
+        rows: scaledImageData.height
+      };
+    }
+    return convertToCanvasStep(outputImageData, returnCanvas);
+  }
+
+  if (scaledImageData !== downscaleContext.scaledImageData) {
+    // Put processed imageData back onto tempCanvas so it's used when upscaling
     const tempCtx = downscaleContext.scaledCanvas.getContext('2d');
     tempCtx.putImageData(scaledImageData, 0, 0);
     downscaleContext.scaledImageData = scaledImageData;
@@ -61,6 +164,17 @@ export function pixelateImage(image, pixelSize, options = {}) {
     outputCanvas.getContext('2d').putImageData(finalImageData, 0, 0);
   }
 
+  if (returnIndexed) {
+    return {
+      imageData: outputCanvas.getContext('2d').getImageData(0, 0, outputCanvas.width, outputCanvas.height),
+      canvas: returnCanvas ? outputCanvas : null,
+      palette: indexed.palette,
+      indices: indexed.indices,
+      cols: scaledImageData.width,
+      rows: scaledImageData.height
+    };
+  }
+
   // Convert to ImageData if needed
   if (!returnCanvas) {
     return outputCanvas.getContext('2d').getImageData(0, 0, outputCanvas.width, outputCanvas.height);
@@ -77,11 +191,14 @@ export function pixelateImage(image, pixelSize, options = {}) {
  * @param {Float32Array} edgeMap - Edge strength map
  * @param {number} pixelSize - Size of each pixel block
  * @param {number} edgeSharpness - Edge sharpness (0-1), controls blend between average and median
+ * @param {boolean} linearLight - Average and blend colors in linear light (default: false)
+ * @param {boolean} native - Write one pixel per block instead of full-size blocks (default: false)
  * @returns {ImageData} Pixelated image data
  */
-function renderEdgeAwarePixels(imageData, edgeMap, pixelSize, edgeSharpness) {
+function renderEdgeAwarePixels(imageData, edgeMap, pixelSize, edgeSharpness, linearLight = false, native = false) {
   const { width, height, data } = imageData;
-  const output = new ImageData(width, height);
+  const cols = Math.ceil(width / pixelSize);
+  const output = native ? createImageData(cols, Math.ceil(height / pixelSize)) : createImageData(width, height);
   const outputData = output.data;
 
   // Process each pixel block
@@ -125,18 +242,22 @@ function renderEdgeAwarePixels(imageData, edgeMap, pixelSize, edgeSharpness) {
           blockColor = medianColor;
         } else {
           // Blend between average and median based on sharpness
-          const avgColor = getAverageColor(colors);
+          const avgColor = averageColors(colors, linearLight);
           const blend = edgeSharpness * edgeStrength;
-          blockColor = {
-            r: Math.round(avgColor.r * (1 - blend) + medianColor.r * blend),
-            g: Math.round(avgColor.g * (1 - blend) + medianColor.g * blend),
-            b: Math.round(avgColor.b * (1 - blend) + medianColor.b * blend),
-            a: Math.round(avgColor.a * (1 - blend) + medianColor.a * blend)
-          };
+          blockColor = mixColors(avgColor, medianColor, blend, linearLight);
         }
       } else {
         // Use average color for blocks without edges (smoother)
-        blockColor = getAverageColor(colors);
+        blockColor = averageColors(colors, linearLight);
+      }
+
+      if (native) {
+        const idx = ((blockY / pixelSize) * cols + blockX / pixelSize) * 4;
+        outputData[idx] = blockColor.r;
+        outputData[idx + 1] = blockColor.g;
+        outputData[idx + 2] = blockColor.b;
+        outputData[idx + 3] = blockColor.a;
+        continue;
       }
 
       // Fill the block with the calculated color
@@ -155,36 +276,23 @@ function renderEdgeAwarePixels(imageData, edgeMap, pixelSize, edgeSharpness) {
   return output;
 }
 
-/**
- * Calculates average color from an array of colors.
- */
-function getAverageColor(colors) {
-  let r = 0, g = 0, b = 0, a = 0;
-  for (const c of colors) {
-    r += c.r;
-    g += c.g;
-    b += c.b;
-    a += c.a;
-  }
-  const n = colors.length;
-  return {
-    r: Math.round(r / n),
-    g: Math.round(g / n),
-    b: Math.round(b / n),
-    a: Math.round(a / n)
-  };
-}
-
 /**
  * Calculates median color from an array of colors.
  * Uses luminance-sorted median for better edge preservation.
+ * Only visible pixels are considered; if most pixels are fully transparent
+ * the median is transparent.
  */
 function getMedianColor(colors) {
   if (colors.length === 0) return { r: 0, g: 0, b: 0, a: 255 };
   if (colors.length === 1) return colors[0];
 
+  const visible = colors.filter(c => c.a > 0);
+  if (visible.length * 2 < colors.length) {
+    return { r: 0, g: 0, b: 0, a: 0 };
+  }
+
   // Sort by luminance
-  const sorted = [...colors].sort((a, b) => {
+  const sorted = visible.sort((a, b) => {
     const lumA = 0.299 * a.r + 0.587 * a.g + 0.114 * a.b;
     const lumB = 0.299 * b.r + 0.587 * b.g + 0.114 * b.b;
     return lumA - lumB;
@@ -194,143 +302,101 @@ function getMedianColor(colors) {
 }
 
 /**
- * Quantizes colors in an image to reduce the color palette.
- * Uses an improved algorithm that ensures color diversity.
+ * Returns the block layout of an edge-aware render: the block renderer uses
+ * fixed pixelSize blocks, the spline renderer divides the image evenly.
  *
- * @param {ImageData} imageData - Image data to quantize
- * @param {number} maxColors - Maximum number of colors to use
- * @returns {ImageData} Quantized image data
+ * @param {Object} grid - Grid with cols and rows
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} pixelSize - Size of each pixel block
+ * @param {boolean} useSplines - Whether the grid was rendered with renderGrid
+ * @returns {Object} Block layout {cols, rows, blockWidth, blockHeight}
  */
-function quantizeColors(imageData, maxColors) {
-  const data = new Uint8ClampedArray(imageData.data);
-  const width = imageData.width;
-  const height = imageData.height;
-
-  // Sample colors from the image (use every Nth pixel for performance)
-  const sampleStep = Math.max(1, Math.floor(Math.sqrt(width * height) / 100));
-  const colorSamples = [];
-
-  for (let i = 0; i < data.length; i += 4 * sampleStep) {
-    const r = data[i];
-    const g = data[i + 1];
-    const b = data[i + 2];
-    colorSamples.push({ r, g, b });
-  }
-
-  // Use k-means-like approach: initialize with diverse colors
-  const palette = [];
-
-  if (colorSamples.length <= maxColors) {
-    // Not enough unique colors, use all samples
-    const uniqueColors = new Map();
-    for (const color of colorSamples) {
-      const key = `${color.r},${color.g},${color.b}`;
-      if (!uniqueColors.has(key)) {
-        uniqueColors.set(key, color);
-        if (uniqueColors.size >= maxColors) break;
-      }
-    }
-    palette.push(...Array.from(uniqueColors.values()));
-  } else {
-    // Initialize palette with diverse colors using a simple approach
-    // First, add the most common color
-    const colorFreq = new Map();
-    for (const color of colorSamples) {
-      const key = `${color.r},${color.g},${color.b}`;
-      colorFreq.set(key, (colorFreq.get(key) || 0) + 1);
-    }
-
-    const sortedByFreq = Array.from(colorFreq.entries())
-      .sort((a, b) => b[1] - a[1])
-      .map(([key]) => {
-        const [r, g, b] = key.split(',').map(Number);
-        return { r, g, b };
-      });
-
-    // Add first color (most common)
-    palette.push(sortedByFreq[0]);
-
-    // Add remaining colors that are most different from existing palette
-    while (palette.length < maxColors && palette.length < sortedByFreq.length) {
-      let maxMinDist = -1;
-      let bestColor = null;
-
-      for (const candidate of sortedByFreq) {
-        // Skip if already in palette
-        if (palette.some(c => c.r === candidate.r && c.g === candidate.g && c.b === candidate.b)) {
-          continue;
-        }
-
-        // Find minimum distance to any color in current palette
-        let minDist = Infinity;
-        for (const paletteColor of palette) {
-          const dist = Math.sqrt(
-            Math.pow(candidate.r - paletteColor.r, 2) +
-            Math.pow(candidate.g - paletteColor.g, 2) +
-            Math.pow(candidate.b - paletteColor.b, 2)
-          );
-          if (dist < minDist) {
-            minDist = dist;
-          }
-        }
+function getCellLayout(grid, width, height, pixelSize, useSplines) {
+  const { cols, rows } = grid;
+  return useSplines
+    ? { cols, rows, blockWidth: width / cols, blockHeight: height / rows }
+    : { cols, rows, blockWidth: pixelSize, blockHeight: pixelSize };
+}
 
-        // Prefer colors that are most different from existing palette
-        if (minDist > maxMinDist) {
-          maxMinDist = minDist;
-          bestColor = candidate;
-        }
-      }
+/**
+ * Quantizes a block-rendered image at cell resolution and expands the
+ * result back to full size.
+ *
+ * @param {ImageData} imageData - Image made of uniform rectangular blocks
+ * @param {Object} layout - Block layout {cols, rows, blockWidth, blockHeight}
+ * @param {number} colorLimit - Maximum number of colors to use
+ * @param {Object} options - quantizeColorsStep options
+ * @returns {Object} { imageData, palette, indices } with one index per cell
+ */
+function quantizeCells(imageData, layout, colorLimit, options) {
+  const indexed = quantizeColorsStep(sampleCells(imageData, layout), colorLimit, { ...options, returnIndexed: true });
+  return {
+    ...indexed,
+    imageData: expandCells(indexed.imageData, layout, imageData.width, imageData.height)
+  };
+}
 
-      if (bestColor) {
-        palette.push(bestColor);
-      } else {
-        // If no more diverse colors, add remaining most common ones
-        for (const color of sortedByFreq) {
-          if (palette.length >= maxColors) break;
-          if (!palette.some(c => c.r === color.r && c.g === color.g && c.b === color.b)) {
-            palette.push(color);
-          }
-        }
-        break;
-      }
+/**
+ * Samples one pixel per block of a block-rendered image, producing an
+ * image with one pixel per logical cell.
+ *
+ * @param {ImageData} imageData - Image made of uniform rectangular blocks
+ * @param {Object} layout - Block layout {cols, rows, blockWidth, blockHeight}
+ * @returns {ImageData} Cell image (cols x rows)
+ */
+function sampleCells(imageData, layout) {
+  const { width, data } = imageData;
+  const { cols, rows, blockWidth, blockHeight } = layout;
+  const cells = createImageData(cols, rows);
+
+  for (let row = 0; row < rows; row++) {
+    const y = Math.floor(row * blockHeight);
+    for (let col = 0; col < cols; col++) {
+      const srcIdx = (y * width + Math.floor(col * blockWidth)) * 4;
+      const dstIdx = (row * cols + col) * 4;
+      cells.data[dstIdx] = data[srcIdx];
+      cells.data[dstIdx + 1] = data[srcIdx + 1];
+      cells.data[dstIdx + 2] = data[srcIdx + 2];
+      cells.data[dstIdx + 3] = data[srcIdx + 3];
     }
   }
 
-  // Ensure we have at least one color
-  if (palette.length === 0) {
-    palette.push({ r: 128, g: 128, b: 128 });
-  }
+  return cells;
+}
 
-  // Create output image data
-  const output = new ImageData(width, height);
+/**
+ * Expands a cell image back to full resolution blocks (inverse of sampleCells).
+ *
+ * @param {ImageData} cellImageData - Cell image (cols x rows)
+ * @param {Object} layout - Block layout {cols, rows, blockWidth, blockHeight}
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @returns {ImageData} Full resolution image
+ */
+function expandCells(cellImageData, layout, width, height) {
+  const { cols, rows, blockWidth, blockHeight } = layout;
+  const output = createImageData(width, height);
   const outputData = output.data;
 
-  // Map each pixel to nearest color in palette
-  for (let i = 0; i < data.length; i += 4) {
-    const r = data[i];
-    const g = data[i + 1];
-    const b = data[i + 2];
-    const a = data[i + 3];
-
-    // Find nearest color in palette
-    let minDist = Infinity;
-    let nearestColor = palette[0];
-    for (const color of palette) {
-      const dist = Math.sqrt(
-        Math.pow(r - color.r, 2) +
-        Math.pow(g - color.g, 2) +
-        Math.pow(b - color.b, 2)
-      );
-      if (dist < minDist) {
-        minDist = dist;
-        nearestColor = color;
+  for (let row = 0; row < rows; row++) {
+    const startY = Math.floor(row * blockHeight);
+    const endY = Math.min(Math.floor((row + 1) * blockHeight), height);
+    for (let col = 0; col < cols; col++) {
+      const startX = Math.floor(col * blockWidth);
+      const endX = Math.min(Math.floor((col + 1) * blockWidth), width);
+      const cellIdx = (row * cols + col) * 4;
+
+      for (let y = startY; y < endY; y++) {
+        for (let x = startX; x < endX; x++) {
+          const idx = (y * width + x) * 4;
+          outputData[idx] = cellImageData.data[cellIdx];
+          outputData[idx + 1] = cellImageData.data[cellIdx + 1];
+          outputData[idx + 2] = cellImageData.data[cellIdx + 2];
+          outputData[idx + 3] = cellImageData.data[cellIdx + 3];
+        }
       }
     }
-
-    outputData[i] = nearestColor.r;
-    outputData[i + 1] = nearestColor.g;
-    outputData[i + 2] = nearestColor.b;
-    outputData[i + 3] = a;
   }
 
   return output;
@@ -346,7 +412,7 @@ function quantizeColors(imageData, maxColors) {
  */
 function adjustContrast(imageData, contrast) {
   const data = imageData.data;
-  const output = new ImageData(imageData.width, imageData.height);
+  const output = createImageData(imageData.width, imageData.height);
   const outputData = output.data;
 
   for (let i = 0; i < data.length; i += 4) {
@@ -362,41 +428,88 @@ function adjustContrast(imageData, contrast) {
 }
 
 /**
- * STEP FUNCTIONS - Independent transformation steps that can be composed into pipelines
+ * Snaps alpha to fully opaque or fully transparent.
+ *
+ * @param {ImageData} imageData - Image data to adjust
+ * @param {number} alphaThreshold - Pixels with alpha >= threshold become opaque, others transparent
+ * @returns {ImageData} Adjusted image data
  */
+function applyAlphaThreshold(imageData, alphaThreshold) {
+  const data = imageData.data;
+  const output = createImageData(imageData.width, imageData.height);
+  const outputData = output.data;
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] >= alphaThreshold) {
+      outputData[i] = data[i];
+      outputData[i + 1] = data[i + 1];
+      outputData[i + 2] = data[i + 2];
+      outputData[i + 3] = 255;
+    }
+    // Transparent pixels stay (0, 0, 0, 0)
+  }
+
+  return output;
+}
 
 /**
- * Converts various image types to ImageData.
- * Can be used independently or as part of a pipeline.
+ * Resolves the outputScale option to an output size for a cols x rows cell image.
  *
- * @param {HTMLImageElement|HTMLCanvasElement|ImageData} image - Source image
- * @returns {ImageData} ImageData representation of the image
+ * @param {number} cols - Cells per row
+ * @param {number} rows - Number of rows
+ * @param {string|number|Object} outputScale - 'native', an integer factor, or { width, height }
+ * @returns {Object} Output size {width, height}
  */
-export function convertToImageData(image) {
-  if (image instanceof ImageData) {
-    return image;
+function resolveOutputSize(cols, rows, outputScale) {
+  if (outputScale === 'native') {
+    return { width: cols, height: rows };
+  }
+  if (Number.isInteger(outputScale) && outputScale >= 1) {
+    return { width: cols * outputScale, height: rows * outputScale };
   }
+  if (outputScale && Number.isInteger(outputScale.width) && Number.isInteger(outputScale.height) &&
+    outputScale.width >= 1 && outputScale.height >= 1) {
+    return { width: outputScale.width, height: outputScale.height };
+  }
+  throw new Error(`Invalid outputScale: ${JSON.stringify(outputScale)}. Use 'native', a positive integer, or { width, height }`);
+}
 
-  const canvas = document.createElement('canvas');
-  if (image instanceof HTMLCanvasElement) {
-    canvas.width = image.width;
-    canvas.height = image.height;
-    const ctx = canvas.getContext('2d');
-    ctx.drawImage(image, 0, 0);
-  } else if (image instanceof HTMLImageElement) {
-    const sourceWidth = image.naturalWidth || image.width;
-    const sourceHeight = image.naturalHeight || image.height;
-    canvas.width = sourceWidth;
-    canvas.height = sourceHeight;
-    const ctx = canvas.getContext('2d');
-    ctx.drawImage(image, 0, 0);
-  } else {
-    throw new Error('Unsupported image type. Use Image, Canvas, or ImageData.');
+/**
+ * Resizes an image with nearest-neighbor sampling.
+ *
+ * @param {ImageData} imageData - Source image data
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @returns {ImageData} Resized image data
+ */
+function scaleNearest(imageData, width, height) {
+  const { width: sourceWidth, height: sourceHeight, data } = imageData;
+  const output = createImageData(width, height);
+  const outputData = output.data;
+
+  for (let y = 0; y < height; y++) {
+    const sourceY = Math.min(sourceHeight - 1, Math.floor((y * sourceHeight) / height));
+    for (let x = 0; x < width; x++) {
+      const sourceX = Math.min(sourceWidth - 1, Math.floor((x * sourceWidth) / width));
+      const srcIdx = (sourceY * sourceWidth + sourceX) * 4;
+      const dstIdx = (y * width + x) * 4;
+      outputData[dstIdx] = data[srcIdx];
+      outputData[dstIdx + 1] = data[srcIdx + 1];
+      outputData[dstIdx + 2] = data[srcIdx + 2];
+      outputData[dstIdx + 3] = data[srcIdx + 3];
+    }
   }
 
-  return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  return output;
 }
 
+/**
+ * STEP FUNCTIONS - Independent transformation steps that can be composed into pipelines
+ */
+
+// convertToImageData lives with the surface code; it stays exported here as the first pipeline step
+export { convertToImageData };
+
 /**
  * Calculates edge map from image data (WebGL or CPU fallback).
  * Can be used independently or as part of a pipeline.
@@ -404,12 +517,16 @@ export function convertToImageData(image) {
  * @param {ImageData} imageData - Source image data
  * @param {Object} options - Edge detection options
  * @param {number} options.edgeSharpness - Edge sharpness level (0-1, default: 0.8)
- * @param {Function} options.onProgress - Optional callback for progress updates
+ * @param {Function} options.onProgress - Called when done with
+ *   { stage: 'edge-detection', iteration: null, fraction: 1, elapsedMs, usingGPU }
+ * @param {AbortSignal} options.signal - Optional abort signal; the returned promise rejects with its reason when aborted
  * @returns {Object} Object with edgeMap (Float32Array) and usingGPU (boolean)
  */
 export async function calculateEdgeMapStep(imageData, options = {}) {
-  const { edgeSharpness = 0.8, onProgress = null } = options;
+  const { edgeSharpness = 0.8, onProgress = null, signal = null } = options;
   const { width, height } = imageData;
+  const reportProgress = createProgressReporter(onProgress, { 'edge-detection': 1 });
+  throwIfAborted(signal);
 
   let edgeMap = null;
   let usingGPU = false;
@@ -438,7 +555,7 @@ export async function calculateEdgeMapStep(imageData, options = {}) {
         // If WebGL edge map appears completely empty, try CPU
         if (edgeCount === 0 && sampleSize > 100) {
           console.warn('WebGL edge map has no edges in sample, trying CPU');
-          const cpuEdgeMap = calculateEdgeMap(imageData, { edgeSharpness });
+          const cpuEdgeMap = calculateEdgeMap(imageData, { edgeSharpness, signal });
           let cpuEdgeCount = 0;
           const cpuStep = Math.max(1, Math.floor(cpuEdgeMap.length / sampleSize));
           for (let i = 0; i < cpuEdgeMap.length; i += cpuStep) {
@@ -455,6 +572,7 @@ export async function calculateEdgeMapStep(imageData, options = {}) {
       }
     }
   } catch (error) {
+    throwIfAborted(signal);
     console.error('WebGL edge detection error:', error);
     edgeMap = null;
     usingGPU = false;
@@ -462,12 +580,10 @@ export async function calculateEdgeMapStep(imageData, options = {}) {
 
   if (!edgeMap) {
     // WebGL not available or failed, use CPU implementation
-    edgeMap = calculateEdgeMap(imageData, { edgeSharpness });
+    edgeMap = calculateEdgeMap(imageData, { edgeSharpness, signal });
   }
 
-  if (onProgress) {
-    onProgress({ usingGPU });
-  }
+  reportProgress('edge-detection', 1, { usingGPU });
 
   return { edgeMap, usingGPU };
 }
@@ -497,6 +613,8 @@ export function createGridStep(imageData, pixelizationFactor) {
  * @param {boolean} options.useSplines - Whether to use B-spline curves for grid edges (default: false)
  * @param {number} options.splineDegree - B-spline degree (default: 2)
  * @param {number} options.splineSmoothness - Smoothness factor (0-1) for spline curves (default: 0.3)
+ * @param {Function} options.onProgress - Called after each iteration (see optimizeGridCorners)
+ * @param {AbortSignal} options.signal - Optional abort signal (see optimizeGridCorners)
  * @returns {Object} Optimized grid
  */
 export function optimizeGridStep(context, options = {}) {
@@ -508,7 +626,9 @@ export function optimizeGridStep(context, options = {}) {
     edgeSharpness = 0.8,
     useSplines = false,
     splineDegree = 2,
-    splineSmoothness = 0.3
+    splineSmoothness = 0.3,
+    onProgress = null,
+    signal = null
   } = options;
 
   if (!grid || !edgeMap || !imageData) {
@@ -529,7 +649,9 @@ export function optimizeGridStep(context, options = {}) {
     edgeSharpness,
     useSplines,
     splineDegree,
-    splineSmoothness
+    splineSmoothness,
+    onProgress,
+    signal
   });
 }
 
@@ -541,10 +663,27 @@ export function optimizeGridStep(context, options = {}) {
  * @param {Float32Array} edgeMap - Edge strength map
  * @param {number} pixelSize - Size of each pixel block
  * @param {number} edgeSharpness - Edge sharpness (0-1), controls blend between average and median
+ * @param {boolean} linearLight - Average and blend colors in linear light (default: false)
  * @returns {ImageData} Pixelated image data
  */
-export function renderEdgeAwarePixelsStep(imageData, edgeMap, pixelSize, edgeSharpness) {
-  return renderEdgeAwarePixels(imageData, edgeMap, pixelSize, edgeSharpness);
+export function renderEdgeAwarePixelsStep(imageData, edgeMap, pixelSize, edgeSharpness, linearLight = false) {
+  return renderEdgeAwarePixels(imageData, edgeMap, pixelSize, edgeSharpness, linearLight);
+}
+
+/**
+ * Renders edge-aware pixels at native resolution: one output pixel per
+ * block (ceil(width / pixelSize) x ceil(height / pixelSize)).
+ * Can be used independently or as part of a pipeline.
+ *
+ * @param {ImageData} imageData - Source image data
+ * @param {Float32Array} edgeMap - Edge strength map
+ * @param {number} pixelSize - Size of each pixel block
+ * @param {number} edgeSharpness - Edge sharpness (0-1), controls blend between average and median
+ * @param {boolean} linearLight - Average and blend colors in linear light (default: false)
+ * @returns {ImageData} Cell image (one pixel per block)
+ */
+export function renderEdgeAwareCellsStep(imageData, edgeMap, pixelSize, edgeSharpness, linearLight = false) {
+  return renderEdgeAwarePixels(imageData, edgeMap, pixelSize, edgeSharpness, linearLight, true);
 }
 
 /**
@@ -562,19 +701,94 @@ export function adjustContrastStep(imageData, contrast) {
   return adjustContrast(imageData, contrast);
 }
 
+/**
+ * Snaps alpha to fully opaque or fully transparent.
+ * Can be used independently or as part of a pipeline.
+ *
+ * @param {ImageData} imageData - Image data to adjust
+ * @param {number|null} alphaThreshold - Alpha cutoff (0-255); pixels at or above become opaque,
+ *   pixels below become transparent. null leaves the image unchanged.
+ * @returns {ImageData} Adjusted image data
+ */
+export function applyAlphaThresholdStep(imageData, alphaThreshold) {
+  if (alphaThreshold === null || alphaThreshold === undefined) {
+    return imageData;
+  }
+  return applyAlphaThreshold(imageData, alphaThreshold);
+}
+
+/**
+ * Scales a cell image (one pixel per cell) to the requested output size.
+ * Can be used independently or as part of a pipeline.
+ *
+ * @param {ImageData} cellImageData - Cell image (cols x rows)
+ * @param {string|number|Object|null} outputScale - 'native' (cols x rows), an integer factor
+ *   (cols * n x rows * n) or an explicit { width, height }. null and 'native' return the input.
+ * @returns {ImageData} Scaled image data (nearest-neighbor)
+ */
+export function applyOutputScaleStep(cellImageData, outputScale) {
+  if (outputScale === null || outputScale === undefined) {
+    return cellImageData;
+  }
+  const { width, height } = resolveOutputSize(cellImageData.width, cellImageData.height, outputScale);
+  if (width === cellImageData.width && height === cellImageData.height) {
+    return cellImageData;
+  }
+  return scaleNearest(cellImageData, width, height);
+}
+
+/**
+ * Enlarges a cell image (one pixel per cell) with a pixel-art scaling filter.
+ * Can be used independently or as part of a pipeline.
+ *
+ * @param {ImageData} cellImageData - Cell image (cols x rows)
+ * @param {string|null} upscaler - 'epx', 'scale2x', 'scale3x', 'eagle', 'hq2x', 'hq3x', 'hq4x' or 'xbr'.
+ *   null returns the input
+ * @param {boolean} linearLight - Blend colors in linear light (default: false)
+ * @returns {ImageData} Image data enlarged by the upscaler's factor
+ */
+export function applyUpscalerStep(cellImageData, upscaler, linearLight = false) {
+  if (upscaler === null || upscaler === undefined) {
+    return cellImageData;
+  }
+  return upscalePixelArt(cellImageData, upscaler, { linearLight });
+}
+
 /**
  * Quantizes colors in an image to reduce the color palette.
  * Can be used independently or as part of a pipeline.
  *
  * @param {ImageData} imageData - Image data to quantize
  * @param {number} colorLimit - Maximum number of colors to use
- * @returns {ImageData} Quantized image data
+ * @param {Object} options - Optional configuration
+ * @param {string|Array} options.palette - Fixed palette to map onto: a built-in palette name
+ *   (e.g. 'pico-8', 'gameboy', 'nes') or an array of colors. colorLimit is ignored when set.
+ * @param {string} options.quantizer - Palette generation algorithm: 'diverse', 'median-cut', 'octree', 'wu' or 'kmeans' (default: 'diverse')
+ * @param {number} options.kmeansIterations - Maximum k-means refinement iterations (default: 10)
+ * @param {number} options.seed - Random seed for k-means initialization (default: 1)
+ * @param {string} options.colorSpace - Color space for palette selection and matching: 'rgb', 'oklab', 'lab76' or 'ciede2000' (default: 'rgb')
+ * @param {string} options.dither - Dither mode: 'none', 'floyd-steinberg', 'atkinson', 'sierra', 'jarvis-judice-ninke', 'bayer2', 'bayer4', 'bayer8' or 'blue-noise' (default: 'none')
+ * @param {number} options.ditherStrength - Dither strength (0-1, default: 1)
+ * @param {boolean} options.serpentine - Alternate scan direction per row for error diffusion (default: true)
+ * @param {Array} options.lockedColors - Colors that are always included in the palette (e.g. outline black, brand colors)
+ * @param {number} options.reservedSlots - Palette slots to leave unused, e.g. for a transparent key (default: 0)
+ * @param {boolean} options.returnIndexed - If true, returns { imageData, palette, indices } instead of ImageData (default: false)
+ * @returns {ImageData|Object} Quantized image data, or { imageData, palette, indices } if returnIndexed is true
+ *   (palette and indices are null when no quantization was requested)
  */
-export function quantizeColorsStep(imageData, colorLimit) {
-  if (!colorLimit || colorLimit <= 0) {
-    return imageData;
+export function quantizeColorsStep(imageData, colorLimit, options = {}) {
+  const { palette = null, dither = 'none', returnIndexed = false } = options;
+
+  if (!palette && (!colorLimit || colorLimit <= 0)) {
+    return returnIndexed ? { imageData, palette: null, indices: null } : imageData;
   }
-  return quantizeColors(imageData, colorLimit);
+
+  const colors = selectPalette(imageData, colorLimit, options);
+  const result = dither && dither !== 'none'
+    ? ditherImageIndexed(imageData, colors, options)
+    : mapToPaletteIndexed(imageData, colors, options);
+
+  return returnIndexed ? result : result.imageData;
 }
 
 /**
@@ -583,16 +797,15 @@ export function quantizeColorsStep(imageData, colorLimit) {
  *
  * @param {ImageData} imageData - Image data to convert
  * @param {boolean} returnCanvas - If true, returns canvas element; otherwise returns ImageData
- * @returns {HTMLCanvasElement|ImageData} Canvas element or ImageData
+ * @returns {HTMLCanvasElement|PixelSurface|ImageData} Canvas (a PixelSurface on the pure surface
+ *   backend) or ImageData
  */
 export function convertToCanvasStep(imageData, returnCanvas = false) {
   if (!returnCanvas) {
     return imageData;
   }
 
-  const canvas = document.createElement('canvas');
-  canvas.width = imageData.width;
-  canvas.height = imageData.height;
+  const canvas = createSurface(imageData.width, imageData.height);
   const ctx = canvas.getContext('2d');
   ctx.putImageData(imageData, 0, 0);
   return canvas;
@@ -602,53 +815,57 @@ export function convertToCanvasStep(imageData, returnCanvas = false) {
  * Downscales an image by the specified pixel size.
  * Can be used independently or as part of a pipeline.
  *
+ * With linearLight, each scaled pixel is the linear-light average of its
+ * source block instead of a single nearest-neighbor sample.
+ *
  * @param {HTMLImageElement|HTMLCanvasElement|ImageData} image - Source image
  * @param {number} pixelSize - Size of each pixel block
+ * @param {Object} options - Optional configuration
+ * @param {boolean} options.linearLight - Box-average each block in linear light (default: false)
+ * @param {Object} options.gridSize - Exact scaled size { cols, rows } instead of one derived from
+ *   pixelSize (default: null)
  * @returns {Object} Object with scaledImageData (ImageData) and originalSize ({width, height})
  */
-export function downscaleImageStep(image, pixelSize) {
+export function downscaleImageStep(image, pixelSize, options = {}) {
+  const { linearLight = false, gridSize = null } = options;
+
   // Get image dimensions
-  let sourceWidth, sourceHeight;
-  if (image instanceof ImageData) {
-    sourceWidth = image.width;
-    sourceHeight = image.height;
-  } else if (image instanceof HTMLCanvasElement) {
-    sourceWidth = image.width;
-    sourceHeight = image.height;
-  } else if (image instanceof HTMLImageElement) {
-    sourceWidth = image.naturalWidth || image.width;
-    sourceHeight = image.naturalHeight || image.height;
-  } else {
-    throw new Error('Unsupported image type. Use Image, Canvas, or ImageData.');
-  }
+  const { width: sourceWidth, height: sourceHeight } = getImageSize(image);
 
   // Calculate scaled dimensions
-  const scaledWidth = Math.max(1, Math.floor(sourceWidth / pixelSize));
-  const scaledHeight = Math.max(1, Math.floor(sourceHeight / pixelSize));
+  if (gridSize && !(gridSize.cols >= 1 && gridSize.rows >= 1)) {
+    throw new Error('gridSize must have cols and rows of at least 1');
+  }
+  const scaledWidth = gridSize ? Math.floor(gridSize.cols) : Math.max(1, Math.floor(sourceWidth / pixelSize));
+  const scaledHeight = gridSize ? Math.floor(gridSize.rows) : Math.max(1, Math.floor(sourceHeight / pixelSize));
 
   // Create temporary canvas for downscaling
-  const tempCanvas = document.createElement('canvas');
-  tempCanvas.width = scaledWidth;
-  tempCanvas.height = scaledHeight;
+  const tempCanvas = createSurface(scaledWidth, scaledHeight);
   const tempCtx = tempCanvas.getContext('2d');
 
   // Disable image smoothing for pixelated effect
   tempCtx.imageSmoothingEnabled = false;
 
-  // Draw source image scaled down
-  if (image instanceof ImageData) {
-    // Create a temporary canvas to draw ImageData
-    const sourceCanvas = document.createElement('canvas');
-    sourceCanvas.width = sourceWidth;
-    sourceCanvas.height = sourceHeight;
-    const sourceCtx = sourceCanvas.getContext('2d');
-    sourceCtx.putImageData(image, 0, 0);
-    tempCtx.drawImage(sourceCanvas, 0, 0, scaledWidth, scaledHeight);
+  let scaledImageData;
+  if (linearLight) {
+    // Average each block in linear light; the canvas would only pick one sample
+    const sourceImageData = convertToImageData(image);
+    scaledImageData = boxDownscale(sourceImageData, scaledWidth, scaledHeight, true);
+    tempCtx.putImageData(scaledImageData, 0, 0);
   } else {
-    tempCtx.drawImage(image, 0, 0, scaledWidth, scaledHeight);
-  }
+    // Draw source image scaled down
+    if (isImageData(image)) {
+      // Create a temporary canvas to draw ImageData
+      const sourceCanvas = createSurface(sourceWidth, sourceHeight);
+      const sourceCtx = sourceCanvas.getContext('2d');
+      sourceCtx.putImageData(image, 0, 0);
+      tempCtx.drawImage(sourceCanvas, 0, 0, scaledWidth, scaledHeight);
+    } else {
+      tempCtx.drawImage(image, 0, 0, scaledWidth, scaledHeight);
+    }
 
-  const scaledImageData = tempCtx.getImageData(0, 0, scaledWidth, scaledHeight);
+    scaledImageData = tempCtx.getImageData(0, 0, scaledWidth, scaledHeight);
+  }
 
   return {
     scaledImageData,
@@ -657,12 +874,49 @@ export function downscaleImageStep(image, pixelSize) {
   };
 }
 
+/**
+ * Downscales image data by averaging the block of source pixels that maps
+ * onto each output pixel.
+ *
+ * @param {ImageData} imageData - Source image data
+ * @param {number} scaledWidth - Output width
+ * @param {number} scaledHeight - Output height
+ * @param {boolean} linearLight - Average in linear light
+ * @returns {ImageData} Downscaled image data
+ */
+function boxDownscale(imageData, scaledWidth, scaledHeight, linearLight) {
+  const { width, height, data } = imageData;
+  const output = createImageData(scaledWidth, scaledHeight);
+
+  for (let row = 0; row < scaledHeight; row++) {
+    const startY = Math.floor(row * height / scaledHeight);
+    const endY = Math.max(startY + 1, Math.floor((row + 1) * height / scaledHeight));
+    for (let col = 0; col < scaledWidth; col++) {
+      const startX = Math.floor(col * width / scaledWidth);
+      const endX = Math.max(startX + 1, Math.floor((col + 1) * width / scaledWidth));
+
+      const colors = [];
+      for (let y = startY; y < endY; y++) {
+        for (let x = startX; x < endX; x++) {
+          const idx = (y * width + x) * 4;
+          colors.push({ r: data[idx], g: data[idx + 1], b: data[idx + 2], a: data[idx + 3] });
+        }
+      }
+
+      const color = averageColors(colors, linearLight);
+      output.data.set([color.r, color.g, color.b, color.a], (row * scaledWidth + col) * 4);
+    }
+  }
+
+  return output;
+}
+
 /**
  * Upscales a scaled image back to original size.
  * Can be used independently or as part of a pipeline.
  *
  * @param {Object} context - Context from downscaleImageStep containing scaledImageData, originalSize, and scaledCanvas
- * @returns {HTMLCanvasElement} Upscaled canvas
+ * @returns {HTMLCanvasElement|PixelSurface} Upscaled canvas (a PixelSurface on the pure surface backend)
  */
 export function upscaleImageStep(context) {
   const { scaledImageData, originalSize, scaledCanvas } = context;
@@ -672,9 +926,7 @@ export function upscaleImageStep(context) {
   }
 
   // Create output canvas for upscaling
-  const outputCanvas = document.createElement('canvas');
-  outputCanvas.width = originalSize.width;
-  outputCanvas.height = originalSize.height;
+  const outputCanvas = createSurface(originalSize.width, originalSize.height);
   const outputCtx = outputCanvas.getContext('2d');
 
   // Disable smoothing for crisp pixel edges
@@ -686,6 +938,127 @@ export function upscaleImageStep(context) {
   return outputCanvas;
 }
 
+/**
+ * Tiled variant of pixelateImageEdgeAware for very large images. Neither
+ * renderer reads the optimized grid corners - the block renderer samples
+ * pixelSize blocks and the spline renderer uniform rectangles - so the grid
+ * is not optimized here and the result matches untiled processing exactly.
+ * The block renderer needs edge maps: the edge threshold is gathered across
+ * all tiles first, then each tile gets its edge map and is rendered at one
+ * pixel per block into a shared cell image. Tiles are aligned to whole
+ * blocks, so only one tile's edge buffers exist at a time. The spline
+ * renderer samples a tile of cells at a time and needs no edge map.
+ * Progress is reported for edge detection (block renderer only), each
+ * rendered tile (with iteration set to the tile number), contrast and
+ * quantization.
+ *
+ * @param {HTMLImageElement|HTMLCanvasElement|ImageData} image - Source image
+ * @param {number} pixelSize - Size of each pixel block (integer)
+ * @param {Object} options - pixelateImageEdgeAware options
+ * @returns {Promise<HTMLCanvasElement|ImageData|Object>} Same result as pixelateImageEdgeAware
+ */
+async function pixelateEdgeAwareTiled(image, pixelSize, options) {
+  const {
+    returnCanvas = false,
+    onProgress = null,
+    colorLimit = null,
+    palette = null,
+    alphaThreshold = null,
+    linearLight = false,
+    outputScale = null,
+    upscaler = null,
+    returnIndexed = false,
+    contrast = 1.0,
+    edgeSharpness = 0.8,
+    captureIntermediates = false,
+    useSplines = false,
+    tileSize,
+    signal = null
+  } = options;
+
+  if (!Number.isInteger(pixelSize) || pixelSize < 1) {
+    throw new Error('Tiled processing requires a positive integer pixel size');
+  }
+  if (captureIntermediates) {
+    throw new Error('captureIntermediates is not supported with tileSize');
+  }
+
+  const imageData = convertToImageData(image);
+  const { width, height } = imageData;
+  const cols = Math.ceil(width / pixelSize);
+  const rows = Math.ceil(height / pixelSize);
+  const layout = getCellLayout({ cols, rows }, width, height, pixelSize, useSplines);
+
+  const reportProgress = createProgressReporter(onProgress, useSplines ? TILED_SPLINE_STAGE_WEIGHTS : TILED_STAGE_WEIGHTS);
+
+  // Render every tile at one pixel per block into the shared cell image
+  let cellImageData = createImageData(cols, rows);
+  const copyCells = (cells, col, row) => {
+    for (let y = 0; y < cells.height; y++) {
+      const start = y * cells.width * 4;
+      cellImageData.data.set(cells.data.subarray(start, start + cells.width * 4), ((row + y) * cols + col) * 4);
+    }
+  };
+
+  if (useSplines) {
+    const cellTiles = getTileLayout(cols, rows, Math.max(1, Math.floor(tileSize / pixelSize)));
+    for (const [index, cellTile] of cellTiles.entries()) {
+      await yieldIfAbortable(signal);
+      copyCells(renderGridCells({ cols, rows }, imageData, edgeSharpness, linearLight, cellTile), cellTile.x, cellTile.y);
+      reportProgress('rendering', (index + 1) / cellTiles.length, { iteration: index + 1, usingGPU: false });
+    }
+  } else {
+    const statistics = calculateEdgeStatistics(imageData, { edgeSharpness, tileSize, signal });
+    reportProgress('edge-detection', 1, { usingGPU: false });
+    await yieldIfAbortable(signal);
+
+    const tiles = getTileLayout(width, height, tileSize, pixelSize);
+    for (const [index, tile] of tiles.entries()) {
+      await yieldIfAbortable(signal);
+      const tileImageData = cropImageData(imageData, tile.x, tile.y, tile.width, tile.height);
+      const edgeMap = calculateTileEdgeMap(imageData, tile, statistics, signal);
+      const cells = renderEdgeAwareCellsStep(tileImageData, edgeMap, pixelSize, edgeSharpness, linearLight);
+      copyCells(cells, tile.x / pixelSize, tile.y / pixelSize);
+      reportProgress('rendering', (index + 1) / tiles.length, { iteration: index + 1, usingGPU: false });
+    }
+  }
+
+  // Per-pixel adjustments and quantization give the same result on cells as on full-size blocks
+  cellImageData = applyAlphaThresholdStep(adjustContrastStep(cellImageData, contrast), alphaThreshold);
+  reportProgress('contrast', 1, { usingGPU: false });
+  await yieldIfAbortable(signal);
+
+  let indexed = { palette: null, indices: null };
+  if (palette || (colorLimit && colorLimit > 0)) {
+    indexed = quantizeColorsStep(cellImageData, colorLimit, { ...options, returnIndexed: true });
+    cellImageData = indexed.imageData;
+  }
+
+  const outputImageData = outputScale !== null || upscaler !== null
+    ? applyOutputScaleStep(applyUpscalerStep(cellImageData, upscaler, linearLight), outputScale)
+    : expandCells(cellImageData, layout, width, height);
+
+  reportProgress('quantization', 1, { usingGPU: false });
+
+  const outputCanvas = returnCanvas ? convertToCanvasStep(outputImageData, true) : null;
+  if (outputCanvas) {
+    outputCanvas._usingGPU = false;
+  }
+
+  if (returnIndexed) {
+    return {
+      imageData: outputImageData,
+      canvas: outputCanvas,
+      palette: indexed.palette,
+      indices: indexed.indices,
+      cols,
+      rows
+    };
+  }
+
+  return returnCanvas ? outputCanvas : outputImageData;
+}
+
 /**
  * Loads an image from a URL or file and returns a promise that resolves with the image element.
  *
@@ -702,12 +1075,41 @@ export function upscaleImageStep(context) {
  * @param {number} options.searchSteps - Number of search steps per corner (default: 9)
  * @param {number} options.numIterations - Number of optimization iterations (default: 2)
  * @param {number} options.contrast - Contrast adjustment (0-2, where 1 is no change, default: 1)
+ * @param {number} options.colorLimit - Limit the number of colors (optional, for color quantization)
+ * @param {string|Array} options.palette - Fixed palette to map colors onto (built-in name or color array)
+ * @param {string} options.quantizer - Palette generation algorithm: 'diverse', 'median-cut', 'octree', 'wu' or 'kmeans' (default: 'diverse')
+ * @param {number} options.kmeansIterations - Maximum k-means refinement iterations (default: 10)
+ * @param {number} options.seed - Random seed for k-means initialization (default: 1)
+ * @param {string} options.colorSpace - Color space for palette selection and matching: 'rgb', 'oklab', 'lab76' or 'ciede2000' (default: 'rgb')
+ * @param {string} options.dither - Dither mode: 'none', 'floyd-steinberg', 'atkinson', 'sierra', 'jarvis-judice-ninke', 'bayer2', 'bayer4', 'bayer8' or 'blue-noise' (default: 'none')
+ * @param {number} options.ditherStrength - Dither strength (0-1, default: 1)
+ * @param {boolean} options.serpentine - Alternate scan direction per row for error diffusion (default: true)
+ * @param {Array} options.lockedColors - Colors that are always included in the palette (e.g. outline black, brand colors)
+ * @param {number} options.reservedSlots - Palette slots to leave unused, e.g. for a transparent key (default: 0)
+ * @param {number} options.alphaThreshold - Snap each cell's alpha to 0 or 255 at this cutoff (0-255, default: null, keep partial alpha)
+ * @param {boolean} options.linearLight - Average and blend colors in linear light instead of sRGB (default: false)
+ * @param {string|number|Object} options.outputScale - Output size: 'native' for one pixel per cell (cols x rows),
+ *   an integer factor (cols * n x rows * n), or { width, height } (default: null, source resolution)
+ * @param {string} options.upscaler - Pixel-art filter applied to the native-resolution result: 'epx', 'scale2x',
+ *   'scale3x', 'eagle', 'hq2x', 'hq3x', 'hq4x' or 'xbr' (default: null). outputScale then scales the filtered image
+ * @param {boolean} options.returnIndexed - If true, returns { imageData, canvas, palette, indices, cols, rows }
+ *   where indices holds one palette index per grid cell, row-major (canvas is null unless returnCanvas is set, default: false).
+ *   With captureIntermediates, palette, indices, cols and rows are added to that result instead.
  * @param {number} options.edgeSharpness - Edge sharpness level (0-1, default: 0.8). Higher values create sharper, cleaner edges
  * @param {boolean} options.captureIntermediates - If true, returns object with intermediates for visualization
  * @param {boolean} options.useSplines - Whether to use B-spline curves for grid edges (default: false)
  * @param {number} options.splineDegree - B-spline degree (default: 2)
  * @param {number} options.splineSmoothness - Smoothness factor (0-1) for spline curves (default: 0.3)
- * @returns {HTMLCanvasElement|ImageData|Object} Pixelated image, or object with canvas and intermediates if captureIntermediates is true
+ * @param {number} options.tileSize - Process the image in tiles of about this size (pixels per side) to bound memory
+ *   on very large images; the result is identical to untiled processing. Grid corners are not optimized, since neither
+ *   renderer reads them; edge detection runs on the CPU, and captureIntermediates is not supported
+ *   (default: null, whole image at once)
+ * @param {Function} options.onProgress - Called as each stage finishes with { stage, iteration, fraction, elapsedMs, usingGPU },
+ *   for the stages in PROGRESS_STAGES (grid-optimization once per iteration, with iteration set)
+ * @param {AbortSignal} options.signal - Optional abort signal; the returned promise rejects with its reason when aborted.
+ *   It is checked between rows and iterations, and the event loop gets a turn between stages so an abort can arrive
+ * @returns {HTMLCanvasElement|ImageData|Object} Pixelated image, or object with canvas and intermediates if captureIntermediates is true,
+ *   or indexed result object if returnIndexed is true
  */
 export async function pixelateImageEdgeAware(image, pixelizationFactor, options = {}) {
   const {
@@ -716,14 +1118,38 @@ export async function pixelateImageEdgeAware(image, pixelizationFactor, options
     numIterations = 2,
     onProgress = null,
     colorLimit = null,
+    palette = null,
+    quantizer = 'diverse',
+    kmeansIterations = 10,
+    seed = 1,
+    colorSpace = 'rgb',
+    dither = 'none',
+    ditherStrength = 1,
+    serpentine = true,
+    lockedColors = null,
+    reservedSlots = 0,
+    alphaThreshold = null,
+    linearLight = false,
+    outputScale = null,
+    upscaler = null,
+    returnIndexed = false,
     contrast = 1.0,
     edgeSharpness = 0.8,
     captureIntermediates = false,
     useSplines = false,
     splineDegree = 2,
-    splineSmoothness = 0.3
+    splineSmoothness = 0.3,
+    tileSize = null,
+    signal = null
   } = options;
 
+  throwIfAborted(signal);
+  if (tileSize !== null) {
+    return pixelateEdgeAwareTiled(image, pixelizationFactor, options);
+  }
+
+  const reportProgress = createProgressReporter(onProgress, EDGE_AWARE_STAGE_WEIGHTS);
+
   // Intermediates array to collect visualization steps
   const intermediates = captureIntermediates ? [] : null;
 
@@ -740,8 +1166,10 @@ export async function pixelateImageEdgeAware(image, pixelizationFactor, options
   }
 
   // Calculate edge map using step function
-  const edgeMapResult = await calculateEdgeMapStep(imageData, { edgeSharpness, onProgress });
+  const edgeMapResult = await calculateEdgeMapStep(imageData, { edgeSharpness, signal });
   const { edgeMap, usingGPU } = edgeMapResult;
+  reportProgress('edge-detection', 1, { usingGPU });
+  await yieldIfAbortable(signal);
 
   // Generate visualization intermediates separately
   let vizEdgeMapCanvas = null; // Store for reuse in grid overlays
@@ -762,9 +1190,7 @@ export async function pixelateImageEdgeAware(image, pixelizationFactor, options
     let vizImageData = imageData;
     if (scale < 1) {
       // Downscale for visualization
-      const vizCanvas = document.createElement('canvas');
-      vizCanvas.width = vizWidth;
-      vizCanvas.height = vizHeight;
+      const vizCanvas = createSurface(vizWidth, vizHeight);
       const vizCtx = vizCanvas.getContext('2d');
       const srcCanvas = imageDataToCanvas(imageData);
       vizCtx.drawImage(srcCanvas, 0, 0, vizWidth, vizHeight);
@@ -774,16 +1200,15 @@ export async function pixelateImageEdgeAware(image, pixelizationFactor, options
     // Generate edge detection steps on downscaled image (fast)
     const vizResult = calculateEdgeMap(vizImageData, {
       edgeSharpness,
-      captureIntermediates: true
+      captureIntermediates: true,
+      signal
     });
 
     // Upscale visualization results back to original size
     // Use nearest-neighbor for crisp upscaling of edge maps
     function upscaleEdgeMap(edgeMapData, w, h, targetW, targetH) {
       const canvas = edgeMapToCanvas(edgeMapData, w, h);
-      const upscaled = document.createElement('canvas');
-      upscaled.width = targetW;
-      upscaled.height = targetH;
+      const upscaled = createSurface(targetW, targetH);
       const ctx = upscaled.getContext('2d');
       // Disable smoothing for crisp nearest-neighbor upscaling
       ctx.imageSmoothingEnabled = false;
@@ -842,6 +1267,8 @@ export async function pixelateImageEdgeAware(image, pixelizationFactor, options
 
   // Create initial grid using step function
   const grid = createGridStep(imageData, pixelizationFactor);
+  reportProgress('grid-creation', 1, { usingGPU });
+  await yieldIfAbortable(signal);
 
   // Verify edge map has edges before optimizing
   let edgeCount = 0;
@@ -900,9 +1327,12 @@ export async function pixelateImageEdgeAware(image, pixelizationFactor, options
       edgeSharpness,
       useSplines,
       splineDegree,
-      splineSmoothness
+      splineSmoothness,
+      signal,
+      onProgress: event => reportProgress('grid-optimization', event.fraction, { iteration: event.iteration, usingGPU })
     }
   );
+  await yieldIfAbortable(signal);
 
   // Force visible movement for inner corners based on edge proximity
   // This ensures optimized grid shows clear deformation around edges
@@ -968,28 +1398,50 @@ export async function pixelateImageEdgeAware(image, pixelizationFactor, options
     });
   }
 
-  // Report GPU usage if callback provided
-  if (onProgress) {
-    onProgress({ usingGPU });
-  }
-
   // Render as proper rectangular pixelation with edge-aware color sampling
   // (Not polygon mosaic - the grid visualization is just for showing the algorithm)
   // Use renderGrid when splines are enabled, otherwise use simpler block-based approach
+  // With outputScale or an upscaler, render one pixel per cell and work at that resolution
+  const native = outputScale !== null || upscaler !== null;
   let outputImageData;
   if (useSplines) {
     // Use optimized grid with spline boundaries
-    outputImageData = renderGrid(grid, imageData, edgeMap, edgeSharpness, useSplines, splineDegree, splineSmoothness);
+    outputImageData = native
+      ? renderGridCells(grid, imageData, edgeSharpness, linearLight)
+      : renderGrid(grid, imageData, edgeMap, edgeSharpness, useSplines, splineDegree, splineSmoothness, linearLight);
   } else {
     // Use step functions for the transformation pipeline (simpler block-based approach)
-    outputImageData = renderEdgeAwarePixelsStep(imageData, edgeMap, pixelizationFactor, edgeSharpness);
+    outputImageData = native
+      ? renderEdgeAwareCellsStep(imageData, edgeMap, pixelizationFactor, edgeSharpness, linearLight)
+      : renderEdgeAwarePixelsStep(imageData, edgeMap, pixelizationFactor, edgeSharpness, linearLight);
   }
+  reportProgress('rendering', 1, { usingGPU });
+  await yieldIfAbortable(signal);
 
   // Apply contrast adjustment using step function
   outputImageData = adjustContrastStep(outputImageData, contrast);
 
-  // Apply color quantization using step function
-  outputImageData = quantizeColorsStep(outputImageData, colorLimit);
+  // Snap partially transparent cells
+  outputImageData = applyAlphaThresholdStep(outputImageData, alphaThreshold);
+  reportProgress('contrast', 1, { usingGPU });
+  await yieldIfAbortable(signal);
+
+  // Apply color quantization at cell resolution so each dither dot covers one logical pixel
+  let indexed = { palette: null, indices: null };
+  if (palette || (colorLimit && colorLimit > 0)) {
+    const quantizeOptions = {
+      palette, quantizer, kmeansIterations, seed, colorSpace, dither, ditherStrength, serpentine,
+      lockedColors, reservedSlots
+    };
+    indexed = native
+      ? quantizeColorsStep(outputImageData, colorLimit, { ...quantizeOptions, returnIndexed: true })
+      : quantizeCells(outputImageData, getCellLayout(grid, sourceWidth, sourceHeight, pixelizationFactor, useSplines),
+        colorLimit, quantizeOptions);
+    outputImageData = indexed.imageData;
+  }
+
+  outputImageData = applyOutputScaleStep(applyUpscalerStep(outputImageData, upscaler, linearLight), outputScale);
+  reportProgress('quantization', 1, { usingGPU });
 
   // Convert to canvas using step function
   const outputCanvas = convertToCanvasStep(outputImageData, true);
@@ -997,6 +1449,14 @@ export async function pixelateImageEdgeAware(image, pixelizationFactor, options
   // Attach metadata to canvas
   outputCanvas._usingGPU = usingGPU;
 
+  // Palette index per grid cell, row-major
+  const indexedResult = {
+    palette: indexed.palette,
+    indices: indexed.indices,
+    cols: grid.cols,
+    rows: grid.rows
+  };
+
   // Capture final result
   if (captureIntermediates) {
     intermediates.push({
@@ -1007,7 +1467,16 @@ export async function pixelateImageEdgeAware(image, pixelizationFactor, options
     return {
       canvas: outputCanvas,
       intermediates,
-      usingGPU
+      usingGPU,
+      ...(returnIndexed ? indexedResult : {})
+    };
+  }
+
+  if (returnIndexed) {
+    return {
+      imageData: outputImageData,
+      canvas: returnCanvas ? outputCanvas : null,
+      ...indexedResult
     };
   }
 
@@ -1018,18 +1487,133 @@ export async function pixelateImageEdgeAware(image, pixelizationFactor, options
   }
 }
 
+/**
+ * Pixelates a batch of images (e.g. sprite sets or animation frames) with one shared palette.
+ * Colors are sampled from the logical pixels of every input, a single palette is built with
+ * the configured quantizer, and that palette is applied to every image.
+ *
+ * @param {Array<HTMLImageElement|HTMLCanvasElement|ImageData>} images - Source images
+ * @param {number} pixelSize - Size of each pixel block (grid cell size for edge-aware mode)
+ * @param {Object} options - Options for pixelateImage or pixelateImageEdgeAware, plus:
+ * @param {boolean} options.edgeAware - Use pixelateImageEdgeAware instead of pixelateImage (default: false).
+ *   captureIntermediates is not supported in batch mode.
+ * @param {AbortSignal} options.signal - Optional abort signal, checked between images (and inside each
+ *   edge-aware run); the returned promise rejects with its reason when aborted
+ * @returns {Promise<Object>} { results, palette } where results holds one output per image, in the
+ *   same form the single-image function returns, and palette is the shared palette (null if no
+ *   palette or colorLimit was given)
+ */
+export async function pixelateBatch(images, pixelSize, options = {}) {
+  const {
+    edgeAware = false,
+    colorLimit = null,
+    palette = null,
+    useSplines = false,
+    linearLight = false,
+    alphaThreshold = null,
+    gridSize = null,
+    signal = null
+  } = options;
+  const quantize = palette || (colorLimit && colorLimit > 0);
+  throwIfAborted(signal);
+
+  if (!edgeAware) {
+    // Sample the downscaled images, then finish the pipeline on them with the shared palette
+    const downscaled = [];
+    for (const image of images) {
+      await yieldIfAbortable(signal);
+      downscaled.push(downscaleImageStep(image, pixelSize, { linearLight, gridSize }));
+    }
+    const sharedPalette = quantize
+      ? selectPalette(concatImageData(downscaled.map(({ scaledImageData }) =>
+        applyAlphaThresholdStep(scaledImageData, alphaThreshold)
+      )), colorLimit, options)
+      : null;
+    const results = [];
+    for (const downscaleContext of downscaled) {
+      await yieldIfAbortable(signal);
+      results.push(pixelateDownscaled(downscaleContext, { ...options, palette: sharedPalette }));
+    }
+    return { results, palette: sharedPalette };
+  }
+
+  const { returnCanvas = false, returnIndexed = false, outputScale = null, upscaler = null } = options;
+
+  // Render every image without quantization, keeping its block layout
+  const rendered = [];
+  for (const image of images) {
+    const result = await pixelateImageEdgeAware(image, pixelSize, {
+      ...options,
+      palette: null,
+      colorLimit: null,
+      returnCanvas: false,
+      returnIndexed: true,
+      outputScale: null,
+      upscaler: null,
+      captureIntermediates: false
+    });
+    const { width, height } = result.imageData;
+    rendered.push({ result, layout: getCellLayout(result, width, height, pixelSize, useSplines) });
+  }
+
+  const sharedPalette = quantize
+    ? selectPalette(concatImageData(rendered.map(({ result, layout }) => sampleCells(result.imageData, layout))), colorLimit, options)
+    : null;
+
+  const results = rendered.map(({ result, layout }) => {
+    const indexed = sharedPalette
+      ? quantizeCells(result.imageData, layout, null, { ...options, palette: sharedPalette })
+      : { imageData: result.imageData, palette: null, indices: null };
+    const imageData = outputScale === null && upscaler === null
+      ? indexed.imageData
+      : applyOutputScaleStep(applyUpscalerStep(sampleCells(indexed.imageData, layout), upscaler, linearLight), outputScale);
+    const canvas = returnCanvas ? convertToCanvasStep(imageData, true) : null;
+
+    if (returnIndexed) {
+      return {
+        imageData,
+        canvas,
+        palette: indexed.palette,
+        indices: indexed.indices,
+        cols: result.cols,
+        rows: result.rows
+      };
+    }
+    return returnCanvas ? canvas : imageData;
+  });
+
+  return { results, palette: sharedPalette };
+}
+
 /**
  * Loads an image from a URL or file and returns a promise that resolves with the image element.
  *
  * @param {string|File} source - URL string or File object
+ * @param {Object} options - Optional configuration
+ * @param {AbortSignal} options.signal - Optional abort signal; stops loading and rejects with its reason
  * @returns {Promise<HTMLImageElement>} Promise that resolves with the loaded image
  */
-export function loadImage(source) {
+export function loadImage(source, options = {}) {
+  const { signal = null } = options;
   return new Promise((resolve, reject) => {
+    throwIfAborted(signal);
     const img = new Image();
+    const onAbort = () => {
+      img.onload = null;
+      img.onerror = null;
+      img.src = '';
+      reject(signal.reason);
+    };
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    const settle = (callback) => (value) => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      callback(value);
+    };
 
-    img.onload = () => resolve(img);
-    img.onerror = () => reject(new Error('Failed to load image'));
+    img.onload = settle(() => resolve(img));
+    img.onerror = settle(() => reject(new Error('Failed to load image')));
 
     if (source instanceof File) {
       const reader = new FileReader();
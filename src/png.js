@@ -0,0 +1,612 @@
+/**
+ * PNG Module
+ *
+ * Pure-JS PNG encoder and decoder. Quantized results are written as 1, 2, 4
+ * or 8-bit indexed images with PLTE and tRNS chunks, which keeps pixel art
+ * files small; images without a palette are written as 8-bit RGB or RGBA.
+ * Pixelation options can be stored in a tEXt chunk and read back later to
+ * reproduce a render. The decoder reads every standard PNG into ImageData.
+ * Works without a DOM (e.g. in Node build scripts).
+ */
+
+import { zlibCompress, zlibDecompress, crc32 } from './deflate.js';
+import { createImageData } from './surface.js';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const COLOR_TYPE_RGB = 2;
+const COLOR_TYPE_INDEXED = 3;
+const COLOR_TYPE_RGBA = 6;
+
+/**
+ * tEXt keyword under which pixelation options are stored as JSON.
+ */
+export const PNG_METADATA_KEYWORD = 'pixel-mosaic';
+
+/**
+ * Builds a PNG chunk: length, type, data and CRC over type and data.
+ */
+function createChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+/**
+ * Builds the IHDR chunk data.
+ */
+function createHeader(width, height, bitDepth, colorType) {
+  const data = new Uint8Array(13);
+  const view = new DataView(data.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  data[8] = bitDepth;
+  data[9] = colorType;
+  // Compression, filter and interlace methods are all 0
+  return data;
+}
+
+/**
+ * Encodes a tEXt chunk. Keywords and text are Latin-1; characters outside
+ * Latin-1 are replaced with '?'.
+ */
+function createTextChunk(keyword, text) {
+  if (!/^[\x20-\x7e\xa1-\xff]{1,79}$/.test(keyword) || /^ | $|  /.test(keyword)) {
+    throw new Error(`Invalid PNG text keyword: "${keyword}"`);
+  }
+  const value = String(text);
+  const data = new Uint8Array(keyword.length + 1 + value.length);
+  for (let i = 0; i < keyword.length; i++) {
+    data[i] = keyword.charCodeAt(i);
+  }
+  for (let i = 0; i < value.length; i++) {
+    const code = value.charCodeAt(i);
+    data[keyword.length + 1 + i] = code < 256 ? code : 0x3f;
+  }
+  return createChunk('tEXt', data);
+}
+
+/**
+ * Serializes pixelation options for the metadata chunk. Non-ASCII characters
+ * are escaped so the JSON survives the Latin-1 text chunk.
+ */
+function serializeMetadata(metadata) {
+  return JSON.stringify(metadata).replace(/[\u007f-\uffff]/g,
+    char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+/**
+ * Builds all tEXt chunks for the encoder options.
+ */
+function createTextChunks(options) {
+  const { text = null, metadata = null } = options;
+  const chunks = [];
+  if (metadata) {
+    chunks.push(createTextChunk(PNG_METADATA_KEYWORD, serializeMetadata(metadata)));
+  }
+  if (text) {
+    for (const [keyword, value] of Object.entries(text)) {
+      chunks.push(createTextChunk(keyword, value));
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Concatenates the signature and chunks into a PNG file.
+ */
+function assemble(chunks) {
+  const size = PNG_SIGNATURE.length + chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const bytes = new Uint8Array(size);
+  bytes.set(PNG_SIGNATURE, 0);
+  let offset = PNG_SIGNATURE.length;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+/**
+ * Returns the smallest PNG bit depth that can index the palette.
+ */
+function getIndexedBitDepth(paletteSize) {
+  if (paletteSize <= 2) return 1;
+  if (paletteSize <= 4) return 2;
+  if (paletteSize <= 16) return 4;
+  return 8;
+}
+
+/**
+ * Paeth predictor (PNG filter type 4).
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+/**
+ * Filters truecolor scanlines, choosing per row the filter with the smallest
+ * sum of absolute differences (the usual PNG heuristic).
+ *
+ * @param {Uint8Array} pixels - Raw scanlines without filter bytes
+ * @param {number} height - Number of rows
+ * @param {number} stride - Bytes per row
+ * @param {number} bpp - Bytes per pixel
+ * @returns {Uint8Array} Filtered scanlines, each prefixed with its filter type
+ */
+function filterScanlines(pixels, height, stride, bpp) {
+  const output = new Uint8Array(height * (stride + 1));
+  const candidate = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * stride;
+    const prevRow = row - stride;
+    let bestFilter = 0;
+    let bestScore = Infinity;
+
+    for (let filter = 0; filter <= 4; filter++) {
+      let score = 0;
+      for (let i = 0; i < stride; i++) {
+        const x = pixels[row + i];
+        const a = i >= bpp ? pixels[row + i - bpp] : 0;
+        const b = y > 0 ? pixels[prevRow + i] : 0;
+        const c = y > 0 && i >= bpp ? pixels[prevRow + i - bpp] : 0;
+        let value;
+        switch (filter) {
+          case 0: value = x; break;
+          case 1: value = x - a; break;
+          case 2: value = x - b; break;
+          case 3: value = x - ((a + b) >> 1); break;
+          default: value = x - paeth(a, b, c); break;
+        }
+        value &= 0xff;
+        candidate[i] = value;
+        score += value < 128 ? value : 256 - value;
+      }
+
+      if (score < bestScore) {
+        bestScore = score;
+        bestFilter = filter;
+        output.set(candidate, y * (stride + 1) + 1);
+      }
+    }
+
+    output[y * (stride + 1)] = bestFilter;
+  }
+
+  return output;
+}
+
+/**
+ * Encodes an indexed-color PNG. The bit depth (1, 2, 4 or 8) is the smallest
+ * that fits the palette; palettes with more than 256 colors are written as
+ * truecolor instead. Palette entries with alpha below 255 are stored in a
+ * tRNS chunk.
+ *
+ * @param {Uint8Array|Uint16Array|Array<number>} indices - One palette index per pixel, row-major
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Array<Object>} palette - Palette colors [{r, g, b, a?}, ...]
+ * @param {Object} options - Optional configuration
+ * @param {Object} options.metadata - Pixelation options to store as JSON in a tEXt chunk
+ * @param {Object} options.text - Additional tEXt entries { keyword: text }
+ * @returns {Uint8Array} PNG file bytes
+ */
+export function encodeIndexedPng(indices, width, height, palette, options = {}) {
+  if (indices.length !== width * height) {
+    throw new Error(`Expected ${width * height} indices for a ${width}x${height} image, got ${indices.length}`);
+  }
+  if (palette.length === 0) {
+    throw new Error('Cannot encode an indexed PNG with an empty palette');
+  }
+
+  if (palette.length > 256) {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < indices.length; i++) {
+      const color = palette[indices[i]];
+      rgba[i * 4] = color.r;
+      rgba[i * 4 + 1] = color.g;
+      rgba[i * 4 + 2] = color.b;
+      rgba[i * 4 + 3] = color.a === undefined ? 255 : color.a;
+    }
+    return encodeTruecolorPng({ width, height, data: rgba }, options);
+  }
+
+  const bitDepth = getIndexedBitDepth(palette.length);
+  const pixelsPerByte = 8 / bitDepth;
+  const stride = Math.ceil(width / pixelsPerByte);
+
+  // Pack indices MSB-first; indexed images compress best unfiltered
+  const scanlines = new Uint8Array(height * (stride + 1));
+  for (let y = 0; y < height; y++) {
+    const row = y * (stride + 1) + 1;
+    for (let x = 0; x < width; x++) {
+      const index = indices[y * width + x];
+      const shift = 8 - bitDepth * (1 + (x % pixelsPerByte));
+      scanlines[row + Math.floor(x / pixelsPerByte)] |= index << shift;
+    }
+  }
+
+  const plte = new Uint8Array(palette.length * 3);
+  palette.forEach((color, i) => {
+    plte[i * 3] = color.r;
+    plte[i * 3 + 1] = color.g;
+    plte[i * 3 + 2] = color.b;
+  });
+
+  // tRNS only needs entries up to the last non-opaque color
+  let alphaCount = 0;
+  palette.forEach((color, i) => {
+    if (color.a !== undefined && color.a < 255) alphaCount = i + 1;
+  });
+
+  const chunks = [
+    createChunk('IHDR', createHeader(width, height, bitDepth, COLOR_TYPE_INDEXED)),
+    createChunk('PLTE', plte)
+  ];
+  if (alphaCount > 0) {
+    const trns = new Uint8Array(alphaCount);
+    for (let i = 0; i < alphaCount; i++) {
+      const alpha = palette[i].a;
+      trns[i] = alpha === undefined ? 255 : alpha;
+    }
+    chunks.push(createChunk('tRNS', trns));
+  }
+  chunks.push(...createTextChunks(options));
+  chunks.push(createChunk('IDAT', zlibCompress(scanlines)));
+  chunks.push(createChunk('IEND', new Uint8Array(0)));
+
+  return assemble(chunks);
+}
+
+/**
+ * Encodes a truecolor PNG. Fully opaque images are written as 8-bit RGB,
+ * anything with transparency as 8-bit RGBA.
+ *
+ * @param {ImageData|Object} imageData - ImageData or { width, height, data } with RGBA data
+ * @param {Object} options - Optional configuration
+ * @param {Object} options.metadata - Pixelation options to store as JSON in a tEXt chunk
+ * @param {Object} options.text - Additional tEXt entries { keyword: text }
+ * @returns {Uint8Array} PNG file bytes
+ */
+export function encodeTruecolorPng(imageData, options = {}) {
+  const { width, height, data } = imageData;
+
+  let opaque = true;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] !== 255) {
+      opaque = false;
+      break;
+    }
+  }
+
+  const bpp = opaque ? 3 : 4;
+  const pixels = new Uint8Array(width * height * bpp);
+  if (opaque) {
+    for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+      pixels[j] = data[i];
+      pixels[j + 1] = data[i + 1];
+      pixels[j + 2] = data[i + 2];
+    }
+  } else {
+    pixels.set(data);
+  }
+
+  const scanlines = filterScanlines(pixels, height, width * bpp, bpp);
+
+  return assemble([
+    createChunk('IHDR', createHeader(width, height, 8, opaque ? COLOR_TYPE_RGB : COLOR_TYPE_RGBA)),
+    ...createTextChunks(options),
+    createChunk('IDAT', zlibCompress(scanlines)),
+    createChunk('IEND', new Uint8Array(0))
+  ]);
+}
+
+/**
+ * Encodes a pixelation result as PNG.
+ *
+ * Indexed results ({ palette, indices }, from returnIndexed) are written as
+ * indexed PNGs: at logical resolution (cols x rows, one pixel per cell) for
+ * pixelateImage / pixelateImageEdgeAware results, or at the imageData size
+ * for quantizeColorsStep results. Results without a palette, and plain
+ * ImageData, are written as truecolor.
+ *
+ * @param {ImageData|Object} image - ImageData, or an indexed result { imageData, palette, indices, cols?, rows? }
+ * @param {Object} options - Optional configuration
+ * @param {Object} options.metadata - Pixelation options to store as JSON in a tEXt chunk
+ * @param {Object} options.text - Additional tEXt entries { keyword: text }
+ * @returns {Uint8Array} PNG file bytes
+ */
+export function encodePng(image, options = {}) {
+  if (image.palette && image.indices) {
+    const width = image.cols ?? image.imageData.width;
+    const height = image.rows ?? image.imageData.height;
+    return encodeIndexedPng(image.indices, width, height, image.palette, options);
+  }
+
+  const imageData = image.data ? image : image.imageData;
+  if (!imageData || !imageData.data) {
+    throw new Error('encodePng requires ImageData or a pixelation result');
+  }
+  return encodeTruecolorPng(imageData, options);
+}
+
+/**
+ * Returns PNG file bytes as a Uint8Array, checking the signature.
+ */
+function toPngBytes(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  for (let i = 0; i < PNG_SIGNATURE.length; i++) {
+    if (bytes[i] !== PNG_SIGNATURE[i]) {
+      throw new Error('Not a PNG file');
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Reads the tEXt chunks of a PNG file.
+ *
+ * @param {Uint8Array|ArrayBuffer} buffer - PNG file bytes
+ * @returns {Object} Text entries { keyword: text }
+ */
+export function readPngText(buffer) {
+  const bytes = toPngBytes(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const text = {};
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'tEXt') {
+      const separator = data.indexOf(0);
+      if (separator > 0) {
+        const keyword = String.fromCharCode(...data.subarray(0, separator));
+        let value = '';
+        for (let i = separator + 1; i < data.length; i++) {
+          value += String.fromCharCode(data[i]);
+        }
+        text[keyword] = value;
+      }
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    offset += 12 + length;
+  }
+
+  return text;
+}
+
+/**
+ * Reads the pixelation options stored by encodePng's `metadata` option.
+ *
+ * @param {Uint8Array|ArrayBuffer} buffer - PNG file bytes
+ * @returns {Object|null} Stored options, or null if the file has none
+ */
+export function readPngMetadata(buffer) {
+  const value = readPngText(buffer)[PNG_METADATA_KEYWORD];
+  return value === undefined ? null : JSON.parse(value);
+}
+
+// Channels per pixel and allowed bit depths for each color type
+const COLOR_TYPES = {
+  0: { channels: 1, bitDepths: [1, 2, 4, 8, 16] },
+  2: { channels: 3, bitDepths: [8, 16] },
+  3: { channels: 1, bitDepths: [1, 2, 4, 8] },
+  4: { channels: 2, bitDepths: [8, 16] },
+  6: { channels: 4, bitDepths: [8, 16] }
+};
+
+// Adam7 passes as [x0, y0, dx, dy]
+const ADAM7_PASSES = [
+  [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+
+/**
+ * Reverses the scanline filters of one (sub)image in place.
+ *
+ * @param {Uint8Array} data - Filtered scanlines, each prefixed with its filter type
+ * @param {number} height - Number of rows
+ * @param {number} stride - Bytes per row
+ * @param {number} bpp - Bytes per pixel (at least 1)
+ * @returns {Uint8Array} Raw scanlines without filter bytes
+ */
+function unfilterScanlines(data, height, stride, bpp) {
+  const pixels = new Uint8Array(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (stride + 1)];
+    const source = y * (stride + 1) + 1;
+    const row = y * stride;
+    const prevRow = row - stride;
+    for (let i = 0; i < stride; i++) {
+      const x = data[source + i];
+      const a = i >= bpp ? pixels[row + i - bpp] : 0;
+      const b = y > 0 ? pixels[prevRow + i] : 0;
+      const c = y > 0 && i >= bpp ? pixels[prevRow + i - bpp] : 0;
+      switch (filter) {
+        case 0: pixels[row + i] = x; break;
+        case 1: pixels[row + i] = x + a; break;
+        case 2: pixels[row + i] = x + b; break;
+        case 3: pixels[row + i] = x + ((a + b) >> 1); break;
+        case 4: pixels[row + i] = x + paeth(a, b, c); break;
+        default: throw new Error(`Invalid PNG filter type: ${filter}`);
+      }
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Decodes a PNG file into ImageData. Reads all color types and bit depths,
+ * palettes with tRNS transparency and interlaced (Adam7) images; 16-bit
+ * samples are reduced to 8 bits. Ancillary chunks such as gamma and color
+ * profiles are ignored.
+ *
+ * @param {Uint8Array|ArrayBuffer} buffer - PNG file bytes
+ * @returns {ImageData} Decoded image
+ */
+export function decodePng(buffer) {
+  const bytes = toPngBytes(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const dataChunks = [];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    if (data.length !== length) {
+      throw new Error(`Truncated PNG chunk: ${type}`);
+    }
+
+    if (type === 'IHDR') {
+      header = {
+        width: view.getUint32(offset + 8),
+        height: view.getUint32(offset + 12),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlaced: data[12] === 1
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (type === 'IDAT') {
+      dataChunks.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    offset += 12 + length;
+  }
+
+  if (!header) {
+    throw new Error('PNG file has no IHDR chunk');
+  }
+  const { width, height, bitDepth, colorType, interlaced } = header;
+  const format = COLOR_TYPES[colorType];
+  if (!format || !format.bitDepths.includes(bitDepth)) {
+    throw new Error(`Unsupported PNG format: color type ${colorType}, bit depth ${bitDepth}`);
+  }
+  if (colorType === COLOR_TYPE_INDEXED && !palette) {
+    throw new Error('Indexed PNG file has no PLTE chunk');
+  }
+  if (dataChunks.length === 0) {
+    throw new Error('PNG file has no IDAT chunk');
+  }
+
+  const compressed = new Uint8Array(dataChunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let position = 0;
+  for (const chunk of dataChunks) {
+    compressed.set(chunk, position);
+    position += chunk.length;
+  }
+  const filtered = zlibDecompress(compressed);
+
+  // Transparent key color (gray or RGB types), compared at full sample depth
+  let key = null;
+  if (transparency && colorType === 0 && transparency.length >= 2) {
+    key = [(transparency[0] << 8) | transparency[1]];
+  } else if (transparency && colorType === COLOR_TYPE_RGB && transparency.length >= 6) {
+    key = [0, 2, 4].map(i => (transparency[i] << 8) | transparency[i + 1]);
+  }
+
+  const { channels } = format;
+  const bitsPerPixel = channels * bitDepth;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const maxSample = (1 << bitDepth) - 1;
+  const to8Bit = sample => (bitDepth === 16 ? sample >> 8 : Math.round(sample * 255 / maxSample));
+
+  const output = createImageData(width, height);
+  const samples = new Array(channels);
+  let dataOffset = 0;
+
+  for (const [x0, y0, dx, dy] of interlaced ? ADAM7_PASSES : [[0, 0, 1, 1]]) {
+    const passWidth = Math.ceil((width - x0) / dx);
+    const passHeight = Math.ceil((height - y0) / dy);
+    if (passWidth <= 0 || passHeight <= 0) continue;
+
+    const stride = Math.ceil(passWidth * bitsPerPixel / 8);
+    const size = passHeight * (stride + 1);
+    if (dataOffset + size > filtered.length) {
+      throw new Error('PNG image data is too short');
+    }
+    const pixels = unfilterScanlines(filtered.subarray(dataOffset, dataOffset + size), passHeight, stride, bpp);
+    dataOffset += size;
+
+    for (let row = 0; row < passHeight; row++) {
+      for (let col = 0; col < passWidth; col++) {
+        // Read the pixel's samples at full depth
+        for (let channel = 0; channel < channels; channel++) {
+          const bit = (col * channels + channel) * bitDepth;
+          const index = row * stride + (bit >> 3);
+          if (bitDepth === 16) {
+            samples[channel] = (pixels[index] << 8) | pixels[index + 1];
+          } else if (bitDepth === 8) {
+            samples[channel] = pixels[index];
+          } else {
+            samples[channel] = (pixels[index] >> (8 - bitDepth - (bit & 7))) & maxSample;
+          }
+        }
+
+        let r, g, b, a = 255;
+        if (colorType === COLOR_TYPE_INDEXED) {
+          const entry = samples[0];
+          if (entry * 3 + 2 >= palette.length) {
+            throw new Error(`PNG palette index out of range: ${entry}`);
+          }
+          r = palette[entry * 3];
+          g = palette[entry * 3 + 1];
+          b = palette[entry * 3 + 2];
+          if (transparency && entry < transparency.length) {
+            a = transparency[entry];
+          }
+        } else if (channels <= 2) {
+          r = g = b = to8Bit(samples[0]);
+          if (channels === 2) {
+            a = to8Bit(samples[1]);
+          } else if (key && samples[0] === key[0]) {
+            a = 0;
+          }
+        } else {
+          r = to8Bit(samples[0]);
+          g = to8Bit(samples[1]);
+          b = to8Bit(samples[2]);
+          if (channels === 4) {
+            a = to8Bit(samples[3]);
+          } else if (key && samples[0] === key[0] && samples[1] === key[1] && samples[2] === key[2]) {
+            a = 0;
+          }
+        }
+
+        const idx = ((y0 + row * dy) * width + x0 + col * dx) * 4;
+        output.data[idx] = r;
+        output.data[idx + 1] = g;
+        output.data[idx + 2] = b;
+        output.data[idx + 3] = a;
+      }
+    }
+  }
+
+  return output;
+}
@@ -0,0 +1,95 @@
+/**
+ * Progress and Cancellation Module
+ *
+ * Helpers for the structured progress events and AbortSignal checks used by
+ * the pixelation pipeline. Progress events have the shape
+ * { stage, iteration, fraction, elapsedMs } where fraction (0-1) is the
+ * share of the whole run that is done and iteration is set for stages that
+ * repeat (grid optimization), otherwise null.
+ */
+
+/**
+ * Progress stages reported by pixelateImageEdgeAware, in order.
+ */
+export const PROGRESS_STAGES = ['edge-detection', 'grid-creation', 'grid-optimization', 'rendering', 'contrast', 'quantization'];
+
+/**
+ * Current time in milliseconds. `performance` is only a global from Node 16.
+ */
+function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * Creates the error thrown when a signal is aborted without a reason.
+ * `DOMException` is only a global from Node 17.
+ */
+function createAbortError() {
+  const message = 'This operation was aborted';
+  if (typeof DOMException !== 'undefined') {
+    return new DOMException(message, 'AbortError');
+  }
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Throws the signal's abort reason if it has been aborted.
+ *
+ * @param {AbortSignal} signal - Optional abort signal
+ * @throws {*} signal.reason (an error named 'AbortError' unless the caller gave a reason)
+ */
+export function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw signal.reason !== undefined ? signal.reason : createAbortError();
+  }
+}
+
+/**
+ * Waits for the next event loop turn, so abort events (e.g. from a cancel
+ * button) are delivered between long synchronous stages, then checks the
+ * signal. Does nothing without a signal.
+ *
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+export async function yieldIfAbortable(signal) {
+  if (!signal) return;
+  throwIfAborted(signal);
+  await new Promise(resolve => setTimeout(resolve, 0));
+  throwIfAborted(signal);
+}
+
+/**
+ * Creates a reporter that turns stage progress into progress events.
+ * Stages contribute to the overall fraction by weight, in the order given.
+ *
+ * @param {Function} onProgress - Progress callback (may be null, then nothing is reported)
+ * @param {Object} stageWeights - Relative weight per stage, e.g. { 'edge-detection': 3, rendering: 1 }
+ * @returns {Function} report(stage, stageFraction = 1, details = {}) - details are merged into the event
+ */
+export function createProgressReporter(onProgress, stageWeights) {
+  const startTime = onProgress ? now() : 0;
+  const offsets = {};
+  let total = 0;
+  for (const [stage, weight] of Object.entries(stageWeights)) {
+    offsets[stage] = total;
+    total += weight;
+  }
+
+  return (stage, stageFraction = 1, details = {}) => {
+    if (!onProgress) return;
+    if (!(stage in offsets)) {
+      throw new Error(`Unknown progress stage: ${stage}. Available stages: ${Object.keys(offsets).join(', ')}`);
+    }
+    const done = offsets[stage] + stageWeights[stage] * Math.min(1, Math.max(0, stageFraction));
+    onProgress({
+      stage,
+      iteration: null,
+      fraction: total > 0 ? done / total : 1,
+      elapsedMs: now() - startTime,
+      ...details
+    });
+  };
+}
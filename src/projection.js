@@ -4,6 +4,9 @@
  * Implements projective transformation (homography) for image warping.
  */
 
+import { mixColors } from './color.js';
+import { createSurface, convertToImageData } from './surface.js';
+
 /**
  * Applies a projective transformation to an image using a 3x3 homography matrix.
  *
@@ -21,6 +24,7 @@
  * @param {string} options.interpolation - 'nearest' or 'bilinear' (default: 'nearest')
  * @param {string} options.fillMode - 'constant', 'reflect', 'wrap', or 'nearest' (default: 'constant')
  * @param {number} options.fillValue - Fill value for out-of-bounds pixels (default: 0)
+ * @param {boolean} options.linearLight - Interpolate bilinear samples in linear light (default: false)
  * @param {boolean} options.returnCanvas - If true, returns canvas element; otherwise returns ImageData
  * @returns {HTMLCanvasElement|ImageData} Transformed image
  */
@@ -29,6 +33,7 @@ export function applyProjection(image, transformMatrix, options = {}) {
     interpolation = 'nearest',
     fillMode = 'constant',
     fillValue = 0,
+    linearLight = false,
     returnCanvas = false
   } = options;
 
@@ -39,35 +44,10 @@ export function applyProjection(image, transformMatrix, options = {}) {
   const [a1, a2, a3, b1, b2, b3, c1, c2] = transformMatrix;
 
   // Get source image dimensions
-  let sourceWidth, sourceHeight, sourceData;
-  if (image instanceof ImageData) {
-    sourceWidth = image.width;
-    sourceHeight = image.height;
-    sourceData = image.data;
-  } else {
-    const tempCanvas = document.createElement('canvas');
-    if (image instanceof HTMLCanvasElement) {
-      tempCanvas.width = image.width;
-      tempCanvas.height = image.height;
-      const ctx = tempCanvas.getContext('2d');
-      ctx.drawImage(image, 0, 0);
-    } else if (image instanceof HTMLImageElement) {
-      tempCanvas.width = image.naturalWidth || image.width;
-      tempCanvas.height = image.naturalHeight || image.height;
-      const ctx = tempCanvas.getContext('2d');
-      ctx.drawImage(image, 0, 0);
-    } else {
-      throw new Error('Unsupported image type');
-    }
-    sourceWidth = tempCanvas.width;
-    sourceHeight = tempCanvas.height;
-    sourceData = tempCanvas.getContext('2d').getImageData(0, 0, sourceWidth, sourceHeight).data;
-  }
+  const { width: sourceWidth, height: sourceHeight, data: sourceData } = convertToImageData(image);
 
   // Create output canvas
-  const outputCanvas = document.createElement('canvas');
-  outputCanvas.width = sourceWidth;
-  outputCanvas.height = sourceHeight;
+  const outputCanvas = createSurface(sourceWidth, sourceHeight);
   const outputCtx = outputCanvas.getContext('2d');
   const outputImageData = outputCtx.createImageData(sourceWidth, sourceHeight);
   const outputData = outputImageData.data;
@@ -124,9 +104,9 @@ export function applyProjection(image, transformMatrix, options = {}) {
         const xRatio = mapX - xFloor;
         const yRatio = mapY - yFloor;
 
-        const top = lerpColor(topLeft, topRight, xRatio);
-        const bottom = lerpColor(bottomLeft, bottomRight, xRatio);
-        const final = lerpColor(top, bottom, yRatio);
+        const top = lerpColor(topLeft, topRight, xRatio, linearLight);
+        const bottom = lerpColor(bottomLeft, bottomRight, xRatio, linearLight);
+        const final = lerpColor(top, bottom, yRatio, linearLight);
 
         r = final.r;
         g = final.g;
@@ -236,20 +216,16 @@ function readPixel(data, x, y, width, height, fillValue) {
 }
 
 /**
- * Linearly interpolates between two colors.
+ * Linearly interpolates between two colors (premultiplied alpha).
  *
  * @param {Object} color1 - First color {r, g, b, a}
  * @param {Object} color2 - Second color {r, g, b, a}
  * @param {number} t - Interpolation factor (0-1)
+ * @param {boolean} linearLight - Interpolate in linear light (default: false)
  * @returns {Object} Interpolated color {r, g, b, a}
  */
-function lerpColor(color1, color2, t) {
-  return {
-    r: Math.round(color1.r + (color2.r - color1.r) * t),
-    g: Math.round(color1.g + (color2.g - color1.g) * t),
-    b: Math.round(color1.b + (color2.b - color1.b) * t),
-    a: Math.round(color1.a + (color2.a - color1.a) * t)
-  };
+function lerpColor(color1, color2, t, linearLight = false) {
+  return mixColors(color1, color2, t, linearLight);
 }
 
 /**
@@ -0,0 +1,1183 @@
+/**
+ * Color Quantization Module
+ *
+ * Palette generation algorithms and nearest-color mapping used by
+ * quantizeColorsStep. Every quantizer returns a palette of {r, g, b}
+ * colors which is then applied with mapToPalette().
+ */
+
+import { resolvePalette, parseColor } from './palettes.js';
+import { getColorSpace } from './color.js';
+import { createImageData } from './surface.js';
+
+/**
+ * Names of the available palette generation algorithms.
+ */
+export const QUANTIZERS = ['diverse', 'median-cut', 'octree', 'wu', 'kmeans'];
+
+/**
+ * Palette entry used for fully transparent pixels.
+ */
+export const TRANSPARENT_COLOR = Object.freeze({ r: 0, g: 0, b: 0, a: 0 });
+
+/**
+ * Quantizes colors in an image to reduce the color palette.
+ *
+ * @param {ImageData} imageData - Image data to quantize
+ * @param {number} maxColors - Maximum number of colors to use
+ * @param {Object} options - Optional configuration
+ * @param {string|Array} options.palette - Fixed palette (built-in name or color array). Skips palette generation.
+ * @param {string} options.quantizer - Palette generation algorithm (see QUANTIZERS, default: 'diverse')
+ * @param {number} options.kmeansIterations - Maximum k-means refinement iterations (default: 10)
+ * @param {number} options.seed - Random seed for k-means initialization (default: 1)
+ * @param {string} options.colorSpace - Color space for palette selection and matching:
+ *   'rgb', 'oklab', 'lab76' or 'ciede2000' (default: 'rgb')
+ * @param {Array} options.lockedColors - Colors that are always included in the palette
+ * @param {number} options.reservedSlots - Palette slots to leave unused (default: 0)
+ * @returns {ImageData} Quantized image data
+ */
+export function quantizeColors(imageData, maxColors, options = {}) {
+  const { colorSpace = 'rgb' } = options;
+
+  const colors = selectPalette(imageData, maxColors, options);
+  return mapToPalette(imageData, colors, { colorSpace });
+}
+
+/**
+ * Returns the palette quantization should map onto: the fixed `palette`
+ * option when given (with any locked colors added, and a transparent
+ * entry if the image has fully transparent pixels), otherwise a palette
+ * generated with buildPalette().
+ *
+ * @param {ImageData} imageData - Image data to sample
+ * @param {number} maxColors - Maximum number of colors to use
+ * @param {Object} options - Same options as quantizeColors()
+ * @returns {Array<Object>} Palette colors [{r, g, b}, ...]
+ */
+export function selectPalette(imageData, maxColors, options = {}) {
+  const { palette = null, lockedColors = null } = options;
+
+  if (!palette) {
+    return buildPalette(imageData, maxColors, options);
+  }
+
+  const colors = resolvePalette(palette);
+  const locked = resolveLockedColors(lockedColors)
+    .filter(color => !colors.some(c => sameColor(c, color)));
+  const transparent = hasTransparentPixels(imageData) && findTransparentIndex(colors) < 0;
+  return [...locked, ...colors, ...(transparent ? [{ ...TRANSPARENT_COLOR }] : [])];
+}
+
+/**
+ * Builds a palette for an image with the selected quantizer.
+ *
+ * Locked colors always come first in the palette, in the order given;
+ * the quantizer only fills the remaining `maxColors - locked - reservedSlots`
+ * slots, from the pixels that do not already match a locked color exactly.
+ * Fully transparent pixels are not sampled. If the image has any, the
+ * palette ends with TRANSPARENT_COLOR, which takes one of the slots.
+ *
+ * @param {ImageData} imageData - Image data to sample
+ * @param {number} maxColors - Maximum number of colors to use
+ * @param {Object} options - Optional configuration
+ * @param {string} options.quantizer - Palette generation algorithm (see QUANTIZERS, default: 'diverse')
+ * @param {number} options.kmeansIterations - Maximum k-means refinement iterations (default: 10)
+ * @param {number} options.seed - Random seed for k-means initialization (default: 1)
+ * @param {string} options.colorSpace - Color space used to compare and average colors (default: 'rgb').
+ *   The 'diverse', 'median-cut' and 'kmeans' quantizers work in this space; 'octree' and 'wu'
+ *   partition RGB cubes by construction.
+ * @param {Array} options.lockedColors - Colors that are always included in the palette
+ *   (hex strings, [r, g, b] arrays or {r, g, b} objects)
+ * @param {number} options.reservedSlots - Palette slots to leave unused, e.g. for a transparent
+ *   key added later (default: 0)
+ * @returns {Array<Object>} Palette colors [{r, g, b}, ...]
+ */
+export function buildPalette(imageData, maxColors, options = {}) {
+  const { lockedColors = null, reservedSlots = 0 } = options;
+
+  const locked = resolveLockedColors(lockedColors);
+  const transparent = hasTransparentPixels(imageData);
+  const available = maxColors - locked.length - reservedSlots - (transparent ? 1 : 0);
+
+  if (available < 0) {
+    throw new Error(
+      `colorLimit (${maxColors}) is too small for ${locked.length} locked colors, ${reservedSlots} reserved slots` +
+      (transparent ? ' and a transparent entry' : '')
+    );
+  }
+
+  // The color matcher never maps visible pixels to the transparent entry, so
+  // a palette with only that entry would make the whole image transparent
+  if (transparent && locked.length + available === 0 && hasVisiblePixels(imageData)) {
+    throw new Error(
+      `colorLimit (${maxColors}) leaves no room for visible colors next to the transparent entry` +
+      (reservedSlots > 0 ? ` and ${reservedSlots} reserved slots` : '')
+    );
+  }
+
+  const remaining = excludeColors(imageData, locked);
+  const generated = available > 0 && remaining ? runQuantizer(remaining, available, options) : [];
+  return [
+    ...locked,
+    ...generated.filter(color => !locked.some(c => sameColor(c, color))),
+    ...(transparent ? [{ ...TRANSPARENT_COLOR }] : [])
+  ];
+}
+
+/**
+ * Runs the selected quantizer.
+ */
+function runQuantizer(imageData, maxColors, options) {
+  const {
+    quantizer = 'diverse',
+    kmeansIterations = 10,
+    seed = 1,
+    colorSpace = 'rgb'
+  } = options;
+
+  const space = getColorSpace(colorSpace);
+
+  switch (quantizer) {
+    case 'diverse':
+      return buildDiversePalette(imageData, maxColors, space);
+    case 'median-cut':
+      return buildMedianCutPalette(imageData, maxColors, space);
+    case 'octree':
+      return buildOctreePalette(imageData, maxColors);
+    case 'wu':
+      return buildWuPalette(imageData, maxColors);
+    case 'kmeans':
+      return buildKMeansPalette(imageData, maxColors, kmeansIterations, seed, space);
+    default:
+      throw new Error(`Unknown quantizer: ${quantizer}. Use one of: ${QUANTIZERS.join(', ')}`);
+  }
+}
+
+/**
+ * Parses locked colors and removes duplicates.
+ */
+function resolveLockedColors(lockedColors) {
+  const locked = [];
+  for (const color of (lockedColors || []).map(parseColor)) {
+    if (!locked.some(c => sameColor(c, color))) {
+      locked.push(color);
+    }
+  }
+  return locked;
+}
+
+/**
+ * Checks whether two colors have the same RGB values.
+ */
+function sameColor(a, b) {
+  return a.r === b.r && a.g === b.g && a.b === b.b;
+}
+
+/**
+ * Checks whether an image has any fully transparent pixels.
+ *
+ * @param {ImageData} imageData - Image data to check
+ * @returns {boolean} True if some pixel has alpha 0
+ */
+export function hasTransparentPixels(imageData) {
+  const { data } = imageData;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] === 0) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Checks whether an image has any pixels that are not fully transparent.
+ */
+function hasVisiblePixels(imageData) {
+  const { data } = imageData;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] !== 0) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Joins the pixels of several images into one single-row ImageData for palette sampling.
+ *
+ * @param {Array<ImageData>} list - Images to join
+ * @returns {ImageData} Single-row image containing every pixel
+ */
+export function concatImageData(list) {
+  const total = list.reduce((sum, imageData) => sum + imageData.width * imageData.height, 0);
+  const output = createImageData(Math.max(1, total), 1);
+  let offset = 0;
+  for (const imageData of list) {
+    output.data.set(imageData.data, offset);
+    offset += imageData.data.length;
+  }
+  return output;
+}
+
+/**
+ * Indexes an image by its distinct colors (exact RGBA matches), in order of
+ * first appearance. Unlike quantization, no colors are merged.
+ *
+ * @param {ImageData} imageData - Image data to index
+ * @returns {Object} { palette, indices } with one Uint32 index per pixel
+ */
+export function indexImageColors(imageData) {
+  const { data } = imageData;
+  const palette = [];
+  const lookup = new Map();
+  const indices = new Uint32Array(imageData.width * imageData.height);
+
+  for (let pixel = 0; pixel < indices.length; pixel++) {
+    const idx = pixel * 4;
+    const key = ((data[idx] << 24) | (data[idx + 1] << 16) | (data[idx + 2] << 8) | data[idx + 3]) >>> 0;
+    let index = lookup.get(key);
+    if (index === undefined) {
+      index = palette.length;
+      lookup.set(key, index);
+      palette.push({ r: data[idx], g: data[idx + 1], b: data[idx + 2], a: data[idx + 3] });
+    }
+    indices[pixel] = index;
+  }
+
+  return { palette, indices };
+}
+
+/**
+ * Returns the index of the transparent entry (alpha 0) in a palette.
+ *
+ * @param {Array<Object>} palette - Palette colors
+ * @returns {number} Index, or -1 if the palette has no transparent entry
+ */
+export function findTransparentIndex(palette) {
+  return palette.findIndex(color => color.a === 0);
+}
+
+/**
+ * Returns the visible pixels that do not exactly match any of the given
+ * colors, as a single-row ImageData, or null if there are none.
+ */
+function excludeColors(imageData, colors) {
+  const { data } = imageData;
+  const excluded = new Set(colors.map(c => (c.r << 16) | (c.g << 8) | c.b));
+
+  const kept = [];
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] > 0 && !excluded.has((data[i] << 16) | (data[i + 1] << 8) | data[i + 2])) {
+      kept.push(i);
+    }
+  }
+
+  if (kept.length === 0) {
+    return null;
+  }
+  if (kept.length === data.length / 4) {
+    return imageData;
+  }
+
+  const output = createImageData(kept.length, 1);
+  kept.forEach((srcIdx, pixel) => {
+    output.data.set(data.subarray(srcIdx, srcIdx + 4), pixel * 4);
+  });
+  return output;
+}
+
+/**
+ * DIVERSE
+ */
+
+/**
+ * Builds a palette of diverse colors sampled from an image ('diverse' quantizer).
+ * Starts from the most common color and greedily adds the sampled color
+ * farthest from everything already in the palette.
+ *
+ * @param {ImageData} imageData - Image data to sample
+ * @param {number} maxColors - Maximum number of colors to use
+ * @param {Object} space - Color space from getColorSpace()
+ * @returns {Array<Object>} Palette colors [{r, g, b}, ...]
+ */
+function buildDiversePalette(imageData, maxColors, space) {
+  const data = imageData.data;
+  const width = imageData.width;
+  const height = imageData.height;
+
+  // Sample colors from the image (use every Nth pixel for performance)
+  const sampleStep = Math.max(1, Math.floor(Math.sqrt(width * height) / 100));
+  const colorSamples = [];
+
+  for (let i = 0; i < data.length; i += 4 * sampleStep) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    colorSamples.push({ r, g, b });
+  }
+
+  // Use k-means-like approach: initialize with diverse colors
+  const palette = [];
+
+  if (colorSamples.length <= maxColors) {
+    // Not enough unique colors, use all samples
+    const uniqueColors = new Map();
+    for (const color of colorSamples) {
+      const key = `${color.r},${color.g},${color.b}`;
+      if (!uniqueColors.has(key)) {
+        uniqueColors.set(key, color);
+        if (uniqueColors.size >= maxColors) break;
+      }
+    }
+    palette.push(...Array.from(uniqueColors.values()));
+  } else {
+    // Initialize palette with diverse colors using a simple approach
+    // First, add the most common color
+    const colorFreq = new Map();
+    for (const color of colorSamples) {
+      const key = `${color.r},${color.g},${color.b}`;
+      colorFreq.set(key, (colorFreq.get(key) || 0) + 1);
+    }
+
+    const sortedByFreq = Array.from(colorFreq.entries())
+      .sort((a, b) => b[1] - a[1])
+      .map(([key]) => {
+        const [r, g, b] = key.split(',').map(Number);
+        return { r, g, b };
+      });
+    const coordsOf = new Map(sortedByFreq.map(color => [color, space.toCoords(color.r, color.g, color.b)]));
+
+    // Add first color (most common)
+    palette.push(sortedByFreq[0]);
+
+    // Add remaining colors that are most different from existing palette
+    while (palette.length < maxColors && palette.length < sortedByFreq.length) {
+      let maxMinDist = -1;
+      let bestColor = null;
+
+      for (const candidate of sortedByFreq) {
+        // Skip if already in palette
+        if (palette.some(c => c.r === candidate.r && c.g === candidate.g && c.b === candidate.b)) {
+          continue;
+        }
+
+        // Find minimum distance to any color in current palette
+        let minDist = Infinity;
+        const candidateCoords = coordsOf.get(candidate);
+        for (const paletteColor of palette) {
+          const dist = space.distance(candidateCoords, coordsOf.get(paletteColor));
+          if (dist < minDist) {
+            minDist = dist;
+          }
+        }
+
+        // Prefer colors that are most different from existing palette
+        if (minDist > maxMinDist) {
+          maxMinDist = minDist;
+          bestColor = candidate;
+        }
+      }
+
+      if (bestColor) {
+        palette.push(bestColor);
+      } else {
+        // If no more diverse colors, add remaining most common ones
+        for (const color of sortedByFreq) {
+          if (palette.length >= maxColors) break;
+          if (!palette.some(c => c.r === color.r && c.g === color.g && c.b === color.b)) {
+            palette.push(color);
+          }
+        }
+        break;
+      }
+    }
+  }
+
+  // Ensure we have at least one color
+  if (palette.length === 0) {
+    palette.push({ r: 128, g: 128, b: 128 });
+  }
+
+  return palette;
+}
+
+/**
+ * Collects the distinct colors of an image with their pixel counts.
+ * Returns null as soon as more than `limit` distinct colors are found.
+ *
+ * @param {ImageData} imageData - Image data to scan
+ * @param {number} limit - Maximum number of distinct colors to collect
+ * @returns {Array<Object>|null} Colors [{r, g, b, count}, ...] or null
+ */
+function collectDistinctColors(imageData, limit) {
+  const { data } = imageData;
+  const counts = new Map();
+
+  for (let i = 0; i < data.length; i += 4) {
+    const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    const count = counts.get(key);
+    if (count === undefined) {
+      if (counts.size >= limit) {
+        return null;
+      }
+      counts.set(key, 1);
+    } else {
+      counts.set(key, count + 1);
+    }
+  }
+
+  return Array.from(counts.entries()).map(([key, count]) => ({
+    r: (key >> 16) & 255,
+    g: (key >> 8) & 255,
+    b: key & 255,
+    count
+  }));
+}
+
+/**
+ * Strips bookkeeping fields and rounds palette entries to byte values.
+ */
+function toPaletteColors(entries) {
+  return entries.map(({ r, g, b }) => ({
+    r: Math.round(r),
+    g: Math.round(g),
+    b: Math.round(b)
+  }));
+}
+
+/**
+ * MEDIAN CUT
+ */
+
+/**
+ * Builds a palette by recursively splitting the color histogram at the
+ * population median of its widest axis ('median-cut' quantizer).
+ * Boxes are measured and averaged in the given color space.
+ *
+ * @param {ImageData} imageData - Image data to sample
+ * @param {number} maxColors - Maximum number of colors to use
+ * @param {Object} space - Color space from getColorSpace()
+ * @returns {Array<Object>} Palette colors [{r, g, b}, ...]
+ */
+function buildMedianCutPalette(imageData, maxColors, space) {
+  const distinct = collectDistinctColors(imageData, maxColors);
+  if (distinct) {
+    return toPaletteColors(distinct);
+  }
+
+  // Histogram with 5 bits per channel; each bin keeps the mean of its colors
+  const { data } = imageData;
+  const binCount = new Uint32Array(32768);
+  const binR = new Float64Array(32768);
+  const binG = new Float64Array(32768);
+  const binB = new Float64Array(32768);
+
+  for (let i = 0; i < data.length; i += 4) {
+    const bin = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+    binCount[bin]++;
+    binR[bin] += data[i];
+    binG[bin] += data[i + 1];
+    binB[bin] += data[i + 2];
+  }
+
+  const entries = [];
+  for (let bin = 0; bin < 32768; bin++) {
+    const count = binCount[bin];
+    if (count > 0) {
+      const coords = space.toCoords(
+        Math.round(binR[bin] / count),
+        Math.round(binG[bin] / count),
+        Math.round(binB[bin] / count)
+      );
+      entries.push({ coords, count });
+    }
+  }
+
+  let boxes = [createBox(entries)];
+
+  while (boxes.length < maxColors) {
+    // Split the box with the largest population-weighted range
+    let target = -1;
+    let bestScore = 0;
+    for (let i = 0; i < boxes.length; i++) {
+      const box = boxes[i];
+      if (box.entries.length < 2) continue;
+      const score = box.range * box.count;
+      if (score > bestScore) {
+        bestScore = score;
+        target = i;
+      }
+    }
+
+    if (target === -1) {
+      break;
+    }
+
+    const box = boxes[target];
+    const axis = box.axis;
+    const sorted = box.entries.slice().sort((a, b) => a.coords[axis] - b.coords[axis]);
+
+    // Find the population median, keeping at least one entry on each side
+    let accumulated = 0;
+    let splitIndex = 1;
+    for (let i = 0; i < sorted.length - 1; i++) {
+      accumulated += sorted[i].count;
+      splitIndex = i + 1;
+      if (accumulated >= box.count / 2) break;
+    }
+
+    boxes.splice(target, 1, createBox(sorted.slice(0, splitIndex)), createBox(sorted.slice(splitIndex)));
+  }
+
+  return boxes.map(box => space.fromCoords(box.mean));
+}
+
+/**
+ * Creates a median cut box with its widest axis, population and mean coordinates.
+ */
+function createBox(entries) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  const sum = [0, 0, 0];
+  let count = 0;
+
+  for (const entry of entries) {
+    for (let axis = 0; axis < 3; axis++) {
+      const value = entry.coords[axis];
+      if (value < min[axis]) min[axis] = value;
+      if (value > max[axis]) max[axis] = value;
+      sum[axis] += value * entry.count;
+    }
+    count += entry.count;
+  }
+
+  const ranges = max.map((value, axis) => value - min[axis]);
+  const range = Math.max(...ranges);
+
+  return {
+    entries,
+    count,
+    range,
+    axis: ranges.indexOf(range),
+    mean: sum.map(value => value / count)
+  };
+}
+
+/**
+ * OCTREE
+ */
+
+const OCTREE_DEPTH = 8;
+
+/**
+ * Represents a node in the octree quantizer
+ */
+class OctreeNode {
+  constructor(level) {
+    this.level = level;
+    this.children = null;
+    this.count = 0;
+    this.r = 0;
+    this.g = 0;
+    this.b = 0;
+  }
+
+  isLeaf() {
+    return this.children === null;
+  }
+}
+
+/**
+ * Builds a palette by inserting every pixel into an octree and merging the
+ * least populated deepest nodes until maxColors leaves remain ('octree' quantizer).
+ *
+ * @param {ImageData} imageData - Image data to sample
+ * @param {number} maxColors - Maximum number of colors to use
+ * @returns {Array<Object>} Palette colors [{r, g, b}, ...]
+ */
+function buildOctreePalette(imageData, maxColors) {
+  const distinct = collectDistinctColors(imageData, maxColors);
+  if (distinct) {
+    return toPaletteColors(distinct);
+  }
+
+  const { data } = imageData;
+  const root = new OctreeNode(0);
+  root.children = new Array(8).fill(null);
+  const reducible = Array.from({ length: OCTREE_DEPTH }, () => []);
+  reducible[0].push(root);
+  let leafCount = 0;
+
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i], g = data[i + 1], b = data[i + 2];
+    let node = root;
+
+    for (let level = 0; level < OCTREE_DEPTH && !node.isLeaf(); level++) {
+      const shift = 7 - level;
+      const index = (((r >> shift) & 1) << 2) | (((g >> shift) & 1) << 1) | ((b >> shift) & 1);
+
+      if (!node.children[index]) {
+        const child = new OctreeNode(level + 1);
+        if (level + 1 < OCTREE_DEPTH) {
+          child.children = new Array(8).fill(null);
+          reducible[level + 1].push(child);
+        } else {
+          leafCount++;
+        }
+        node.children[index] = child;
+      }
+      node = node.children[index];
+    }
+
+    node.count++;
+    node.r += r;
+    node.g += g;
+    node.b += b;
+  }
+
+  // Merge nodes, deepest level first, until the leaf count fits
+  for (let level = OCTREE_DEPTH - 1; level >= 0 && leafCount > maxColors; level--) {
+    // Deeper levels are fully reduced, so every child here is a leaf
+    const nodes = reducible[level];
+    for (const node of nodes) {
+      for (const child of node.children) {
+        if (child) node.count += child.count;
+      }
+    }
+    nodes.sort((a, b) => a.count - b.count);
+
+    for (const node of nodes) {
+      if (leafCount <= maxColors) break;
+      let merged = 0;
+      let count = 0;
+      for (const child of node.children) {
+        if (!child) continue;
+        node.r += child.r;
+        node.g += child.g;
+        node.b += child.b;
+        count += child.count;
+        merged++;
+      }
+      node.count = count;
+      node.children = null;
+      leafCount -= merged - 1;
+    }
+  }
+
+  const leaves = [];
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (node.isLeaf()) {
+      if (node.count > 0) {
+        leaves.push({ r: node.r / node.count, g: node.g / node.count, b: node.b / node.count });
+      }
+    } else {
+      for (const child of node.children) {
+        if (child) stack.push(child);
+      }
+    }
+  }
+
+  return toPaletteColors(leaves);
+}
+
+/**
+ * WU
+ */
+
+const WU_SIZE = 33;
+
+/**
+ * Index into the Wu moment tables for 5-bit (1-based) channel coordinates.
+ */
+function wuIndex(r, g, b) {
+  return (r * WU_SIZE + g) * WU_SIZE + b;
+}
+
+/**
+ * Sums a moment table over a box using inclusion-exclusion.
+ */
+function wuVolume(box, moment) {
+  return moment[wuIndex(box.r1, box.g1, box.b1)]
+    - moment[wuIndex(box.r1, box.g1, box.b0)]
+    - moment[wuIndex(box.r1, box.g0, box.b1)]
+    + moment[wuIndex(box.r1, box.g0, box.b0)]
+    - moment[wuIndex(box.r0, box.g1, box.b1)]
+    + moment[wuIndex(box.r0, box.g1, box.b0)]
+    + moment[wuIndex(box.r0, box.g0, box.b1)]
+    - moment[wuIndex(box.r0, box.g0, box.b0)];
+}
+
+/**
+ * Part of wuVolume() that does not depend on the upper bound along a channel.
+ */
+function wuBottom(box, channel, moment) {
+  switch (channel) {
+    case 'r':
+      return -moment[wuIndex(box.r0, box.g1, box.b1)]
+        + moment[wuIndex(box.r0, box.g1, box.b0)]
+        + moment[wuIndex(box.r0, box.g0, box.b1)]
+        - moment[wuIndex(box.r0, box.g0, box.b0)];
+    case 'g':
+      return -moment[wuIndex(box.r1, box.g0, box.b1)]
+        + moment[wuIndex(box.r1, box.g0, box.b0)]
+        + moment[wuIndex(box.r0, box.g0, box.b1)]
+        - moment[wuIndex(box.r0, box.g0, box.b0)];
+    default:
+      return -moment[wuIndex(box.r1, box.g1, box.b0)]
+        + moment[wuIndex(box.r1, box.g0, box.b0)]
+        + moment[wuIndex(box.r0, box.g1, box.b0)]
+        - moment[wuIndex(box.r0, box.g0, box.b0)];
+  }
+}
+
+/**
+ * Part of wuVolume() that depends on the upper bound `position` along a channel.
+ */
+function wuTop(box, channel, position, moment) {
+  switch (channel) {
+    case 'r':
+      return moment[wuIndex(position, box.g1, box.b1)]
+        - moment[wuIndex(position, box.g1, box.b0)]
+        - moment[wuIndex(position, box.g0, box.b1)]
+        + moment[wuIndex(position, box.g0, box.b0)];
+    case 'g':
+      return moment[wuIndex(box.r1, position, box.b1)]
+        - moment[wuIndex(box.r1, position, box.b0)]
+        - moment[wuIndex(box.r0, position, box.b1)]
+        + moment[wuIndex(box.r0, position, box.b0)];
+    default:
+      return moment[wuIndex(box.r1, box.g1, position)]
+        - moment[wuIndex(box.r1, box.g0, position)]
+        - moment[wuIndex(box.r0, box.g1, position)]
+        + moment[wuIndex(box.r0, box.g0, position)];
+  }
+}
+
+/**
+ * Builds a palette with Xiaolin Wu's variance-minimizing box splitting
+ * ('wu' quantizer, Graphics Gems II).
+ *
+ * @param {ImageData} imageData - Image data to sample
+ * @param {number} maxColors - Maximum number of colors to use
+ * @returns {Array<Object>} Palette colors [{r, g, b}, ...]
+ */
+function buildWuPalette(imageData, maxColors) {
+  const distinct = collectDistinctColors(imageData, maxColors);
+  if (distinct) {
+    return toPaletteColors(distinct);
+  }
+
+  const { data } = imageData;
+  const tableSize = WU_SIZE * WU_SIZE * WU_SIZE;
+  const weights = new Float64Array(tableSize);
+  const momentsR = new Float64Array(tableSize);
+  const momentsG = new Float64Array(tableSize);
+  const momentsB = new Float64Array(tableSize);
+  const moments2 = new Float64Array(tableSize);
+
+  // Histogram with 5 bits per channel (index 0 is reserved for the cumulative base)
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i], g = data[i + 1], b = data[i + 2];
+    const index = wuIndex((r >> 3) + 1, (g >> 3) + 1, (b >> 3) + 1);
+    weights[index]++;
+    momentsR[index] += r;
+    momentsG[index] += g;
+    momentsB[index] += b;
+    moments2[index] += r * r + g * g + b * b;
+  }
+
+  // Convert histogram into cumulative moments
+  const tables = [weights, momentsR, momentsG, momentsB, moments2];
+  const areas = tables.map(() => new Float64Array(WU_SIZE));
+  for (let r = 1; r < WU_SIZE; r++) {
+    for (const area of areas) area.fill(0);
+    for (let g = 1; g < WU_SIZE; g++) {
+      const lines = [0, 0, 0, 0, 0];
+      for (let b = 1; b < WU_SIZE; b++) {
+        const index = wuIndex(r, g, b);
+        const below = wuIndex(r - 1, g, b);
+        for (let t = 0; t < tables.length; t++) {
+          lines[t] += tables[t][index];
+          areas[t][b] += lines[t];
+          tables[t][index] = tables[t][below] + areas[t][b];
+        }
+      }
+    }
+  }
+
+  const variance = (box) => {
+    const dr = wuVolume(box, momentsR);
+    const dg = wuVolume(box, momentsG);
+    const db = wuVolume(box, momentsB);
+    return wuVolume(box, moments2) - (dr * dr + dg * dg + db * db) / wuVolume(box, weights);
+  };
+
+  const maximize = (box, channel, first, last, whole) => {
+    const base = {
+      r: wuBottom(box, channel, momentsR),
+      g: wuBottom(box, channel, momentsG),
+      b: wuBottom(box, channel, momentsB),
+      w: wuBottom(box, channel, weights)
+    };
+    let max = 0;
+    let cut = -1;
+
+    for (let position = first; position < last; position++) {
+      const halfR = base.r + wuTop(box, channel, position, momentsR);
+      const halfG = base.g + wuTop(box, channel, position, momentsG);
+      const halfB = base.b + wuTop(box, channel, position, momentsB);
+      const halfW = base.w + wuTop(box, channel, position, weights);
+      if (halfW === 0) continue;
+
+      const otherR = whole.r - halfR;
+      const otherG = whole.g - halfG;
+      const otherB = whole.b - halfB;
+      const otherW = whole.w - halfW;
+      if (otherW === 0) continue;
+
+      const score = (halfR * halfR + halfG * halfG + halfB * halfB) / halfW +
+        (otherR * otherR + otherG * otherG + otherB * otherB) / otherW;
+      if (score > max) {
+        max = score;
+        cut = position;
+      }
+    }
+
+    return { max, cut };
+  };
+
+  const cut = (box) => {
+    const whole = {
+      r: wuVolume(box, momentsR),
+      g: wuVolume(box, momentsG),
+      b: wuVolume(box, momentsB),
+      w: wuVolume(box, weights)
+    };
+    const splitR = maximize(box, 'r', box.r0 + 1, box.r1, whole);
+    const splitG = maximize(box, 'g', box.g0 + 1, box.g1, whole);
+    const splitB = maximize(box, 'b', box.b0 + 1, box.b1, whole);
+
+    let channel, position;
+    if (splitR.max >= splitG.max && splitR.max >= splitB.max) {
+      channel = 'r';
+      position = splitR.cut;
+    } else if (splitG.max >= splitR.max && splitG.max >= splitB.max) {
+      channel = 'g';
+      position = splitG.cut;
+    } else {
+      channel = 'b';
+      position = splitB.cut;
+    }
+
+    if (position < 0) {
+      return null;
+    }
+
+    const other = { ...box };
+    other[`${channel}0`] = position;
+    box[`${channel}1`] = position;
+    return other;
+  };
+
+  const boxVolume = (box) => (box.r1 - box.r0) * (box.g1 - box.g0) * (box.b1 - box.b0);
+
+  const boxes = [{ r0: 0, r1: 32, g0: 0, g1: 32, b0: 0, b1: 32 }];
+  const variances = [0];
+  let next = 0;
+
+  while (boxes.length < maxColors) {
+    const box = boxes[next];
+    const other = cut(box);
+
+    if (other) {
+      boxes.push(other);
+      variances[next] = boxVolume(box) > 1 ? variance(box) : 0;
+      variances.push(boxVolume(other) > 1 ? variance(other) : 0);
+    } else {
+      variances[next] = 0;
+    }
+
+    // Continue with the box that has the highest variance
+    next = 0;
+    for (let i = 1; i < boxes.length; i++) {
+      if (variances[i] > variances[next]) next = i;
+    }
+    if (variances[next] <= 0) {
+      break;
+    }
+  }
+
+  const colors = [];
+  for (const box of boxes) {
+    const weight = wuVolume(box, weights);
+    if (weight > 0) {
+      colors.push({
+        r: wuVolume(box, momentsR) / weight,
+        g: wuVolume(box, momentsG) / weight,
+        b: wuVolume(box, momentsB) / weight
+      });
+    }
+  }
+
+  return toPaletteColors(colors);
+}
+
+/**
+ * K-MEANS
+ */
+
+/**
+ * Creates a deterministic pseudo-random number generator (mulberry32).
+ *
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Builds a palette with k-means clustering ('kmeans' quantizer).
+ * Centroids are seeded with k-means++ using a seeded random generator,
+ * so the same seed always produces the same palette. Clustering happens
+ * in the given color space.
+ *
+ * @param {ImageData} imageData - Image data to sample
+ * @param {number} maxColors - Number of clusters
+ * @param {number} iterations - Maximum refinement iterations
+ * @param {number} seed - Random seed for centroid initialization
+ * @param {Object} space - Color space from getColorSpace()
+ * @returns {Array<Object>} Palette colors [{r, g, b}, ...]
+ */
+function buildKMeansPalette(imageData, maxColors, iterations, seed, space) {
+  const { data, width, height } = imageData;
+
+  // Cluster distinct colors weighted by frequency, sampling large images
+  const sampleStep = Math.max(1, Math.floor((width * height) / 65536));
+  const counts = new Map();
+  for (let i = 0; i < data.length; i += 4 * sampleStep) {
+    const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  if (counts.size <= maxColors) {
+    return Array.from(counts.keys()).map(key => ({
+      r: (key >> 16) & 255,
+      g: (key >> 8) & 255,
+      b: key & 255
+    }));
+  }
+
+  const points = Array.from(counts.entries()).map(([key, count]) => ({
+    coords: space.toCoords((key >> 16) & 255, (key >> 8) & 255, key & 255),
+    count
+  }));
+
+  const random = createRandom(seed);
+
+  // k-means++ initialization
+  const centroids = [];
+  let total = 0;
+  for (const point of points) total += point.count;
+  let pick = random() * total;
+  for (const point of points) {
+    pick -= point.count;
+    if (pick <= 0) {
+      centroids.push(point.coords);
+      break;
+    }
+  }
+  if (centroids.length === 0) {
+    centroids.push(points[0].coords);
+  }
+
+  const nearestDistance = points.map(point => space.distance(point.coords, centroids[0]) ** 2);
+  while (centroids.length < maxColors) {
+    let weightSum = 0;
+    for (let i = 0; i < points.length; i++) {
+      weightSum += nearestDistance[i] * points[i].count;
+    }
+    if (weightSum === 0) break;
+
+    let target = random() * weightSum;
+    let chosen = points.length - 1;
+    for (let i = 0; i < points.length; i++) {
+      target -= nearestDistance[i] * points[i].count;
+      if (target <= 0) {
+        chosen = i;
+        break;
+      }
+    }
+
+    const centroid = points[chosen].coords;
+    centroids.push(centroid);
+    for (let i = 0; i < points.length; i++) {
+      nearestDistance[i] = Math.min(nearestDistance[i], space.distance(points[i].coords, centroid) ** 2);
+    }
+  }
+
+  // Lloyd iterations
+  const assignments = new Int32Array(points.length).fill(-1);
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    let changed = false;
+    for (let i = 0; i < points.length; i++) {
+      let best = 0;
+      let bestDistance = Infinity;
+      for (let c = 0; c < centroids.length; c++) {
+        const d = space.distance(points[i].coords, centroids[c]);
+        if (d < bestDistance) {
+          bestDistance = d;
+          best = c;
+        }
+      }
+      if (assignments[i] !== best) {
+        assignments[i] = best;
+        changed = true;
+      }
+    }
+
+    if (!changed) break;
+
+    const sums = centroids.map(() => ({ coords: [0, 0, 0], count: 0 }));
+    for (let i = 0; i < points.length; i++) {
+      const sum = sums[assignments[i]];
+      const point = points[i];
+      for (let axis = 0; axis < 3; axis++) {
+        sum.coords[axis] += point.coords[axis] * point.count;
+      }
+      sum.count += point.count;
+    }
+    for (let c = 0; c < centroids.length; c++) {
+      // Empty clusters keep their previous centroid
+      if (sums[c].count > 0) {
+        centroids[c] = sums[c].coords.map(value => value / sums[c].count);
+      }
+    }
+  }
+
+  // Rounding can make centroids collide; drop duplicates
+  const unique = new Map();
+  for (const color of centroids.map(space.fromCoords)) {
+    unique.set(`${color.r},${color.g},${color.b}`, color);
+  }
+  return Array.from(unique.values());
+}
+
+/**
+ * PALETTE MAPPING
+ */
+
+/**
+ * Creates a nearest-color lookup for a palette.
+ * Results are cached per RGB value, so repeated colors are matched once.
+ * Transparent entries (alpha 0) are never matched; they are reserved for
+ * transparent pixels.
+ *
+ * @param {Array<Object>} palette - Palette colors [{r, g, b}, ...]
+ * @param {string} colorSpace - Color space for matching (default: 'rgb')
+ * @returns {Function} Function (r, g, b) -> palette index; channels must be integers 0-255
+ */
+export function createColorMatcher(palette, colorSpace = 'rgb') {
+  const space = getColorSpace(colorSpace);
+  const paletteCoords = palette.map(color => space.toCoords(color.r, color.g, color.b));
+  const cache = new Map();
+
+  return (r, g, b) => {
+    const key = (r << 16) | (g << 8) | b;
+    let index = cache.get(key);
+    if (index !== undefined) {
+      return index;
+    }
+
+    const coords = space.toCoords(r, g, b);
+    let minDist = Infinity;
+    index = 0;
+    for (let i = 0; i < paletteCoords.length; i++) {
+      if (palette[i].a === 0) continue;
+      const dist = space.distance(coords, paletteCoords[i]);
+      if (dist < minDist) {
+        minDist = dist;
+        index = i;
+      }
+    }
+
+    cache.set(key, index);
+    return index;
+  };
+}
+
+/**
+ * Creates a palette index buffer: Uint8Array for palettes of up to 256
+ * colors, Uint16Array otherwise.
+ *
+ * @param {number} length - Number of indices
+ * @param {number} paletteSize - Number of palette colors
+ * @returns {Uint8Array|Uint16Array} Zero-filled index buffer
+ */
+export function createIndexBuffer(length, paletteSize) {
+  return paletteSize <= 256 ? new Uint8Array(length) : new Uint16Array(length);
+}
+
+/**
+ * Maps each pixel to the nearest color in a palette.
+ *
+ * @param {ImageData} imageData - Image data to map
+ * @param {Array<Object>} palette - Palette colors [{r, g, b}, ...]
+ * @param {Object} options - Optional configuration
+ * @param {string} options.colorSpace - Color space for matching: 'rgb', 'oklab', 'lab76' or 'ciede2000' (default: 'rgb')
+ * @returns {ImageData} Image data using only palette colors
+ */
+export function mapToPalette(imageData, palette, options = {}) {
+  return mapToPaletteIndexed(imageData, palette, options).imageData;
+}
+
+/**
+ * Maps each pixel to the nearest color in a palette, also returning the
+ * palette index chosen for every pixel. Fully transparent pixels map to the
+ * palette's transparent entry when it has one; other pixels keep their alpha.
+ *
+ * @param {ImageData} imageData - Image data to map
+ * @param {Array<Object>} palette - Palette colors [{r, g, b}, ...]
+ * @param {Object} options - Optional configuration
+ * @param {string} options.colorSpace - Color space for matching: 'rgb', 'oklab', 'lab76' or 'ciede2000' (default: 'rgb')
+ * @returns {Object} { imageData, palette, indices } with one index per pixel
+ */
+export function mapToPaletteIndexed(imageData, palette, options = {}) {
+  const { colorSpace = 'rgb' } = options;
+  const { data, width, height } = imageData;
+  const findNearest = createColorMatcher(palette, colorSpace);
+
+  // Create output image data
+  const output = createImageData(width, height);
+  const outputData = output.data;
+  const indices = createIndexBuffer(width * height, palette.length);
+  const transparentIndex = findTransparentIndex(palette);
+
+  // Map each pixel to nearest color in palette
+  for (let i = 0, pixel = 0; i < data.length; i += 4, pixel++) {
+    if (data[i + 3] === 0 && transparentIndex >= 0) {
+      indices[pixel] = transparentIndex;
+      continue;
+    }
+
+    const index = findNearest(data[i], data[i + 1], data[i + 2]);
+    const nearestColor = palette[index];
+    indices[pixel] = index;
+
+    outputData[i] = nearestColor.r;
+    outputData[i + 1] = nearestColor.g;
+    outputData[i + 2] = nearestColor.b;
+    outputData[i + 3] = data[i + 3];
+  }
+
+  return { imageData: output, palette, indices };
+}
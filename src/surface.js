@@ -0,0 +1,438 @@
+/**
+ * Surface Module
+ *
+ * Pluggable drawing backend behind every canvas the library creates. The
+ * 'canvas' backend uses DOM canvases; the 'pure' backend keeps pixels in typed
+ * arrays and implements the small part of the 2D context API the pipeline
+ * needs (ImageData transfer, nearest-neighbor drawImage and line strokes), so
+ * pixelation runs in Node, Deno or a worker without any DOM.
+ */
+
+import { parseColor } from './palettes.js';
+
+/**
+ * Names of the built-in surface backends.
+ */
+export const SURFACE_BACKENDS = ['canvas', 'pure'];
+
+/**
+ * ImageData stand-in for runtimes without a global ImageData.
+ */
+class PixelImageData {
+  constructor(width, height, data = null) {
+    this.width = width;
+    this.height = height;
+    this.data = data || new Uint8ClampedArray(width * height * 4);
+    this.colorSpace = 'srgb';
+  }
+}
+
+/**
+ * Creates image data with the global ImageData when there is one.
+ */
+function newImageData(width, height) {
+  if (typeof ImageData !== 'undefined') {
+    return new ImageData(width, height);
+  }
+  return new PixelImageData(width, height);
+}
+
+/**
+ * Parses a CSS stroke color: hex, rgb() or rgba().
+ */
+function parseStrokeStyle(style) {
+  const match = /^rgba?\(([^)]*)\)$/i.exec(String(style).trim());
+  if (!match) {
+    return { ...parseColor(style), a: 1 };
+  }
+  const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+  return { r, g, b, a: Math.max(0, Math.min(1, a)) };
+}
+
+/**
+ * Subset of CanvasRenderingContext2D backed by a PixelSurface's pixels.
+ * drawImage always samples nearest-neighbor and composites source-over;
+ * imageSmoothingEnabled is accepted but has no effect.
+ */
+class PixelContext2D {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.imageSmoothingEnabled = true;
+    this.strokeStyle = '#000000';
+    this.lineWidth = 1;
+    this.lineCap = 'butt';
+    this.lineJoin = 'miter';
+    this.path = [];
+  }
+
+  createImageData(width, height) {
+    if (typeof width === 'object') {
+      return newImageData(width.width, width.height);
+    }
+    return newImageData(width, height);
+  }
+
+  getImageData(sx, sy, sw, sh) {
+    const { width, height, data } = this.canvas;
+    const output = newImageData(sw, sh);
+    for (let y = 0; y < sh; y++) {
+      const srcY = sy + y;
+      if (srcY < 0 || srcY >= height) continue;
+      for (let x = 0; x < sw; x++) {
+        const srcX = sx + x;
+        if (srcX < 0 || srcX >= width) continue;
+        const srcIdx = (srcY * width + srcX) * 4;
+        output.data.set(data.subarray(srcIdx, srcIdx + 4), (y * sw + x) * 4);
+      }
+    }
+    return output;
+  }
+
+  putImageData(imageData, dx, dy) {
+    const { width, height, data } = this.canvas;
+    const startX = Math.max(0, dx);
+    const endX = Math.min(width, dx + imageData.width);
+    if (startX >= endX) return;
+    for (let y = Math.max(0, dy); y < Math.min(height, dy + imageData.height); y++) {
+      const srcStart = ((y - dy) * imageData.width + (startX - dx)) * 4;
+      const srcEnd = srcStart + (endX - startX) * 4;
+      data.set(imageData.data.subarray(srcStart, srcEnd), (y * width + startX) * 4);
+    }
+  }
+
+  drawImage(image, ...args) {
+    const source = readSource(image);
+    let sx = 0, sy = 0, sw = source.width, sh = source.height;
+    let dx, dy, dw = source.width, dh = source.height;
+    if (args.length === 2) {
+      [dx, dy] = args;
+    } else if (args.length === 4) {
+      [dx, dy, dw, dh] = args;
+    } else if (args.length === 8) {
+      [sx, sy, sw, sh, dx, dy, dw, dh] = args;
+    } else {
+      throw new TypeError(`drawImage expects 3, 5 or 9 arguments, got ${args.length + 1}`);
+    }
+    if (sw === 0 || sh === 0 || dw === 0 || dh === 0) return;
+
+    const { width, height, data } = this.canvas;
+    const startX = Math.max(0, Math.round(Math.min(dx, dx + dw)));
+    const endX = Math.min(width, Math.round(Math.max(dx, dx + dw)));
+    const startY = Math.max(0, Math.round(Math.min(dy, dy + dh)));
+    const endY = Math.min(height, Math.round(Math.max(dy, dy + dh)));
+
+    for (let y = startY; y < endY; y++) {
+      // Sample at the destination pixel center, like the browser does
+      const srcY = Math.floor(sy + (y + 0.5 - dy) * sh / dh);
+      if (srcY < 0 || srcY >= source.height) continue;
+      for (let x = startX; x < endX; x++) {
+        const srcX = Math.floor(sx + (x + 0.5 - dx) * sw / dw);
+        if (srcX < 0 || srcX >= source.width) continue;
+        const srcIdx = (srcY * source.width + srcX) * 4;
+        blendPixel(data, (y * width + x) * 4, source.data[srcIdx], source.data[srcIdx + 1],
+          source.data[srcIdx + 2], source.data[srcIdx + 3] / 255);
+      }
+    }
+  }
+
+  beginPath() {
+    this.path = [];
+  }
+
+  moveTo(x, y) {
+    this.path.push([{ x, y }]);
+  }
+
+  lineTo(x, y) {
+    if (this.path.length === 0) {
+      this.path.push([]);
+    }
+    this.path[this.path.length - 1].push({ x, y });
+  }
+
+  stroke() {
+    const color = parseStrokeStyle(this.strokeStyle);
+    const { width, height, data } = this.canvas;
+    const radius = this.lineWidth / 2;
+
+    // Cover every pixel once so overlapping segments don't darken the joins
+    const covered = new Uint8Array(width * height);
+    for (const points of this.path) {
+      for (let i = 1; i < points.length; i++) {
+        const p0 = points[i - 1];
+        const p1 = points[i];
+        const minX = Math.max(0, Math.floor(Math.min(p0.x, p1.x) - radius));
+        const maxX = Math.min(width - 1, Math.ceil(Math.max(p0.x, p1.x) + radius));
+        const minY = Math.max(0, Math.floor(Math.min(p0.y, p1.y) - radius));
+        const maxY = Math.min(height - 1, Math.ceil(Math.max(p0.y, p1.y) + radius));
+        for (let y = minY; y <= maxY; y++) {
+          for (let x = minX; x <= maxX; x++) {
+            if (!covered[y * width + x] && distanceToSegment(x + 0.5, y + 0.5, p0, p1) <= radius) {
+              covered[y * width + x] = 1;
+            }
+          }
+        }
+      }
+    }
+
+    for (let i = 0; i < covered.length; i++) {
+      if (covered[i]) {
+        blendPixel(data, i * 4, color.r, color.g, color.b, color.a);
+      }
+    }
+  }
+}
+
+/**
+ * Composites one color over a pixel (source-over).
+ */
+function blendPixel(data, idx, r, g, b, alpha) {
+  if (alpha >= 1) {
+    data[idx] = r;
+    data[idx + 1] = g;
+    data[idx + 2] = b;
+    data[idx + 3] = 255;
+    return;
+  }
+  if (alpha <= 0) return;
+  const destAlpha = data[idx + 3] / 255;
+  const outAlpha = alpha + destAlpha * (1 - alpha);
+  const destWeight = destAlpha * (1 - alpha);
+  data[idx] = (r * alpha + data[idx] * destWeight) / outAlpha;
+  data[idx + 1] = (g * alpha + data[idx + 1] * destWeight) / outAlpha;
+  data[idx + 2] = (b * alpha + data[idx + 2] * destWeight) / outAlpha;
+  data[idx + 3] = outAlpha * 255;
+}
+
+/**
+ * Distance from a point to the segment p0-p1.
+ */
+function distanceToSegment(x, y, p0, p1) {
+  const dx = p1.x - p0.x;
+  const dy = p1.y - p0.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((x - p0.x) * dx + (y - p0.y) * dy) / lengthSq));
+  return Math.hypot(x - (p0.x + t * dx), y - (p0.y + t * dy));
+}
+
+/**
+ * Typed-array surface with the canvas members the library uses: width,
+ * height and getContext('2d'). Like a canvas, resizing clears it.
+ */
+export class PixelSurface {
+  constructor(width = 300, height = 150) {
+    this._width = width;
+    this._height = height;
+    this.data = new Uint8ClampedArray(width * height * 4);
+    this._context = null;
+  }
+
+  get width() {
+    return this._width;
+  }
+
+  set width(value) {
+    this._width = value;
+    this.data = new Uint8ClampedArray(this._width * this._height * 4);
+  }
+
+  get height() {
+    return this._height;
+  }
+
+  set height(value) {
+    this._height = value;
+    this.data = new Uint8ClampedArray(this._width * this._height * 4);
+  }
+
+  getContext(type) {
+    if (type !== '2d') {
+      return null;
+    }
+    if (!this._context) {
+      this._context = new PixelContext2D(this);
+    }
+    return this._context;
+  }
+}
+
+/**
+ * Reads the pixels of a drawImage source on the pure backend.
+ */
+function readSource(image) {
+  if (image instanceof PixelSurface || isImageData(image)) {
+    return image;
+  }
+  if (image && typeof image.getContext === 'function') {
+    return image.getContext('2d').getImageData(0, 0, image.width, image.height);
+  }
+  throw new Error('Unsupported image type for the pure surface backend. Use Canvas, PixelSurface, or ImageData.');
+}
+
+/**
+ * DOM canvas backend. Uses OffscreenCanvas where there is no document, e.g.
+ * in browser workers.
+ */
+const canvasBackend = {
+  name: 'canvas',
+  webgl: true,
+  createSurface(width, height) {
+    if (typeof document === 'undefined' && typeof OffscreenCanvas !== 'undefined') {
+      return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  },
+  createImageData: newImageData
+};
+
+/**
+ * Typed-array backend with no DOM dependency.
+ */
+const pureBackend = {
+  name: 'pure',
+  webgl: false,
+  createSurface(width, height) {
+    return new PixelSurface(width, height);
+  },
+  createImageData: newImageData
+};
+
+let selectedBackend = null;
+let detectedBackend = null;
+
+/**
+ * Picks the canvas backend when the DOM (or OffscreenCanvas in a worker) can
+ * draw, otherwise the pure one.
+ */
+function detectBackend() {
+  if (!detectedBackend) {
+    let canDraw = false;
+    try {
+      if (typeof document !== 'undefined' && typeof document.createElement === 'function') {
+        canDraw = Boolean(document.createElement('canvas').getContext('2d'));
+      } else if (typeof OffscreenCanvas !== 'undefined') {
+        canDraw = Boolean(new OffscreenCanvas(1, 1).getContext('2d'));
+      }
+    } catch {
+      canDraw = false;
+    }
+    detectedBackend = canDraw ? canvasBackend : pureBackend;
+  }
+  return detectedBackend;
+}
+
+/**
+ * Selects the surface backend. Pass 'canvas', 'pure', a custom backend
+ * object, or null to go back to detecting one (canvas when the DOM or
+ * OffscreenCanvas can draw, pure otherwise).
+ *
+ * A custom backend implements createSurface(width, height), returning an
+ * object with width, height and getContext('2d'), and
+ * createImageData(width, height). Set `webgl: true` on it to let edge
+ * detection try WebGL on its surfaces.
+ *
+ * @param {string|Object|null} backend - Backend name or object
+ */
+export function setSurfaceBackend(backend) {
+  if (backend === null) {
+    selectedBackend = null;
+  } else if (typeof backend === 'string') {
+    const name = backend.toLowerCase();
+    if (!SURFACE_BACKENDS.includes(name)) {
+      throw new Error(`Unknown surface backend: ${backend}. Available backends: ${SURFACE_BACKENDS.join(', ')}`);
+    }
+    selectedBackend = name === 'canvas' ? canvasBackend : pureBackend;
+  } else if (backend && typeof backend.createSurface === 'function' && typeof backend.createImageData === 'function') {
+    selectedBackend = { name: 'custom', webgl: false, ...backend };
+  } else {
+    throw new Error('Surface backend must be a backend name or an object with createSurface and createImageData');
+  }
+}
+
+/**
+ * Returns the active surface backend.
+ *
+ * @returns {Object} Backend { name, webgl, createSurface, createImageData }
+ */
+export function getSurfaceBackend() {
+  return selectedBackend || detectBackend();
+}
+
+/**
+ * Creates a drawing surface on the active backend: a canvas element on the
+ * canvas backend, a PixelSurface on the pure backend.
+ *
+ * @param {number} width - Surface width
+ * @param {number} height - Surface height
+ * @returns {HTMLCanvasElement|PixelSurface} Surface with getContext('2d')
+ */
+export function createSurface(width, height) {
+  return getSurfaceBackend().createSurface(width, height);
+}
+
+/**
+ * Creates blank image data. Uses the global ImageData when the runtime has
+ * one, otherwise an object with the same width, height and data fields.
+ *
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {ImageData} Image data
+ */
+export function createImageData(width, height) {
+  return getSurfaceBackend().createImageData(width, height);
+}
+
+/**
+ * Checks whether a value is image data: an ImageData or any object with
+ * width, height and a matching RGBA data array.
+ *
+ * @param {*} image - Value to check
+ * @returns {boolean} True for image data
+ */
+export function isImageData(image) {
+  if (typeof ImageData !== 'undefined' && image instanceof ImageData) {
+    return true;
+  }
+  return Boolean(image) && !(image instanceof PixelSurface) &&
+    Number.isInteger(image.width) && Number.isInteger(image.height) &&
+    image.data != null && image.data.length === image.width * image.height * 4;
+}
+
+/**
+ * Returns the pixel size of an image, canvas, surface, bitmap or image data.
+ *
+ * @param {HTMLImageElement|HTMLCanvasElement|OffscreenCanvas|ImageBitmap|PixelSurface|ImageData} image - Source image
+ * @returns {Object} Size { width, height }
+ */
+export function getImageSize(image) {
+  if (typeof HTMLImageElement !== 'undefined' && image instanceof HTMLImageElement) {
+    return { width: image.naturalWidth || image.width, height: image.naturalHeight || image.height };
+  }
+  if (isImageData(image) || (image && typeof image.getContext === 'function') ||
+    (typeof ImageBitmap !== 'undefined' && image instanceof ImageBitmap)) {
+    return { width: image.width, height: image.height };
+  }
+  throw new Error('Unsupported image type. Use Image, Canvas, or ImageData.');
+}
+
+/**
+ * Converts various image types to ImageData.
+ * Can be used independently or as part of a pipeline.
+ *
+ * @param {HTMLImageElement|HTMLCanvasElement|OffscreenCanvas|ImageBitmap|PixelSurface|ImageData} image - Source image
+ * @returns {ImageData} ImageData representation of the image
+ */
+export function convertToImageData(image) {
+  if (isImageData(image)) {
+    return image;
+  }
+
+  const { width, height } = getImageSize(image);
+  const canvas = createSurface(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+  return ctx.getImageData(0, 0, width, height);
+}
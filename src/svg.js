@@ -0,0 +1,182 @@
+/**
+ * SVG Module
+ *
+ * Vector export of pixelated results. Cells of the same color are merged
+ * into horizontal runs, and runs that line up in consecutive rows into
+ * rectangles, so files stay small. Each palette color becomes one <path>
+ * (or one group of <rect> elements), which makes recoloring in vector
+ * editors a single fill change. Works without a DOM.
+ */
+
+import { colorToHex } from './palettes.js';
+import { indexImageColors } from './quantization.js';
+
+/**
+ * SVG element types the exporter can write.
+ */
+export const SVG_ELEMENTS = ['path', 'rect'];
+
+/**
+ * Normalizes the exporter input to { width, height, palette, indices }.
+ */
+function resolveCells(image) {
+  if (image.palette && image.indices) {
+    return {
+      width: image.cols ?? image.imageData.width,
+      height: image.rows ?? image.imageData.height,
+      palette: image.palette,
+      indices: image.indices
+    };
+  }
+
+  const imageData = image.data ? image : image.imageData;
+  if (!imageData || !imageData.data) {
+    throw new Error('encodeSvg requires ImageData or a pixelation result');
+  }
+  return { width: imageData.width, height: imageData.height, ...indexImageColors(imageData) };
+}
+
+/**
+ * Merges cells into rectangles: horizontal runs of one color, extended
+ * downward while the row below has an identical run.
+ *
+ * @param {Uint8Array|Uint16Array|Uint32Array|Array<number>} indices - One palette index per cell, row-major
+ * @param {number} width - Cells per row
+ * @param {number} height - Number of rows
+ * @returns {Array<Object>} Rectangles {x, y, width, height, index} in cell units
+ */
+export function mergeCellRuns(indices, width, height) {
+  const rects = [];
+  // Open rectangles from the previous row, keyed by "x,width,index"
+  let open = new Map();
+
+  for (let y = 0; y < height; y++) {
+    const next = new Map();
+    let x = 0;
+    while (x < width) {
+      const index = indices[y * width + x];
+      let end = x + 1;
+      while (end < width && indices[y * width + end] === index) {
+        end++;
+      }
+
+      const key = `${x},${end - x},${index}`;
+      const rect = open.get(key);
+      if (rect) {
+        rect.height++;
+        next.set(key, rect);
+      } else {
+        const created = { x, y, width: end - x, height: 1, index };
+        rects.push(created);
+        next.set(key, created);
+      }
+      x = end;
+    }
+    open = next;
+  }
+
+  return rects;
+}
+
+/**
+ * Formats a coordinate without trailing zeros.
+ */
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(4)));
+}
+
+/**
+ * Escapes text for use in an XML attribute.
+ */
+function escapeAttribute(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Exports a pixelated result as SVG.
+ *
+ * Indexed results ({ palette, indices }, from returnIndexed) are exported one
+ * square per cell. ImageData (such as the output of renderGrid or
+ * renderEdgeAwarePixelsStep) is exported one square per pixel; the run
+ * merging collapses each uniform block into a single rectangle. Fully
+ * transparent colors are skipped and partial alpha becomes fill-opacity.
+ *
+ * @param {ImageData|Object} image - ImageData, or a result { imageData, palette, indices, cols?, rows? }
+ * @param {Object} options - Optional configuration
+ * @param {number} options.cellSize - Size of one cell in SVG units (default: 1)
+ * @param {string} options.elements - 'path' for one <path> per palette color, or 'rect'
+ *   for one <g> of <rect> elements per palette color (default: 'path')
+ * @param {boolean} options.crispEdges - Add shape-rendering="crispEdges" so edges are not
+ *   anti-aliased (default: true)
+ * @param {string} options.background - Optional background color (any CSS color)
+ * @returns {string} SVG document
+ */
+export function encodeSvg(image, options = {}) {
+  const { cellSize = 1, elements = 'path', crispEdges = true, background = null } = options;
+
+  if (!SVG_ELEMENTS.includes(elements)) {
+    throw new Error(`Unknown SVG element type: ${elements}. Available types: ${SVG_ELEMENTS.join(', ')}`);
+  }
+
+  const { width, height, palette, indices } = resolveCells(image);
+  const svgWidth = formatNumber(width * cellSize);
+  const svgHeight = formatNumber(height * cellSize);
+
+  // Group merged rectangles by palette index
+  const byColor = new Map();
+  for (const rect of mergeCellRuns(indices, width, height)) {
+    if (!byColor.has(rect.index)) {
+      byColor.set(rect.index, []);
+    }
+    byColor.get(rect.index).push(rect);
+  }
+
+  const lines = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" ` +
+      `viewBox="0 0 ${svgWidth} ${svgHeight}"${crispEdges ? ' shape-rendering="crispEdges"' : ''}>`
+  ];
+  if (background) {
+    lines.push(`  <rect width="100%" height="100%" fill="${escapeAttribute(background)}"/>`);
+  }
+
+  const sortedIndices = [...byColor.keys()].sort((a, b) => a - b);
+  for (const index of sortedIndices) {
+    const color = palette[index];
+    const alpha = color.a === undefined ? 255 : color.a;
+    if (alpha === 0) continue;
+
+    const attributes = [`id="color-${index}"`, `fill="${colorToHex(color)}"`];
+    if (alpha < 255) {
+      attributes.push(`fill-opacity="${formatNumber(alpha / 255)}"`);
+    }
+    if (color.name) {
+      attributes.push(`data-name="${escapeAttribute(color.name)}"`);
+    }
+
+    const rects = byColor.get(index);
+    if (elements === 'path') {
+      const d = rects.map(rect =>
+        `M${formatNumber(rect.x * cellSize)} ${formatNumber(rect.y * cellSize)}` +
+        `h${formatNumber(rect.width * cellSize)}v${formatNumber(rect.height * cellSize)}` +
+        `h${formatNumber(-rect.width * cellSize)}z`
+      ).join('');
+      lines.push(`  <path ${attributes.join(' ')} d="${d}"/>`);
+    } else {
+      lines.push(`  <g ${attributes.join(' ')}>`);
+      for (const rect of rects) {
+        lines.push(
+          `    <rect x="${formatNumber(rect.x * cellSize)}" y="${formatNumber(rect.y * cellSize)}" ` +
+          `width="${formatNumber(rect.width * cellSize)}" height="${formatNumber(rect.height * cellSize)}"/>`
+        );
+      }
+      lines.push('  </g>');
+    }
+  }
+
+  lines.push('</svg>');
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,201 @@
+/**
+ * Terminal Module
+ *
+ * Renders pixelated results as text for previews in CLI tools: 24-bit or
+ * 256-color ANSI using half-block characters (two cells per character, one
+ * as foreground and one as background), or plain ASCII from a luminance
+ * ramp. Works without a DOM.
+ */
+
+import { parseColor } from './palettes.js';
+
+/**
+ * Text rendering modes.
+ */
+export const TERMINAL_MODES = ['truecolor', 'ansi256', 'ascii'];
+
+/**
+ * Default ASCII luminance ramp, from dark to bright.
+ */
+export const DEFAULT_ASCII_RAMP = ' .:-=+*#%@';
+
+const ESC = '\x1b[';
+const UPPER_HALF = '▀';
+const LOWER_HALF = '▄';
+
+// Cells with less alpha than this are drawn as empty
+const VISIBLE_ALPHA = 128;
+
+// Channel levels of the 6x6x6 color cube in the xterm 256-color palette
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+/**
+ * Maps a color to the nearest xterm 256-color palette entry (cube or gray ramp).
+ *
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {number} Palette index (16-255)
+ */
+export function rgbToAnsi256(r, g, b) {
+  const level = (v) => (v < 48 ? 0 : v < 115 ? 1 : Math.floor((v - 35) / 40));
+  const cr = level(r), cg = level(g), cb = level(b);
+  const cubeIndex = 16 + 36 * cr + 6 * cg + cb;
+
+  // Gray ramp 232-255 covers 8, 18, ..., 238
+  const average = (r + g + b) / 3;
+  const grayStep = Math.max(0, Math.min(23, Math.round((average - 8) / 10)));
+  const gray = 8 + grayStep * 10;
+
+  const distance = (pr, pg, pb) => (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+  const cubeDistance = distance(CUBE_LEVELS[cr], CUBE_LEVELS[cg], CUBE_LEVELS[cb]);
+  return distance(gray, gray, gray) < cubeDistance ? 232 + grayStep : cubeIndex;
+}
+
+/**
+ * Samples one color per grid cell (at the cell center), composited onto the
+ * background when one is given. Returns null for transparent cells.
+ */
+function sampleCellColors(imageData, cols, rows, background) {
+  const { width, height, data } = imageData;
+  const cells = new Array(cols * rows);
+
+  for (let row = 0; row < rows; row++) {
+    const y = Math.min(height - 1, Math.floor(((row + 0.5) * height) / rows));
+    for (let col = 0; col < cols; col++) {
+      const x = Math.min(width - 1, Math.floor(((col + 0.5) * width) / cols));
+      const idx = (y * width + x) * 4;
+      const color = { r: data[idx], g: data[idx + 1], b: data[idx + 2] };
+      const alpha = data[idx + 3];
+
+      if (background) {
+        const t = alpha / 255;
+        cells[row * cols + col] = {
+          r: Math.round(color.r * t + background.r * (1 - t)),
+          g: Math.round(color.g * t + background.g * (1 - t)),
+          b: Math.round(color.b * t + background.b * (1 - t))
+        };
+      } else {
+        cells[row * cols + col] = alpha < VISIBLE_ALPHA ? null : color;
+      }
+    }
+  }
+
+  return cells;
+}
+
+/**
+ * Renders two rows of cells per text line with half-block characters.
+ */
+function renderHalfBlocks(cells, cols, rows, colorCode) {
+  const lines = [];
+
+  for (let row = 0; row < rows; row += 2) {
+    let line = '';
+    let lastFg = null;
+    let lastBg = null;
+    // Escape codes are only written when a color changes
+    const setColors = (fg, bg) => {
+      if (fg !== lastFg) {
+        line += fg === null ? `${ESC}39m` : `${ESC}38;${fg}m`;
+        lastFg = fg;
+      }
+      if (bg !== lastBg) {
+        line += bg === null ? `${ESC}49m` : `${ESC}48;${bg}m`;
+        lastBg = bg;
+      }
+    };
+
+    for (let col = 0; col < cols; col++) {
+      const top = cells[row * cols + col];
+      const bottom = row + 1 < rows ? cells[(row + 1) * cols + col] : null;
+
+      if (top) {
+        setColors(colorCode(top), bottom ? colorCode(bottom) : null);
+        line += UPPER_HALF;
+      } else if (bottom) {
+        setColors(colorCode(bottom), null);
+        line += LOWER_HALF;
+      } else {
+        setColors(lastFg, null);
+        line += ' ';
+      }
+    }
+    lines.push(`${line}${ESC}0m`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Renders one character per cell from a luminance ramp.
+ */
+function renderAscii(cells, cols, rows, ramp, doubleWidth) {
+  const lines = [];
+  for (let row = 0; row < rows; row++) {
+    let line = '';
+    for (let col = 0; col < cols; col++) {
+      const color = cells[row * cols + col];
+      let char = ' ';
+      if (color) {
+        const luminance = (0.2126 * color.r + 0.7152 * color.g + 0.0722 * color.b) / 255;
+        char = ramp[Math.min(ramp.length - 1, Math.floor(luminance * ramp.length))];
+      }
+      line += doubleWidth ? char + char : char;
+    }
+    lines.push(line.replace(/ +$/, ''));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Renders a pixelated result as terminal text.
+ *
+ * One color is sampled at the center of each grid cell, so full-size output
+ * from pixelateImage / pixelateImageEdgeAware and native-resolution output
+ * render the same. The grid size comes from the result's cols and rows, the
+ * cols / rows options, or the image size (for native-resolution ImageData).
+ *
+ * @param {ImageData|Object} image - ImageData, or a result { imageData, cols, rows }
+ * @param {Object} options - Optional configuration
+ * @param {string} options.mode - 'truecolor' (24-bit ANSI), 'ansi256' or 'ascii' (default: 'truecolor')
+ * @param {number} options.cols - Grid columns (default: the result's cols or the image width)
+ * @param {number} options.rows - Grid rows (default: the result's rows or the image height)
+ * @param {string} options.ramp - ASCII characters from dark to bright (default: DEFAULT_ASCII_RAMP)
+ * @param {boolean} options.doubleWidth - Write two characters per cell in ASCII mode so cells look
+ *   square (default: true)
+ * @param {string|Array<number>|Object} options.background - Color to composite transparent cells onto
+ *   (default: null, transparent cells are left empty)
+ * @returns {string} Text, one line per text row, ending with a newline
+ */
+export function renderTerminal(image, options = {}) {
+  const {
+    mode = 'truecolor',
+    ramp = DEFAULT_ASCII_RAMP,
+    doubleWidth = true,
+    background = null
+  } = options;
+
+  if (!TERMINAL_MODES.includes(mode)) {
+    throw new Error(`Unknown terminal mode: ${mode}. Available modes: ${TERMINAL_MODES.join(', ')}`);
+  }
+  if (mode === 'ascii' && (typeof ramp !== 'string' || ramp.length === 0)) {
+    throw new Error('ASCII ramp must be a non-empty string');
+  }
+
+  const imageData = image.data ? image : image.imageData;
+  if (!imageData || !imageData.data) {
+    throw new Error('renderTerminal requires ImageData or a pixelation result');
+  }
+  const cols = options.cols ?? image.cols ?? imageData.width;
+  const rows = options.rows ?? image.rows ?? imageData.height;
+  const cells = sampleCellColors(imageData, cols, rows, background === null ? null : parseColor(background));
+
+  if (mode === 'ascii') {
+    return renderAscii(cells, cols, rows, [...ramp], doubleWidth);
+  }
+  const colorCode = mode === 'truecolor'
+    ? ({ r, g, b }) => `2;${r};${g};${b}`
+    : ({ r, g, b }) => `5;${rgbToAnsi256(r, g, b)}`;
+  return renderHalfBlocks(cells, cols, rows, colorCode);
+}
@@ -0,0 +1,548 @@
+/**
+ * Thread Catalog Module
+ *
+ * Embroidery floss color catalogs (DMC and Anchor stranded cotton) for
+ * cross-stitch patterns. Thread colors are approximate sRGB values: real
+ * floss varies by dye lot and no screen reproduces it exactly, so charts
+ * should always be read by thread code, not by swatch.
+ */
+
+/**
+ * DMC stranded cotton, as [code, name, hex].
+ */
+const DMC_COLORS = [
+  ['B5200', 'Snow White', '#ffffff'],
+  ['White', 'White', '#fcfbf8'],
+  ['Ecru', 'Ecru', '#f0eada'],
+  ['150', 'Dusty Rose Ultra Very Dark', '#ab0249'],
+  ['151', 'Dusty Rose Very Light', '#f0ced4'],
+  ['152', 'Shell Pink Medium Light', '#e2a099'],
+  ['153', 'Violet Very Light', '#e6ccd9'],
+  ['154', 'Grape Very Dark', '#572433'],
+  ['155', 'Blue Violet Medium Dark', '#9891b6'],
+  ['156', 'Blue Violet Medium Light', '#a3aed1'],
+  ['157', 'Cornflower Blue Very Light', '#bbc3d9'],
+  ['158', 'Cornflower Blue Medium Very Dark', '#4c526e'],
+  ['159', 'Blue Gray Light', '#c7cad7'],
+  ['160', 'Blue Gray Medium', '#999fb7'],
+  ['161', 'Blue Gray', '#787895'],
+  ['162', 'Blue Ultra Very Light', '#dbecf5'],
+  ['163', 'Celadon Green Medium', '#4d8361'],
+  ['164', 'Forest Green Light', '#c8d8b8'],
+  ['165', 'Moss Green Very Light', '#eff4a4'],
+  ['166', 'Moss Green Medium Light', '#c0c840'],
+  ['167', 'Yellow Beige Very Dark', '#a77c49'],
+  ['168', 'Pewter Very Light', '#d1d1d1'],
+  ['169', 'Pewter Light', '#848484'],
+  ['208', 'Lavender Very Dark', '#835b8b'],
+  ['209', 'Lavender Dark', '#a37ba7'],
+  ['210', 'Lavender Medium', '#c39fc3'],
+  ['211', 'Lavender Light', '#e3cbe3'],
+  ['221', 'Shell Pink Very Dark', '#883e43'],
+  ['223', 'Shell Pink Light', '#cc847c'],
+  ['224', 'Shell Pink Very Light', '#ebb7af'],
+  ['225', 'Shell Pink Ultra Very Light', '#ffdfd5'],
+  ['300', 'Mahogany Very Dark', '#6f2f00'],
+  ['301', 'Mahogany Medium', '#b35f2b'],
+  ['304', 'Red Medium', '#b71f33'],
+  ['307', 'Lemon', '#fded54'],
+  ['309', 'Rose Dark', '#ba4a4a'],
+  ['310', 'Black', '#000000'],
+  ['311', 'Wedgewood Ultra Very Dark', '#1c5066'],
+  ['312', 'Baby Blue Very Dark', '#35668b'],
+  ['315', 'Antique Mauve Medium Dark', '#814952'],
+  ['316', 'Antique Mauve Medium', '#b7737f'],
+  ['317', 'Pewter Gray', '#6c6c6c'],
+  ['318', 'Steel Gray Light', '#ababab'],
+  ['319', 'Pistachio Green Very Dark', '#205f2e'],
+  ['320', 'Pistachio Green Medium', '#69885a'],
+  ['321', 'Red', '#c72b3b'],
+  ['322', 'Baby Blue Dark', '#5a8fb8'],
+  ['326', 'Rose Very Dark', '#b33b4b'],
+  ['327', 'Violet Dark', '#633666'],
+  ['333', 'Blue Violet Very Dark', '#5c5478'],
+  ['334', 'Baby Blue Medium', '#739fc1'],
+  ['335', 'Rose', '#ee546e'],
+  ['336', 'Navy Blue', '#253b73'],
+  ['340', 'Blue Violet Medium', '#ada7c7'],
+  ['341', 'Blue Violet Light', '#b7bfdd'],
+  ['347', 'Salmon Very Dark', '#bf2d2d'],
+  ['349', 'Coral Dark', '#d21035'],
+  ['350', 'Coral Medium', '#e04848'],
+  ['351', 'Coral', '#e96a67'],
+  ['352', 'Coral Light', '#fd9c97'],
+  ['353', 'Peach', '#fed7cc'],
+  ['355', 'Terra Cotta Dark', '#984436'],
+  ['356', 'Terra Cotta Medium', '#c56a5b'],
+  ['367', 'Pistachio Green Dark', '#617a52'],
+  ['368', 'Pistachio Green Light', '#a6c298'],
+  ['369', 'Pistachio Green Very Light', '#d7edcc'],
+  ['370', 'Mustard Medium', '#b89d64'],
+  ['400', 'Mahogany Dark', '#8f430f'],
+  ['402', 'Mahogany Very Light', '#f7a777'],
+  ['407', 'Desert Sand Dark', '#bb8170'],
+  ['413', 'Pewter Gray Dark', '#565656'],
+  ['414', 'Steel Gray Dark', '#8c8c8c'],
+  ['415', 'Pearl Gray', '#d3d3d6'],
+  ['420', 'Hazelnut Brown Dark', '#a07042'],
+  ['422', 'Hazelnut Brown Light', '#c69f7b'],
+  ['433', 'Brown Medium', '#7a451f'],
+  ['434', 'Brown Light', '#985e33'],
+  ['435', 'Brown Very Light', '#b87748'],
+  ['436', 'Tan', '#cb9051'],
+  ['437', 'Tan Light', '#e4bb8e'],
+  ['444', 'Lemon Dark', '#ffd600'],
+  ['445', 'Lemon Light', '#fffb8b'],
+  ['469', 'Avocado Green', '#72842c'],
+  ['470', 'Avocado Green Light', '#94ab4f'],
+  ['471', 'Avocado Green Very Light', '#aebf79'],
+  ['472', 'Avocado Green Ultra Light', '#d8e498'],
+  ['498', 'Red Dark', '#a7132b'],
+  ['500', 'Blue Green Very Dark', '#044d33'],
+  ['501', 'Blue Green Dark', '#396f52'],
+  ['502', 'Blue Green', '#5b9071'],
+  ['503', 'Blue Green Medium', '#7bac94'],
+  ['504', 'Blue Green Very Light', '#c4decc'],
+  ['517', 'Wedgewood Dark', '#3b768f'],
+  ['518', 'Wedgewood Light', '#4f93a7'],
+  ['519', 'Sky Blue', '#7eb1c8'],
+  ['520', 'Fern Green Dark', '#666d4f'],
+  ['522', 'Fern Green', '#969e7e'],
+  ['524', 'Fern Green Very Light', '#c4cdac'],
+  ['535', 'Ash Gray Very Light', '#636458'],
+  ['543', 'Beige Brown Ultra Very Light', '#f2e3ce'],
+  ['550', 'Violet Very Dark', '#5c184e'],
+  ['552', 'Violet Medium', '#803a6b'],
+  ['553', 'Violet', '#a3638b'],
+  ['554', 'Violet Light', '#dbb3cb'],
+  ['561', 'Jade Very Dark', '#2c6a45'],
+  ['562', 'Jade Medium', '#538b67'],
+  ['563', 'Jade Light', '#8fc098'],
+  ['564', 'Jade Very Light', '#a7cdaf'],
+  ['580', 'Moss Green Dark', '#888d33'],
+  ['581', 'Moss Green', '#a7ae38'],
+  ['597', 'Turquoise', '#5ba3b3'],
+  ['598', 'Turquoise Light', '#90c3cc'],
+  ['600', 'Cranberry Very Dark', '#cd2f63'],
+  ['601', 'Cranberry Dark', '#d1286a'],
+  ['602', 'Cranberry Medium', '#e24874'],
+  ['603', 'Cranberry', '#ffa4be'],
+  ['604', 'Cranberry Light', '#ffb0be'],
+  ['605', 'Cranberry Very Light', '#ffc0cd'],
+  ['606', 'Bright Orange-Red', '#fa3203'],
+  ['608', 'Bright Orange', '#fd5d35'],
+  ['610', 'Drab Brown Dark', '#796047'],
+  ['611', 'Drab Brown', '#967656'],
+  ['612', 'Drab Brown Light', '#bc9a78'],
+  ['613', 'Drab Brown Very Light', '#dcc4aa'],
+  ['632', 'Desert Sand Ultra Very Dark', '#875539'],
+  ['640', 'Beige Gray Very Dark', '#857b61'],
+  ['642', 'Beige Gray Dark', '#a49878'],
+  ['644', 'Beige Gray Medium', '#ddd8cb'],
+  ['645', 'Beaver Gray Very Dark', '#6e655c'],
+  ['646', 'Beaver Gray Dark', '#877d73'],
+  ['647', 'Beaver Gray Medium', '#b0a69c'],
+  ['648', 'Beaver Gray Light', '#bcb4ac'],
+  ['666', 'Bright Red', '#e31d42'],
+  ['676', 'Old Gold Light', '#e5ce97'],
+  ['677', 'Old Gold Very Light', '#f5eccb'],
+  ['680', 'Old Gold Dark', '#bc8d0e'],
+  ['699', 'Green', '#056517'],
+  ['700', 'Green Bright', '#07731b'],
+  ['701', 'Green Light', '#3f8f29'],
+  ['702', 'Kelly Green', '#47a72f'],
+  ['703', 'Chartreuse', '#7bb547'],
+  ['704', 'Chartreuse Bright', '#9ecf34'],
+  ['712', 'Cream', '#fffbef'],
+  ['718', 'Plum', '#9c2462'],
+  ['720', 'Orange Spice Dark', '#e55c1f'],
+  ['721', 'Orange Spice Medium', '#f27842'],
+  ['722', 'Orange Spice Light', '#f79768'],
+  ['725', 'Topaz Medium Light', '#ffc840'],
+  ['726', 'Topaz Light', '#fdd755'],
+  ['727', 'Topaz Very Light', '#fff1af'],
+  ['728', 'Topaz', '#e4b468'],
+  ['729', 'Old Gold Medium', '#d0a53e'],
+  ['730', 'Olive Green Very Dark', '#827b30'],
+  ['732', 'Olive Green', '#948c36'],
+  ['733', 'Olive Green Medium', '#bcb34c'],
+  ['734', 'Olive Green Light', '#c7c077'],
+  ['738', 'Tan Very Light', '#eccc9e'],
+  ['739', 'Tan Ultra Very Light', '#f8e4c8'],
+  ['740', 'Tangerine', '#ff8b00'],
+  ['741', 'Tangerine Medium', '#ffa32b'],
+  ['742', 'Tangerine Light', '#ffbf57'],
+  ['743', 'Yellow Medium', '#fed376'],
+  ['744', 'Yellow Pale', '#ffe793'],
+  ['745', 'Yellow Pale Light', '#ffe9ad'],
+  ['746', 'Off White', '#fcfcee'],
+  ['747', 'Peacock Blue Very Light', '#e5fcfd'],
+  ['754', 'Peach Light', '#f7cbbf'],
+  ['758', 'Terra Cotta Very Light', '#eeaa9b'],
+  ['760', 'Salmon', '#f5adad'],
+  ['761', 'Salmon Light', '#ffc9c9'],
+  ['762', 'Pearl Gray Very Light', '#ececec'],
+  ['772', 'Yellow Green Very Light', '#e4ecd4'],
+  ['775', 'Baby Blue Very Light', '#d9ebf1'],
+  ['776', 'Pink Medium', '#fcb0b9'],
+  ['778', 'Antique Mauve Very Light', '#dfb3bb'],
+  ['780', 'Topaz Ultra Very Dark', '#94630c'],
+  ['781', 'Topaz Very Dark', '#a26d20'],
+  ['782', 'Topaz Dark', '#ae7720'],
+  ['783', 'Topaz Medium', '#ce9124'],
+  ['791', 'Cornflower Blue Very Dark', '#464563'],
+  ['792', 'Cornflower Blue Dark', '#555b7b'],
+  ['793', 'Cornflower Blue Medium', '#707da2'],
+  ['794', 'Cornflower Blue Light', '#8f9cc1'],
+  ['796', 'Royal Blue Dark', '#11416e'],
+  ['797', 'Royal Blue', '#13477d'],
+  ['798', 'Delft Blue Dark', '#466a8e'],
+  ['799', 'Delft Blue Medium', '#748eb6'],
+  ['800', 'Delft Blue Pale', '#c0cce5'],
+  ['801', 'Coffee Brown Dark', '#653919'],
+  ['803', 'Baby Blue Ultra Very Dark', '#2c597c'],
+  ['806', 'Peacock Blue Dark', '#3d95a5'],
+  ['807', 'Peacock Blue', '#64abba'],
+  ['809', 'Delft Blue', '#94a8c6'],
+  ['813', 'Blue Light', '#a1c2d7'],
+  ['814', 'Garnet Dark', '#7b001b'],
+  ['815', 'Garnet Medium', '#87071f'],
+  ['816', 'Garnet', '#970b23'],
+  ['817', 'Coral Red Very Dark', '#bb051f'],
+  ['818', 'Baby Pink', '#ffdfd9'],
+  ['819', 'Baby Pink Light', '#ffeeeb'],
+  ['820', 'Royal Blue Very Dark', '#0e365c'],
+  ['822', 'Beige Gray Light', '#e7e2d3'],
+  ['823', 'Navy Blue Dark', '#213063'],
+  ['824', 'Blue Very Dark', '#396987'],
+  ['825', 'Blue Dark', '#477195'],
+  ['826', 'Blue Medium', '#6b9ebf'],
+  ['827', 'Blue Very Light', '#bdd1ed'],
+  ['828', 'Sky Blue Very Light', '#c5e8ed'],
+  ['829', 'Golden Olive Very Dark', '#7e6b42'],
+  ['830', 'Golden Olive Dark', '#8d784b'],
+  ['831', 'Golden Olive Medium', '#aa8f56'],
+  ['832', 'Golden Olive', '#bd9b51'],
+  ['833', 'Golden Olive Light', '#c8ab6c'],
+  ['834', 'Golden Olive Very Light', '#dbbe7f'],
+  ['838', 'Beige Brown Very Dark', '#594937'],
+  ['839', 'Beige Brown Dark', '#675541'],
+  ['840', 'Beige Brown Medium', '#9a7c5c'],
+  ['841', 'Beige Brown Light', '#b69b7e'],
+  ['842', 'Beige Brown Very Light', '#d1baa1'],
+  ['844', 'Beaver Gray Ultra Dark', '#484848'],
+  ['869', 'Hazelnut Brown Very Dark', '#835e39'],
+  ['890', 'Pistachio Green Ultra Very Dark', '#174923'],
+  ['891', 'Carnation Dark', '#ff5773'],
+  ['892', 'Carnation Medium', '#ff6d73'],
+  ['893', 'Carnation Light', '#fc90a2'],
+  ['894', 'Carnation Very Light', '#ffb2bb'],
+  ['895', 'Hunter Green Very Dark', '#1b5300'],
+  ['898', 'Coffee Brown Very Dark', '#492a13'],
+  ['899', 'Rose Medium', '#f27688'],
+  ['900', 'Burnt Orange Dark', '#d15807'],
+  ['902', 'Garnet Very Dark', '#822637'],
+  ['904', 'Parrot Green Very Dark', '#557822'],
+  ['905', 'Parrot Green Dark', '#628a28'],
+  ['906', 'Parrot Green Medium', '#7fb335'],
+  ['907', 'Parrot Green Light', '#c7e666'],
+  ['909', 'Emerald Green Very Dark', '#156f49'],
+  ['910', 'Emerald Green Dark', '#187e56'],
+  ['911', 'Emerald Green Medium', '#189065'],
+  ['912', 'Emerald Green Light', '#1b9d6b'],
+  ['913', 'Nile Green Medium', '#6dab77'],
+  ['915', 'Plum Dark', '#820043'],
+  ['917', 'Plum Medium', '#9b1359'],
+  ['918', 'Red Copper Dark', '#82340a'],
+  ['919', 'Red Copper', '#a64510'],
+  ['920', 'Copper Medium', '#ac5414'],
+  ['921', 'Copper', '#c66218'],
+  ['922', 'Copper Light', '#e27323'],
+  ['924', 'Gray Green Very Dark', '#566a6a'],
+  ['926', 'Gray Green Medium', '#98aeae'],
+  ['927', 'Gray Green Light', '#bdcbcb'],
+  ['928', 'Gray Green Very Light', '#dde3e3'],
+  ['930', 'Antique Blue Dark', '#455c71'],
+  ['931', 'Antique Blue Medium', '#6a859e'],
+  ['932', 'Antique Blue Light', '#a2b5c6'],
+  ['934', 'Avocado Green Black', '#313919'],
+  ['935', 'Avocado Green Dark', '#424d21'],
+  ['936', 'Avocado Green Very Dark', '#4c5826'],
+  ['937', 'Avocado Green Medium', '#627133'],
+  ['938', 'Coffee Brown Ultra Dark', '#361f0e'],
+  ['939', 'Navy Blue Very Dark', '#1b2853'],
+  ['943', 'Aquamarine Medium', '#3d9384'],
+  ['945', 'Tawny', '#fbd5bb'],
+  ['946', 'Burnt Orange Medium', '#eb6307'],
+  ['947', 'Burnt Orange', '#ff7b4d'],
+  ['948', 'Peach Very Light', '#fee7da'],
+  ['950', 'Desert Sand Light', '#eed3c4'],
+  ['951', 'Tawny Light', '#ffe2cf'],
+  ['954', 'Nile Green', '#88ba91'],
+  ['955', 'Nile Green Light', '#a2d6ad'],
+  ['956', 'Geranium', '#ff9191'],
+  ['957', 'Geranium Pale', '#fdb5b5'],
+  ['958', 'Sea Green Dark', '#3eb6a1'],
+  ['959', 'Sea Green Medium', '#59c7b4'],
+  ['961', 'Dusty Rose Dark', '#cf7373'],
+  ['962', 'Dusty Rose Medium', '#e68a8a'],
+  ['963', 'Dusty Rose Ultra Very Light', '#ffd7d7'],
+  ['964', 'Sea Green Light', '#a9e2d8'],
+  ['966', 'Jade Ultra Very Light', '#b9d7c0'],
+  ['970', 'Pumpkin Light', '#f78b13'],
+  ['971', 'Pumpkin', '#f67f00'],
+  ['972', 'Canary Deep', '#ffb515'],
+  ['973', 'Canary Bright', '#ffe300'],
+  ['975', 'Golden Brown Dark', '#914f12'],
+  ['976', 'Golden Brown Medium', '#c28142'],
+  ['977', 'Golden Brown Light', '#dc9c56'],
+  ['986', 'Forest Green Very Dark', '#405230'],
+  ['987', 'Forest Green Dark', '#587141'],
+  ['988', 'Forest Green Medium', '#738b5b'],
+  ['989', 'Forest Green', '#8da675'],
+  ['991', 'Aquamarine Dark', '#477b6e'],
+  ['992', 'Aquamarine Light', '#6fae9f'],
+  ['993', 'Aquamarine Very Light', '#90c0b4'],
+  ['995', 'Electric Blue Dark', '#2696b6'],
+  ['996', 'Electric Blue Medium', '#30c2ec'],
+  ['3011', 'Khaki Green Dark', '#898a58'],
+  ['3012', 'Khaki Green Medium', '#a6a75d'],
+  ['3013', 'Khaki Green Light', '#b9b982'],
+  ['3021', 'Brown Gray Very Dark', '#4f4b41'],
+  ['3022', 'Brown Gray Medium', '#8e9078'],
+  ['3023', 'Brown Gray Light', '#b1aa97'],
+  ['3024', 'Brown Gray Very Light', '#ebeae7'],
+  ['3031', 'Mocha Brown Very Dark', '#4b3c2a'],
+  ['3032', 'Mocha Brown Medium', '#b39f8b'],
+  ['3033', 'Mocha Brown Very Light', '#e3d8cc'],
+  ['3045', 'Yellow Beige Dark', '#bc966a'],
+  ['3046', 'Yellow Beige Medium', '#d8bc9a'],
+  ['3047', 'Yellow Beige Light', '#e7d6c1'],
+  ['3064', 'Desert Sand', '#c48e70'],
+  ['3072', 'Beaver Gray Very Light', '#e6e8e8'],
+  ['3078', 'Golden Yellow Very Light', '#fdf9cd'],
+  ['3325', 'Baby Blue Light', '#b8d2e6'],
+  ['3326', 'Rose Light', '#fbadb4'],
+  ['3328', 'Salmon Dark', '#e36d6d'],
+  ['3340', 'Apricot Medium', '#ff836f'],
+  ['3341', 'Apricot', '#fcab98'],
+  ['3345', 'Hunter Green Dark', '#1b5915'],
+  ['3346', 'Hunter Green', '#406a3a'],
+  ['3347', 'Yellow Green Medium', '#71935c'],
+  ['3348', 'Yellow Green Light', '#ccd9b1'],
+  ['3350', 'Dusty Rose Ultra Dark', '#bc4365'],
+  ['3354', 'Dusty Rose Light', '#e4a6ac'],
+  ['3362', 'Pine Green Dark', '#5e6b47'],
+  ['3363', 'Pine Green Medium', '#728256'],
+  ['3364', 'Pine Green', '#83975f'],
+  ['3371', 'Black Brown', '#1e1108'],
+  ['3607', 'Plum Light', '#c54989'],
+  ['3608', 'Plum Very Light', '#ea9cc4'],
+  ['3609', 'Plum Ultra Light', '#f4aed5'],
+  ['3685', 'Mauve Very Dark', '#881531'],
+  ['3687', 'Mauve', '#c96b70'],
+  ['3688', 'Mauve Medium', '#e7a9ac'],
+  ['3689', 'Mauve Light', '#fbbfc2'],
+  ['3705', 'Melon Dark', '#ff7992'],
+  ['3706', 'Melon Medium', '#ffadbc'],
+  ['3708', 'Melon Light', '#ffcbd5'],
+  ['3712', 'Salmon Medium', '#f18787'],
+  ['3713', 'Salmon Very Light', '#ffe2e2'],
+  ['3716', 'Dusty Rose Medium Very Light', '#ffbdbd'],
+  ['3721', 'Shell Pink Dark', '#a14b51'],
+  ['3722', 'Shell Pink Medium', '#bc6a6e'],
+  ['3726', 'Antique Mauve Dark', '#9b5b66'],
+  ['3727', 'Antique Mauve Light', '#dba9b2'],
+  ['3731', 'Dusty Rose Very Dark', '#da6783'],
+  ['3733', 'Dusty Rose', '#e8879b'],
+  ['3740', 'Antique Violet Dark', '#785762'],
+  ['3746', 'Blue Violet Dark', '#776b98'],
+  ['3747', 'Blue Violet Very Light', '#d3d7ed'],
+  ['3750', 'Antique Blue Very Dark', '#384c5e'],
+  ['3752', 'Antique Blue Very Light', '#c7d1db'],
+  ['3753', 'Antique Blue Ultra Very Light', '#dbe2e9'],
+  ['3755', 'Baby Blue', '#93b4ce'],
+  ['3756', 'Baby Blue Ultra Very Light', '#eefcfc'],
+  ['3760', 'Wedgewood Medium', '#3e85a2'],
+  ['3761', 'Sky Blue Light', '#acd8e2'],
+  ['3765', 'Peacock Blue Very Dark', '#347f8c'],
+  ['3766', 'Peacock Blue Light', '#99cfd9'],
+  ['3768', 'Gray Green Dark', '#657f7f'],
+  ['3770', 'Tawny Very Light', '#ffeee3'],
+  ['3771', 'Terra Cotta Ultra Very Light', '#f4bba9'],
+  ['3772', 'Desert Sand Very Dark', '#a06c50'],
+  ['3773', 'Desert Sand Medium', '#b67552'],
+  ['3774', 'Desert Sand Very Light', '#f3e1d7'],
+  ['3776', 'Mahogany Light', '#cf7939'],
+  ['3777', 'Terra Cotta Very Dark', '#863022'],
+  ['3778', 'Terra Cotta Light', '#d98978'],
+  ['3779', 'Terra Cotta Ultra Very Light', '#f8cac8'],
+  ['3781', 'Mocha Brown Dark', '#6b5743'],
+  ['3782', 'Mocha Brown Light', '#d2bca6'],
+  ['3787', 'Brown Gray Dark', '#625d50'],
+  ['3790', 'Beige Gray Ultra Dark', '#7f6a55'],
+  ['3799', 'Pewter Gray Very Dark', '#424242'],
+  ['3801', 'Melon Very Dark', '#e74967'],
+  ['3802', 'Antique Mauve Very Dark', '#714149'],
+  ['3803', 'Mauve Dark', '#ab3357'],
+  ['3804', 'Cyclamen Pink Dark', '#e02876'],
+  ['3805', 'Cyclamen Pink', '#f3478b'],
+  ['3806', 'Cyclamen Pink Light', '#ff8cae'],
+  ['3807', 'Cornflower Blue', '#60678c'],
+  ['3808', 'Turquoise Ultra Very Dark', '#366970'],
+  ['3809', 'Turquoise Very Dark', '#3f7c85'],
+  ['3810', 'Turquoise Dark', '#488e9a'],
+  ['3811', 'Turquoise Very Light', '#bce3e6'],
+  ['3812', 'Sea Green Very Dark', '#2f8c84'],
+  ['3813', 'Blue Green Light', '#b2d4bd'],
+  ['3814', 'Aquamarine', '#508b7d'],
+  ['3815', 'Celadon Green Dark', '#477759'],
+  ['3816', 'Celadon Green', '#65a57d'],
+  ['3817', 'Celadon Green Light', '#99c3aa'],
+  ['3818', 'Emerald Green Ultra Very Dark', '#115a3b'],
+  ['3819', 'Moss Green Light', '#e0e868'],
+  ['3820', 'Straw Dark', '#dfb65f'],
+  ['3821', 'Straw', '#f3ce75'],
+  ['3822', 'Straw Light', '#f6dc98'],
+  ['3823', 'Yellow Ultra Pale', '#fffde3'],
+  ['3824', 'Apricot Light', '#fecdc2'],
+  ['3825', 'Pumpkin Pale', '#fdbd96'],
+  ['3826', 'Golden Brown', '#ad7239'],
+  ['3827', 'Golden Brown Pale', '#f7bb77'],
+  ['3828', 'Hazelnut Brown', '#b78b61'],
+  ['3829', 'Old Gold Very Dark', '#a98204'],
+  ['3830', 'Terra Cotta', '#b95544'],
+  ['3831', 'Raspberry Dark', '#b32f48'],
+  ['3832', 'Raspberry Medium', '#db556e'],
+  ['3833', 'Raspberry Light', '#ea738d'],
+  ['3834', 'Grape Dark', '#72375d'],
+  ['3835', 'Grape Medium', '#945c83'],
+  ['3836', 'Grape Light', '#ba91aa'],
+  ['3837', 'Lavender Ultra Dark', '#6c3a6e'],
+  ['3838', 'Lavender Blue Dark', '#5c7294'],
+  ['3839', 'Lavender Blue Medium', '#7b8eab'],
+  ['3840', 'Lavender Blue Light', '#b0c0da'],
+  ['3841', 'Baby Blue Pale', '#cddfed'],
+  ['3842', 'Wedgewood Very Dark', '#32667c'],
+  ['3843', 'Electric Blue', '#14aad0'],
+  ['3844', 'Turquoise Bright Dark', '#12aeba'],
+  ['3845', 'Turquoise Bright Medium', '#04c4ca'],
+  ['3846', 'Turquoise Bright Light', '#06e3e6'],
+  ['3847', 'Teal Green Dark', '#347d75'],
+  ['3848', 'Teal Green Medium', '#559392'],
+  ['3849', 'Teal Green Light', '#52b3a4'],
+  ['3850', 'Green Bright Dark', '#378477'],
+  ['3851', 'Green Bright Light', '#49b3a1'],
+  ['3852', 'Straw Very Dark', '#cd9d37'],
+  ['3853', 'Autumn Gold Dark', '#f29746'],
+  ['3854', 'Autumn Gold Medium', '#f2af68'],
+  ['3855', 'Autumn Gold Light', '#fad396'],
+  ['3856', 'Mahogany Ultra Very Light', '#ffd3b5'],
+  ['3857', 'Rosewood Dark', '#68251a'],
+  ['3858', 'Rosewood Medium', '#964a3f'],
+  ['3859', 'Rosewood Light', '#ba8b7c'],
+  ['3860', 'Cocoa', '#7d5d57'],
+  ['3861', 'Cocoa Light', '#a6888a'],
+  ['3862', 'Mocha Beige Dark', '#8a6e4e'],
+  ['3863', 'Mocha Beige Medium', '#a4835c'],
+  ['3864', 'Mocha Beige Light', '#cbb190'],
+  ['3865', 'Winter White', '#f9f7f1'],
+  ['3866', 'Mocha Brown Ultra Very Light', '#faf6f0']
+];
+
+/**
+ * Anchor stranded cotton, as [anchor code, equivalent DMC code]. Anchor
+ * shades use the color of their DMC equivalent from the usual conversion
+ * charts, so the same image charts to matching threads in both brands.
+ */
+const ANCHOR_EQUIVALENTS = [
+  ['1', 'B5200'], ['2', 'White'], ['387', 'Ecru'], ['926', '712'], ['386', '746'],
+  ['403', '310'], ['236', '3799'], ['400', '317'], ['235', '414'], ['399', '318'],
+  ['398', '415'], ['397', '762'],
+  ['8', '353'], ['9', '352'], ['10', '351'], ['11', '350'], ['13', '349'],
+  ['19', '817'], ['20', '498'], ['22', '816'], ['43', '815'], ['44', '814'],
+  ['46', '666'], ['47', '304'], ['9046', '321'], ['1005', '816'],
+  ['23', '818'], ['24', '776'], ['25', '3326'], ['26', '894'], ['27', '899'],
+  ['28', '892'], ['29', '891'], ['42', '326'], ['35', '3801'], ['50', '605'],
+  ['52', '957'], ['54', '956'], ['55', '604'], ['57', '601'], ['62', '603'],
+  ['63', '602'], ['65', '3685'], ['87', '3607'], ['88', '718'], ['89', '917'],
+  ['95', '554'], ['98', '553'], ['99', '552'], ['101', '550'], ['102', '550'],
+  ['108', '210'], ['105', '211'], ['109', '209'], ['110', '208'], ['118', '340'],
+  ['117', '341'], ['119', '333'], ['128', '775'], ['130', '809'], ['131', '798'],
+  ['132', '797'], ['133', '796'], ['134', '820'], ['140', '3755'], ['144', '3325'],
+  ['145', '334'], ['150', '823'], ['152', '939'], ['159', '3841'], ['161', '826'],
+  ['162', '825'], ['164', '824'], ['167', '519'], ['168', '807'], ['169', '806'],
+  ['170', '3765'], ['186', '959'], ['187', '958'], ['188', '3812'], ['203', '954'],
+  ['204', '913'], ['205', '911'], ['206', '955'], ['208', '563'], ['209', '912'],
+  ['210', '562'], ['211', '561'], ['212', '561'], ['213', '369'], ['214', '368'],
+  ['215', '320'], ['216', '367'], ['217', '561'], ['218', '319'], ['923', '699'],
+  ['229', '700'], ['227', '701'], ['226', '702'], ['238', '703'], ['256', '704'],
+  ['242', '989'], ['244', '988'], ['245', '987'], ['246', '986'], ['253', '472'],
+  ['254', '3348'], ['255', '907'], ['258', '904'], ['264', '772'], ['265', '3348'],
+  ['266', '471'], ['267', '470'], ['268', '469'], ['269', '936'], ['279', '734'],
+  ['280', '733'], ['281', '732'], ['288', '445'], ['289', '307'], ['290', '444'],
+  ['291', '444'], ['292', '3078'], ['293', '727'], ['295', '726'], ['297', '973'],
+  ['298', '972'], ['300', '745'], ['301', '744'], ['302', '743'], ['303', '742'],
+  ['304', '741'], ['305', '725'], ['307', '783'], ['308', '782'], ['309', '781'],
+  ['310', '780'], ['311', '3827'], ['313', '977'], ['314', '741'], ['316', '740'],
+  ['323', '722'], ['324', '721'], ['326', '720'], ['328', '3341'], ['329', '3340'],
+  ['330', '947'], ['332', '946'], ['333', '900'], ['334', '606'], ['335', '606'],
+  ['337', '3778'], ['338', '3776'], ['339', '920'], ['340', '919'], ['341', '918'],
+  ['347', '3064'], ['349', '301'], ['351', '400'], ['352', '300'], ['355', '975'],
+  ['357', '801'], ['358', '433'], ['359', '801'], ['360', '898'], ['361', '738'],
+  ['362', '437'], ['363', '436'], ['365', '435'], ['368', '437'], ['369', '435'],
+  ['370', '434'], ['371', '433'], ['372', '422'], ['373', '3828'], ['374', '420'],
+  ['375', '869'], ['376', '842'], ['378', '841'], ['379', '840'], ['380', '839'],
+  ['381', '938'], ['382', '3371'], ['388', '3033'], ['390', '822'], ['391', '644'],
+  ['392', '642'], ['393', '640'], ['885', '739'], ['887', '3046'], ['888', '3045'],
+  ['889', '610'], ['890', '729'], ['891', '676'], ['897', '221'], ['898', '611'],
+  ['903', '3032'], ['905', '3021'], ['906', '829'], ['907', '832'], ['942', '738'],
+  ['944', '434'], ['969', '3727'], ['970', '316'], ['972', '3803'], ['978', '322'],
+  ['979', '312'], ['1014', '3777'], ['1015', '3777'], ['1021', '761'], ['1022', '760'],
+  ['1023', '3712'], ['1024', '3328'], ['1025', '347'], ['1027', '3722'], ['1028', '3685'],
+  ['1031', '3753'], ['1032', '3752'], ['1033', '932'], ['1034', '931'], ['1035', '930'],
+  ['1036', '3750'], ['1038', '519'], ['1039', '3810'], ['1042', '504'], ['1043', '369'],
+  ['1044', '895'], ['1045', '436'], ['1046', '435'], ['1047', '402'], ['1048', '3776'],
+  ['1049', '3826'], ['1050', '3781'], ['1060', '3811'], ['1062', '598'], ['1064', '597'],
+  ['1066', '3809'], ['1068', '3808'], ['1070', '993'], ['1072', '992'], ['1074', '3814'],
+  ['1076', '991'], ['1080', '842'], ['1082', '841'], ['1084', '840'], ['1086', '839'],
+  ['1088', '838'], ['1089', '996'], ['1090', '995'], ['1092', '964'], ['1094', '605'],
+  ['1098', '3801']
+];
+
+/**
+ * Names of the built-in thread catalogs.
+ */
+export const THREAD_CATALOGS = ['dmc', 'anchor'];
+
+/**
+ * Converts a hex string to an {r, g, b} color.
+ */
+function hexToColor(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
+
+const dmcByCode = new Map(DMC_COLORS.map(([code, name, hex]) => [code, { name, hex }]));
+
+/**
+ * Returns a thread catalog as palette colors. Each entry carries the
+ * thread's brand, code and name next to its color, and can be passed to
+ * the `palette` option of the pixelation functions as is.
+ *
+ * @param {string} catalog - Catalog name: 'dmc' or 'anchor' (case insensitive)
+ * @returns {Array<Object>} Threads [{r, g, b, brand, code, name}, ...]
+ */
+export function getThreadPalette(catalog) {
+  switch (String(catalog).toLowerCase()) {
+    case 'dmc':
+      return DMC_COLORS.map(([code, name, hex]) => ({ ...hexToColor(hex), brand: 'DMC', code, name }));
+    case 'anchor':
+      return ANCHOR_EQUIVALENTS.map(([code, dmc]) => {
+        const { name, hex } = dmcByCode.get(dmc);
+        return { ...hexToColor(hex), brand: 'Anchor', code, name };
+      });
+    default:
+      throw new Error(`Unknown thread catalog: ${catalog}. Available catalogs: ${THREAD_CATALOGS.join(', ')}`);
+  }
+}
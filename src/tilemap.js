@@ -0,0 +1,459 @@
+/**
+ * Tilemap Module
+ *
+ * Splits native-resolution pixelation output (one pixel per cell) into
+ * fixed-size tiles for game backgrounds. Duplicate tiles are removed,
+ * including horizontally and vertically flipped copies, and the tile count
+ * can be capped by merging the most similar tiles. The result exports as a
+ * tileset image (an indexed result for encodePng), a Tiled map (TMX or JSON)
+ * and a plain JSON tilemap. Works without a DOM.
+ */
+
+import { mapToPaletteIndexed, indexImageColors, findTransparentIndex, TRANSPARENT_COLOR } from './quantization.js';
+import { createImageData } from './surface.js';
+
+/**
+ * Tiled map formats the exporter can write.
+ */
+export const TILED_FORMATS = ['tmx', 'json'];
+
+// Tiled stores flips in the top bits of each global tile id
+const TILED_FLIP_X = 0x80000000;
+const TILED_FLIP_Y = 0x40000000;
+
+const DEFAULT_TILESET_COLUMNS = 16;
+
+// Flip variants as bit masks: 1 = horizontal, 2 = vertical
+const FLIP_X = 1;
+const FLIP_Y = 2;
+
+/**
+ * Normalizes the input to { width, height, palette, indices }.
+ */
+function resolveImage(image) {
+  if (image.palette && image.indices) {
+    const { imageData } = image;
+    const width = image.cols ?? imageData.width;
+    const height = image.rows ?? imageData.height;
+    if (imageData && (imageData.width !== width || imageData.height !== height)) {
+      // Drawn at a larger output size: tile what was drawn
+      const { indices } = mapToPaletteIndexed(imageData, image.palette);
+      return { width: imageData.width, height: imageData.height, palette: image.palette, indices };
+    }
+    return { width, height, palette: image.palette, indices: image.indices };
+  }
+
+  const imageData = image.data ? image : image.imageData;
+  if (!imageData || !imageData.data) {
+    throw new Error('Tile extraction requires ImageData or a pixelation result');
+  }
+  return { width: imageData.width, height: imageData.height, ...indexImageColors(imageData) };
+}
+
+/**
+ * Returns a tile's pixels (palette indices) with the given flips applied.
+ */
+function flipTile(tile, tileWidth, tileHeight, flips) {
+  if (flips === 0) return tile;
+  const output = new Uint32Array(tile.length);
+  for (let y = 0; y < tileHeight; y++) {
+    const sy = flips & FLIP_Y ? tileHeight - 1 - y : y;
+    for (let x = 0; x < tileWidth; x++) {
+      const sx = flips & FLIP_X ? tileWidth - 1 - x : x;
+      output[y * tileWidth + x] = tile[sy * tileWidth + sx];
+    }
+  }
+  return output;
+}
+
+/**
+ * Sum of squared RGBA differences between two tiles. `channels` holds the
+ * palette as flat RGBA values; stops early once the sum reaches `limit`.
+ */
+function tileDistance(a, b, channels, limit) {
+  let distance = 0;
+  for (let i = 0; i < a.length && distance < limit; i++) {
+    if (a[i] === b[i]) continue;
+    const c1 = a[i] * 4;
+    const c2 = b[i] * 4;
+    const dr = channels[c1] - channels[c2];
+    const dg = channels[c1 + 1] - channels[c2 + 1];
+    const db = channels[c1 + 2] - channels[c2 + 2];
+    const da = channels[c1 + 3] - channels[c2 + 3];
+    distance += dr * dr + dg * dg + db * db + da * da;
+  }
+  return distance;
+}
+
+/**
+ * Merges the most similar tiles until at most maxTiles remain. The tile with
+ * more uses survives unchanged and map cells pointing at the merged tile are
+ * redirected to it, with flips combined.
+ */
+function mergeTiles(tiles, map, maxTiles, variants, palette, tileWidth, tileHeight) {
+  const uses = new Array(tiles.length).fill(0);
+  map.forEach(cell => uses[cell.tile]++);
+
+  const active = tiles.map(() => true);
+  const flipped = tiles.map(tile => variants.map(flips => flipTile(tile, tileWidth, tileHeight, flips)));
+  const nearest = new Array(tiles.length);
+  const channels = new Int32Array(palette.length * 4);
+  palette.forEach(({ r, g, b, a }, i) => channels.set([r, g, b, a ?? 255], i * 4));
+
+  // Closest other active tile, over all flip variants
+  const findNearest = (i) => {
+    let best = { tile: -1, flips: 0, distance: Infinity };
+    for (let j = 0; j < tiles.length; j++) {
+      if (j === i || !active[j]) continue;
+      variants.forEach((flips, v) => {
+        const distance = tileDistance(tiles[i], flipped[j][v], channels, best.distance);
+        if (distance < best.distance) {
+          best = { tile: j, flips, distance };
+        }
+      });
+    }
+    return best;
+  };
+  tiles.forEach((_, i) => { nearest[i] = findNearest(i); });
+
+  const redirect = tiles.map((_, i) => ({ tile: i, flips: 0 }));
+  let remaining = tiles.length;
+  while (remaining > maxTiles) {
+    let from = -1;
+    for (let i = 0; i < tiles.length; i++) {
+      if (active[i] && (from < 0 || nearest[i].distance < nearest[from].distance)) {
+        from = i;
+      }
+    }
+    let { tile: into, flips } = nearest[from];
+    // Keep the more used tile; tile `from` looks like `into` flipped by `flips` and vice versa
+    if (uses[from] > uses[into] || (uses[from] === uses[into] && from < into)) {
+      [from, into] = [into, from];
+    }
+
+    active[from] = false;
+    uses[into] += uses[from];
+    remaining--;
+    redirect.forEach(target => {
+      if (target.tile === from) {
+        target.tile = into;
+        target.flips ^= flips;
+      }
+    });
+
+    tiles.forEach((_, i) => {
+      if (active[i] && nearest[i].tile === from) {
+        nearest[i] = findNearest(i);
+      }
+    });
+  }
+
+  // Renumber surviving tiles in order of first use
+  const renumber = new Map();
+  const merged = [];
+  const mergedMap = map.map(cell => {
+    const target = redirect[cell.tile];
+    if (!renumber.has(target.tile)) {
+      renumber.set(target.tile, merged.length);
+      merged.push(tiles[target.tile]);
+    }
+    const flips = cell.flips ^ target.flips;
+    return { tile: renumber.get(target.tile), flips };
+  });
+
+  return { tiles: merged, map: mergedMap };
+}
+
+/**
+ * Splits an image into tiles and removes duplicates.
+ *
+ * Images whose size is not a multiple of the tile size are padded with
+ * transparent pixels; a transparent palette entry is added if needed.
+ *
+ * @param {ImageData|Object} image - Native-resolution ImageData, or a result { imageData, palette, indices, cols, rows }
+ * @param {Object} options - Optional configuration
+ * @param {number} options.tileSize - Tile width and height in pixels (default: 8)
+ * @param {number} options.tileWidth - Tile width, overrides tileSize
+ * @param {number} options.tileHeight - Tile height, overrides tileSize
+ * @param {boolean} options.flips - Treat horizontally / vertically flipped tiles as duplicates (default: true)
+ * @param {number} options.maxTiles - Maximum number of tiles; the most similar tiles are merged to fit (default: null)
+ * @returns {Object} Tilemap { tileWidth, tileHeight, width, height, palette, tiles, map }: width and height
+ *   in tiles, tiles as arrays of palette indices, and map as one { tile, flipX, flipY } per map cell, row-major
+ */
+export function extractTiles(image, options = {}) {
+  const {
+    tileSize = 8,
+    tileWidth = tileSize,
+    tileHeight = tileSize,
+    flips = true,
+    maxTiles = null
+  } = options;
+
+  if (!Number.isInteger(tileWidth) || !Number.isInteger(tileHeight) || tileWidth < 1 || tileHeight < 1) {
+    throw new Error(`Invalid tile size: ${tileWidth}x${tileHeight}`);
+  }
+  if (maxTiles !== null && (!Number.isInteger(maxTiles) || maxTiles < 1)) {
+    throw new Error(`Invalid maxTiles: ${maxTiles}. Use a positive integer or null`);
+  }
+
+  const resolved = resolveImage(image);
+  const { width, height, indices } = resolved;
+  let { palette } = resolved;
+  const mapWidth = Math.ceil(width / tileWidth);
+  const mapHeight = Math.ceil(height / tileHeight);
+
+  // Padding needs a transparent entry
+  let padIndex = 0;
+  if (width % tileWidth !== 0 || height % tileHeight !== 0) {
+    padIndex = findTransparentIndex(palette);
+    if (padIndex < 0) {
+      palette = [...palette, TRANSPARENT_COLOR];
+      padIndex = palette.length - 1;
+    }
+  }
+
+  const variants = flips ? [0, FLIP_X, FLIP_Y, FLIP_X | FLIP_Y] : [0];
+  const tiles = [];
+  const lookup = new Map();
+  const map = [];
+
+  for (let ty = 0; ty < mapHeight; ty++) {
+    for (let tx = 0; tx < mapWidth; tx++) {
+      const tile = new Uint32Array(tileWidth * tileHeight);
+      for (let y = 0; y < tileHeight; y++) {
+        for (let x = 0; x < tileWidth; x++) {
+          const px = tx * tileWidth + x;
+          const py = ty * tileHeight + y;
+          tile[y * tileWidth + x] = px < width && py < height ? indices[py * width + px] : padIndex;
+        }
+      }
+
+      // A stored tile that equals this one flipped is this tile's flipped twin
+      let cell = null;
+      for (const variant of variants) {
+        const existing = lookup.get(flipTile(tile, tileWidth, tileHeight, variant).join(','));
+        if (existing !== undefined) {
+          cell = { tile: existing, flips: variant };
+          break;
+        }
+      }
+      if (!cell) {
+        cell = { tile: tiles.length, flips: 0 };
+        lookup.set(tile.join(','), tiles.length);
+        tiles.push(tile);
+      }
+      map.push(cell);
+    }
+  }
+
+  const result = maxTiles !== null && tiles.length > maxTiles
+    ? mergeTiles(tiles, map, maxTiles, variants, palette, tileWidth, tileHeight)
+    : { tiles, map };
+
+  return {
+    tileWidth,
+    tileHeight,
+    width: mapWidth,
+    height: mapHeight,
+    palette,
+    tiles: result.tiles,
+    map: result.map.map(({ tile, flips: cellFlips }) => ({
+      tile,
+      flipX: (cellFlips & FLIP_X) !== 0,
+      flipY: (cellFlips & FLIP_Y) !== 0
+    }))
+  };
+}
+
+/**
+ * Returns the number of tileset image columns for a tile count.
+ */
+function getTilesetColumns(tileCount, columns) {
+  return columns ?? Math.max(1, Math.min(DEFAULT_TILESET_COLUMNS, tileCount));
+}
+
+/**
+ * Renders the tileset as an image, tiles left to right and top to bottom.
+ * The result has the indexed shape used by encodePng, so the tileset can be
+ * written as an indexed PNG. Unused slots in the last row are transparent.
+ *
+ * @param {Object} tilemap - Result of extractTiles
+ * @param {Object} options - Optional configuration
+ * @param {number} options.columns - Tiles per row (default: up to 16)
+ * @returns {Object} { imageData, palette, indices, cols, rows } at one pixel per tile pixel
+ */
+export function renderTileset(tilemap, options = {}) {
+  const { tileWidth, tileHeight, tiles } = tilemap;
+  const columns = getTilesetColumns(tiles.length, options.columns);
+  const tileRows = Math.max(1, Math.ceil(tiles.length / columns));
+  const width = columns * tileWidth;
+  const height = tileRows * tileHeight;
+
+  let { palette } = tilemap;
+  let emptyIndex = 0;
+  if (tiles.length < columns * tileRows) {
+    emptyIndex = findTransparentIndex(palette);
+    if (emptyIndex < 0) {
+      palette = [...palette, TRANSPARENT_COLOR];
+      emptyIndex = palette.length - 1;
+    }
+  }
+
+  const indices = new Uint32Array(width * height).fill(emptyIndex);
+  tiles.forEach((tile, t) => {
+    const left = (t % columns) * tileWidth;
+    const top = Math.floor(t / columns) * tileHeight;
+    for (let y = 0; y < tileHeight; y++) {
+      for (let x = 0; x < tileWidth; x++) {
+        indices[(top + y) * width + left + x] = tile[y * tileWidth + x];
+      }
+    }
+  });
+
+  const imageData = createImageData(width, height);
+  indices.forEach((index, pixel) => {
+    const color = palette[index];
+    imageData.data.set([color.r, color.g, color.b, color.a ?? 255], pixel * 4);
+  });
+
+  return { imageData, palette, indices, cols: width, rows: height };
+}
+
+/**
+ * Escapes text for use in an XML attribute.
+ */
+function escapeAttribute(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Converts map cells to Tiled global tile ids (first gid 1, flips in the top bits).
+ */
+function toGlobalIds(map) {
+  return map.map(({ tile, flipX, flipY }) =>
+    ((tile + 1) | (flipX ? TILED_FLIP_X : 0) | (flipY ? TILED_FLIP_Y : 0)) >>> 0
+  );
+}
+
+/**
+ * Exports a tilemap as a Tiled map with one tile layer and an embedded
+ * tileset that references the tileset image.
+ *
+ * @param {Object} tilemap - Result of extractTiles
+ * @param {Object} options - Optional configuration
+ * @param {string} options.format - 'tmx' (XML) or 'json' (default: 'tmx')
+ * @param {string} options.image - Path of the tileset image, relative to the map (default: 'tileset.png')
+ * @param {number} options.columns - Tileset image columns, as passed to renderTileset (default: up to 16)
+ * @param {string} options.name - Tileset name (default: 'tileset')
+ * @param {string} options.layerName - Tile layer name (default: 'Tiles')
+ * @returns {string} TMX document or JSON text
+ */
+export function encodeTiledMap(tilemap, options = {}) {
+  const {
+    format = 'tmx',
+    image = 'tileset.png',
+    name = 'tileset',
+    layerName = 'Tiles'
+  } = options;
+
+  if (!TILED_FORMATS.includes(format)) {
+    throw new Error(`Unknown Tiled format: ${format}. Available formats: ${TILED_FORMATS.join(', ')}`);
+  }
+
+  const { tileWidth, tileHeight, width, height, tiles, map } = tilemap;
+  const columns = getTilesetColumns(tiles.length, options.columns);
+  const imageWidth = columns * tileWidth;
+  const imageHeight = Math.max(1, Math.ceil(tiles.length / columns)) * tileHeight;
+  const data = toGlobalIds(map);
+
+  if (format === 'json') {
+    return JSON.stringify({
+      type: 'map',
+      version: '1.10',
+      orientation: 'orthogonal',
+      renderorder: 'right-down',
+      width,
+      height,
+      tilewidth: tileWidth,
+      tileheight: tileHeight,
+      infinite: false,
+      nextlayerid: 2,
+      nextobjectid: 1,
+      tilesets: [{
+        firstgid: 1,
+        name,
+        tilewidth: tileWidth,
+        tileheight: tileHeight,
+        tilecount: tiles.length,
+        columns,
+        margin: 0,
+        spacing: 0,
+        image,
+        imagewidth: imageWidth,
+        imageheight: imageHeight
+      }],
+      layers: [{
+        id: 1,
+        name: layerName,
+        type: 'tilelayer',
+        x: 0,
+        y: 0,
+        width,
+        height,
+        opacity: 1,
+        visible: true,
+        data
+      }]
+    }, null, 2) + '\n';
+  }
+
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    rows.push(data.slice(y * width, (y + 1) * width).join(','));
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<map version="1.10" orientation="orthogonal" renderorder="right-down" width="${width}" height="${height}" ` +
+      `tilewidth="${tileWidth}" tileheight="${tileHeight}" infinite="0" nextlayerid="2" nextobjectid="1">`,
+    ` <tileset firstgid="1" name="${escapeAttribute(name)}" tilewidth="${tileWidth}" tileheight="${tileHeight}" ` +
+      `tilecount="${tiles.length}" columns="${columns}">`,
+    `  <image source="${escapeAttribute(image)}" width="${imageWidth}" height="${imageHeight}"/>`,
+    ' </tileset>',
+    ` <layer id="1" name="${escapeAttribute(layerName)}" width="${width}" height="${height}">`,
+    '  <data encoding="csv">',
+    rows.join(',\n'),
+    '</data>',
+    ' </layer>',
+    '</map>'
+  ].join('\n') + '\n';
+}
+
+/**
+ * Exports a tilemap as plain JSON for custom engines: tile indices (0-based,
+ * into the tileset image order) plus a flip mask per map cell
+ * (1 = horizontal, 2 = vertical) and the palette.
+ *
+ * @param {Object} tilemap - Result of extractTiles
+ * @param {Object} options - Optional configuration
+ * @param {number} options.columns - Tileset image columns, as passed to renderTileset (default: up to 16)
+ * @returns {string} JSON text
+ */
+export function encodeTilemapJson(tilemap, options = {}) {
+  const { tileWidth, tileHeight, width, height, tiles, map, palette } = tilemap;
+  return JSON.stringify({
+    tileWidth,
+    tileHeight,
+    width,
+    height,
+    tileCount: tiles.length,
+    tilesetColumns: getTilesetColumns(tiles.length, options.columns),
+    palette: palette.map(({ r, g, b, a }) => ({ r, g, b, a: a ?? 255 })),
+    tiles: map.map(cell => cell.tile),
+    flips: map.map(cell => (cell.flipX ? FLIP_X : 0) | (cell.flipY ? FLIP_Y : 0))
+  }) + '\n';
+}
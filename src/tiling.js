@@ -0,0 +1,174 @@
+/**
+ * Tiling Module
+ *
+ * Bounded-memory building blocks for edge-aware pixelation of very large
+ * images. The image is processed in tiles: edge maps are computed per tile
+ * (with a small halo so Sobel and non-maximum suppression see the same
+ * neighbors as on the whole image) and thresholded with a percentile
+ * gathered across all tiles, so every tile's edge map equals the matching
+ * region of calculateEdgeMap.
+ */
+
+import { calculateGradientMaps, applyNonMaximumSuppression, getEdgeThreshold } from './edgeDetection.js';
+
+/**
+ * Default tile size in pixels (per side).
+ */
+export const DEFAULT_TILE_SIZE = 1024;
+
+// Extra pixels around a tile: one for Sobel, one more for non-maximum suppression
+const EDGE_HALO = 2;
+
+/**
+ * Splits an image into tiles, row-major. Tile sizes are multiples of
+ * `pixelSize` so no pixel block straddles a tile seam; tiles on the right
+ * and bottom edges are clipped to the image.
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} tileSize - Approximate tile size (default: 1024)
+ * @param {number} pixelSize - Block size tiles are aligned to (default: 1)
+ * @returns {Array<Object>} Tiles [{x, y, width, height}, ...]
+ */
+export function getTileLayout(width, height, tileSize = DEFAULT_TILE_SIZE, pixelSize = 1) {
+  if (!(tileSize >= 1)) {
+    throw new Error('Tile size must be at least 1');
+  }
+  const step = Math.max(1, Math.floor(tileSize / pixelSize)) * pixelSize;
+  const tiles = [];
+
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      tiles.push({ x, y, width: Math.min(step, width - x), height: Math.min(step, height - y) });
+    }
+  }
+
+  return tiles;
+}
+
+/**
+ * Copies a rectangle out of an image.
+ *
+ * @param {ImageData} imageData - Source image data
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Rectangle width
+ * @param {number} height - Rectangle height
+ * @returns {Object} Image data { width, height, data } of the rectangle
+ */
+export function cropImageData(imageData, x, y, width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let row = 0; row < height; row++) {
+    const start = ((y + row) * imageData.width + x) * 4;
+    data.set(imageData.data.subarray(start, start + width * 4), row * width * 4);
+  }
+  return { width, height, data };
+}
+
+/**
+ * Computes gradient maps for a rectangle plus a halo, clamped to the image.
+ * Returns the maps and the offset of the rectangle inside them.
+ */
+function getRegionGradients(imageData, rect, halo, signal = null) {
+  const x0 = Math.max(0, rect.x - halo);
+  const y0 = Math.max(0, rect.y - halo);
+  const x1 = Math.min(imageData.width, rect.x + rect.width + halo);
+  const y1 = Math.min(imageData.height, rect.y + rect.height + halo);
+  const region = cropImageData(imageData, x0, y0, x1 - x0, y1 - y0);
+
+  return {
+    ...calculateGradientMaps(region, signal),
+    regionWidth: region.width,
+    regionHeight: region.height,
+    offsetX: rect.x - x0,
+    offsetY: rect.y - y0
+  };
+}
+
+/**
+ * Computes non-maximum-suppressed edge strengths for a rectangle, before
+ * thresholding.
+ */
+function getSuppressedEdges(imageData, rect, signal = null) {
+  const { magnitudeMap, directionMap, regionWidth, regionHeight, offsetX, offsetY } =
+    getRegionGradients(imageData, rect, EDGE_HALO, signal);
+
+  const suppressed = applyNonMaximumSuppression(magnitudeMap, directionMap, regionWidth, regionHeight, signal);
+  const edges = new Float32Array(rect.width * rect.height);
+  for (let row = 0; row < rect.height; row++) {
+    const start = (offsetY + row) * regionWidth + offsetX;
+    edges.set(suppressed.subarray(start, start + rect.width), row * rect.width);
+  }
+  return edges;
+}
+
+/**
+ * Gathers the percentile threshold calculateEdgeMap derives from the whole
+ * image, one tile at a time. The threshold is exact: every distinct edge
+ * strength is counted, so memory grows with the number of distinct
+ * strengths rather than with the image.
+ *
+ * @param {ImageData} imageData - Source image data
+ * @param {Object} options - Optional configuration
+ * @param {number} options.edgeSharpness - Edge sharpness level (0-1, default: 0.8)
+ * @param {number} options.threshold - Percentile threshold (0-1), overrides edgeSharpness
+ * @param {number} options.tileSize - Tile size used while gathering (default: 1024)
+ * @param {AbortSignal} options.signal - Optional abort signal, checked between rows and tiles
+ * @returns {Object} { threshold } where threshold is the edge strength a pixel
+ *   needs to count as an edge
+ */
+export function calculateEdgeStatistics(imageData, options = {}) {
+  const { edgeSharpness = 0.8, tileSize = DEFAULT_TILE_SIZE, signal = null } = options;
+  const percentile = options.threshold ?? getEdgeThreshold(edgeSharpness);
+
+  if (!(percentile > 0)) {
+    return { threshold: percentile };
+  }
+
+  const counts = new Map();
+  let count = 0;
+  for (const tile of getTileLayout(imageData.width, imageData.height, tileSize)) {
+    const edges = getSuppressedEdges(imageData, tile, signal);
+    for (let i = 0; i < edges.length; i++) {
+      if (edges[i] > 0) {
+        counts.set(edges[i], (counts.get(edges[i]) || 0) + 1);
+        count++;
+      }
+    }
+  }
+
+  if (count === 0) {
+    return { threshold: percentile };
+  }
+
+  // Same index as applyThresholding picks from the sorted edge strengths
+  let rank = Math.min(count - 1, Math.max(0, Math.ceil(count * percentile)));
+  const strengths = Array.from(counts.keys()).sort((a, b) => a - b);
+  for (const strength of strengths) {
+    rank -= counts.get(strength);
+    if (rank < 0) {
+      return { threshold: strength };
+    }
+  }
+}
+
+/**
+ * Calculates the binary edge map of one rectangle of an image. With
+ * statistics from calculateEdgeStatistics the result equals the same region
+ * of calculateEdgeMap(imageData, { edgeSharpness }).
+ *
+ * @param {ImageData} imageData - Source image data
+ * @param {Object} rect - Region {x, y, width, height}
+ * @param {Object} statistics - { threshold } from calculateEdgeStatistics
+ * @param {AbortSignal} signal - Optional abort signal, checked between rows
+ * @returns {Float32Array} Edge map of the region (1 = edge, 0 = none)
+ */
+export function calculateTileEdgeMap(imageData, rect, statistics, signal = null) {
+  const { threshold } = statistics;
+  const edges = getSuppressedEdges(imageData, rect, signal);
+
+  for (let i = 0; i < edges.length; i++) {
+    edges[i] = edges[i] >= threshold ? 1.0 : 0;
+  }
+  return edges;
+}
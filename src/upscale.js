@@ -0,0 +1,352 @@
+/**
+ * Upscale Module
+ *
+ * Classic pixel-art scaling filters for enlarging native-resolution results
+ * (one pixel per cell) without the blockiness of nearest-neighbor scaling.
+ * EPX/Scale2x, Scale3x and Eagle only ever copy existing pixels, so the
+ * output keeps the input palette. hqx and xBR blend colors along detected
+ * edges for smoother diagonals. All filters work on ImageData without a DOM.
+ */
+
+import { mixColors, averageColors } from './color.js';
+import { createImageData } from './surface.js';
+
+/**
+ * YUV difference thresholds used by hqx to decide whether two colors differ.
+ */
+const HQX_THRESHOLD_Y = 48;
+const HQX_THRESHOLD_U = 7;
+const HQX_THRESHOLD_V = 6;
+const HQX_THRESHOLD_A = 48;
+
+/**
+ * Reads an image into packed 32-bit pixels (for equality tests) and colors.
+ */
+function createSource(imageData) {
+  const { width, height, data } = imageData;
+  const packed = new Uint32Array(width * height);
+  const colors = new Array(width * height);
+  for (let i = 0; i < packed.length; i++) {
+    const idx = i * 4;
+    packed[i] = ((data[idx] << 24) | (data[idx + 1] << 16) | (data[idx + 2] << 8) | data[idx + 3]) >>> 0;
+    colors[i] = { r: data[idx], g: data[idx + 1], b: data[idx + 2], a: data[idx + 3] };
+  }
+
+  // Neighbor lookup with edge pixels repeated outside the image
+  const indexAt = (x, y) => {
+    const cx = x < 0 ? 0 : (x >= width ? width - 1 : x);
+    const cy = y < 0 ? 0 : (y >= height ? height - 1 : y);
+    return cy * width + cx;
+  };
+
+  return { width, height, packed, colors, indexAt };
+}
+
+/**
+ * Writes a color into ImageData at a pixel index.
+ */
+function writeColor(data, pixel, color) {
+  const idx = pixel * 4;
+  data[idx] = color.r;
+  data[idx + 1] = color.g;
+  data[idx + 2] = color.b;
+  data[idx + 3] = color.a;
+}
+
+/**
+ * Runs a filter that maps every source pixel to a factor x factor block.
+ * `renderBlock(x, y)` returns the block's source pixel indices (copy filters)
+ * or colors (blending filters), row-major.
+ */
+function renderBlocks(source, factor, renderBlock, blended = false) {
+  const { width, height, colors } = source;
+  const outWidth = width * factor;
+  const output = createImageData(outWidth, height * factor);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const block = renderBlock(x, y);
+      for (let i = 0; i < block.length; i++) {
+        const outX = x * factor + (i % factor);
+        const outY = y * factor + Math.floor(i / factor);
+        writeColor(output.data, outY * outWidth + outX, blended ? block[i] : colors[block[i]]);
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * EPX / Scale2x: a corner takes the color of its two neighbors when they
+ * match and the opposite neighbors do not.
+ */
+function scale2x(source) {
+  const { packed, indexAt } = source;
+  return renderBlocks(source, 2, (x, y) => {
+    const e = indexAt(x, y);
+    const b = indexAt(x, y - 1), d = indexAt(x - 1, y), f = indexAt(x + 1, y), h = indexAt(x, y + 1);
+    if (packed[b] === packed[h] || packed[d] === packed[f]) {
+      return [e, e, e, e];
+    }
+    return [
+      packed[d] === packed[b] ? d : e,
+      packed[b] === packed[f] ? f : e,
+      packed[d] === packed[h] ? d : e,
+      packed[h] === packed[f] ? f : e
+    ];
+  });
+}
+
+/**
+ * Scale3x (AdvMAME3x): Scale2x's corner rule plus edge-middle rules that
+ * also look at the diagonal neighbors.
+ */
+function scale3x(source) {
+  const { packed, indexAt } = source;
+  return renderBlocks(source, 3, (x, y) => {
+    const e = indexAt(x, y);
+    const a = indexAt(x - 1, y - 1), b = indexAt(x, y - 1), c = indexAt(x + 1, y - 1);
+    const d = indexAt(x - 1, y), f = indexAt(x + 1, y);
+    const g = indexAt(x - 1, y + 1), h = indexAt(x, y + 1), i = indexAt(x + 1, y + 1);
+    if (packed[b] === packed[h] || packed[d] === packed[f]) {
+      return [e, e, e, e, e, e, e, e, e];
+    }
+    const P = packed;
+    return [
+      P[d] === P[b] ? d : e,
+      (P[d] === P[b] && P[e] !== P[c]) || (P[b] === P[f] && P[e] !== P[a]) ? b : e,
+      P[b] === P[f] ? f : e,
+      (P[d] === P[b] && P[e] !== P[g]) || (P[d] === P[h] && P[e] !== P[a]) ? d : e,
+      e,
+      (P[b] === P[f] && P[e] !== P[i]) || (P[h] === P[f] && P[e] !== P[c]) ? f : e,
+      P[d] === P[h] ? d : e,
+      (P[d] === P[h] && P[e] !== P[i]) || (P[h] === P[f] && P[e] !== P[g]) ? h : e,
+      P[h] === P[f] ? f : e
+    ];
+  });
+}
+
+/**
+ * Eagle: a corner takes the color of the three neighbors around it when
+ * they all match.
+ */
+function eagle(source) {
+  const { packed, indexAt } = source;
+  return renderBlocks(source, 2, (x, y) => {
+    const e = indexAt(x, y);
+    const a = indexAt(x - 1, y - 1), b = indexAt(x, y - 1), c = indexAt(x + 1, y - 1);
+    const d = indexAt(x - 1, y), f = indexAt(x + 1, y);
+    const g = indexAt(x - 1, y + 1), h = indexAt(x, y + 1), i = indexAt(x + 1, y + 1);
+    const P = packed;
+    return [
+      P[d] === P[a] && P[a] === P[b] ? a : e,
+      P[b] === P[c] && P[c] === P[f] ? c : e,
+      P[d] === P[g] && P[g] === P[h] ? g : e,
+      P[f] === P[i] && P[i] === P[h] ? i : e
+    ];
+  });
+}
+
+/**
+ * Precomputes YUV (and alpha) for every source pixel.
+ */
+function computeYuv(colors) {
+  const yuv = new Float32Array(colors.length * 4);
+  colors.forEach(({ r, g, b, a }, i) => {
+    yuv[i * 4] = 0.299 * r + 0.587 * g + 0.114 * b;
+    yuv[i * 4 + 1] = -0.169 * r - 0.331 * g + 0.5 * b;
+    yuv[i * 4 + 2] = 0.5 * r - 0.419 * g - 0.081 * b;
+    yuv[i * 4 + 3] = a;
+  });
+  return yuv;
+}
+
+/**
+ * Rotates a neighbor offset by `turns` quarter turns, so corner rules can be
+ * written once for the bottom-right corner.
+ */
+function rotate(dx, dy, turns) {
+  for (let t = 0; t < turns; t++) {
+    [dx, dy] = [-dy, dx];
+  }
+  return [dx, dy];
+}
+
+/**
+ * hqx (2x, 3x, 4x): neighbors are compared with hqx's YUV thresholds, and
+ * where an edge cuts across a corner (both side neighbors match each other
+ * but not the center) the subpixels in that corner are blended toward the
+ * side colors. The blend grows with the subpixel's distance from the center,
+ * which anti-aliases diagonals while flat areas and straight edges stay
+ * sharp.
+ */
+function hqx(source, factor, linearLight) {
+  const { colors, indexAt } = source;
+  const yuv = computeYuv(colors);
+
+  const differs = (i, j) => {
+    const ai = yuv[i * 4 + 3], aj = yuv[j * 4 + 3];
+    if (ai === 0 || aj === 0) return ai !== aj;
+    return Math.abs(yuv[i * 4] - yuv[j * 4]) > HQX_THRESHOLD_Y ||
+      Math.abs(yuv[i * 4 + 1] - yuv[j * 4 + 1]) > HQX_THRESHOLD_U ||
+      Math.abs(yuv[i * 4 + 2] - yuv[j * 4 + 2]) > HQX_THRESHOLD_V ||
+      Math.abs(ai - aj) > HQX_THRESHOLD_A;
+  };
+
+  // Blend weight and corner (quarter turns from bottom-right) per subpixel;
+  // the center row and column of odd factors belong to no corner
+  const subpixels = [];
+  for (let sy = 0; sy < factor; sy++) {
+    for (let sx = 0; sx < factor; sx++) {
+      const u = (sx + 0.5) / factor - 0.5;
+      const v = (sy + 0.5) / factor - 0.5;
+      if (u === 0 || v === 0) {
+        subpixels.push(null);
+        continue;
+      }
+      const turns = u > 0 ? (v > 0 ? 0 : 3) : (v > 0 ? 1 : 2);
+      const weight = Math.min(1, Math.max(0, (Math.abs(u) + Math.abs(v) - 0.25) * 2));
+      subpixels.push(weight > 0 ? { turns, weight } : null);
+    }
+  }
+
+  return renderBlocks(source, factor, (x, y) => {
+    const e = indexAt(x, y);
+    return subpixels.map(subpixel => {
+      if (!subpixel) return colors[e];
+
+      const [fx, fy] = rotate(1, 0, subpixel.turns);
+      const [hx, hy] = rotate(0, 1, subpixel.turns);
+      const f = indexAt(x + fx, y + fy);
+      const h = indexAt(x + hx, y + hy);
+      const i = indexAt(x + fx + hx, y + fy + hy);
+      if (!differs(e, f) || !differs(e, h) || differs(f, h)) {
+        return colors[e];
+      }
+
+      // A diagonal neighbor matching the center means a thin line crosses the corner
+      const weight = differs(e, i) ? subpixel.weight : subpixel.weight / 2;
+      return mixColors(colors[e], averageColors([colors[f], colors[h]], linearLight), weight, linearLight);
+    });
+  }, true);
+}
+
+/**
+ * 2xBR (xBR level 2): for each corner, compares weighted color distances
+ * along the two diagonals to decide whether an edge passes through it, then
+ * blends the corner subpixel toward the closer side color. Shallow and steep
+ * edges also blend the neighboring subpixel.
+ */
+function xbr(source, linearLight) {
+  const { packed, colors, indexAt } = source;
+  const yuv = computeYuv(colors);
+
+  const distance = (i, j) =>
+    48 * Math.abs(yuv[i * 4] - yuv[j * 4]) +
+    7 * Math.abs(yuv[i * 4 + 1] - yuv[j * 4 + 1]) +
+    6 * Math.abs(yuv[i * 4 + 2] - yuv[j * 4 + 2]) +
+    48 * Math.abs(yuv[i * 4 + 3] - yuv[j * 4 + 3]);
+
+  // Output subpixel for a center-relative sign pair, after rotation
+  const subpixelIndex = (sx, sy, turns) => {
+    const [rx, ry] = rotate(sx, sy, turns);
+    return (ry > 0 ? 2 : 0) + (rx > 0 ? 1 : 0);
+  };
+
+  return renderBlocks(source, 2, (x, y) => {
+    const e = indexAt(x, y);
+    const block = [colors[e], colors[e], colors[e], colors[e]];
+
+    for (let turns = 0; turns < 4; turns++) {
+      // Neighbors in the frame of the bottom-right corner
+      const at = (dx, dy) => {
+        const [rx, ry] = rotate(dx, dy, turns);
+        return indexAt(x + rx, y + ry);
+      };
+      const f = at(1, 0), h = at(0, 1);
+      if (packed[e] === packed[f] || packed[e] === packed[h]) continue;
+
+      const b = at(0, -1), c = at(1, -1), d = at(-1, 0), g = at(-1, 1), i = at(1, 1);
+      const f4 = at(2, 0), i4 = at(2, 1), h5 = at(0, 2), i5 = at(1, 2);
+
+      const edgeAcross = distance(e, c) + distance(e, g) + distance(i, f4) + distance(i, h5) + 4 * distance(h, f);
+      const edgeAlong = distance(h, d) + distance(h, i5) + distance(f, i4) + distance(f, b) + 4 * distance(e, i);
+      if (edgeAcross >= edgeAlong) continue;
+
+      const px = colors[distance(e, f) <= distance(e, h) ? f : h];
+      const ke = distance(f, g);
+      const ki = distance(h, c);
+      const shallow = ke * 2 <= ki && packed[e] !== packed[g] && packed[d] !== packed[g];
+      const steep = ki * 2 <= ke && packed[e] !== packed[c] && packed[b] !== packed[c];
+
+      const corner = subpixelIndex(1, 1, turns);
+      block[corner] = mixColors(block[corner], px, shallow || steep ? 0.75 : 0.5, linearLight);
+      if (shallow) {
+        const side = subpixelIndex(-1, 1, turns);
+        block[side] = mixColors(block[side], px, 0.25, linearLight);
+      }
+      if (steep) {
+        const side = subpixelIndex(1, -1, turns);
+        block[side] = mixColors(block[side], px, 0.25, linearLight);
+      }
+    }
+
+    return block;
+  }, true);
+}
+
+/**
+ * Available filters and their scale factors.
+ */
+const UPSCALE_FILTERS = {
+  'epx': { factor: 2, render: (source) => scale2x(source) },
+  'scale2x': { factor: 2, render: (source) => scale2x(source) },
+  'scale3x': { factor: 3, render: (source) => scale3x(source) },
+  'eagle': { factor: 2, render: (source) => eagle(source) },
+  'hq2x': { factor: 2, render: (source, linearLight) => hqx(source, 2, linearLight) },
+  'hq3x': { factor: 3, render: (source, linearLight) => hqx(source, 3, linearLight) },
+  'hq4x': { factor: 4, render: (source, linearLight) => hqx(source, 4, linearLight) },
+  'xbr': { factor: 2, render: (source, linearLight) => xbr(source, linearLight) }
+};
+
+/**
+ * Available pixel-art upscalers ('epx' and 'scale2x' are the same filter).
+ */
+export const UPSCALERS = Object.keys(UPSCALE_FILTERS);
+
+/**
+ * Looks up an upscaler, throwing for unknown names.
+ */
+function getFilter(upscaler) {
+  const filter = UPSCALE_FILTERS[upscaler];
+  if (!filter) {
+    throw new Error(`Unknown upscaler: ${upscaler}. Available upscalers: ${UPSCALERS.join(', ')}`);
+  }
+  return filter;
+}
+
+/**
+ * Returns the scale factor of an upscaler (2 for 'hq2x', 3 for 'scale3x', ...).
+ *
+ * @param {string} upscaler - Upscaler name, one of UPSCALERS
+ * @returns {number} Scale factor
+ */
+export function getUpscaleFactor(upscaler) {
+  return getFilter(upscaler).factor;
+}
+
+/**
+ * Enlarges a native-resolution image (one pixel per cell) with a pixel-art
+ * scaling filter. Pixels outside the image repeat the nearest edge pixel.
+ *
+ * @param {ImageData} imageData - Native-resolution image data
+ * @param {string} upscaler - 'epx', 'scale2x', 'scale3x', 'eagle', 'hq2x', 'hq3x', 'hq4x' or 'xbr'
+ * @param {Object} options - Optional configuration
+ * @param {boolean} options.linearLight - Blend colors in linear light (hqx and xBR only, default: false)
+ * @returns {ImageData} Image data enlarged by the upscaler's factor
+ */
+export function upscalePixelArt(imageData, upscaler, options = {}) {
+  const { linearLight = false } = options;
+  return getFilter(upscaler).render(createSource(imageData), linearLight);
+}
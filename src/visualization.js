@@ -5,6 +5,8 @@
  * as visible canvas images for debugging and educational purposes.
  */
 
+import { createSurface } from './surface.js';
+
 /**
  * Converts a Float32Array edge map to a visible canvas.
  * Edge values are rendered as white on black background.
@@ -16,9 +18,7 @@
  * @returns {HTMLCanvasElement} Canvas with edge visualization
  */
 export function edgeMapToCanvas(edgeMap, width, height) {
-  const canvas = document.createElement('canvas');
-  canvas.width = width;
-  canvas.height = height;
+  const canvas = createSurface(width, height);
   const ctx = canvas.getContext('2d');
   const imageData = ctx.createImageData(width, height);
   const data = imageData.data;
@@ -90,9 +90,7 @@ export function edgeMapToCanvas(edgeMap, width, height) {
  */
 export function createGrayscaleCanvas(imageData) {
   const { width, height, data } = imageData;
-  const canvas = document.createElement('canvas');
-  canvas.width = width;
-  canvas.height = height;
+  const canvas = createSurface(width, height);
   const ctx = canvas.getContext('2d');
   const output = ctx.createImageData(width, height);
   const outputData = output.data;
@@ -120,9 +118,7 @@ export function createGrayscaleCanvas(imageData) {
  * @returns {HTMLCanvasElement} New canvas with grid overlay
  */
 export function drawGridOverlay(imageCanvas, grid, color = 'rgba(255, 0, 0, 0.7)', lineWidth = 1) {
-  const canvas = document.createElement('canvas');
-  canvas.width = imageCanvas.width;
-  canvas.height = imageCanvas.height;
+  const canvas = createSurface(imageCanvas.width, imageCanvas.height);
   const ctx = canvas.getContext('2d');
 
   // Draw the base image
@@ -198,9 +194,7 @@ export function drawGridOverlay(imageCanvas, grid, color = 'rgba(255, 0, 0, 0.7)
  * @returns {HTMLCanvasElement} Canvas with the image
  */
 export function imageDataToCanvas(imageData) {
-  const canvas = document.createElement('canvas');
-  canvas.width = imageData.width;
-  canvas.height = imageData.height;
+  const canvas = createSurface(imageData.width, imageData.height);
   const ctx = canvas.getContext('2d');
   ctx.putImageData(imageData, 0, 0);
   return canvas;
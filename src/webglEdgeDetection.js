@@ -5,6 +5,7 @@
  */
 
 import { applyNonMaximumSuppression, applyThresholding } from './edgeDetection.js';
+import { createSurface, getSurfaceBackend } from './surface.js';
 
 /**
  * Creates a WebGL context and compiles shaders
@@ -195,9 +196,10 @@ export function calculateEdgeMapWebGL(imageData, options = {}) {
   const { width, height } = imageData;
 
   // Create offscreen canvas for WebGL
-  const canvas = document.createElement('canvas');
-  canvas.width = width;
-  canvas.height = height;
+  if (!getSurfaceBackend().webgl) {
+    return null; // Surface backend has no WebGL, fallback to CPU
+  }
+  const canvas = createSurface(width, height);
 
   const webgl = createWebGLContext(canvas);
   if (!webgl) {
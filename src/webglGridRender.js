@@ -4,6 +4,8 @@
  * Uses GPU acceleration for rendering optimized grids with B-spline boundaries.
  */
 
+import { createSurface, createImageData, getSurfaceBackend } from './surface.js';
+
 /**
  * Creates a WebGL context for grid rendering
  */
@@ -418,9 +420,10 @@ export function renderGridWebGL(grid, imageData, cellColors, useSplines = false,
   }
 
   // Create offscreen canvas for WebGL
-  const canvas = document.createElement('canvas');
-  canvas.width = width;
-  canvas.height = height;
+  if (!getSurfaceBackend().webgl) {
+    return null; // Surface backend has no WebGL, fallback to CPU
+  }
+  const canvas = createSurface(width, height);
 
   const webgl = createGridRenderContext(canvas);
   if (!webgl) {
@@ -587,7 +590,7 @@ export function renderGridWebGL(grid, imageData, cellColors, useSplines = false,
   // - readPixels row 0 = image TOP
   // - ImageData row 0 = image TOP
   // So NO flip is needed - direct copy!
-  const output = new ImageData(width, height);
+  const output = createImageData(width, height);
   const sourceData = imageData.data;
 
   for (let i = 0; i < pixels.length; i += 4) {
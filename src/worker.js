@@ -0,0 +1,37 @@
+/**
+ * Pixelation Worker
+ *
+ * Worker entry point for the worker pool: runs pixelateImage or
+ * pixelateImageEdgeAware on image data sent by the pool and posts progress
+ * and the result back. Loads as a module Web Worker (browsers, Deno) or a
+ * worker_threads worker (Node).
+ */
+
+import { pixelateImage, pixelateImageEdgeAware } from './pixelate.js';
+import { serializeWorkerValue } from './workerPool.js';
+
+const METHODS = { pixelateImage, pixelateImageEdgeAware };
+
+/**
+ * Runs one job and reports back through `post(message, transfer)`.
+ */
+async function runJob({ id, method, image, pixelSize, options }, post) {
+  try {
+    if (!METHODS[method]) {
+      throw new Error(`Unknown worker method: ${method}. Available methods: ${Object.keys(METHODS).join(', ')}`);
+    }
+    const onProgress = options.onProgress ? progress => post({ id, type: 'progress', progress }) : null;
+    const result = await METHODS[method](image, pixelSize, { ...options, onProgress });
+    const transfer = new Set();
+    post({ id, type: 'result', result: serializeWorkerValue(result, transfer) }, [...transfer]);
+  } catch (error) {
+    post({ id, type: 'error', message: error && error.message ? error.message : String(error) });
+  }
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  self.onmessage = event => runJob(event.data, (message, transfer) => self.postMessage(message, transfer));
+} else {
+  const { parentPort } = await import('worker_threads');
+  parentPort.on('message', data => runJob(data, (message, transfer) => parentPort.postMessage(message, transfer)));
+}
@@ -0,0 +1,344 @@
+/**
+ * Worker Pool Module
+ *
+ * Runs pixelation off the main thread. Images are converted to ImageData and
+ * their buffers transferred to module workers (Web Workers with
+ * OffscreenCanvas in browsers and Deno, worker_threads in Node); each worker
+ * runs the same pipeline and transfers the result back. Progress reported
+ * in the worker reaches the caller's onProgress callback. A pool runs up to
+ * `size` images at once and queues the rest.
+ */
+
+import { convertToCanvasStep } from './pixelate.js';
+import { isImageData, convertToImageData } from './surface.js';
+import { throwIfAborted } from './progress.js';
+
+/**
+ * Returns a default pool size: one worker per core, leaving one for the
+ * main thread.
+ */
+function getDefaultPoolSize() {
+  const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 2;
+  return Math.max(1, cores - 1);
+}
+
+/**
+ * Replaces image data and surfaces in a result with transferable plain
+ * objects, collecting their buffers in `transfer`. Used on both sides of the
+ * worker boundary; reverse with deserializeWorkerValue.
+ *
+ * @param {*} value - Result value (ImageData, canvas, array, object or primitive)
+ * @param {Set<ArrayBuffer>} transfer - Buffers to transfer
+ * @returns {*} Serializable value
+ */
+export function serializeWorkerValue(value, transfer) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (isImageData(value)) {
+    transfer.add(value.data.buffer);
+    return { $image: { width: value.width, height: value.height, data: value.data } };
+  }
+  if (typeof value.getContext === 'function') {
+    const surface = { $surface: serializeWorkerValue(convertToImageData(value), transfer) };
+    if (value._usingGPU !== undefined) {
+      surface.usingGPU = value._usingGPU;
+    }
+    return surface;
+  }
+  if (ArrayBuffer.isView(value)) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => serializeWorkerValue(item, transfer));
+  }
+  const output = {};
+  for (const [key, item] of Object.entries(value)) {
+    output[key] = serializeWorkerValue(item, transfer);
+  }
+  return output;
+}
+
+/**
+ * Restores image data and canvases serialized by serializeWorkerValue.
+ *
+ * @param {*} value - Value received from a worker
+ * @returns {*} Value with ImageData and canvases
+ */
+export function deserializeWorkerValue(value) {
+  if (value === null || typeof value !== 'object' || ArrayBuffer.isView(value)) {
+    return value;
+  }
+  if (value.$image) {
+    const { width, height, data } = value.$image;
+    return typeof ImageData !== 'undefined' ? new ImageData(data, width, height) : { width, height, data, colorSpace: 'srgb' };
+  }
+  if (value.$surface) {
+    const canvas = convertToCanvasStep(deserializeWorkerValue(value.$surface), true);
+    if (value.usingGPU !== undefined) {
+      canvas._usingGPU = value.usingGPU;
+    }
+    return canvas;
+  }
+  if (Array.isArray(value)) {
+    return value.map(deserializeWorkerValue);
+  }
+  const output = {};
+  for (const [key, item] of Object.entries(value)) {
+    output[key] = deserializeWorkerValue(item);
+  }
+  return output;
+}
+
+/**
+ * Starts one worker behind a common interface: post(message, transfer),
+ * terminate() and setIdle(idle), which lets an idle Node worker stop keeping
+ * the process alive.
+ */
+async function startWorker(workerUrl, onMessage, onError) {
+  if (typeof Worker !== 'undefined') {
+    const worker = new Worker(workerUrl, { type: 'module' });
+    worker.onmessage = event => onMessage(event.data);
+    worker.onerror = event => {
+      if (event.preventDefault) event.preventDefault();
+      onError(new Error(event.message || 'Worker failed'));
+    };
+    return {
+      post: (message, transfer) => worker.postMessage(message, transfer),
+      terminate: () => worker.terminate(),
+      setIdle: () => {}
+    };
+  }
+
+  const { Worker: NodeWorker } = await import('worker_threads');
+  const worker = new NodeWorker(workerUrl);
+  worker.on('message', onMessage);
+  worker.on('error', onError);
+  worker.on('exit', code => {
+    if (code !== 0) onError(new Error(`Worker stopped with exit code ${code}`));
+  });
+  return {
+    post: (message, transfer) => worker.postMessage(message, transfer),
+    terminate: () => worker.terminate(),
+    setIdle: idle => (idle ? worker.unref() : worker.ref())
+  };
+}
+
+/**
+ * Creates a pool of pixelation workers.
+ *
+ * Jobs take the same arguments as pixelateImage / pixelateImageEdgeAware and
+ * resolve to the same results; canvases (returnCanvas, intermediates) are
+ * rebuilt on the calling thread. `onProgress` is called with the progress
+ * the worker reports. Other callback options are not supported, since
+ * options are copied to the worker.
+ *
+ * The image is converted to ImageData first (image elements need the DOM,
+ * so this happens on the calling thread). Its pixel buffer is copied before
+ * being transferred, unless `transfer: true` is passed, in which case the
+ * caller's ImageData buffer is moved to the worker and becomes unusable.
+ *
+ * A job's `signal` (AbortSignal) rejects it with the abort reason: a queued
+ * job is dropped, a running job's worker is terminated and replaced.
+ *
+ * @param {Object} options - Optional configuration
+ * @param {number} options.size - Maximum number of workers (default: cores - 1, at least 1)
+ * @param {string|URL} options.workerUrl - Worker script (default: this package's src/worker.js)
+ * @returns {Object} Pool { pixelateImage, pixelateImageEdgeAware, terminate, size }
+ */
+export function createWorkerPool(options = {}) {
+  const {
+    size = getDefaultPoolSize(),
+    workerUrl = new URL('./worker.js', import.meta.url)
+  } = options;
+
+  if (!(Number.isInteger(size) && size >= 1)) {
+    throw new Error('Worker pool size must be a positive integer');
+  }
+
+  const workers = [];
+  const queue = [];
+  let nextId = 1;
+  let terminated = false;
+
+  const removeSlot = slot => {
+    const index = workers.indexOf(slot);
+    if (index !== -1) workers.splice(index, 1);
+  };
+
+  const finish = (slot, settle) => {
+    const job = slot.job;
+    slot.job = null;
+    if (job) settle(job);
+    schedule();
+  };
+
+  const startSlot = () => {
+    const slot = { worker: null, job: null, ready: null };
+    const onMessage = message => {
+      const job = slot.job;
+      if (!job || message.id !== job.id) return;
+      if (message.type === 'progress') {
+        job.onProgress(message.progress);
+      } else if (message.type === 'result') {
+        finish(slot, done => done.resolve(deserializeWorkerValue(message.result)));
+      } else {
+        finish(slot, done => done.reject(new Error(message.message)));
+      }
+    };
+    const onError = error => {
+      // A crashed worker is replaced on the next job
+      removeSlot(slot);
+      finish(slot, done => done.reject(error));
+    };
+    slot.ready = startWorker(workerUrl, onMessage, onError).then(worker => {
+      slot.worker = worker;
+      return worker;
+    });
+    workers.push(slot);
+    return slot;
+  };
+
+  const run = (slot, job) => {
+    slot.job = job;
+    slot.ready.then(worker => {
+      if (slot.job !== job) return;
+      worker.setIdle(false);
+      worker.post(job.message, job.transfer);
+    }).catch(error => {
+      removeSlot(slot);
+      finish(slot, done => done.reject(error));
+    });
+  };
+
+  const cancel = job => {
+    const queued = queue.indexOf(job);
+    if (queued !== -1) {
+      queue.splice(queued, 1);
+    } else {
+      // Synchronous pipeline code cannot be interrupted, so stop the worker
+      const slot = workers.find(candidate => candidate.job === job);
+      if (!slot) return;
+      removeSlot(slot);
+      slot.job = null;
+      slot.ready.then(worker => worker.terminate()).catch(() => {});
+    }
+    job.reject(job.signal.reason);
+    schedule();
+  };
+
+  function schedule() {
+    for (const slot of workers) {
+      if (!slot.job && slot.worker) slot.worker.setIdle(true);
+    }
+    while (queue.length > 0) {
+      const slot = workers.find(candidate => !candidate.job) || (workers.length < size ? startSlot() : null);
+      if (!slot) return;
+      run(slot, queue.shift());
+    }
+  }
+
+  const submit = (method, image, pixelSize, jobOptions = {}) => {
+    if (terminated) {
+      return Promise.reject(new Error('Worker pool has been terminated'));
+    }
+
+    try {
+      const { onProgress = null, transfer: transferImage = false, signal = null, ...rest } = jobOptions;
+      throwIfAborted(signal);
+      let imageData = convertToImageData(image);
+      if (!transferImage) {
+        imageData = { width: imageData.width, height: imageData.height, data: new Uint8ClampedArray(imageData.data) };
+      }
+      const transfer = [imageData.data.buffer];
+      const message = {
+        id: nextId++,
+        method,
+        image: { width: imageData.width, height: imageData.height, data: imageData.data },
+        pixelSize,
+        options: { ...rest, onProgress: Boolean(onProgress) }
+      };
+      return new Promise((resolve, reject) => {
+        const onAbort = () => cancel(job);
+        const settle = callback => value => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          callback(value);
+        };
+        const job = { id: message.id, message, transfer, onProgress, signal, resolve: settle(resolve), reject: settle(reject) };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        queue.push(job);
+        schedule();
+      });
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  };
+
+  return {
+    size,
+    pixelateImage: (image, pixelSize, jobOptions) => submit('pixelateImage', image, pixelSize, jobOptions),
+    pixelateImageEdgeAware: (image, pixelSize, jobOptions) => submit('pixelateImageEdgeAware', image, pixelSize, jobOptions),
+    /**
+     * Stops all workers; queued and running jobs are rejected.
+     */
+    terminate() {
+      terminated = true;
+      const error = new Error('Worker pool has been terminated');
+      for (const job of queue.splice(0)) {
+        job.reject(error);
+      }
+      for (const slot of workers.splice(0)) {
+        if (slot.job) slot.job.reject(error);
+        slot.job = null;
+        slot.ready.then(worker => worker.terminate()).catch(() => {});
+      }
+    }
+  };
+}
+
+let sharedPool = null;
+
+/**
+ * Returns the pool used by the *InWorker functions, creating it on first use.
+ */
+function getSharedPool() {
+  if (!sharedPool) {
+    sharedPool = createWorkerPool();
+  }
+  return sharedPool;
+}
+
+/**
+ * Runs pixelateImage in a worker from a shared pool.
+ *
+ * @param {HTMLImageElement|HTMLCanvasElement|ImageData} image - Source image
+ * @param {number} pixelSize - Size of each pixel block
+ * @param {Object} options - pixelateImage options, plus transfer (see createWorkerPool)
+ * @returns {Promise<HTMLCanvasElement|ImageData|Object>} Same result as pixelateImage
+ */
+export function pixelateImageInWorker(image, pixelSize, options = {}) {
+  return getSharedPool().pixelateImage(image, pixelSize, options);
+}
+
+/**
+ * Runs pixelateImageEdgeAware in a worker from a shared pool.
+ *
+ * @param {HTMLImageElement|HTMLCanvasElement|ImageData} image - Source image
+ * @param {number} pixelizationFactor - Approximate size of each grid cell
+ * @param {Object} options - pixelateImageEdgeAware options, plus transfer (see createWorkerPool)
+ * @returns {Promise<HTMLCanvasElement|ImageData|Object>} Same result as pixelateImageEdgeAware
+ */
+export function pixelateImageEdgeAwareInWorker(image, pixelizationFactor, options = {}) {
+  return getSharedPool().pixelateImageEdgeAware(image, pixelizationFactor, options);
+}
+
+/**
+ * Terminates the shared pool's workers. The next *InWorker call starts a
+ * new pool.
+ */
+export function terminateSharedWorkers() {
+  if (sharedPool) {
+    sharedPool.terminate();
+    sharedPool = null;
+  }
+}
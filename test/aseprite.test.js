@@ -0,0 +1,200 @@
+import { describe, it, expect } from 'vitest';
+import { inflateSync } from 'node:zlib';
+import { ASEPRITE_COLOR_MODES, encodeAseprite } from '../src/aseprite.js';
+import { createInitialGrid } from '../src/gridOptimization.js';
+
+const PALETTE = [
+  { r: 255, g: 0, b: 0 },
+  { r: 0, g: 0, b: 255, name: 'Sky' },
+  { r: 255, g: 255, b: 255 }
+];
+
+// Minimal Aseprite reader covering the chunks the exporter writes
+function parseAseprite(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const readString = (offset) => {
+    const length = view.getUint16(offset, true);
+    return new TextDecoder().decode(bytes.subarray(offset + 2, offset + 2 + length));
+  };
+
+  const header = {
+    fileSize: view.getUint32(0, true),
+    magic: view.getUint16(4, true),
+    frames: view.getUint16(6, true),
+    width: view.getUint16(8, true),
+    height: view.getUint16(10, true),
+    depth: view.getUint16(12, true),
+    transparentIndex: view.getUint8(28),
+    colors: view.getUint16(32, true)
+  };
+
+  const frames = [];
+  const layers = [];
+  let palette = null;
+  let offset = 128;
+  for (let f = 0; f < header.frames; f++) {
+    const frameSize = view.getUint32(offset, true);
+    expect(view.getUint16(offset + 4, true)).toBe(0xf1fa);
+    const frame = { duration: view.getUint16(offset + 8, true), cels: [] };
+    const chunkCount = view.getUint32(offset + 12, true);
+
+    let chunkOffset = offset + 16;
+    for (let c = 0; c < chunkCount; c++) {
+      const size = view.getUint32(chunkOffset, true);
+      const type = view.getUint16(chunkOffset + 4, true);
+      const data = chunkOffset + 6;
+
+      if (type === 0x2019) {
+        const count = view.getUint32(data, true);
+        palette = [];
+        let entry = data + 20;
+        for (let i = 0; i < count; i++) {
+          const flags = view.getUint16(entry, true);
+          const color = { r: bytes[entry + 2], g: bytes[entry + 3], b: bytes[entry + 4], a: bytes[entry + 5] };
+          entry += 6;
+          if (flags & 1) {
+            color.name = readString(entry);
+            entry += 2 + view.getUint16(entry, true);
+          }
+          palette.push(color);
+        }
+      } else if (type === 0x2004) {
+        layers.push({ flags: view.getUint16(data, true), opacity: bytes[data + 12], name: readString(data + 16) });
+      } else if (type === 0x2005) {
+        expect(view.getUint16(data + 7, true)).toBe(2);
+        const width = view.getUint16(data + 16, true);
+        const height = view.getUint16(data + 18, true);
+        const pixels = inflateSync(bytes.subarray(data + 20, chunkOffset + size));
+        frame.cels.push({ layer: view.getUint16(data, true), width, height, pixels: new Uint8Array(pixels) });
+      }
+      chunkOffset += size;
+    }
+    expect(chunkOffset - offset).toBe(frameSize);
+    frames.push(frame);
+    offset += frameSize;
+  }
+
+  return { header, palette, layers, frames };
+}
+
+function indexedResult(indices, cols, rows, palette = PALETTE) {
+  const imageData = new ImageData(cols, rows);
+  indices.forEach((index, i) => {
+    const color = palette[index];
+    imageData.data.set([color.r, color.g, color.b, color.a === undefined ? 255 : color.a], i * 4);
+  });
+  return { imageData, palette, indices: Uint8Array.from(indices), cols, rows };
+}
+
+describe('Aseprite export', () => {
+  it('lists the supported color modes', () => {
+    expect(ASEPRITE_COLOR_MODES).toEqual(['indexed', 'rgba']);
+  });
+
+  it('writes an indexed sprite with the quantized palette', () => {
+    const result = indexedResult([0, 1, 2, 1, 0, 2], 3, 2);
+    const bytes = encodeAseprite(result);
+    const file = parseAseprite(bytes);
+
+    expect(file.header.magic).toBe(0xa5e0);
+    expect(file.header.fileSize).toBe(bytes.length);
+    expect(file.header).toMatchObject({ frames: 1, width: 3, height: 2, depth: 8 });
+
+    // A transparent entry is appended so layers can be transparent
+    expect(file.palette).toEqual([
+      { r: 255, g: 0, b: 0, a: 255 },
+      { r: 0, g: 0, b: 255, a: 255, name: 'Sky' },
+      { r: 255, g: 255, b: 255, a: 255 },
+      { r: 0, g: 0, b: 0, a: 0 }
+    ]);
+    expect(file.header.colors).toBe(4);
+    expect(file.header.transparentIndex).toBe(3);
+
+    expect(file.layers).toEqual([{ flags: 3, opacity: 255, name: 'Pixels' }]);
+    expect(file.frames[0].cels).toHaveLength(1);
+    expect(Array.from(file.frames[0].cels[0].pixels)).toEqual([0, 1, 2, 1, 0, 2]);
+  });
+
+  it('reuses an existing transparent palette entry', () => {
+    const palette = [...PALETTE.slice(0, 2), { r: 0, g: 0, b: 0, a: 0 }];
+    const file = parseAseprite(encodeAseprite(indexedResult([2, 0, 1, 2], 2, 2, palette)));
+    expect(file.palette).toHaveLength(3);
+    expect(file.header.transparentIndex).toBe(2);
+    expect(Array.from(file.frames[0].cels[0].pixels)).toEqual([2, 0, 1, 2]);
+  });
+
+  it('writes RGBA sprites and keeps the palette', () => {
+    const result = indexedResult([0, 1, 2, 0], 2, 2);
+    const file = parseAseprite(encodeAseprite(result, { colorMode: 'rgba' }));
+    expect(file.header.depth).toBe(32);
+    expect(file.palette).toHaveLength(3);
+    expect(Array.from(file.frames[0].cels[0].pixels)).toEqual(Array.from(result.imageData.data));
+  });
+
+  it('writes plain ImageData as RGBA without a palette', () => {
+    const imageData = new ImageData(2, 1);
+    imageData.data.set([1, 2, 3, 255, 4, 5, 6, 128]);
+    const file = parseAseprite(encodeAseprite(imageData));
+    expect(file.header.depth).toBe(32);
+    expect(file.palette).toBeNull();
+    expect(Array.from(file.frames[0].cels[0].pixels)).toEqual([1, 2, 3, 255, 4, 5, 6, 128]);
+  });
+
+  it('adds hidden reference, edge map and grid layers', () => {
+    // 2x2 cells from a 4x4 source
+    const result = indexedResult([0, 1, 2, 0], 2, 2);
+    const reference = new ImageData(4, 4);
+    for (let i = 0; i < 16; i++) {
+      reference.data.set(i % 4 < 2 ? [250, 10, 10, 255] : [10, 10, 250, 255], i * 4);
+    }
+    const edgeMap = new Float32Array(16);
+    edgeMap[0] = 1;
+    const grid = createInitialGrid(4, 4, 2);
+
+    const file = parseAseprite(encodeAseprite(result, { reference, edgeMap, grid }));
+    expect(file.layers.map(layer => layer.name)).toEqual(['Pixels', 'Reference', 'Edge Map', 'Grid']);
+    file.layers.slice(1).forEach(layer => {
+      expect(layer.flags & 1).toBe(0);
+      expect(layer.opacity).toBe(128);
+    });
+
+    const [pixels, ref, edges, lines] = file.frames[0].cels;
+    expect(pixels.layer).toBe(0);
+    expect(ref).toMatchObject({ layer: 1, width: 2, height: 2 });
+    // Reference colors map to the nearest palette entries
+    expect(Array.from(ref.pixels)).toEqual([0, 1, 0, 1]);
+    // Edge pixels map to white, the rest is transparent
+    expect(Array.from(edges.pixels)).toEqual([2, 3, 3, 3]);
+    // Grid lines map to the nearest palette color of red
+    expect(lines.layer).toBe(3);
+    expect(Array.from(lines.pixels)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('writes one frame per input frame with durations', () => {
+    const frames = [indexedResult([0, 1], 2, 1), indexedResult([1, 2], 2, 1), indexedResult([2, 0], 2, 1)];
+    const bytes = encodeAseprite(frames, { delay: [100, 250] });
+    const file = parseAseprite(bytes);
+
+    expect(file.header.frames).toBe(3);
+    expect(file.header.fileSize).toBe(bytes.length);
+    expect(file.frames.map(frame => frame.duration)).toEqual([100, 250, 250]);
+    expect(file.frames.map(frame => Array.from(frame.cels[0].pixels))).toEqual([[0, 1], [1, 2], [2, 0]]);
+    // Layers and palette are only written in the first frame
+    expect(file.layers).toHaveLength(1);
+  });
+
+  it('maps frames with another palette onto the sprite palette', () => {
+    const other = [{ r: 255, g: 255, b: 255 }, { r: 250, g: 0, b: 0 }];
+    const file = parseAseprite(encodeAseprite([indexedResult([0, 1], 2, 1), indexedResult([0, 1], 2, 1, other)]));
+    expect(Array.from(file.frames[1].cels[0].pixels)).toEqual([2, 0]);
+  });
+
+  it('rejects invalid input', () => {
+    const result = indexedResult([0, 1], 2, 1);
+    expect(() => encodeAseprite([])).toThrow('at least one frame');
+    expect(() => encodeAseprite([result, indexedResult([0], 1, 1)])).toThrow('Frame 1 is 1x1, expected 2x1');
+    expect(() => encodeAseprite(result, { colorMode: 'gray' })).toThrow('Unknown color mode: gray');
+    expect(() => encodeAseprite(new ImageData(1, 1), { colorMode: 'indexed' })).toThrow('requires a palette');
+    expect(() => encodeAseprite(result, { edgeMap: new Float32Array(3) })).toThrow('Edge map has 3 values');
+  });
+});
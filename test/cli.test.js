@@ -0,0 +1,234 @@
+// @vitest-environment node
+// The CLI is Node only, and --concurrency above 1 starts worker_threads, which need file: URLs
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, existsSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  EXIT_CODES,
+  parseCliArgs,
+  resolveCliOptions,
+  expandInputs,
+  formatOutputPath,
+  runCli
+} from '../src/cli.js';
+import { encodePng, decodePng, readPngMetadata } from '../src/png.js';
+
+// Left half red, right half blue
+function createPng(width = 16, height = 12) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set(x < width / 2 ? [220, 30, 30, 255] : [30, 30, 220, 255], (y * width + x) * 4);
+    }
+  }
+  return encodePng({ width, height, data });
+}
+
+function createStream() {
+  return { text: '', write(chunk) { this.text += chunk; } };
+}
+
+let cwd;
+
+async function run(...argv) {
+  const stdout = createStream();
+  const stderr = createStream();
+  const code = await runCli(argv, { cwd, stdout, stderr });
+  return { code, stdout: stdout.text, stderr: stderr.text };
+}
+
+beforeEach(() => {
+  cwd = mkdtempSync(join(tmpdir(), 'pixel-mosaic-cli-'));
+  mkdirSync(join(cwd, 'assets/ui'), { recursive: true });
+  for (const file of ['assets/hero.png', 'assets/tree.png', 'assets/ui/button.png', 'assets/.hidden.png']) {
+    writeFileSync(join(cwd, file), createPng());
+  }
+  writeFileSync(join(cwd, 'assets/readme.txt'), 'not an image');
+});
+
+afterEach(() => {
+  rmSync(cwd, { recursive: true, force: true });
+});
+
+describe('parseCliArgs', () => {
+  it('parses long, short, inline and negated flags', () => {
+    const { inputs, options } = parseCliArgs([
+      'a.png', '-s', '6', '--edge-sharpness=0.5', '--no-edge-aware', '--splines', '-p', 'pico-8',
+      '--output-scale', '64x32', '--projection', '1,0,0,0,1,0,0,0', '--preset', 'a.json', '--preset=b.json', '--', '-odd.png'
+    ]);
+    expect(inputs).toEqual(['a.png', '-odd.png']);
+    expect(options).toEqual({
+      pixelSize: 6,
+      edgeSharpness: 0.5,
+      edgeAware: false,
+      useSplines: true,
+      palette: 'pico-8',
+      outputScale: { width: 64, height: 32 },
+      projection: [1, 0, 0, 0, 1, 0, 0, 0],
+      preset: ['a.json', 'b.json']
+    });
+  });
+
+  it('rejects unknown options and invalid values', () => {
+    expect(() => parseCliArgs(['--sharpness', '1'])).toThrow('Unknown option: --sharpness');
+    expect(() => parseCliArgs(['--pixel-size'])).toThrow('Missing value for --pixel-size');
+    expect(() => parseCliArgs(['-s', 'big'])).toThrow('Invalid value for --pixel-size');
+    expect(() => parseCliArgs(['--projection', '1,2,3'])).toThrow('8 comma-separated numbers');
+    expect(() => parseCliArgs(['--quantizer', 'popularity'])).toThrow('diverse, median-cut');
+    expect(() => parseCliArgs(['--no-palette'])).toThrow('Unknown option: --no-palette');
+  });
+});
+
+describe('resolveCliOptions', () => {
+  it('merges defaults, presets in order and flags', async () => {
+    writeFileSync(join(cwd, 'base.json'), JSON.stringify({ pixelSize: 4, palette: 'gameboy', dither: 'bayer4' }));
+    writeFileSync(join(cwd, 'team.json'), JSON.stringify({ pixelSize: 5, outputScale: 'native' }));
+    const options = await resolveCliOptions({ preset: ['base.json', 'team.json'], dither: 'none' }, { cwd });
+    expect(options).toEqual({
+      pixelSize: 5,
+      edgeAware: true,
+      output: '{dir}/{name}-pixelated.png',
+      concurrency: 1,
+      palette: 'gameboy',
+      dither: 'none',
+      outputScale: 'native'
+    });
+  });
+
+  it('rejects invalid presets and options', async () => {
+    writeFileSync(join(cwd, 'bad.json'), JSON.stringify({ pixelSise: 4 }));
+    writeFileSync(join(cwd, 'broken.json'), '{');
+    await expect(resolveCliOptions({ preset: ['bad.json'] }, { cwd })).rejects.toThrow('Unknown option in preset');
+    await expect(resolveCliOptions({ preset: ['broken.json'] }, { cwd })).rejects.toThrow('Invalid JSON in preset');
+    await expect(resolveCliOptions({ preset: ['missing.json'] }, { cwd })).rejects.toThrow('Cannot read preset');
+    await expect(resolveCliOptions({ palette: 'nope' }, { cwd })).rejects.toThrow('Unknown palette: nope');
+    await expect(resolveCliOptions({ output: 'out/{name}.jpg' }, { cwd })).rejects.toThrow('Unsupported output format');
+    await expect(resolveCliOptions({ concurrency: 0 }, { cwd })).rejects.toThrow('--concurrency');
+  });
+});
+
+describe('expandInputs', () => {
+  it('expands globs relative to their base directory', async () => {
+    expect(await expandInputs(['assets/**/*.png'], { cwd })).toEqual([
+      { input: 'assets/hero.png', base: 'assets' },
+      { input: 'assets/tree.png', base: 'assets' },
+      { input: 'assets/ui/button.png', base: 'assets' }
+    ]);
+    expect((await expandInputs(['assets/*.png'], { cwd })).map(file => file.input))
+      .toEqual(['assets/hero.png', 'assets/tree.png']);
+    expect((await expandInputs(['assets/{hero,ui/button}.png', 'assets/hero.png'], { cwd })).map(file => file.input))
+      .toEqual(['assets/hero.png', 'assets/ui/button.png']);
+  });
+
+  it('fails for missing files and empty globs', async () => {
+    await expect(expandInputs(['missing.png'], { cwd })).rejects.toThrow('Input file not found');
+    await expect(expandInputs(['assets/*.gif'], { cwd })).rejects.toThrow('No files match');
+  });
+});
+
+describe('formatOutputPath', () => {
+  const file = { input: 'assets/ui/button.png', base: 'assets' };
+
+  it('fills placeholders', () => {
+    expect(formatOutputPath('{dir}/{name}-pixelated.png', file, 0)).toBe('assets/ui/button-pixelated.png');
+    expect(formatOutputPath('out/{path}/{name}.{ext}', file, 0)).toBe('out/ui/button.png');
+    expect(formatOutputPath('out/{path}/{index}.svg', { input: 'assets/hero.png', base: 'assets' }, 2)).toBe('out/3.svg');
+    expect(formatOutputPath('{dir}/{name}-pixelated.png', { input: 'bad.png', base: '.' }, 0)).toBe('bad-pixelated.png');
+    expect(formatOutputPath('./out/{path}/{name}.png', { input: 'bad.png', base: '.' }, 0)).toBe('out/bad.png');
+    expect(formatOutputPath('../{name}.png', file, 0)).toBe('../button.png');
+  });
+
+  it('rejects unknown placeholders', () => {
+    expect(() => formatOutputPath('out/{file}.png', file, 0)).toThrow('Unknown placeholder in output template: {file}');
+  });
+});
+
+describe('runCli', () => {
+  it('prints resolved options and outputs on a dry run', async () => {
+    const { code, stdout } = await run('assets/**/*.png', '-o', 'out/{path}/{name}.png', '--dry-run', '-c', '4');
+    expect(code).toBe(EXIT_CODES.success);
+    const report = JSON.parse(stdout);
+    expect(report.options).toMatchObject({ pixelSize: 8, edgeAware: true, colorLimit: 4 });
+    expect(report.files).toEqual([
+      { input: 'assets/hero.png', output: 'out/hero.png' },
+      { input: 'assets/tree.png', output: 'out/tree.png' },
+      { input: 'assets/ui/button.png', output: 'out/ui/button.png' }
+    ]);
+    expect(existsSync(join(cwd, 'out'))).toBe(false);
+  });
+
+  it('pixelates every input into the output tree', async () => {
+    const { code, stdout } = await run(
+      'assets/**/*.png', '-s', '4', '-c', '2', '--output-scale', 'native', '-o', 'out/{path}/{name}.png',
+      '-j', '2', '--metadata'
+    );
+    expect(code).toBe(EXIT_CODES.success);
+    expect(stdout).toContain('assets/ui/button.png -> out/ui/button.png');
+
+    const bytes = readFileSync(join(cwd, 'out/ui/button.png'));
+    const image = decodePng(bytes);
+    expect(image).toMatchObject({ width: 4, height: 3 });
+    expect(Array.from(image.data.slice(0, 4))).toEqual([220, 30, 30, 255]);
+    expect(readPngMetadata(bytes)).toMatchObject({ pixelSize: 4, colorLimit: 2, outputScale: 'native' });
+  });
+
+  it('pixelates in tiles with the same result', async () => {
+    await run('assets/hero.png', '-s', '4', '-o', 'whole.png');
+    const { code } = await run('assets/hero.png', '-s', '4', '--tile-size', '8', '-o', 'tiled.png');
+    expect(code).toBe(EXIT_CODES.success);
+    expect(decodePng(readFileSync(join(cwd, 'tiled.png'))).data).toEqual(decodePng(readFileSync(join(cwd, 'whole.png'))).data);
+  });
+
+  it('gives the same result on worker threads', async () => {
+    for (const args of [['-s', '4', '-c', '3'], ['--no-edge-aware', '-s', '3', '-p', 'pico-8']]) {
+      await run('assets/*.png', ...args, '-o', 'serial/{name}.png');
+      const { code } = await run('assets/*.png', ...args, '-o', 'parallel/{name}.png', '-j', '2');
+      expect(code).toBe(EXIT_CODES.success);
+      for (const name of ['hero', 'tree']) {
+        expect(readFileSync(join(cwd, `parallel/${name}.png`))).toEqual(readFileSync(join(cwd, `serial/${name}.png`)));
+      }
+    }
+  });
+
+  it('writes SVG and simple pixelation', async () => {
+    const { code } = await run('assets/hero.png', '--no-edge-aware', '-s', '4', '-p', '#dc1e1e,#1e1edc', '-o', '{name}.svg');
+    expect(code).toBe(EXIT_CODES.success);
+    expect(readFileSync(join(cwd, 'hero.svg'), 'utf8')).toContain('fill="#dc1e1e"');
+  });
+
+  it('exits with 2 for invalid arguments and conflicting outputs', async () => {
+    expect((await run()).code).toBe(EXIT_CODES.usage);
+    expect((await run('assets/hero.png', '--bogus')).code).toBe(EXIT_CODES.usage);
+    const conflict = await run('assets/**/*.png', '-o', 'out/{ext}.png');
+    expect(conflict.code).toBe(EXIT_CODES.usage);
+    expect(conflict.stderr).toContain('map to the same output');
+    expect((await run('assets/hero.png', '-o', '{dir}/{name}.png')).stderr).toContain('overwrite an input');
+  });
+
+  it('exits with 1 when a file fails and still processes the rest', async () => {
+    writeFileSync(join(cwd, 'assets/broken.png'), 'not a png');
+    const { code, stderr } = await run('assets/*.png', 'assets/readme.txt', '--quiet');
+    expect(code).toBe(EXIT_CODES.failure);
+    expect(stderr).toContain('assets/broken.png: Not a PNG file');
+    expect(stderr).toContain('assets/readme.txt: Unsupported input format');
+    expect(stderr).toContain('2 of 4 files failed');
+    expect(existsSync(join(cwd, 'assets/hero-pixelated.png'))).toBe(true);
+  });
+
+  it('exits with 130 and starts no further files once aborted', async () => {
+    const controller = new AbortController();
+    const stdout = { text: '', write(chunk) { this.text += chunk; controller.abort(); } };
+    const stderr = createStream();
+    const code = await runCli(['assets/*.png', '-s', '4', '-j', '1'], { cwd, stdout, stderr, signal: controller.signal });
+    expect(code).toBe(EXIT_CODES.aborted);
+    expect(stderr.text).toBe('pixel-mosaic: aborted\n');
+    expect(existsSync(join(cwd, 'assets/hero-pixelated.png'))).toBe(true);
+    expect(existsSync(join(cwd, 'assets/tree-pixelated.png'))).toBe(false);
+  });
+
+  it('prints help and version', async () => {
+    expect((await run('--help')).stdout).toContain('Usage: pixel-mosaic');
+    expect((await run('-v')).stdout).toMatch(/^\d+\.\d+\.\d+\n$/);
+  });
+});
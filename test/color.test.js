@@ -0,0 +1,160 @@
+import { describe, it, expect } from 'vitest';
+import {
+  COLOR_SPACES,
+  getColorSpace,
+  srgbToLinear,
+  linearToSrgb,
+  rgbToOklab,
+  oklabToRgb,
+  rgbToLab,
+  labToRgb,
+  deltaE76,
+  deltaE2000,
+  mixColors,
+  averageColors
+} from '../src/color.js';
+
+describe('Color Conversion', () => {
+  describe('srgbToLinear / linearToSrgb', () => {
+    it('maps the endpoints exactly', () => {
+      expect(srgbToLinear(0)).toBe(0);
+      expect(srgbToLinear(255)).toBeCloseTo(1, 6);
+      expect(linearToSrgb(0)).toBe(0);
+      expect(linearToSrgb(1)).toBe(255);
+    });
+
+    it('applies the sRGB transfer curve', () => {
+      // Mid gray in sRGB is about 21.6% linear light
+      expect(srgbToLinear(128)).toBeCloseTo(0.2158, 3);
+      expect(linearToSrgb(0.2158)).toBe(128);
+    });
+
+    it('round-trips every byte value', () => {
+      for (let v = 0; v < 256; v++) {
+        expect(linearToSrgb(srgbToLinear(v))).toBe(v);
+      }
+    });
+
+    it('clamps out-of-range linear values', () => {
+      expect(linearToSrgb(-0.5)).toBe(0);
+      expect(linearToSrgb(2)).toBe(255);
+    });
+  });
+
+  describe('CIELAB', () => {
+    it('converts white and black', () => {
+      const white = rgbToLab({ r: 255, g: 255, b: 255 });
+      expect(white.L).toBeCloseTo(100, 3);
+      expect(white.a).toBeCloseTo(0, 3);
+      expect(white.b).toBeCloseTo(0, 3);
+      expect(rgbToLab({ r: 0, g: 0, b: 0 }).L).toBeCloseTo(0, 6);
+    });
+
+    it('converts pure red to the reference value', () => {
+      const red = rgbToLab({ r: 255, g: 0, b: 0 });
+      expect(red.L).toBeCloseTo(53.24, 1);
+      expect(red.a).toBeCloseTo(80.09, 1);
+      expect(red.b).toBeCloseTo(67.20, 1);
+    });
+
+    it('round-trips sRGB colors', () => {
+      for (const color of [{ r: 12, g: 200, b: 77 }, { r: 255, g: 128, b: 0 }, { r: 40, g: 40, b: 40 }]) {
+        expect(labToRgb(rgbToLab(color))).toEqual(color);
+      }
+    });
+  });
+
+  describe('OKLab', () => {
+    it('maps white to L = 1 with no chroma', () => {
+      const white = rgbToOklab({ r: 255, g: 255, b: 255 });
+      expect(white.L).toBeCloseTo(1, 5);
+      expect(white.a).toBeCloseTo(0, 5);
+      expect(white.b).toBeCloseTo(0, 5);
+    });
+
+    it('round-trips sRGB colors', () => {
+      for (const color of [{ r: 12, g: 200, b: 77 }, { r: 255, g: 128, b: 0 }, { r: 40, g: 40, b: 40 }]) {
+        expect(oklabToRgb(rgbToOklab(color))).toEqual(color);
+      }
+    });
+  });
+
+  describe('color difference', () => {
+    it('computes CIE76 as Euclidean Lab distance', () => {
+      expect(deltaE76({ L: 50, a: 0, b: 0 }, { L: 53, a: 4, b: 0 })).toBeCloseTo(5, 6);
+    });
+
+    it('matches the CIEDE2000 reference data (Sharma et al.)', () => {
+      expect(deltaE2000({ L: 50, a: 2.6772, b: -79.7751 }, { L: 50, a: 0, b: -82.7485 })).toBeCloseTo(2.0425, 4);
+      expect(deltaE2000({ L: 50, a: 0, b: 0 }, { L: 50, a: -1, b: 2 })).toBeCloseTo(2.3669, 4);
+      expect(deltaE2000({ L: 2.0776, a: 0.0795, b: -1.1350 }, { L: 0.9033, a: -0.0636, b: -0.5514 })).toBeCloseTo(0.9082, 4);
+    });
+
+    it('is zero for identical colors', () => {
+      const lab = rgbToLab({ r: 90, g: 30, b: 200 });
+      expect(deltaE2000(lab, lab)).toBe(0);
+    });
+  });
+
+  describe('mixColors', () => {
+    it('interpolates opaque colors', () => {
+      expect(mixColors({ r: 0, g: 0, b: 0, a: 255 }, { r: 255, g: 100, b: 50, a: 255 }, 0.5))
+        .toEqual({ r: 128, g: 50, b: 25, a: 255 });
+    });
+
+    it('ignores the color of transparent pixels', () => {
+      expect(mixColors({ r: 255, g: 0, b: 0, a: 255 }, { r: 0, g: 0, b: 0, a: 0 }, 0.5))
+        .toEqual({ r: 255, g: 0, b: 0, a: 128 });
+    });
+
+    it('returns transparent black when both colors are transparent', () => {
+      expect(mixColors({ r: 10, g: 20, b: 30, a: 0 }, { r: 40, g: 50, b: 60, a: 0 }, 0.3))
+        .toEqual({ r: 0, g: 0, b: 0, a: 0 });
+    });
+  });
+
+  describe('linear light averaging', () => {
+    const black = { r: 0, g: 0, b: 0, a: 255 };
+    const white = { r: 255, g: 255, b: 255, a: 255 };
+
+    it('averages black and white to a perceptual mid gray', () => {
+      expect(averageColors([black, white])).toEqual({ r: 128, g: 128, b: 128, a: 255 });
+      expect(averageColors([black, white], true)).toEqual({ r: 188, g: 188, b: 188, a: 255 });
+    });
+
+    it('mixes colors in linear light', () => {
+      expect(mixColors(black, white, 0.5, true)).toEqual({ r: 188, g: 188, b: 188, a: 255 });
+      expect(mixColors({ r: 90, g: 30, b: 200, a: 255 }, white, 0, true)).toEqual({ r: 90, g: 30, b: 200, a: 255 });
+    });
+
+    it('keeps premultiplied alpha handling', () => {
+      expect(averageColors([white, { r: 0, g: 0, b: 0, a: 0 }], true)).toEqual({ r: 255, g: 255, b: 255, a: 128 });
+    });
+  });
+
+  describe('getColorSpace', () => {
+    it('provides every listed color space', () => {
+      for (const name of COLOR_SPACES) {
+        const space = getColorSpace(name);
+        const coords = space.toCoords(10, 120, 240);
+        expect(coords).toHaveLength(3);
+        expect(space.fromCoords(coords)).toEqual({ r: 10, g: 120, b: 240 });
+        expect(space.distance(coords, coords)).toBe(0);
+      }
+    });
+
+    it('ranks dark gray closer to mid gray perceptually than in RGB', () => {
+      const rgb = getColorSpace('rgb');
+      const oklab = getColorSpace('oklab');
+      const toBlack = (space) => space.distance(space.toCoords(50, 50, 50), space.toCoords(0, 0, 0));
+      const toGray = (space) => space.distance(space.toCoords(50, 50, 50), space.toCoords(128, 128, 128));
+
+      expect(toBlack(rgb)).toBeLessThan(toGray(rgb));
+      expect(toGray(oklab)).toBeLessThan(toBlack(oklab));
+    });
+
+    it('throws for unknown color spaces', () => {
+      expect(() => getColorSpace('cmyk')).toThrow('Unknown color space');
+    });
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, expect } from 'vitest';
+import { THREAD_CATALOGS, getThreadPalette } from '../src/threads.js';
+import { DEFAULT_STITCH_SYMBOLS, createStitchPattern, renderStitchChart } from '../src/crossStitch.js';
+import { quantizeColorsStep } from '../src/pixelate.js';
+
+const RED = [200, 40, 60, 255];
+const BLACK = [10, 10, 10, 255];
+const CLEAR = [0, 0, 0, 0];
+
+function createImage(width, height, colorAt) {
+  const imageData = new ImageData(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      imageData.data.set(colorAt(x, y), (y * width + x) * 4);
+    }
+  }
+  return imageData;
+}
+
+describe('Thread catalogs', () => {
+  it('lists DMC and Anchor with unique codes', () => {
+    expect(THREAD_CATALOGS).toEqual(['dmc', 'anchor']);
+    for (const name of THREAD_CATALOGS) {
+      const threads = getThreadPalette(name);
+      expect(threads.length).toBeGreaterThan(200);
+      expect(new Set(threads.map(thread => thread.code)).size).toBe(threads.length);
+    }
+  });
+
+  it('carries brand, code and name with each color', () => {
+    expect(getThreadPalette('DMC').find(thread => thread.code === '310'))
+      .toEqual({ r: 0, g: 0, b: 0, brand: 'DMC', code: '310', name: 'Black' });
+    expect(getThreadPalette('anchor').find(thread => thread.code === '403'))
+      .toEqual({ r: 0, g: 0, b: 0, brand: 'Anchor', code: '403', name: 'Black' });
+  });
+
+  it('throws for unknown catalogs', () => {
+    expect(() => getThreadPalette('madeira')).toThrow('Unknown thread catalog: madeira');
+  });
+});
+
+describe('Cross-stitch patterns', () => {
+  it('matches colors to threads and counts stitches', () => {
+    const image = createImage(4, 2, (x, y) => (x < 3 ? RED : y === 0 ? BLACK : CLEAR));
+    const pattern = createStitchPattern(image);
+
+    expect(pattern.width).toBe(4);
+    expect(pattern.height).toBe(2);
+    expect(pattern.threads.map(({ code, symbol, count }) => ({ code, symbol, count }))).toEqual([
+      { code: '321', symbol: DEFAULT_STITCH_SYMBOLS[0], count: 6 },
+      { code: '310', symbol: DEFAULT_STITCH_SYMBOLS[1], count: 1 }
+    ]);
+    expect([...pattern.stitches]).toEqual([0, 0, 0, 1, 0, 0, 0, -1]);
+  });
+
+  it('merges palette colors that match the same thread', () => {
+    const image = createImage(2, 1, x => (x === 0 ? [0, 0, 0, 255] : [4, 2, 3, 255]));
+    const pattern = createStitchPattern(image);
+    expect(pattern.threads).toHaveLength(1);
+    expect(pattern.threads[0].count).toBe(2);
+  });
+
+  it('uses the cell grid of indexed results', () => {
+    const image = createImage(6, 4, x => (x < 3 ? RED : BLACK));
+    const indexed = quantizeColorsStep(image, 2, { returnIndexed: true });
+    const pattern = createStitchPattern({ ...indexed, imageData: createImage(12, 8, () => RED), cols: 6, rows: 4 });
+
+    expect(pattern.width).toBe(6);
+    expect(pattern.height).toBe(4);
+    expect(pattern.threads.map(thread => thread.count)).toEqual([12, 12]);
+  });
+
+  it('keeps thread palettes used for pixelation exact', () => {
+    const anchor = getThreadPalette('anchor');
+    const image = createImage(1, 1, () => RED);
+    const indexed = quantizeColorsStep(image, null, { palette: anchor, returnIndexed: true });
+    const [thread] = createStitchPattern(indexed, { threads: anchor }).threads;
+    expect(thread.code).toBe(indexed.palette[indexed.indices[0]].code);
+  });
+
+  it('accepts custom threads and symbols', () => {
+    const image = createImage(2, 1, x => (x === 0 ? RED : BLACK));
+    const pattern = createStitchPattern(image, {
+      threads: [{ r: 255, g: 0, b: 0, code: 'R1' }, { r: 0, g: 0, b: 0 }],
+      symbols: ['X', 'O']
+    });
+    expect(pattern.threads.map(({ brand, code, symbol }) => [brand, code, symbol]))
+      .toEqual([['', 'R1', 'X'], ['', '#000000', 'O']]);
+    expect(() => createStitchPattern(image, { symbols: ['X'] })).toThrow('needs 2 symbols');
+  });
+});
+
+describe('Cross-stitch charts', () => {
+  const image = createImage(25, 12, (x, y) => (x < 8 ? RED : y < 6 ? BLACK : CLEAR));
+  const pattern = createStitchPattern(image);
+
+  it('splits the chart into pages', () => {
+    const { pages } = renderStitchChart(pattern, { pageColumns: 20, pageRows: 10 });
+    expect(pages).toHaveLength(4);
+    expect(pages[0]).toContain('Page 1 of 4: columns 1-20, rows 1-10');
+    expect(pages[3]).toContain('Page 4 of 4: columns 21-25, rows 11-12');
+
+    const doc = new window.DOMParser().parseFromString(pages[1], 'image/svg+xml');
+    expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+  });
+
+  it('draws one symbol per stitch', () => {
+    const { pages } = renderStitchChart(pattern);
+    expect(pages).toHaveLength(1);
+    const doc = new window.DOMParser().parseFromString(pages[0], 'image/svg+xml');
+    const symbols = [...doc.getElementsByTagName('text')].filter(text => DEFAULT_STITCH_SYMBOLS.includes(text.textContent));
+    expect(symbols).toHaveLength(8 * 12 + 17 * 6);
+  });
+
+  it('draws bold grid lines every 10 stitches and numbers them', () => {
+    const { pages } = renderStitchChart(pattern, { cellSize: 10 });
+    const doc = new window.DOMParser().parseFromString(pages[0], 'image/svg+xml');
+    const bold = [...doc.getElementsByTagName('path')].find(path => path.getAttribute('stroke') === '#000000');
+    const d = bold.getAttribute('d');
+
+    // Chart origin at (30, 30); verticals at x = 0, 10, 20 and 25
+    for (const x of [30, 130, 230, 280]) {
+      expect(d).toContain(`M${x} 30V150`);
+    }
+    expect(d).toContain('M30 130H280');
+    expect(d).not.toContain('M80 30V150');
+
+    const numbers = [...doc.getElementsByTagName('text')].map(text => text.textContent);
+    expect(numbers).toEqual(expect.arrayContaining(['10', '20']));
+  });
+
+  it('fills cells with thread colors when colored', () => {
+    const { pages } = renderStitchChart(pattern, { colored: true });
+    expect(pages[0]).toContain('fill="#c72b3b"');
+    expect(pages[0]).toContain('<g fill="#ffffff"');
+  });
+
+  it('lists every thread in the legend', () => {
+    const { legend } = renderStitchChart(pattern);
+    expect(legend).toContain('DMC 321');
+    expect(legend).toContain('DMC 310');
+    expect(legend).toContain('>96<');
+    expect(legend).toContain('25 x 12 stitches, 2 threads');
+  });
+
+  it('escapes custom symbols', () => {
+    const custom = createStitchPattern(image, { symbols: ['<', '&'] });
+    const { pages, legend } = renderStitchChart(custom);
+    expect(pages[0]).toContain('&lt;');
+    expect(legend).toContain('&amp;');
+  });
+});
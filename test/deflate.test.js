@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { inflateSync, inflateRawSync, deflateSync, deflateRawSync } from 'node:zlib';
+import { deflateRaw, zlibCompress, inflateRaw, zlibDecompress, crc32, adler32 } from '../src/deflate.js';
+
+const ascii = (text) => Uint8Array.from(text, c => c.charCodeAt(0));
+
+describe('Deflate', () => {
+  describe('checksums', () => {
+    it('computes the standard CRC-32 check value', () => {
+      expect(crc32(ascii('123456789'))).toBe(0xcbf43926);
+    });
+
+    it('continues a running CRC-32', () => {
+      expect(crc32(ascii('6789'), crc32(ascii('12345')))).toBe(0xcbf43926);
+    });
+
+    it('computes Adler-32', () => {
+      expect(adler32(ascii('Wikipedia'))).toBe(0x11e60398);
+      expect(adler32(new Uint8Array(0))).toBe(1);
+    });
+  });
+
+  describe('compression', () => {
+    it('round-trips through zlib', () => {
+      const inputs = [
+        new Uint8Array(0),
+        ascii('a'),
+        new Uint8Array(100000).fill(7),
+        Uint8Array.from({ length: 70000 }, (_, i) => (i * 7 + (i >> 9)) % 251)
+      ];
+      for (const input of inputs) {
+        expect(new Uint8Array(inflateSync(zlibCompress(input)))).toEqual(input);
+        expect(new Uint8Array(inflateRawSync(deflateRaw(input)))).toEqual(input);
+      }
+    });
+
+    it('compresses long runs', () => {
+      expect(zlibCompress(new Uint8Array(100000)).length).toBeLessThan(1000);
+    });
+  });
+
+  describe('decompression', () => {
+    const inputs = [
+      new Uint8Array(0),
+      ascii('a'),
+      new Uint8Array(100000).fill(7),
+      Uint8Array.from({ length: 70000 }, (_, i) => (i * 7 + (i >> 9)) % 251),
+      Uint8Array.from({ length: 5000 }, (_, i) => (i * 2654435761) >>> 24)
+    ];
+
+    it('reads stored, fixed and dynamic blocks', () => {
+      for (const input of inputs) {
+        for (const level of [0, 1, 9]) {
+          expect(zlibDecompress(new Uint8Array(deflateSync(input, { level })))).toEqual(input);
+          expect(inflateRaw(new Uint8Array(deflateRawSync(input, { level })))).toEqual(input);
+        }
+      }
+    });
+
+    it('round-trips its own compressor', () => {
+      for (const input of inputs) {
+        expect(zlibDecompress(zlibCompress(input))).toEqual(input);
+      }
+    });
+
+    it('rejects corrupt streams', () => {
+      const stream = zlibCompress(ascii('pixel mosaic'));
+      expect(() => zlibDecompress(Uint8Array.of(0x78, 0x00, 0, 0, 0, 0))).toThrow('Invalid zlib header');
+      const corrupted = stream.slice();
+      corrupted[corrupted.length - 1] ^= 1;
+      expect(() => zlibDecompress(corrupted)).toThrow('checksum mismatch');
+      expect(() => zlibDecompress(stream.subarray(0, stream.length - 2))).toThrow('Unexpected end');
+    });
+  });
+});
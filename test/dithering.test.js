@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { DITHER_MODES, ditherImage, ditherImageIndexed } from '../src/dithering.js';
+import { quantizeColorsStep } from '../src/pixelate.js';
+
+const BLACK_WHITE = [{ r: 0, g: 0, b: 0 }, { r: 255, g: 255, b: 255 }];
+
+// Helper to create a uniform gray ImageData
+function createGrayImage(width, height, value) {
+  const imageData = new ImageData(width, height);
+  for (let i = 0; i < imageData.data.length; i += 4) {
+    imageData.data[i] = value;
+    imageData.data[i + 1] = value;
+    imageData.data[i + 2] = value;
+    imageData.data[i + 3] = 255;
+  }
+  return imageData;
+}
+
+function whiteFraction(imageData) {
+  let white = 0;
+  for (let i = 0; i < imageData.data.length; i += 4) {
+    if (imageData.data[i] === 255) white++;
+  }
+  return white / (imageData.width * imageData.height);
+}
+
+describe('Dithering', () => {
+  describe('ditherImage', () => {
+    for (const dither of DITHER_MODES.filter(mode => mode !== 'none')) {
+      it(`${dither} approximates mid gray with a black and white pattern`, () => {
+        const result = ditherImage(createGrayImage(32, 32, 128), BLACK_WHITE, { dither });
+        expect(whiteFraction(result)).toBeGreaterThan(0.4);
+        expect(whiteFraction(result)).toBeLessThan(0.6);
+      });
+
+      it(`${dither} only outputs palette colors and keeps alpha`, () => {
+        const imageData = createGrayImage(16, 16, 90);
+        imageData.data[3] = 40;
+        const result = ditherImage(imageData, BLACK_WHITE, { dither });
+        for (let i = 0; i < result.data.length; i += 4) {
+          expect([0, 255]).toContain(result.data[i]);
+        }
+        expect(result.data[3]).toBe(40);
+      });
+    }
+
+    it('tracks the input brightness', () => {
+      const dark = ditherImage(createGrayImage(32, 32, 64), BLACK_WHITE, { dither: 'floyd-steinberg' });
+      const light = ditherImage(createGrayImage(32, 32, 192), BLACK_WHITE, { dither: 'floyd-steinberg' });
+      expect(whiteFraction(dark)).toBeCloseTo(0.25, 1);
+      expect(whiteFraction(light)).toBeCloseTo(0.75, 1);
+    });
+
+    it('produces the classic Bayer 2x2 checkerboard for mid gray', () => {
+      const result = ditherImage(createGrayImage(4, 4, 128), BLACK_WHITE, { dither: 'bayer2' });
+      const at = (x, y) => result.data[(y * 4 + x) * 4];
+      expect(at(0, 0)).toBe(at(1, 1));
+      expect(at(1, 0)).toBe(at(0, 1));
+      expect(at(0, 0)).not.toBe(at(1, 0));
+      expect(at(0, 0)).toBe(at(2, 2));
+    });
+
+    it('falls back to nearest color at zero strength', () => {
+      for (const dither of ['floyd-steinberg', 'bayer8', 'blue-noise']) {
+        const result = ditherImage(createGrayImage(16, 16, 100), BLACK_WHITE, { dither, ditherStrength: 0 });
+        expect(whiteFraction(result)).toBe(0);
+      }
+    });
+
+    it('is deterministic', () => {
+      const a = ditherImage(createGrayImage(16, 16, 77), BLACK_WHITE, { dither: 'blue-noise' });
+      const b = ditherImage(createGrayImage(16, 16, 77), BLACK_WHITE, { dither: 'blue-noise' });
+      expect(Array.from(a.data)).toEqual(Array.from(b.data));
+    });
+
+    it('supports raster and serpentine scanning', () => {
+      const imageData = createGrayImage(16, 16, 100);
+      const raster = ditherImage(imageData, BLACK_WHITE, { dither: 'sierra', serpentine: false });
+      const serpentine = ditherImage(imageData, BLACK_WHITE, { dither: 'sierra', serpentine: true });
+      expect(Array.from(raster.data)).not.toEqual(Array.from(serpentine.data));
+      expect(whiteFraction(serpentine)).toBeCloseTo(100 / 255, 1);
+    });
+
+    it('throws for unknown dither modes', () => {
+      expect(() => ditherImage(createGrayImage(2, 2, 0), BLACK_WHITE, { dither: 'halftone' }))
+        .toThrow('Unknown dither mode');
+    });
+  });
+
+  describe('transparency', () => {
+    for (const dither of ['floyd-steinberg', 'bayer4']) {
+      it(`${dither} keeps transparent pixels on the transparent index`, () => {
+        const imageData = createGrayImage(8, 8, 128);
+        for (let x = 0; x < 8; x++) imageData.data[x * 4 + 3] = 0;
+        const palette = [...BLACK_WHITE, { r: 0, g: 0, b: 0, a: 0 }];
+        const { indices } = ditherImageIndexed(imageData, palette, { dither });
+
+        for (let x = 0; x < 8; x++) expect(indices[x]).toBe(2);
+        for (let i = 8; i < indices.length; i++) expect(indices[i]).toBeLessThan(2);
+      });
+    }
+  });
+
+  describe('quantizeColorsStep with dither', () => {
+    it('dithers onto a fixed palette', () => {
+      const result = quantizeColorsStep(createGrayImage(32, 32, 128), null, { palette: '1bit', dither: 'atkinson' });
+      expect(whiteFraction(result)).toBeGreaterThan(0.3);
+      expect(whiteFraction(result)).toBeLessThan(0.7);
+    });
+
+    it('does not dither by default', () => {
+      const result = quantizeColorsStep(createGrayImage(8, 8, 100), null, { palette: '1bit' });
+      expect(whiteFraction(result)).toBe(0);
+    });
+  });
+});
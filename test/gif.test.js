@@ -0,0 +1,214 @@
+import { describe, it, expect } from 'vitest';
+import { GIF_DISPOSAL_METHODS, encodeGif, lzwEncode } from '../src/gif.js';
+import { createRandom } from '../src/quantization.js';
+
+// Reference LZW decoder (GIF variant)
+function lzwDecode(data, minCodeSize, pixelCount) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  let codeSize = minCodeSize + 1;
+  let dictionary = [];
+  let previous = null;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let offset = 0;
+
+  const reset = () => {
+    dictionary = Array.from({ length: endCode + 1 }, (_, i) => [i]);
+    codeSize = minCodeSize + 1;
+    previous = null;
+  };
+  reset();
+
+  while (true) {
+    while (bitCount < codeSize) {
+      if (offset >= data.length) return output;
+      bitBuffer |= data[offset++] << bitCount;
+      bitCount += 8;
+    }
+    const code = bitBuffer & ((1 << codeSize) - 1);
+    bitBuffer >>>= codeSize;
+    bitCount -= codeSize;
+
+    if (code === clearCode) {
+      reset();
+      continue;
+    }
+    if (code === endCode) break;
+
+    let entry;
+    if (code < dictionary.length) {
+      entry = dictionary[code];
+      if (previous) dictionary.push([...previous, entry[0]]);
+    } else {
+      entry = [...previous, previous[0]];
+      dictionary.push(entry);
+    }
+    output.push(...entry);
+    previous = entry;
+    if (dictionary.length === (1 << codeSize) && codeSize < 12) codeSize++;
+  }
+
+  expect(output.length).toBe(pixelCount);
+  return output;
+}
+
+// Minimal GIF parser for the blocks the encoder writes
+function parseGif(bytes) {
+  let offset = 6;
+  const read = () => bytes[offset++];
+  const read16 = () => read() | (read() << 8);
+  const readTable = (bits) => {
+    const colors = [];
+    for (let i = 0; i < 2 << bits; i++) colors.push({ r: read(), g: read(), b: read() });
+    return colors;
+  };
+  const readSubBlocks = () => {
+    const data = [];
+    for (let size = read(); size > 0; size = read()) {
+      for (let i = 0; i < size; i++) data.push(read());
+    }
+    return Uint8Array.from(data);
+  };
+
+  const gif = { header: String.fromCharCode(...bytes.subarray(0, 6)), frames: [], loop: null };
+  gif.width = read16();
+  gif.height = read16();
+  const flags = read();
+  offset += 2;
+  gif.globalPalette = flags & 0x80 ? readTable(flags & 7) : null;
+
+  let control = null;
+  while (offset < bytes.length) {
+    const block = read();
+    if (block === 0x3b) break;
+    if (block === 0x21) {
+      const label = read();
+      if (label === 0xf9) {
+        read();
+        const packed = read();
+        control = { disposal: (packed >> 2) & 7, transparent: packed & 1, delay: read16(), transparentIndex: read() };
+        read();
+      } else if (label === 0xff) {
+        const data = readSubBlocks();
+        gif.loop = data[12] | (data[13] << 8);
+      } else {
+        readSubBlocks();
+      }
+    } else if (block === 0x2c) {
+      offset += 4;
+      const width = read16();
+      const height = read16();
+      const packed = read();
+      const localPalette = packed & 0x80 ? readTable(packed & 7) : null;
+      const minCodeSize = read();
+      const indices = lzwDecode(readSubBlocks(), minCodeSize, width * height);
+      gif.frames.push({ ...control, width, height, localPalette, indices });
+      control = null;
+    }
+  }
+  return gif;
+}
+
+const PALETTE = [{ r: 255, g: 0, b: 0 }, { r: 0, g: 255, b: 0 }, { r: 0, g: 0, b: 255 }];
+
+describe('GIF encoding', () => {
+  describe('lzwEncode', () => {
+    it('round-trips long random data across dictionary resets', () => {
+      const random = createRandom(3);
+      for (const minCodeSize of [2, 4, 8]) {
+        const indices = Uint8Array.from({ length: 50000 }, () => Math.floor(random() * (1 << minCodeSize)));
+        expect(lzwDecode(lzwEncode(indices, minCodeSize), minCodeSize, indices.length)).toEqual(Array.from(indices));
+      }
+    });
+
+    it('compresses runs', () => {
+      expect(lzwEncode(new Uint8Array(10000), 2).length).toBeLessThan(300);
+    });
+  });
+
+  describe('encodeGif', () => {
+    it('writes indexed frames with a global color table', () => {
+      const frames = [0, 1, 2].map(shift => ({
+        palette: PALETTE,
+        indices: Uint8Array.from({ length: 12 }, (_, i) => (i + shift) % 3),
+        cols: 4,
+        rows: 3
+      }));
+      const gif = parseGif(encodeGif(frames, { delay: [100, 200, 50] }));
+
+      expect(gif.header).toBe('GIF89a');
+      expect([gif.width, gif.height]).toEqual([4, 3]);
+      expect(gif.globalPalette.slice(0, 3)).toEqual(PALETTE);
+      expect(gif.globalPalette).toHaveLength(4);
+      expect(gif.loop).toBe(0);
+      expect(gif.frames.map(frame => frame.delay)).toEqual([10, 20, 5]);
+      gif.frames.forEach((frame, i) => {
+        expect(frame.localPalette).toBeNull();
+        expect(frame.indices).toEqual(Array.from(frames[i].indices));
+        expect(frame.disposal).toBe(0);
+      });
+    });
+
+    it('uses local color tables for frames with a different palette', () => {
+      const other = [{ r: 1, g: 2, b: 3 }, { r: 4, g: 5, b: 6 }];
+      const gif = parseGif(encodeGif([
+        { palette: PALETTE, indices: new Uint8Array([0, 1]), cols: 2, rows: 1 },
+        { palette: other, indices: new Uint8Array([1, 0]), cols: 2, rows: 1 }
+      ]));
+
+      expect(gif.frames[0].localPalette).toBeNull();
+      expect(gif.frames[1].localPalette).toEqual(other);
+    });
+
+    it('sets the transparent index and clears transparent frames by default', () => {
+      const palette = [...PALETTE, { r: 0, g: 0, b: 0, a: 0 }];
+      const gif = parseGif(encodeGif([{ palette, indices: new Uint8Array([3, 0]), cols: 2, rows: 1 }]));
+      expect(gif.frames[0]).toMatchObject({ transparent: 1, transparentIndex: 3, disposal: 2 });
+    });
+
+    it('quantizes ImageData frames to one shared palette', () => {
+      const frames = [[250, 0, 0], [0, 0, 250]].map(color => {
+        const imageData = new ImageData(3, 2);
+        for (let i = 0; i < 6; i++) imageData.data.set([...color, 255], i * 4);
+        imageData.data.set([0, 0, 0, 0], 0);
+        return imageData;
+      });
+      const gif = parseGif(encodeGif(frames, { colorLimit: 4, quantizer: 'wu' }));
+
+      expect(gif.frames).toHaveLength(2);
+      expect(gif.frames.every(frame => frame.localPalette === null)).toBe(true);
+      const colorOf = (frame, pixel) => gif.globalPalette[frame.indices[pixel]];
+      expect(colorOf(gif.frames[0], 1)).toEqual({ r: 250, g: 0, b: 0 });
+      expect(colorOf(gif.frames[1], 1)).toEqual({ r: 0, g: 0, b: 250 });
+      expect(gif.frames[0].transparent).toBe(1);
+      expect(gif.frames[0].indices[0]).toBe(gif.frames[0].transparentIndex);
+    });
+
+    it('accepts bare index buffers with palette and size options', () => {
+      const gif = parseGif(encodeGif([new Uint8Array([0, 1, 2, 0])], {
+        palette: PALETTE, width: 2, height: 2, loop: null, disposal: 'previous'
+      }));
+      expect(gif.loop).toBeNull();
+      expect(gif.frames[0].indices).toEqual([0, 1, 2, 0]);
+      expect(GIF_DISPOSAL_METHODS[gif.frames[0].disposal]).toBe('previous');
+    });
+
+    it('writes a loop count', () => {
+      const gif = parseGif(encodeGif([new Uint8Array([0])], { palette: PALETTE, width: 1, height: 1, loop: 3 }));
+      expect(gif.loop).toBe(3);
+    });
+
+    it('validates frames', () => {
+      expect(() => encodeGif([])).toThrow('at least one frame');
+      expect(() => encodeGif([new Uint8Array(4)])).toThrow('palette, width and height');
+      expect(() => encodeGif([
+        { palette: PALETTE, indices: new Uint8Array(4), cols: 2, rows: 2 },
+        { palette: PALETTE, indices: new Uint8Array(2), cols: 2, rows: 1 }
+      ])).toThrow('expected 2x2');
+      expect(() => encodeGif([new Uint8Array(1)], { palette: PALETTE, width: 1, height: 1, disposal: 'fade' }))
+        .toThrow('Unknown disposal method');
+    });
+  });
+});
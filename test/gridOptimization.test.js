@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { createInitialGrid, optimizeGridCorners, renderGrid } from '../src/gridOptimization.js';
+import { createInitialGrid, optimizeGridCorners, renderGrid, renderGridCells } from '../src/gridOptimization.js';
 
 describe('Grid Optimization', () => {
   describe('createInitialGrid', () => {
@@ -192,6 +192,48 @@ describe('Grid Optimization', () => {
         expect(output.data[i + 3]).toBe(255);
       }
     });
+    it('should keep alpha without darkening transparent edges', () => {
+      const width = 20;
+      const height = 20;
+      const grid = createInitialGrid(width, height, 5);
+
+      // Left half opaque red, right half fully transparent
+      const imageData = new ImageData(width, height);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width / 2; x++) {
+          imageData.data.set([255, 0, 0, 255], (y * width + x) * 4);
+        }
+      }
+
+      const output = renderGrid(grid, imageData, null, 0);
+
+      expect(output.data[3]).toBe(255);
+      expect(output.data[(width - 1) * 4 + 3]).toBe(0);
+      for (let i = 0; i < output.data.length; i += 4) {
+        if (output.data[i + 3] > 0) {
+          expect(output.data[i]).toBe(255);
+        }
+      }
+    });
+    it('should average in linear light when requested', () => {
+      const size = 8;
+      const grid = createInitialGrid(size, size, 8);
+
+      // Fine black and white checkerboard
+      const imageData = new ImageData(size, size);
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          const value = (x + y) % 2 === 0 ? 255 : 0;
+          imageData.data.set([value, value, value, 255], (y * size + x) * 4);
+        }
+      }
+
+      const srgb = renderGrid(grid, imageData, null, 0);
+      const linear = renderGrid(grid, imageData, null, 0, false, 2, 0.3, true);
+
+      expect(srgb.data[0]).toBe(128);
+      expect(linear.data[0]).toBe(188);
+    });
   });
 
   describe('spline functionality', () => {
@@ -271,5 +313,53 @@ describe('Grid Optimization', () => {
       expect(output3.height).toBe(height);
     });
   });
+
+  describe('renderGridCells', () => {
+    it('should render one pixel per grid cell', () => {
+      const width = 20;
+      const height = 10;
+      const grid = createInitialGrid(width, height, 5);
+
+      // Left half red, right half blue
+      const imageData = new ImageData(width, height);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const color = x < width / 2 ? [255, 0, 0, 255] : [0, 0, 255, 255];
+          imageData.data.set(color, (y * width + x) * 4);
+        }
+      }
+
+      const cells = renderGridCells(grid, imageData);
+      expect(cells).toBeInstanceOf(ImageData);
+      expect(cells.width).toBe(grid.cols);
+      expect(cells.height).toBe(grid.rows);
+
+      // Each cell matches the block renderGrid draws for it
+      const full = renderGrid(grid, imageData);
+      for (let row = 0; row < grid.rows; row++) {
+        for (let col = 0; col < grid.cols; col++) {
+          const cellIdx = (row * grid.cols + col) * 4;
+          const fullIdx = (row * 5 * width + col * 5) * 4;
+          expect(Array.from(cells.data.slice(cellIdx, cellIdx + 4)))
+            .toEqual(Array.from(full.data.slice(fullIdx, fullIdx + 4)));
+        }
+      }
+    });
+
+    it('should render a rectangle of cells', () => {
+      const width = 20;
+      const height = 10;
+      const grid = createInitialGrid(width, height, 5);
+      const imageData = new ImageData(width, height);
+      for (let i = 0; i < imageData.data.length; i += 4) {
+        imageData.data.set([i % 256, (i * 7) % 256, 90, 255], i);
+      }
+
+      const cells = renderGridCells(grid, imageData);
+      const area = renderGridCells(grid, imageData, 0.8, false, { x: 1, y: 1, width: 3, height: 1 });
+      expect([area.width, area.height]).toEqual([3, 1]);
+      expect(Array.from(area.data)).toEqual(Array.from(cells.data.slice((grid.cols + 1) * 4, (grid.cols + 4) * 4)));
+    });
+  });
 });
 
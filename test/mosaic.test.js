@@ -0,0 +1,170 @@
+import { describe, it, expect } from 'vitest';
+import { PART_CATALOGS, PART_SHAPES, getPartPalette, getPartShape } from '../src/parts.js';
+import {
+  BASEPLATE_SIZES,
+  createMosaic,
+  encodePartsList,
+  renderBuildSheets,
+  renderMosaicPreview
+} from '../src/mosaic.js';
+
+const RED = [200, 30, 20, 255];
+const BLUE = [20, 60, 190, 255];
+const CLEAR = [0, 0, 0, 0];
+
+function createImage(width, height, colorAt) {
+  const imageData = new ImageData(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      imageData.data.set(colorAt(x, y), (y * width + x) * 4);
+    }
+  }
+  return imageData;
+}
+
+// Left half red, right half blue on top and empty below
+const image = createImage(100, 60, (x, y) => (x < 50 ? RED : y < 30 ? BLUE : CLEAR));
+
+describe('Part catalogs', () => {
+  it('lists LEGO and Perler with unique codes', () => {
+    expect(PART_CATALOGS).toEqual(['lego', 'perler']);
+    expect(PART_SHAPES).toEqual(['stud', 'bead']);
+    for (const name of PART_CATALOGS) {
+      const parts = getPartPalette(name);
+      expect(new Set(parts.map(part => part.code)).size).toBe(parts.length);
+    }
+  });
+
+  it('carries brand, code and name with each color', () => {
+    expect(getPartPalette('LEGO').find(part => part.code === '21'))
+      .toEqual({ r: 201, g: 26, b: 9, brand: 'LEGO', code: '21', name: 'Bright Red' });
+    expect(getPartShape('lego')).toBe('stud');
+    expect(getPartShape('perler')).toBe('bead');
+    expect(() => getPartPalette('duplo')).toThrow('Unknown part catalog: duplo');
+  });
+});
+
+describe('createMosaic', () => {
+  it('pixelates to the exact part count', () => {
+    const mosaic = createMosaic(image, { width: 48, height: 32, linearLight: true });
+    expect(mosaic.cols).toBe(48);
+    expect(mosaic.rows).toBe(32);
+    expect(mosaic.imageData.width).toBe(48);
+    expect(mosaic.indices).toHaveLength(48 * 32);
+    expect(mosaic.shape).toBe('stud');
+  });
+
+  it('derives the height from the aspect ratio', () => {
+    const mosaic = createMosaic(image, { width: 20, linearLight: true });
+    expect(mosaic.rows).toBe(12);
+  });
+
+  it('counts parts per color, most used first', () => {
+    const mosaic = createMosaic(image, { width: 20, height: 20, linearLight: true });
+    expect(mosaic.parts.map(({ code, name, count, number }) => ({ code, name, count, number }))).toEqual([
+      { code: '21', name: 'Bright Red', count: 200, number: 1 },
+      { code: '23', name: 'Bright Blue', count: 100, number: 2 }
+    ]);
+    // Empty cells map to the trailing transparent entry
+    expect(mosaic.palette).toHaveLength(3);
+    expect(mosaic.palette[2].a).toBe(0);
+    expect(mosaic.indices[19 * 20 + 19]).toBe(2);
+  });
+
+  it('crops to the mosaic aspect ratio with cover and scales with stretch', () => {
+    // Square mosaic from a 100x60 image: cover keeps the center 60x60 (columns 20-79)
+    const covered = createMosaic(image, { width: 10, height: 10, linearLight: true });
+    const stretched = createMosaic(image, { width: 10, height: 10, fit: 'stretch', linearLight: true });
+    const redCount = mosaic => mosaic.parts.find(part => part.code === '21').count;
+    expect(redCount(covered)).toBe(50);
+    expect(redCount(stretched)).toBe(50);
+    expect(covered.parts.find(part => part.code === '23').count).toBe(25);
+  });
+
+  it('matches a limited palette to the nearest parts', () => {
+    const mosaic = createMosaic(image, { width: 20, parts: 'perler', colorLimit: 3, linearLight: true });
+    expect(mosaic.shape).toBe('bead');
+    expect(mosaic.parts.map(part => part.code)).toEqual(['P05', 'P08']);
+  });
+
+  it('accepts custom parts', () => {
+    const mosaic = createMosaic(image, {
+      width: 4,
+      height: 2,
+      parts: [{ r: 255, g: 0, b: 0, code: 'R' }, '#0000ff'],
+      linearLight: true
+    });
+    expect(mosaic.parts.map(({ brand, code }) => [brand, code])).toEqual([['', 'R'], ['', '#0000ff']]);
+  });
+
+  it('rejects invalid options', () => {
+    expect(() => createMosaic(image, {})).toThrow('width and height');
+    expect(() => createMosaic(image, { width: 4, fit: 'contain' })).toThrow('Unknown mosaic fit: contain');
+    expect(() => createMosaic(image, { width: 4, parts: [] })).toThrow('non-empty array');
+  });
+});
+
+describe('Parts lists and build sheets', () => {
+  const createSample = () => createMosaic(image, { width: 20, height: 20, linearLight: true });
+
+  it('writes the parts list as CSV with optional spares', () => {
+    const mosaic = createSample();
+    expect(encodePartsList(mosaic)).toBe(
+      'number,brand,code,name,color,quantity\n' +
+      '1,LEGO,21,Bright Red,#c91a09,200\n' +
+      '2,LEGO,23,Bright Blue,#0055bf,100\n'
+    );
+    expect(encodePartsList(mosaic, { spare: 0.05 })).toContain('2,LEGO,23,Bright Blue,#0055bf,105');
+  });
+
+  it('splits the mosaic into baseplate sections', () => {
+    expect(BASEPLATE_SIZES).toEqual([16, 32, 48]);
+    const sections = renderBuildSheets(createSample(), { sectionSize: 16 });
+    expect(sections.map(({ name, x, y, width, height }) => [name, x, y, width, height])).toEqual([
+      ['A1', 0, 0, 16, 16],
+      ['A2', 16, 0, 4, 16],
+      ['B1', 0, 16, 16, 4],
+      ['B2', 16, 16, 4, 4]
+    ]);
+    expect(sections[0].parts).toEqual([{ number: 1, count: 160 }, { number: 2, count: 60 }]);
+    expect(sections[3].parts).toEqual([]);
+  });
+
+  it('draws one labeled circle per part on each sheet', () => {
+    const [sheet] = renderBuildSheets(createSample(), { sectionSize: 32 });
+    const doc = new window.DOMParser().parseFromString(sheet.svg, 'image/svg+xml');
+    expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+    // 300 placed parts plus one swatch per parts list row
+    expect(doc.getElementsByTagName('circle')).toHaveLength(300 + 2);
+    expect(sheet.svg).toContain('Section A1: columns 1-20, rows 1-20');
+    expect(sheet.svg).toContain('1. LEGO 21 Bright Red: 200');
+  });
+});
+
+describe('renderMosaicPreview', () => {
+  const createSample = () => createMosaic(image, { width: 4, height: 2, linearLight: true });
+
+  function pixel(imageData, x, y) {
+    return Array.from(imageData.data.slice((y * imageData.width + x) * 4, (y * imageData.width + x) * 4 + 4));
+  }
+
+  it('draws studs brighter than the plate around them', () => {
+    const preview = renderMosaicPreview(createSample(), { partSize: 10 });
+    expect(preview.width).toBe(40);
+    expect(preview.height).toBe(20);
+    // Stud top has the part color; the plate corner is shaded
+    expect(pixel(preview, 5, 5)).toEqual([201, 26, 9, 255]);
+    expect(pixel(preview, 0, 0)[0]).toBeLessThan(201);
+  });
+
+  it('draws beads with a hole showing the board', () => {
+    const preview = renderMosaicPreview(createSample(), { partSize: 10, shape: 'bead', background: '#ffffff' });
+    expect(pixel(preview, 5, 5)).toEqual([255, 255, 255, 255]);
+    expect(pixel(preview, 5, 2)).toEqual([201, 26, 9, 255]);
+    expect(pixel(preview, 0, 0)).toEqual([255, 255, 255, 255]);
+  });
+
+  it('rejects unknown shapes', () => {
+    expect(() => renderMosaicPreview(createSample(), { shape: 'tile' })).toThrow('Unknown part shape: tile');
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PALETTE_FORMATS,
+  parseGimpPalette,
+  serializeGimpPalette,
+  parseJascPalette,
+  serializeJascPalette,
+  parseHexPalette,
+  serializeHexPalette,
+  parseAsePalette,
+  serializeAsePalette,
+  parsePaletteFile,
+  serializePaletteFile
+} from '../src/paletteIO.js';
+import { quantizeColorsStep } from '../src/pixelate.js';
+
+const PALETTE = [
+  { r: 15, g: 56, b: 15 },
+  { r: 48, g: 98, b: 48 },
+  { r: 139, g: 172, b: 15 },
+  { r: 155, g: 188, b: 15 }
+];
+
+const rgb = (palette) => palette.map(({ r, g, b }) => ({ r, g, b }));
+
+describe('Palette Files', () => {
+  describe('GIMP .gpl', () => {
+    it('parses colors, names and comments', () => {
+      const text = [
+        'GIMP Palette',
+        'Name: Test',
+        'Columns: 4',
+        '#',
+        '# a comment',
+        '  0   0   0\tBlack',
+        '255 255 255\tUntitled',
+        ' 18  52  86'
+      ].join('\n');
+
+      expect(parseGimpPalette(text)).toEqual([
+        { r: 0, g: 0, b: 0, name: 'Black' },
+        { r: 255, g: 255, b: 255 },
+        { r: 18, g: 52, b: 86 }
+      ]);
+    });
+
+    it('round-trips a palette', () => {
+      const text = serializeGimpPalette(PALETTE, { name: 'Game Boy' });
+      expect(text).toContain('Name: Game Boy');
+      expect(rgb(parseGimpPalette(text))).toEqual(PALETTE);
+    });
+
+    it('rejects files without the header', () => {
+      expect(() => parseGimpPalette('0 0 0')).toThrow('Invalid GIMP palette');
+    });
+  });
+
+  describe('JASC .pal', () => {
+    it('parses CRLF files', () => {
+      const text = 'JASC-PAL\r\n0100\r\n2\r\n0 0 0\r\n255 128 64\r\n';
+      expect(parseJascPalette(text)).toEqual([{ r: 0, g: 0, b: 0 }, { r: 255, g: 128, b: 64 }]);
+    });
+
+    it('round-trips a palette', () => {
+      const text = serializeJascPalette(PALETTE);
+      expect(text.startsWith('JASC-PAL\r\n0100\r\n4\r\n')).toBe(true);
+      expect(parseJascPalette(text)).toEqual(PALETTE);
+    });
+
+    it('rejects truncated files', () => {
+      expect(() => parseJascPalette('JASC-PAL\n0100\n3\n0 0 0\n')).toThrow('Invalid JASC palette');
+    });
+  });
+
+  describe('.hex', () => {
+    it('parses one color per line', () => {
+      expect(parseHexPalette('0f380f\n#306230\r\n\nff8bac0f\n')).toEqual([
+        { r: 15, g: 56, b: 15 },
+        { r: 48, g: 98, b: 48 },
+        { r: 139, g: 172, b: 15 }
+      ]);
+    });
+
+    it('round-trips a palette', () => {
+      expect(serializeHexPalette(PALETTE)).toBe('0f380f\n306230\n8bac0f\n9bbc0f\n');
+      expect(parseHexPalette(serializeHexPalette(PALETTE))).toEqual(PALETTE);
+    });
+  });
+
+  describe('Adobe .ase', () => {
+    it('round-trips a palette with names', () => {
+      const named = PALETTE.map((color, i) => ({ ...color, name: `Shade ${i}` }));
+      const bytes = serializeAsePalette(named);
+      expect(String.fromCharCode(...bytes.subarray(0, 4))).toBe('ASEF');
+      expect(parseAsePalette(bytes)).toEqual(named);
+      expect(parseAsePalette(bytes.buffer)).toEqual(named);
+    });
+
+    it('converts CMYK, LAB and gray swatches', () => {
+      // Hand-built file with one swatch per color model
+      const swatch = (model, values) => {
+        const body = new DataView(new ArrayBuffer(2 + 2 + 4 + values.length * 4 + 2));
+        body.setUint16(0, 1); // empty name (terminator only)
+        [...model].forEach((c, i) => body.setUint8(4 + i, c.charCodeAt(0)));
+        values.forEach((v, i) => body.setFloat32(8 + i * 4, v));
+        return new Uint8Array(body.buffer);
+      };
+      const blocks = [swatch('CMYK', [0, 1, 1, 0]), swatch('LAB ', [1, 0, 0]), swatch('Gray', [0.5])];
+
+      const size = 12 + blocks.reduce((sum, block) => sum + 6 + block.length, 0);
+      const bytes = new Uint8Array(size);
+      const view = new DataView(bytes.buffer);
+      bytes.set([65, 83, 69, 70]);
+      view.setUint16(4, 1);
+      view.setUint32(8, blocks.length);
+      let offset = 12;
+      for (const block of blocks) {
+        view.setUint16(offset, 1);
+        view.setUint32(offset + 2, block.length);
+        bytes.set(block, offset + 6);
+        offset += 6 + block.length;
+      }
+
+      expect(parseAsePalette(bytes)).toEqual([
+        { r: 255, g: 0, b: 0 },
+        { r: 255, g: 255, b: 255 },
+        { r: 128, g: 128, b: 128 }
+      ]);
+    });
+
+    it('rejects files without the signature', () => {
+      expect(() => parseAsePalette(new Uint8Array(16))).toThrow('Invalid ASE file');
+    });
+  });
+
+  describe('parsePaletteFile / serializePaletteFile', () => {
+    for (const format of PALETTE_FORMATS) {
+      it(`detects and round-trips ${format}`, () => {
+        const data = serializePaletteFile(PALETTE, format);
+        expect(rgb(parsePaletteFile(data))).toEqual(PALETTE);
+        expect(rgb(parsePaletteFile(data, `.${format}`))).toEqual(PALETTE);
+      });
+    }
+
+    it('decodes text formats from binary data', () => {
+      const bytes = new TextEncoder().encode(serializeGimpPalette(PALETTE));
+      expect(rgb(parsePaletteFile(bytes))).toEqual(PALETTE);
+    });
+
+    it('skips transparent palette entries', () => {
+      const withTransparency = [...PALETTE, { r: 0, g: 0, b: 0, a: 0 }];
+      for (const format of PALETTE_FORMATS) {
+        expect(rgb(parsePaletteFile(serializePaletteFile(withTransparency, format)))).toEqual(PALETTE);
+      }
+      expect(serializeJascPalette(withTransparency).startsWith('JASC-PAL\r\n0100\r\n4\r\n')).toBe(true);
+    });
+
+    it('throws for unknown formats', () => {
+      expect(() => serializePaletteFile(PALETTE, 'act')).toThrow('Unknown palette format');
+      expect(() => parsePaletteFile('000000', 'act')).toThrow('Unknown palette format');
+    });
+
+    it('produces palettes usable by quantizeColorsStep', () => {
+      const palette = parsePaletteFile(serializePaletteFile(PALETTE, 'gpl'));
+      const imageData = new ImageData(1, 1);
+      imageData.data.set([20, 60, 20, 255]);
+
+      const result = quantizeColorsStep(imageData, null, { palette });
+      expect(Array.from(result.data)).toEqual([15, 56, 15, 255]);
+    });
+  });
+});
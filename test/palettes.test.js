@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { PALETTES, getPalette, resolvePalette, parseColor, colorToHex } from '../src/palettes.js';
+import { quantizeColorsStep } from '../src/pixelate.js';
+
+describe('Palettes', () => {
+  describe('parseColor', () => {
+    it('parses six and three digit hex strings', () => {
+      expect(parseColor('#ff8000')).toEqual({ r: 255, g: 128, b: 0 });
+      expect(parseColor('0f0')).toEqual({ r: 0, g: 255, b: 0 });
+    });
+
+    it('parses arrays and objects', () => {
+      expect(parseColor([1, 2, 3])).toEqual({ r: 1, g: 2, b: 3 });
+      expect(parseColor({ r: 4, g: 5, b: 6 })).toEqual({ r: 4, g: 5, b: 6 });
+    });
+
+    it('throws on invalid colors', () => {
+      expect(() => parseColor('#xyz123')).toThrow('Invalid color');
+      expect(() => parseColor(42)).toThrow('Invalid color');
+    });
+  });
+
+  describe('colorToHex', () => {
+    it('round-trips with parseColor', () => {
+      expect(colorToHex(parseColor('#1d2b53'))).toBe('#1d2b53');
+    });
+  });
+
+  describe('getPalette', () => {
+    it('returns the expected sizes for built-in palettes', () => {
+      expect(getPalette('pico-8')).toHaveLength(16);
+      expect(getPalette('gameboy')).toHaveLength(4);
+      expect(getPalette('c64')).toHaveLength(16);
+      expect(getPalette('ega')).toHaveLength(64);
+      expect(getPalette('endesga-32')).toHaveLength(32);
+    });
+
+    it('ignores case and punctuation in names', () => {
+      expect(getPalette('PICO8')).toEqual(getPalette('pico-8'));
+      expect(getPalette('ZX Spectrum')).toEqual(getPalette('zx-spectrum'));
+    });
+
+    it('contains no duplicate colors', () => {
+      for (const name of Object.keys(PALETTES)) {
+        const hex = getPalette(name).map(colorToHex);
+        expect(new Set(hex).size).toBe(hex.length);
+      }
+    });
+
+    it('throws for unknown palettes', () => {
+      expect(() => getPalette('not-a-palette')).toThrow('Unknown palette');
+    });
+  });
+
+  describe('resolvePalette', () => {
+    it('resolves names and color arrays', () => {
+      expect(resolvePalette('1bit')).toEqual([{ r: 0, g: 0, b: 0 }, { r: 255, g: 255, b: 255 }]);
+      expect(resolvePalette(['#ff0000', [0, 0, 255]])).toEqual([{ r: 255, g: 0, b: 0 }, { r: 0, g: 0, b: 255 }]);
+    });
+
+    it('rejects empty palettes', () => {
+      expect(() => resolvePalette([])).toThrow();
+    });
+  });
+
+  describe('quantizeColorsStep with palette', () => {
+    function createGradient(width, height) {
+      const imageData = new ImageData(width, height);
+      for (let i = 0; i < width * height; i++) {
+        const v = Math.round((i / (width * height - 1)) * 255);
+        imageData.data[i * 4] = v;
+        imageData.data[i * 4 + 1] = (v * 7) % 256;
+        imageData.data[i * 4 + 2] = 255 - v;
+        imageData.data[i * 4 + 3] = 255;
+      }
+      return imageData;
+    }
+
+    it('maps every pixel onto a built-in palette', () => {
+      const result = quantizeColorsStep(createGradient(16, 16), null, { palette: 'gameboy' });
+      const allowed = new Set(getPalette('gameboy').map(colorToHex));
+
+      for (let i = 0; i < result.data.length; i += 4) {
+        const hex = colorToHex({ r: result.data[i], g: result.data[i + 1], b: result.data[i + 2] });
+        expect(allowed.has(hex)).toBe(true);
+        expect(result.data[i + 3]).toBe(255);
+      }
+    });
+
+    it('maps onto an explicit color array', () => {
+      const result = quantizeColorsStep(createGradient(8, 8), 2, { palette: ['#000000', '#ffffff'] });
+      for (let i = 0; i < result.data.length; i += 4) {
+        expect([0, 255]).toContain(result.data[i]);
+        expect(result.data[i]).toBe(result.data[i + 1]);
+        expect(result.data[i]).toBe(result.data[i + 2]);
+      }
+    });
+  });
+});
@@ -1,5 +1,14 @@
 import { describe, it, expect, beforeEach } from 'vitest';
-import { pixelateImage, pixelateImageEdgeAware, loadImage } from '../src/pixelate.js';
+import {
+  pixelateImage,
+  pixelateImageEdgeAware,
+  pixelateBatch,
+  loadImage,
+  applyAlphaThresholdStep,
+  downscaleImageStep,
+  applyOutputScaleStep,
+  applyUpscalerStep
+} from '../src/pixelate.js';
 
 // Helper to create a test canvas with colored pixels
 function createTestCanvas(width, height, color = [255, 0, 0, 255]) {
@@ -204,6 +213,58 @@ describe('pixelateImageEdgeAware', () => {
     }
   });
 
+  it('should dither at cell resolution', async () => {
+    const width = 40;
+    const height = 40;
+    const pixelSize = 5;
+    const imageData = createTestImageData(width, height, [128, 128, 128, 255]);
+
+    const result = await pixelateImageEdgeAware(imageData, pixelSize, {
+      palette: '1bit',
+      dither: 'bayer2'
+    });
+
+    // Each 5x5 block is a single palette color, alternating like a checkerboard
+    for (let by = 0; by < height / pixelSize; by++) {
+      for (let bx = 0; bx < width / pixelSize; bx++) {
+        const expected = result.data[(by * pixelSize * width + bx * pixelSize) * 4];
+        expect([0, 255]).toContain(expected);
+        for (let y = by * pixelSize; y < (by + 1) * pixelSize; y++) {
+          for (let x = bx * pixelSize; x < (bx + 1) * pixelSize; x++) {
+            expect(result.data[(y * width + x) * 4]).toBe(expected);
+          }
+        }
+      }
+    }
+    expect(result.data[0]).not.toBe(result.data[pixelSize * 4]);
+  });
+
+  it('should return palette and per-cell indices when returnIndexed is true', async () => {
+    const imageData = createTestImageData(40, 30, [128, 128, 128, 255]);
+
+    const result = await pixelateImageEdgeAware(imageData, 10, {
+      palette: '1bit',
+      dither: 'bayer2',
+      returnIndexed: true
+    });
+
+    expect(result.imageData).toBeInstanceOf(ImageData);
+    expect(result.canvas).toBeNull();
+    expect(result.palette).toHaveLength(2);
+    expect(result.cols).toBe(4);
+    expect(result.rows).toBe(3);
+    expect(result.indices).toBeInstanceOf(Uint8Array);
+    expect(result.indices).toHaveLength(12);
+
+    // Top-left pixel of each block matches its cell's palette color
+    for (let row = 0; row < result.rows; row++) {
+      for (let col = 0; col < result.cols; col++) {
+        const color = result.palette[result.indices[row * result.cols + col]];
+        expect(result.imageData.data[(row * 10 * 40 + col * 10) * 4]).toBe(color.r);
+      }
+    }
+  });
+
   it('should detect edges and apply edge-aware color sampling', async () => {
     const width = 60;
     const height = 60;
@@ -263,3 +324,143 @@ describe('pixelateImageEdgeAware', () => {
   });
 });
 
+describe('pixelateBatch', () => {
+  const frames = () => [
+    createTestImageData(20, 20, [250, 10, 10, 255]),
+    createTestImageData(20, 20, [10, 10, 250, 255]),
+    createTestImageData(20, 20, [240, 20, 20, 255])
+  ];
+
+  it('applies one shared palette to every image', async () => {
+    const { results, palette } = await pixelateBatch(frames(), 5, { colorLimit: 2 });
+
+    expect(results).toHaveLength(3);
+    expect(palette).toHaveLength(2);
+    for (const result of results) {
+      expect(result).toBeInstanceOf(ImageData);
+      const [r, g, b] = result.data;
+      expect(palette).toContainEqual({ r, g, b });
+    }
+    // Similar reds in different frames collapse onto the same palette entry
+    expect(Array.from(results[0].data.slice(0, 4))).toEqual(Array.from(results[2].data.slice(0, 4)));
+  });
+
+  it('supports edge-aware pixelation with indexed output', async () => {
+    const { results, palette } = await pixelateBatch(frames(), 5, {
+      edgeAware: true,
+      colorLimit: 2,
+      returnIndexed: true
+    });
+
+    expect(palette).toHaveLength(2);
+    for (const result of results) {
+      expect(result.palette).toEqual(palette);
+      expect(result.cols).toBe(4);
+      expect(result.rows).toBe(4);
+      expect(result.indices).toHaveLength(16);
+    }
+    expect(results[0].indices[0]).toBe(results[2].indices[0]);
+    expect(results[0].indices[0]).not.toBe(results[1].indices[0]);
+  });
+
+  it('returns a null palette when quantization is not requested', async () => {
+    const { results, palette } = await pixelateBatch(frames(), 5, { edgeAware: true, returnCanvas: true });
+    expect(palette).toBeNull();
+    expect(results[0]).toBeInstanceOf(HTMLCanvasElement);
+  });
+});
+
+describe('applyAlphaThresholdStep', () => {
+  it('snaps alpha to fully opaque or fully transparent', () => {
+    const imageData = new ImageData(3, 1);
+    imageData.data.set([10, 20, 30, 200, 40, 50, 60, 100, 70, 80, 90, 128]);
+    const result = applyAlphaThresholdStep(imageData, 128);
+
+    expect(Array.from(result.data)).toEqual([10, 20, 30, 255, 0, 0, 0, 0, 70, 80, 90, 255]);
+  });
+
+  it('returns the input unchanged without a threshold', () => {
+    const imageData = new ImageData(1, 1);
+    expect(applyAlphaThresholdStep(imageData, null)).toBe(imageData);
+  });
+});
+
+describe('downscaleImageStep', () => {
+  function checkerboard(size) {
+    const imageData = new ImageData(size, size);
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const value = (x + y) % 2 === 0 ? 255 : 0;
+        imageData.data.set([value, value, value, 255], (y * size + x) * 4);
+      }
+    }
+    return imageData;
+  }
+
+  it('averages each block in linear light when linearLight is set', () => {
+    const { scaledImageData } = downscaleImageStep(checkerboard(8), 4, { linearLight: true });
+    expect(scaledImageData.width).toBe(2);
+    for (let i = 0; i < scaledImageData.data.length; i += 4) {
+      expect(Array.from(scaledImageData.data.slice(i, i + 4))).toEqual([188, 188, 188, 255]);
+    }
+  });
+
+  it('scales to an exact grid size', () => {
+    const { scaledImageData } = downscaleImageStep(checkerboard(8), 4, { linearLight: true, gridSize: { cols: 3, rows: 5 } });
+    expect(scaledImageData.width).toBe(3);
+    expect(scaledImageData.height).toBe(5);
+    expect(() => downscaleImageStep(checkerboard(8), 4, { gridSize: { cols: 0, rows: 2 } })).toThrow('gridSize');
+  });
+});
+
+describe('applyOutputScaleStep', () => {
+  function cellImage() {
+    // 2x2 cells: red, green / blue, white
+    const imageData = new ImageData(2, 2);
+    imageData.data.set([255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255, 255, 255, 255, 255]);
+    return imageData;
+  }
+
+  it('returns the cell image unchanged for null and native', () => {
+    const cells = cellImage();
+    expect(applyOutputScaleStep(cells, null)).toBe(cells);
+    expect(applyOutputScaleStep(cells, 'native')).toBe(cells);
+  });
+
+  it('scales each cell to an integer block', () => {
+    const scaled = applyOutputScaleStep(cellImage(), 3);
+    expect(scaled.width).toBe(6);
+    expect(scaled.height).toBe(6);
+    expect(Array.from(scaled.data.slice((2 * 6 + 2) * 4, (2 * 6 + 2) * 4 + 4))).toEqual([255, 0, 0, 255]);
+    expect(Array.from(scaled.data.slice((3 * 6 + 3) * 4, (3 * 6 + 3) * 4 + 4))).toEqual([255, 255, 255, 255]);
+  });
+
+  it('scales to an explicit width and height', () => {
+    const scaled = applyOutputScaleStep(cellImage(), { width: 8, height: 4 });
+    expect(scaled.width).toBe(8);
+    expect(scaled.height).toBe(4);
+    expect(Array.from(scaled.data.slice((0 * 8 + 5) * 4, (0 * 8 + 5) * 4 + 4))).toEqual([0, 255, 0, 255]);
+    expect(Array.from(scaled.data.slice((3 * 8 + 1) * 4, (3 * 8 + 1) * 4 + 4))).toEqual([0, 0, 255, 255]);
+  });
+
+  it('rejects invalid scales', () => {
+    expect(() => applyOutputScaleStep(cellImage(), 0)).toThrow('Invalid outputScale');
+    expect(() => applyOutputScaleStep(cellImage(), 1.5)).toThrow('Invalid outputScale');
+    expect(() => applyOutputScaleStep(cellImage(), { width: 4 })).toThrow('Invalid outputScale');
+  });
+});
+
+describe('applyUpscalerStep', () => {
+  it('returns the input without an upscaler', () => {
+    const imageData = new ImageData(2, 2);
+    expect(applyUpscalerStep(imageData, null)).toBe(imageData);
+  });
+
+  it('enlarges the cell image by the upscaler factor', () => {
+    const imageData = new ImageData(3, 2);
+    imageData.data.fill(255);
+    const scaled = applyUpscalerStep(imageData, 'hq3x');
+    expect(scaled.width).toBe(9);
+    expect(scaled.height).toBe(6);
+  });
+});
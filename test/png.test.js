@@ -0,0 +1,316 @@
+import { describe, it, expect } from 'vitest';
+import { inflateSync, deflateSync } from 'node:zlib';
+import {
+  PNG_METADATA_KEYWORD,
+  encodePng,
+  encodeIndexedPng,
+  encodeTruecolorPng,
+  readPngText,
+  readPngMetadata,
+  decodePng
+} from '../src/png.js';
+import { crc32 } from '../src/deflate.js';
+import { quantizeColorsStep } from '../src/pixelate.js';
+
+// Splits a PNG into chunks, checking every CRC
+function readChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = 8;
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    expect(view.getUint32(offset + 8 + length)).toBe(crc32(bytes.subarray(offset + 4, offset + 8 + length)));
+    chunks.push({ type, data });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+// Minimal decoder for the formats the encoder writes
+function readPng(bytes) {
+  const chunks = readChunks(bytes);
+  const header = new DataView(chunks[0].data.buffer, chunks[0].data.byteOffset);
+  const width = header.getUint32(0);
+  const height = header.getUint32(4);
+  const bitDepth = chunks[0].data[8];
+  const colorType = chunks[0].data[9];
+  const idat = chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => Array.from(chunk.data)).flat();
+  const raw = new Uint8Array(inflateSync(Uint8Array.from(idat)));
+
+  const channels = { 2: 3, 3: 1, 6: 4 }[colorType];
+  const bpp = Math.max(1, (channels * bitDepth) / 8);
+  const stride = Math.ceil((width * channels * bitDepth) / 8);
+  const pixels = new Uint8Array(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    for (let i = 0; i < stride; i++) {
+      const x = raw[y * (stride + 1) + 1 + i];
+      const a = i >= bpp ? pixels[y * stride + i - bpp] : 0;
+      const b = y > 0 ? pixels[(y - 1) * stride + i] : 0;
+      const c = y > 0 && i >= bpp ? pixels[(y - 1) * stride + i - bpp] : 0;
+      const p = a + b - c;
+      const paeth = Math.abs(p - a) <= Math.abs(p - b) && Math.abs(p - a) <= Math.abs(p - c)
+        ? a : (Math.abs(p - b) <= Math.abs(p - c) ? b : c);
+      const predictor = [0, a, b, (a + b) >> 1, paeth][filter];
+      pixels[y * stride + i] = (x + predictor) & 0xff;
+    }
+  }
+
+  return { width, height, bitDepth, colorType, chunks, stride, pixels };
+}
+
+function readIndex(png, x, y) {
+  const { bitDepth, stride, pixels } = png;
+  const perByte = 8 / bitDepth;
+  const byte = pixels[y * stride + Math.floor(x / perByte)];
+  return (byte >> (8 - bitDepth * (1 + (x % perByte)))) & ((1 << bitDepth) - 1);
+}
+
+const PALETTE = [
+  { r: 0, g: 0, b: 0 },
+  { r: 255, g: 255, b: 255 },
+  { r: 255, g: 0, b: 0 },
+  { r: 0, g: 0, b: 255 },
+  { r: 0, g: 255, b: 0 }
+];
+
+describe('PNG encoding', () => {
+  describe('encodeIndexedPng', () => {
+    for (const [size, bitDepth] of [[2, 1], [4, 2], [5, 4], [16, 4], [17, 8], [256, 8]]) {
+      it(`uses ${bitDepth}-bit indices for ${size} colors`, () => {
+        const palette = Array.from({ length: size }, (_, i) => ({ r: i % 256, g: 0, b: 0 }));
+        const indices = Uint8Array.from({ length: 7 * 3 }, (_, i) => (i * 5) % size);
+        const png = readPng(encodeIndexedPng(indices, 7, 3, palette));
+
+        expect(png.bitDepth).toBe(bitDepth);
+        expect(png.colorType).toBe(3);
+        expect(png.chunks.find(chunk => chunk.type === 'PLTE').data).toHaveLength(size * 3);
+        for (let y = 0; y < 3; y++) {
+          for (let x = 0; x < 7; x++) {
+            expect(readIndex(png, x, y)).toBe(indices[y * 7 + x]);
+          }
+        }
+      });
+    }
+
+    it('writes tRNS up to the last transparent entry', () => {
+      const palette = [{ r: 0, g: 0, b: 0, a: 0 }, { r: 10, g: 20, b: 30, a: 128 }, { r: 255, g: 255, b: 255 }];
+      const png = readPng(encodeIndexedPng(new Uint8Array([0, 1, 2, 0]), 2, 2, palette));
+      const trns = png.chunks.find(chunk => chunk.type === 'tRNS');
+      expect(Array.from(trns.data)).toEqual([0, 128]);
+    });
+
+    it('omits tRNS for opaque palettes', () => {
+      const png = readPng(encodeIndexedPng(new Uint8Array([0, 1]), 2, 1, PALETTE));
+      expect(png.chunks.map(chunk => chunk.type)).toEqual(['IHDR', 'PLTE', 'IDAT', 'IEND']);
+    });
+
+    it('falls back to truecolor for palettes over 256 colors', () => {
+      const palette = Array.from({ length: 300 }, (_, i) => ({ r: i % 256, g: i >> 8, b: 0 }));
+      const png = readPng(encodeIndexedPng(Uint16Array.from([299, 0]), 2, 1, palette));
+      expect(png.colorType).toBe(2);
+      expect(Array.from(png.pixels)).toEqual([43, 1, 0, 0, 0, 0]);
+    });
+
+    it('throws when the index count does not match the size', () => {
+      expect(() => encodeIndexedPng(new Uint8Array(3), 2, 2, PALETTE)).toThrow('Expected 4 indices');
+    });
+  });
+
+  describe('encodeTruecolorPng', () => {
+    function gradient(alpha) {
+      const imageData = new ImageData(9, 6);
+      for (let i = 0; i < 9 * 6; i++) {
+        imageData.data.set([i * 4, 255 - i * 3, (i * 37) % 256, alpha(i)], i * 4);
+      }
+      return imageData;
+    }
+
+    it('writes RGB for opaque images', () => {
+      const imageData = gradient(() => 255);
+      const png = readPng(encodeTruecolorPng(imageData));
+      expect(png.colorType).toBe(2);
+      for (let i = 0; i < 9 * 6; i++) {
+        expect(Array.from(png.pixels.slice(i * 3, i * 3 + 3))).toEqual(Array.from(imageData.data.slice(i * 4, i * 4 + 3)));
+      }
+    });
+
+    it('writes RGBA for images with transparency', () => {
+      const imageData = gradient(i => (i % 3) * 100);
+      const png = readPng(encodeTruecolorPng(imageData));
+      expect(png.colorType).toBe(6);
+      expect(Array.from(png.pixels)).toEqual(Array.from(imageData.data));
+    });
+  });
+
+  describe('encodePng', () => {
+    it('encodes quantized results as indexed PNGs', () => {
+      const imageData = new ImageData(4, 4);
+      for (let i = 0; i < 16; i++) {
+        imageData.data.set(i < 8 ? [250, 10, 10, 255] : [10, 10, 250, 255], i * 4);
+      }
+      const result = quantizeColorsStep(imageData, 2, { quantizer: 'wu', returnIndexed: true });
+      const png = readPng(encodePng(result));
+
+      expect(png.width).toBe(4);
+      expect(png.bitDepth).toBe(1);
+      expect(readIndex(png, 0, 0)).toBe(result.indices[0]);
+      expect(readIndex(png, 3, 3)).toBe(result.indices[15]);
+    });
+
+    it('writes cell-resolution results at cols x rows', () => {
+      const result = {
+        imageData: new ImageData(8, 4),
+        palette: PALETTE.slice(0, 2),
+        indices: new Uint8Array([0, 1]),
+        cols: 2,
+        rows: 1
+      };
+      const png = readPng(encodePng(result));
+      expect([png.width, png.height]).toEqual([2, 1]);
+    });
+
+    it('encodes ImageData and results without a palette as truecolor', () => {
+      const imageData = new ImageData(2, 2);
+      expect(readPng(encodePng(imageData)).colorType).toBe(6);
+      expect(readPng(encodePng({ imageData, palette: null, indices: null })).colorType).toBe(6);
+    });
+  });
+
+  describe('text chunks', () => {
+    it('stores and reads back pixelation options', () => {
+      const options = { pixelSize: 4, colorLimit: 16, palette: 'pico-8', dither: 'bayer4', note: 'Ünïcødé ✓' };
+      const bytes = encodePng(new ImageData(1, 1), { metadata: options, text: { Software: 'pixel-mosaic' } });
+
+      expect(readPngMetadata(bytes)).toEqual(options);
+      expect(readPngText(bytes).Software).toBe('pixel-mosaic');
+      expect(Object.keys(readPngText(bytes))).toEqual([PNG_METADATA_KEYWORD, 'Software']);
+    });
+
+    it('returns null when no options are stored', () => {
+      expect(readPngMetadata(encodePng(new ImageData(1, 1)))).toBeNull();
+    });
+
+    it('rejects invalid keywords', () => {
+      expect(() => encodePng(new ImageData(1, 1), { text: { '': 'x' } })).toThrow('Invalid PNG text keyword');
+    });
+  });
+});
+
+// Builds a PNG from scanlines without filter bytes; passes holds one array of
+// rows per Adam7 pass for interlaced images
+function buildPng({ width, height, bitDepth, colorType, rows, passes = null, chunks = [] }) {
+  const chunk = (type, data) => {
+    const bytes = new Uint8Array(12 + data.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, data.length);
+    bytes.set(Array.from(type, char => char.charCodeAt(0)), 4);
+    bytes.set(data, 8);
+    view.setUint32(8 + data.length, crc32(bytes.subarray(4, 8 + data.length)));
+    return bytes;
+  };
+  const header = new Uint8Array(13);
+  new DataView(header.buffer).setUint32(0, width);
+  new DataView(header.buffer).setUint32(4, height);
+  header.set([bitDepth, colorType, 0, 0, passes ? 1 : 0], 8);
+
+  const raw = (passes || [rows]).flat().flatMap(row => [0, ...row]);
+  const parts = [
+    Uint8Array.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    ...chunks.map(([type, data]) => chunk(type, Uint8Array.from(data))),
+    chunk('IDAT', new Uint8Array(deflateSync(Uint8Array.from(raw)))),
+    chunk('IEND', new Uint8Array(0))
+  ];
+  return Uint8Array.from(parts.flatMap(part => Array.from(part)));
+}
+
+function pixelAt(imageData, x, y) {
+  const idx = (y * imageData.width + x) * 4;
+  return Array.from(imageData.data.slice(idx, idx + 4));
+}
+
+describe('PNG decoding', () => {
+  const image = new ImageData(7, 5);
+  for (let i = 0; i < image.data.length; i++) {
+    image.data[i] = (i * 37) % 256;
+  }
+
+  it('round-trips truecolor images', () => {
+    expect(decodePng(encodeTruecolorPng(image)).data).toEqual(image.data);
+
+    const opaque = new ImageData(image.width, image.height);
+    opaque.data.set(image.data);
+    for (let i = 3; i < opaque.data.length; i += 4) {
+      opaque.data[i] = 255;
+    }
+    expect(decodePng(encodeTruecolorPng(opaque).buffer).data).toEqual(opaque.data);
+  });
+
+  it('round-trips indexed images with transparency', () => {
+    const palette = [...PALETTE, { r: 0, g: 0, b: 0, a: 0 }];
+    const indices = Uint8Array.from({ length: 35 }, (_, i) => i % palette.length);
+    const decoded = decodePng(encodeIndexedPng(indices, 7, 5, palette));
+    expect(decoded).toMatchObject({ width: 7, height: 5 });
+    expect(pixelAt(decoded, 2, 0)).toEqual([255, 0, 0, 255]);
+    expect(pixelAt(decoded, 5, 0)).toEqual([0, 0, 0, 0]);
+
+    const twoColors = decodePng(encodeIndexedPng(indices.map(i => i % 2), 7, 5, PALETTE.slice(0, 2)));
+    expect(pixelAt(twoColors, 1, 0)).toEqual([255, 255, 255, 255]);
+  });
+
+  it('reads low bit depth grayscale with a transparent key', () => {
+    const bytes = buildPng({
+      width: 4, height: 1, bitDepth: 2, colorType: 0,
+      rows: [[0b00011011]],
+      chunks: [['tRNS', [0, 2]]]
+    });
+    const decoded = decodePng(bytes);
+    expect(pixelAt(decoded, 0, 0)).toEqual([0, 0, 0, 255]);
+    expect(pixelAt(decoded, 1, 0)).toEqual([85, 85, 85, 255]);
+    expect(pixelAt(decoded, 2, 0)).toEqual([170, 170, 170, 0]);
+    expect(pixelAt(decoded, 3, 0)).toEqual([255, 255, 255, 255]);
+  });
+
+  it('reduces 16-bit samples to 8 bits', () => {
+    const bytes = buildPng({
+      width: 1, height: 1, bitDepth: 16, colorType: 4,
+      rows: [[0x12, 0x34, 0x80, 0x00]]
+    });
+    expect(pixelAt(decodePng(bytes), 0, 0)).toEqual([0x12, 0x12, 0x12, 0x80]);
+  });
+
+  it('reads interlaced images', () => {
+    const width = 5, height = 5;
+    const color = (x, y) => [x * 50, y * 50, 100];
+    const passes = [
+      [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+    ].map(([x0, y0, dx, dy]) => {
+      const rows = [];
+      for (let y = y0; y < height; y += dy) {
+        const row = [];
+        for (let x = x0; x < width; x += dx) {
+          row.push(...color(x, y));
+        }
+        if (row.length > 0) rows.push(row);
+      }
+      return rows;
+    });
+    const decoded = decodePng(buildPng({ width, height, bitDepth: 8, colorType: 2, passes }));
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        expect(pixelAt(decoded, x, y)).toEqual([...color(x, y), 255]);
+      }
+    }
+  });
+
+  it('rejects invalid files', () => {
+    expect(() => decodePng(new Uint8Array(16))).toThrow('Not a PNG file');
+    const bytes = buildPng({ width: 1, height: 1, bitDepth: 4, colorType: 2, rows: [[0]] });
+    expect(() => decodePng(bytes)).toThrow('Unsupported PNG format: color type 2, bit depth 4');
+    expect(() => decodePng(buildPng({ width: 1, height: 1, bitDepth: 8, colorType: 3, rows: [[0]] })))
+      .toThrow('no PLTE chunk');
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { PROGRESS_STAGES, throwIfAborted, yieldIfAbortable, createProgressReporter } from '../src/progress.js';
+import { calculateEdgeMap } from '../src/edgeDetection.js';
+import { createInitialGrid, optimizeGridCorners } from '../src/gridOptimization.js';
+import { calculateEdgeStatistics } from '../src/tiling.js';
+import { pixelateImageEdgeAware, pixelateBatch } from '../src/pixelate.js';
+import { setSurfaceBackend } from '../src/surface.js';
+
+// Diagonal red/blue split with some noise, so the edge-aware grid has work to do
+function createImage(width = 32, height = 24) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const noise = (x * 7 + y * 13) % 16;
+      data.set(x > y ? [220 - noise, 30, 30, 255] : [30, 30, 220 - noise, 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+function abortedSignal(reason) {
+  const controller = new AbortController();
+  controller.abort(reason);
+  return controller.signal;
+}
+
+afterEach(() => {
+  setSurfaceBackend(null);
+});
+
+describe('Progress helpers', () => {
+  it('weights stage fractions and merges details', () => {
+    const events = [];
+    const report = createProgressReporter(event => events.push(event), { a: 1, b: 3 });
+    report('a');
+    report('b', 0.5, { iteration: 2 });
+    report('b');
+
+    expect(events.map(event => event.fraction)).toEqual([0.25, 0.625, 1]);
+    expect(events[0]).toMatchObject({ stage: 'a', iteration: null });
+    expect(events[1].iteration).toBe(2);
+    expect(events[2].elapsedMs).toBeGreaterThanOrEqual(0);
+    expect(() => report('c')).toThrow('Unknown progress stage: c. Available stages: a, b');
+    expect(() => createProgressReporter(null, { a: 1 })('a')).not.toThrow();
+  });
+
+  it('works without the performance and DOMException globals', () => {
+    vi.stubGlobal('performance', undefined);
+    vi.stubGlobal('DOMException', undefined);
+    try {
+      const events = [];
+      createProgressReporter(event => events.push(event), { a: 1 })('a');
+      expect(events[0].elapsedMs).toBeGreaterThanOrEqual(0);
+      // Signals from runtimes without abort reasons
+      expect(() => throwIfAborted({ aborted: true })).toThrow(expect.objectContaining({ name: 'AbortError' }));
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+
+  it('throws the abort reason', async () => {
+    expect(() => throwIfAborted(null)).not.toThrow();
+    expect(() => throwIfAborted(new AbortController().signal)).not.toThrow();
+    expect(() => throwIfAborted(abortedSignal())).toThrow(expect.objectContaining({ name: 'AbortError' }));
+    expect(() => throwIfAborted(abortedSignal(new Error('stop')))).toThrow('stop');
+    await expect(yieldIfAbortable(abortedSignal())).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
+
+describe('pixelateImageEdgeAware progress', () => {
+  it('reports every stage in order with optimization iterations', async () => {
+    setSurfaceBackend('pure');
+    const events = [];
+    await pixelateImageEdgeAware(createImage(), 4, { numIterations: 6, colorLimit: 4, onProgress: event => events.push(event) });
+
+    expect([...new Set(events.map(event => event.stage))]).toEqual(PROGRESS_STAGES);
+    expect(events.filter(event => event.stage === 'grid-optimization').map(event => event.iteration)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(events.every(event => event.usingGPU === false)).toBe(true);
+    for (let i = 1; i < events.length; i++) {
+      expect(events[i].fraction).toBeGreaterThanOrEqual(events[i - 1].fraction);
+      expect(events[i].elapsedMs).toBeGreaterThanOrEqual(events[i - 1].elapsedMs);
+    }
+    expect(events.at(-1).fraction).toBe(1);
+  });
+
+  it('reports tiles in tiled mode', async () => {
+    setSurfaceBackend('pure');
+    const events = [];
+    await pixelateImageEdgeAware(createImage(), 4, { tileSize: 16, onProgress: event => events.push(event) });
+
+    expect(events.filter(event => event.stage === 'rendering').map(event => event.iteration)).toEqual([1, 2, 3, 4]);
+    expect(events.some(event => event.stage === 'grid-creation')).toBe(false);
+    expect(events.at(-1)).toMatchObject({ stage: 'quantization', fraction: 1 });
+  });
+});
+
+describe('Cancellation', () => {
+  it('stops edge detection and grid optimization', () => {
+    const image = createImage();
+    const edgeMap = calculateEdgeMap(image);
+    const grid = createInitialGrid(image.width, image.height, 4);
+
+    expect(() => calculateEdgeMap(image, { signal: abortedSignal() })).toThrow(expect.objectContaining({ name: 'AbortError' }));
+    expect(() => optimizeGridCorners(grid, edgeMap, image.width, image.height, { signal: abortedSignal() })).toThrow('This operation was aborted');
+    expect(() => calculateEdgeStatistics(image, { tileSize: 16, signal: abortedSignal() })).toThrow('This operation was aborted');
+  });
+
+  it('stops between optimization iterations', () => {
+    const image = createImage();
+    const grid = createInitialGrid(image.width, image.height, 4);
+    const controller = new AbortController();
+    const iterations = [];
+
+    expect(() => optimizeGridCorners(grid, calculateEdgeMap(image), image.width, image.height, {
+      numIterations: 5,
+      signal: controller.signal,
+      onProgress: ({ iteration }) => {
+        iterations.push(iteration);
+        if (iteration === 2) controller.abort();
+      }
+    })).toThrow('This operation was aborted');
+    expect(iterations).toEqual([1, 2]);
+  });
+
+  it('rejects pixelation with the abort reason', async () => {
+    setSurfaceBackend('pure');
+    const reason = new Error('cancelled by user');
+    await expect(pixelateImageEdgeAware(createImage(), 4, { signal: abortedSignal(reason) })).rejects.toBe(reason);
+    await expect(pixelateImageEdgeAware(createImage(), 4, { tileSize: 16, signal: abortedSignal() }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    await expect(pixelateBatch([createImage()], 4, { signal: abortedSignal() })).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('stops mid-run when aborted from a progress callback', async () => {
+    setSurfaceBackend('pure');
+    const controller = new AbortController();
+    const stages = [];
+
+    await expect(pixelateImageEdgeAware(createImage(), 4, {
+      signal: controller.signal,
+      onProgress: ({ stage }) => {
+        stages.push(stage);
+        if (stage === 'grid-creation') controller.abort();
+      }
+    })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(stages).toEqual(['edge-detection', 'grid-creation']);
+  });
+});
@@ -86,6 +86,19 @@ describe('applyProjection', () => {
     expect(result).toBeInstanceOf(HTMLCanvasElement);
   });
 
+  it('interpolates in linear light when linearLight is set', () => {
+    // Black and white columns, sampled halfway between them
+    const imageData = new ImageData(2, 1);
+    imageData.data.set([0, 0, 0, 255, 255, 255, 255, 255]);
+    const shift = [1, 0, 0.5, 0, 1, 0, 0, 0];
+
+    const srgb = applyProjection(imageData, shift, { interpolation: 'bilinear' });
+    const linear = applyProjection(imageData, shift, { interpolation: 'bilinear', linearLight: true });
+
+    expect(srgb.data[0]).toBe(128);
+    expect(linear.data[0]).toBe(188);
+  });
+
   it('handles different fill modes', () => {
     const canvas = createTestCanvas(100, 100);
     const rotation = rotationMatrix(Math.PI / 4, 50, 50);
@@ -0,0 +1,296 @@
+import { describe, it, expect } from 'vitest';
+import {
+  QUANTIZERS,
+  buildPalette,
+  mapToPalette,
+  mapToPaletteIndexed,
+  createIndexBuffer,
+  createRandom
+} from '../src/quantization.js';
+import { quantizeColorsStep } from '../src/pixelate.js';
+
+// Helper to create ImageData from a per-pixel color function
+function createImageData(width, height, colorAt) {
+  const imageData = new ImageData(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [r, g, b] = colorAt(x, y);
+      const idx = (y * width + x) * 4;
+      imageData.data[idx] = r;
+      imageData.data[idx + 1] = g;
+      imageData.data[idx + 2] = b;
+      imageData.data[idx + 3] = 255;
+    }
+  }
+  return imageData;
+}
+
+// Four noisy color clusters in the image quadrants
+const CLUSTERS = [[200, 30, 30], [30, 160, 30], [30, 30, 200], [220, 220, 220]];
+
+function createClusteredImage(size = 32) {
+  const random = createRandom(42);
+  return createImageData(size, size, (x, y) => {
+    const base = CLUSTERS[(y < size / 2 ? 0 : 2) + (x < size / 2 ? 0 : 1)];
+    return base.map(v => Math.max(0, Math.min(255, Math.round(v + (random() - 0.5) * 20))));
+  });
+}
+
+function distance(a, b) {
+  return Math.sqrt((a[0] - b.r) ** 2 + (a[1] - b.g) ** 2 + (a[2] - b.b) ** 2);
+}
+
+describe('Color Quantization', () => {
+  describe('buildPalette', () => {
+    for (const quantizer of QUANTIZERS) {
+      it(`${quantizer} respects the color limit`, () => {
+        const imageData = createImageData(32, 32, (x, y) => [x * 8, y * 8, (x + y) * 4]);
+        const palette = buildPalette(imageData, 16, { quantizer });
+        expect(palette.length).toBeGreaterThan(0);
+        expect(palette.length).toBeLessThanOrEqual(16);
+        for (const color of palette) {
+          for (const channel of ['r', 'g', 'b']) {
+            expect(Number.isInteger(color[channel])).toBe(true);
+            expect(color[channel]).toBeGreaterThanOrEqual(0);
+            expect(color[channel]).toBeLessThanOrEqual(255);
+          }
+        }
+      });
+    }
+
+    for (const quantizer of ['median-cut', 'octree', 'wu', 'kmeans']) {
+      it(`${quantizer} finds every color cluster`, () => {
+        const palette = buildPalette(createClusteredImage(), 4, { quantizer });
+        for (const cluster of CLUSTERS) {
+          const nearest = Math.min(...palette.map(color => distance(cluster, color)));
+          expect(nearest).toBeLessThan(20);
+        }
+      });
+
+      it(`${quantizer} keeps exact colors when there are few distinct colors`, () => {
+        const imageData = createImageData(8, 8, (x) => (x < 4 ? [10, 20, 30] : [250, 240, 230]));
+        const palette = buildPalette(imageData, 4, { quantizer });
+        expect(palette).toHaveLength(2);
+        expect(palette).toContainEqual({ r: 10, g: 20, b: 30 });
+        expect(palette).toContainEqual({ r: 250, g: 240, b: 230 });
+      });
+    }
+
+    it('kmeans is reproducible for a given seed', () => {
+      const imageData = createImageData(32, 32, (x, y) => [x * 8, y * 8, (x * y) % 256]);
+      const first = buildPalette(imageData, 8, { quantizer: 'kmeans', seed: 7 });
+      const second = buildPalette(imageData, 8, { quantizer: 'kmeans', seed: 7 });
+      expect(first).toEqual(second);
+    });
+
+    it('throws for unknown quantizers', () => {
+      const imageData = createImageData(4, 4, () => [0, 0, 0]);
+      expect(() => buildPalette(imageData, 4, { quantizer: 'magic' })).toThrow('Unknown quantizer');
+    });
+  });
+
+  describe('mapToPalette', () => {
+    it('maps pixels to the nearest palette color and keeps alpha', () => {
+      const imageData = createImageData(2, 1, (x) => (x === 0 ? [20, 10, 0] : [240, 250, 230]));
+      imageData.data[3] = 128;
+      const result = mapToPalette(imageData, [{ r: 0, g: 0, b: 0 }, { r: 255, g: 255, b: 255 }]);
+      expect(Array.from(result.data)).toEqual([0, 0, 0, 128, 255, 255, 255, 255]);
+    });
+  });
+
+  describe('lockedColors and reservedSlots', () => {
+    for (const quantizer of QUANTIZERS) {
+      it(`${quantizer} keeps locked colors first and fills the remaining slots`, () => {
+        const locked = ['#000000', [255, 0, 255]];
+        const palette = buildPalette(createClusteredImage(), 6, { quantizer, lockedColors: locked });
+
+        expect(palette.slice(0, 2)).toEqual([{ r: 0, g: 0, b: 0 }, { r: 255, g: 0, b: 255 }]);
+        expect(palette.length).toBeLessThanOrEqual(6);
+        expect(palette.length).toBeGreaterThan(2);
+      });
+    }
+
+    it('keeps rare locked colors that the quantizer would drop', () => {
+      // A single black outline pixel in a large cluster image
+      const imageData = createClusteredImage();
+      imageData.data.set([0, 0, 0, 255], 0);
+
+      const palette = buildPalette(imageData, 2, { quantizer: 'median-cut', lockedColors: ['#000'] });
+      expect(palette[0]).toEqual({ r: 0, g: 0, b: 0 });
+      expect(palette).toHaveLength(2);
+      expect(mapToPaletteIndexed(imageData, palette).indices[0]).toBe(0);
+    });
+
+    it('does not spend slots on pixels matching locked colors', () => {
+      const imageData = createImageData(4, 1, x => (x < 3 ? [0, 0, 0] : [200, 100, 50]));
+      const palette = buildPalette(imageData, 2, { quantizer: 'wu', lockedColors: ['#000000'] });
+      expect(palette).toEqual([{ r: 0, g: 0, b: 0 }, { r: 200, g: 100, b: 50 }]);
+    });
+
+    it('leaves reserved slots unused', () => {
+      const palette = buildPalette(createClusteredImage(), 4, { quantizer: 'kmeans', lockedColors: ['#fff'], reservedSlots: 1 });
+      expect(palette).toHaveLength(3);
+      expect(palette[0]).toEqual({ r: 255, g: 255, b: 255 });
+    });
+
+    it('throws when locked colors and reserved slots exceed the limit', () => {
+      expect(() => buildPalette(createClusteredImage(), 2, { lockedColors: ['#000', '#fff'], reservedSlots: 1 }))
+        .toThrow('too small');
+    });
+
+    it('adds locked colors to a fixed palette', () => {
+      const imageData = createImageData(1, 1, () => [250, 0, 0]);
+      const result = quantizeColorsStep(imageData, null, {
+        palette: 'gameboy',
+        lockedColors: ['#ff0000', '#0f380f'],
+        returnIndexed: true
+      });
+
+      expect(result.palette).toHaveLength(5);
+      expect(result.palette[0]).toEqual({ r: 255, g: 0, b: 0 });
+      expect(result.indices[0]).toBe(0);
+    });
+  });
+
+  describe('mapToPaletteIndexed', () => {
+    it('returns the palette and one index per pixel', () => {
+      const imageData = createImageData(3, 1, x => [x * 120, x * 120, x * 120]);
+      const palette = [{ r: 255, g: 255, b: 255 }, { r: 0, g: 0, b: 0 }];
+      const result = mapToPaletteIndexed(imageData, palette);
+
+      expect(result.palette).toBe(palette);
+      expect(result.indices).toBeInstanceOf(Uint8Array);
+      expect(Array.from(result.indices)).toEqual([1, 1, 0]);
+      expect(Array.from(result.imageData.data.slice(0, 4))).toEqual([0, 0, 0, 255]);
+    });
+
+    it('uses 16-bit indices for palettes larger than 256 colors', () => {
+      expect(createIndexBuffer(4, 256)).toBeInstanceOf(Uint8Array);
+      expect(createIndexBuffer(4, 257)).toBeInstanceOf(Uint16Array);
+    });
+  });
+
+  describe('transparency', () => {
+    function createSprite() {
+      // Red and blue pixels on a fully transparent background
+      const imageData = createImageData(4, 4, x => (x < 2 ? [200, 0, 0] : [0, 0, 200]));
+      for (let i = 0; i < 16; i++) {
+        if (i % 4 === 0 || i % 4 === 3) imageData.data.set([0, 0, 0, 0], i * 4);
+      }
+      return imageData;
+    }
+
+    it('appends a transparent entry that counts against the color limit', () => {
+      const palette = buildPalette(createSprite(), 3, { quantizer: 'wu' });
+      expect(palette).toHaveLength(3);
+      expect(palette[2]).toEqual({ r: 0, g: 0, b: 0, a: 0 });
+      expect(palette).toContainEqual({ r: 200, g: 0, b: 0 });
+      expect(palette).toContainEqual({ r: 0, g: 0, b: 200 });
+    });
+
+    it('rejects a color limit with no room for visible colors', () => {
+      expect(() => buildPalette(createSprite(), 1)).toThrow('colorLimit (1) leaves no room for visible colors');
+      expect(() => buildPalette(createSprite(), 2, { reservedSlots: 1 })).toThrow('and 1 reserved slots');
+      expect(buildPalette(createSprite(), 2, { lockedColors: ['#c80000'] })).toEqual([
+        { r: 200, g: 0, b: 0 },
+        { r: 0, g: 0, b: 0, a: 0 }
+      ]);
+
+      const empty = createImageData(2, 2, () => [0, 0, 0]);
+      empty.data.fill(0);
+      expect(buildPalette(empty, 1)).toEqual([{ r: 0, g: 0, b: 0, a: 0 }]);
+    });
+
+    it('does not add a transparent entry for opaque images', () => {
+      const palette = buildPalette(createClusteredImage(16), 4, { quantizer: 'wu' });
+      expect(palette.every(color => color.a === undefined)).toBe(true);
+    });
+
+    it('maps transparent pixels to the transparent index', () => {
+      const palette = [{ r: 0, g: 0, b: 0 }, { r: 200, g: 0, b: 0 }, { r: 0, g: 0, b: 0, a: 0 }];
+      const imageData = createImageData(2, 1, () => [0, 0, 0]);
+      imageData.data[3] = 0;
+      const result = mapToPaletteIndexed(imageData, palette);
+
+      expect(Array.from(result.indices)).toEqual([2, 0]);
+      expect(Array.from(result.imageData.data)).toEqual([0, 0, 0, 0, 0, 0, 0, 255]);
+    });
+
+    it('adds a transparent entry to fixed palettes', () => {
+      const result = quantizeColorsStep(createSprite(), null, { palette: 'gameboy', returnIndexed: true });
+      expect(result.palette).toHaveLength(5);
+      expect(result.palette[4]).toEqual({ r: 0, g: 0, b: 0, a: 0 });
+      expect(result.indices[0]).toBe(4);
+      expect(result.imageData.data[3]).toBe(0);
+    });
+  });
+
+  describe('colorSpace', () => {
+    it('uses the selected color space when mapping pixels', () => {
+      const imageData = createImageData(1, 1, () => [50, 50, 50]);
+      const palette = [{ r: 0, g: 0, b: 0 }, { r: 128, g: 128, b: 128 }];
+
+      expect(mapToPalette(imageData, palette, { colorSpace: 'rgb' }).data[0]).toBe(0);
+      expect(mapToPalette(imageData, palette, { colorSpace: 'oklab' }).data[0]).toBe(128);
+    });
+
+    for (const colorSpace of ['oklab', 'lab76', 'ciede2000']) {
+      it(`builds valid palettes in ${colorSpace}`, () => {
+        for (const quantizer of QUANTIZERS) {
+          const palette = buildPalette(createClusteredImage(16), 4, { quantizer, colorSpace });
+          expect(palette.length).toBeGreaterThan(0);
+          expect(palette.length).toBeLessThanOrEqual(4);
+        }
+      });
+    }
+
+    it('finds color clusters with k-means in OKLab', () => {
+      const palette = buildPalette(createClusteredImage(), 4, { quantizer: 'kmeans', colorSpace: 'oklab' });
+      for (const cluster of CLUSTERS) {
+        const nearest = Math.min(...palette.map(color => distance(cluster, color)));
+        expect(nearest).toBeLessThan(20);
+      }
+    });
+  });
+
+  describe('quantizeColorsStep with returnIndexed', () => {
+    it('returns imageData, palette and indices', () => {
+      const imageData = createClusteredImage(16);
+      const result = quantizeColorsStep(imageData, 4, { quantizer: 'wu', returnIndexed: true });
+
+      expect(result.palette.length).toBeLessThanOrEqual(4);
+      expect(result.indices).toHaveLength(16 * 16);
+      for (let pixel = 0; pixel < result.indices.length; pixel++) {
+        const color = result.palette[result.indices[pixel]];
+        expect(Array.from(result.imageData.data.slice(pixel * 4, pixel * 4 + 3))).toEqual([color.r, color.g, color.b]);
+      }
+    });
+
+    it('returns indices for dithered output', () => {
+      const imageData = createImageData(8, 8, () => [128, 128, 128]);
+      const result = quantizeColorsStep(imageData, null, { palette: '1bit', dither: 'bayer2', returnIndexed: true });
+
+      expect(result.palette).toHaveLength(2);
+      expect(Array.from(result.indices.slice(0, 4))).toEqual([result.indices[0], 1 - result.indices[0], result.indices[0], 1 - result.indices[0]]);
+    });
+
+    it('returns null palette and indices when nothing is quantized', () => {
+      const imageData = createImageData(2, 2, () => [1, 2, 3]);
+      expect(quantizeColorsStep(imageData, null, { returnIndexed: true })).toEqual({ imageData, palette: null, indices: null });
+    });
+  });
+
+  describe('quantizeColorsStep with quantizer', () => {
+    it('only outputs palette colors for every quantizer', () => {
+      const imageData = createClusteredImage(16);
+      for (const quantizer of QUANTIZERS) {
+        const result = quantizeColorsStep(imageData, 4, { quantizer });
+        const colors = new Set();
+        for (let i = 0; i < result.data.length; i += 4) {
+          colors.add(`${result.data[i]},${result.data[i + 1]},${result.data[i + 2]}`);
+        }
+        expect(colors.size).toBeLessThanOrEqual(4);
+      }
+    });
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  SURFACE_BACKENDS,
+  PixelSurface,
+  setSurfaceBackend,
+  getSurfaceBackend,
+  createSurface,
+  createImageData,
+  isImageData,
+  getImageSize
+} from '../src/surface.js';
+import { pixelateImage, pixelateImageEdgeAware, convertToImageData } from '../src/pixelate.js';
+import { applyProjection } from '../src/projection.js';
+
+const RED = [255, 0, 0, 255];
+const BLUE = [0, 0, 255, 255];
+
+// Plain object image data, as runtimes without a global ImageData produce it
+function createImage(width, height, colorAt) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set(colorAt(x, y), (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+function pixelAt(imageData, x, y) {
+  const idx = (y * imageData.width + x) * 4;
+  return Array.from(imageData.data.slice(idx, idx + 4));
+}
+
+afterEach(() => {
+  setSurfaceBackend(null);
+});
+
+describe('Surface backends', () => {
+  it('selects backends by name', () => {
+    expect(SURFACE_BACKENDS).toEqual(['canvas', 'pure']);
+    setSurfaceBackend('pure');
+    expect(getSurfaceBackend().name).toBe('pure');
+    expect(createSurface(3, 2)).toBeInstanceOf(PixelSurface);
+  });
+
+  it('rejects unknown backends', () => {
+    expect(() => setSurfaceBackend('webgpu')).toThrow('Unknown surface backend: webgpu');
+    expect(() => setSurfaceBackend({})).toThrow('createSurface and createImageData');
+  });
+
+  it('accepts a custom backend', () => {
+    const created = [];
+    setSurfaceBackend({
+      createSurface(width, height) {
+        created.push([width, height]);
+        return new PixelSurface(width, height);
+      },
+      createImageData(width, height) {
+        return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+      }
+    });
+    expect(getSurfaceBackend()).toMatchObject({ name: 'custom', webgl: false });
+    pixelateImage(createImage(8, 8, () => RED), 4, { returnCanvas: true });
+    expect(created).toContainEqual([8, 8]);
+  });
+
+  it('creates image data without a global ImageData', () => {
+    const globalImageData = globalThis.ImageData;
+    delete globalThis.ImageData;
+    try {
+      const imageData = createImageData(3, 2);
+      expect(imageData).toMatchObject({ width: 3, height: 2 });
+      expect(imageData.data).toBeInstanceOf(Uint8ClampedArray);
+      expect(imageData.data.length).toBe(24);
+    } finally {
+      globalThis.ImageData = globalImageData;
+    }
+  });
+
+  it('recognizes image data by shape', () => {
+    expect(isImageData(createImage(2, 2, () => RED))).toBe(true);
+    expect(isImageData({ width: 2, height: 2, data: new Uint8ClampedArray(4) })).toBe(false);
+    expect(isImageData(new PixelSurface(2, 2))).toBe(false);
+    expect(getImageSize(new PixelSurface(5, 4))).toEqual({ width: 5, height: 4 });
+    expect(() => getImageSize('image.png')).toThrow('Unsupported image type');
+  });
+});
+
+describe('PixelSurface', () => {
+  it('round-trips image data', () => {
+    const surface = new PixelSurface(4, 4);
+    const ctx = surface.getContext('2d');
+    ctx.putImageData(createImage(2, 2, () => RED), 1, 1);
+    const imageData = ctx.getImageData(0, 0, 4, 4);
+    expect(pixelAt(imageData, 0, 0)).toEqual([0, 0, 0, 0]);
+    expect(pixelAt(imageData, 1, 1)).toEqual(RED);
+    expect(pixelAt(imageData, 2, 2)).toEqual(RED);
+    expect(surface.getContext('webgl')).toBeNull();
+  });
+
+  it('scales with nearest-neighbor sampling', () => {
+    const source = createImage(2, 2, (x, y) => (x === y ? RED : BLUE));
+    const surface = new PixelSurface(4, 4);
+    const ctx = surface.getContext('2d');
+    ctx.drawImage(source, 0, 0, 4, 4);
+    const imageData = ctx.getImageData(0, 0, 4, 4);
+    expect(pixelAt(imageData, 1, 1)).toEqual(RED);
+    expect(pixelAt(imageData, 3, 0)).toEqual(BLUE);
+    expect(pixelAt(imageData, 3, 3)).toEqual(RED);
+
+    const small = new PixelSurface(1, 1);
+    small.getContext('2d').drawImage(surface, 0, 0, 1, 1);
+    expect(pixelAt(small.getContext('2d').getImageData(0, 0, 1, 1), 0, 0)).toEqual(RED);
+  });
+
+  it('draws a source rectangle', () => {
+    const source = createImage(4, 1, x => (x < 2 ? RED : BLUE));
+    const surface = new PixelSurface(2, 2);
+    const ctx = surface.getContext('2d');
+    ctx.drawImage(source, 2, 0, 2, 1, 0, 0, 2, 2);
+    const imageData = ctx.getImageData(0, 0, 2, 2);
+    expect(pixelAt(imageData, 0, 0)).toEqual(BLUE);
+    expect(pixelAt(imageData, 1, 1)).toEqual(BLUE);
+  });
+
+  it('composites translucent pixels over the surface', () => {
+    const surface = new PixelSurface(1, 1);
+    const ctx = surface.getContext('2d');
+    ctx.putImageData(createImage(1, 1, () => BLUE), 0, 0);
+    ctx.drawImage(createImage(1, 1, () => [255, 0, 0, 128]), 0, 0);
+    const [r, g, b, a] = pixelAt(ctx.getImageData(0, 0, 1, 1), 0, 0);
+    expect(r).toBeCloseTo(128, -1);
+    expect(g).toBe(0);
+    expect(b).toBeCloseTo(127, -1);
+    expect(a).toBe(255);
+  });
+
+  it('strokes paths', () => {
+    const surface = new PixelSurface(5, 5);
+    const ctx = surface.getContext('2d');
+    ctx.strokeStyle = 'rgba(255, 0, 0, 1.0)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, 2.5);
+    ctx.lineTo(5, 2.5);
+    ctx.stroke();
+    const imageData = ctx.getImageData(0, 0, 5, 5);
+    expect(pixelAt(imageData, 3, 2)).toEqual(RED);
+    expect(pixelAt(imageData, 3, 0)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('clears when resized', () => {
+    const surface = new PixelSurface(1, 1);
+    surface.getContext('2d').putImageData(createImage(1, 1, () => RED), 0, 0);
+    surface.width = 2;
+    expect(Array.from(surface.getContext('2d').getImageData(0, 0, 2, 1).data)).toEqual(new Array(8).fill(0));
+  });
+});
+
+describe('Pure backend pipeline', () => {
+  const image = createImage(16, 16, x => (x < 8 ? RED : BLUE));
+
+  it('pixelates plain image data', () => {
+    setSurfaceBackend('pure');
+    const result = pixelateImage(image, 4, { colorLimit: 2 });
+    expect(result).toMatchObject({ width: 16, height: 16 });
+    expect(pixelAt(result, 1, 1)).toEqual(RED);
+    expect(pixelAt(result, 14, 14)).toEqual(BLUE);
+
+    const canvas = pixelateImage(image, 4, { returnCanvas: true });
+    expect(canvas).toBeInstanceOf(PixelSurface);
+    expect(convertToImageData(canvas).data).toEqual(result.data);
+  });
+
+  it('runs edge-aware pixelation with intermediates', async () => {
+    setSurfaceBackend('pure');
+    const result = await pixelateImageEdgeAware(image, 4, { captureIntermediates: true });
+    expect(result.usingGPU).toBe(false);
+    expect(result.canvas).toBeInstanceOf(PixelSurface);
+    for (const step of result.intermediates) {
+      expect(step.canvas).toBeInstanceOf(PixelSurface);
+    }
+  });
+
+  it('applies projections', () => {
+    setSurfaceBackend('pure');
+    const shifted = applyProjection(image, [1, 0, 8, 0, 1, 0, 0, 0]);
+    expect(pixelAt(shifted, 0, 0)).toEqual(BLUE);
+    expect(applyProjection(image, [1, 0, 0, 0, 1, 0, 0, 0], { returnCanvas: true })).toBeInstanceOf(PixelSurface);
+  });
+});
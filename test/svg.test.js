@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { SVG_ELEMENTS, encodeSvg, mergeCellRuns } from '../src/svg.js';
+
+const PALETTE = [
+  { r: 255, g: 0, b: 0 },
+  { r: 0, g: 0, b: 255, name: 'Sky & Sea' },
+  { r: 0, g: 0, b: 0, a: 0 }
+];
+
+function parseSvg(text) {
+  const doc = new window.DOMParser().parseFromString(text, 'image/svg+xml');
+  expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+  return doc.documentElement;
+}
+
+// Paints the merged rectangles back onto a grid to check coverage
+function paint(rects, width, height) {
+  const cells = new Array(width * height).fill(-1);
+  for (const rect of rects) {
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+      for (let x = rect.x; x < rect.x + rect.width; x++) {
+        expect(cells[y * width + x]).toBe(-1);
+        cells[y * width + x] = rect.index;
+      }
+    }
+  }
+  return cells;
+}
+
+describe('SVG export', () => {
+  describe('mergeCellRuns', () => {
+    it('merges runs and identical runs in consecutive rows', () => {
+      const indices = [
+        0, 0, 0, 1,
+        0, 0, 0, 1,
+        1, 1, 0, 0
+      ];
+      const rects = mergeCellRuns(indices, 4, 3);
+
+      expect(rects).toContainEqual({ x: 0, y: 0, width: 3, height: 2, index: 0 });
+      expect(rects).toContainEqual({ x: 3, y: 0, width: 1, height: 2, index: 1 });
+      expect(rects).toHaveLength(4);
+      expect(paint(rects, 4, 3)).toEqual(indices);
+    });
+
+    it('covers every cell exactly once', () => {
+      const indices = Array.from({ length: 15 * 11 }, (_, i) => ((i * 7) >> 3) % 3);
+      expect(paint(mergeCellRuns(indices, 15, 11), 15, 11)).toEqual(indices);
+    });
+  });
+
+  describe('encodeSvg', () => {
+    const result = { palette: PALETTE, indices: new Uint8Array([0, 0, 1, 2, 0, 0, 1, 2]), cols: 4, rows: 2 };
+
+    it('writes one path per palette color', () => {
+      const svg = parseSvg(encodeSvg(result, { cellSize: 10 }));
+
+      expect(svg.getAttribute('width')).toBe('40');
+      expect(svg.getAttribute('viewBox')).toBe('0 0 40 20');
+      expect(svg.getAttribute('shape-rendering')).toBe('crispEdges');
+
+      const paths = svg.getElementsByTagName('path');
+      expect(paths).toHaveLength(2);
+      expect(paths[0].getAttribute('fill')).toBe('#ff0000');
+      expect(paths[0].getAttribute('d')).toBe('M0 0h20v20h-20z');
+      expect(paths[1].getAttribute('id')).toBe('color-1');
+      expect(paths[1].getAttribute('data-name')).toBe('Sky & Sea');
+    });
+
+    it('writes rect elements grouped by color', () => {
+      const svg = parseSvg(encodeSvg(result, { elements: 'rect', cellSize: 2, crispEdges: false }));
+
+      expect(svg.hasAttribute('shape-rendering')).toBe(false);
+      const groups = svg.getElementsByTagName('g');
+      expect(groups).toHaveLength(2);
+      const rect = groups[1].getElementsByTagName('rect')[0];
+      expect(['x', 'y', 'width', 'height'].map(name => rect.getAttribute(name))).toEqual(['4', '0', '2', '4']);
+    });
+
+    it('exports ImageData pixel by pixel with merged blocks', () => {
+      // 4x4 image made of 2x2 blocks, like renderEdgeAwarePixelsStep output
+      const imageData = new ImageData(4, 4);
+      for (let y = 0; y < 4; y++) {
+        for (let x = 0; x < 4; x++) {
+          const color = x < 2 ? [10, 20, 30, 255] : [200, 100, 0, 128];
+          imageData.data.set(color, (y * 4 + x) * 4);
+        }
+      }
+      const svg = parseSvg(encodeSvg(imageData, { background: '#fff' }));
+      const paths = svg.getElementsByTagName('path');
+
+      expect(paths).toHaveLength(2);
+      expect(paths[0].getAttribute('d')).toBe('M0 0h2v4h-2z');
+      expect(paths[1].getAttribute('fill-opacity')).toBe('0.502');
+      expect(svg.getElementsByTagName('rect')[0].getAttribute('fill')).toBe('#fff');
+    });
+
+    it('rejects unknown element types', () => {
+      expect(SVG_ELEMENTS).toEqual(['path', 'rect']);
+      expect(() => encodeSvg(result, { elements: 'circle' })).toThrow('Unknown SVG element type');
+    });
+  });
+});
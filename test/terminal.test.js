@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { TERMINAL_MODES, DEFAULT_ASCII_RAMP, renderTerminal, rgbToAnsi256 } from '../src/terminal.js';
+
+const RED = [255, 0, 0, 255];
+const BLUE = [0, 0, 255, 255];
+const CLEAR = [0, 0, 0, 0];
+
+function createImage(width, height, pixels) {
+  const imageData = new ImageData(width, height);
+  pixels.forEach((color, i) => imageData.data.set(color, i * 4));
+  return imageData;
+}
+
+describe('Terminal rendering', () => {
+  it('lists the modes and default ramp', () => {
+    expect(TERMINAL_MODES).toEqual(['truecolor', 'ansi256', 'ascii']);
+    expect(DEFAULT_ASCII_RAMP[0]).toBe(' ');
+  });
+
+  it('packs two cell rows into each half-block character', () => {
+    // Column 0: red over blue, column 1: red over transparent
+    const text = renderTerminal(createImage(2, 2, [RED, RED, BLUE, CLEAR]));
+    expect(text).toBe(
+      '\x1b[38;2;255;0;0m\x1b[48;2;0;0;255m▀' +
+      '\x1b[49m▀' +
+      '\x1b[0m\n'
+    );
+  });
+
+  it('uses the lower half block when only the bottom cell is visible', () => {
+    const text = renderTerminal(createImage(1, 2, [CLEAR, BLUE]));
+    expect(text).toBe('\x1b[38;2;0;0;255m▄\x1b[0m\n');
+  });
+
+  it('renders an odd last row against the default background', () => {
+    const text = renderTerminal(createImage(1, 3, [RED, RED, BLUE]));
+    expect(text.split('\n')).toHaveLength(3);
+    expect(text.split('\n')[1]).toBe('\x1b[38;2;0;0;255m▀\x1b[0m');
+  });
+
+  it('maps colors to the xterm 256-color palette', () => {
+    expect(rgbToAnsi256(255, 0, 0)).toBe(196);
+    expect(rgbToAnsi256(0, 0, 255)).toBe(21);
+    expect(rgbToAnsi256(0, 0, 0)).toBe(16);
+    expect(rgbToAnsi256(128, 128, 128)).toBe(244);
+
+    const text = renderTerminal(createImage(1, 2, [RED, BLUE]), { mode: 'ansi256' });
+    expect(text).toBe('\x1b[38;5;196m\x1b[48;5;21m▀\x1b[0m\n');
+  });
+
+  it('renders ASCII from a luminance ramp', () => {
+    const white = [255, 255, 255, 255];
+    const gray = [128, 128, 128, 255];
+    const image = createImage(3, 2, [white, gray, CLEAR, CLEAR, white, white]);
+
+    expect(renderTerminal(image, { mode: 'ascii' })).toBe('@@++\n  @@@@\n');
+    expect(renderTerminal(image, { mode: 'ascii', ramp: '.oO', doubleWidth: false })).toBe('Oo\n OO\n');
+  });
+
+  it('samples one color per grid cell of full-size output', () => {
+    // 4x2 image drawn from a 2x1 cell grid
+    const image = createImage(4, 2, [RED, RED, BLUE, BLUE, RED, RED, BLUE, BLUE]);
+    expect(renderTerminal({ imageData: image, cols: 2, rows: 1 }, { mode: 'ascii', ramp: 'ab', doubleWidth: false }))
+      .toBe('aa\n');
+    expect(renderTerminal(image, { cols: 2, rows: 2 })).toBe(
+      '\x1b[38;2;255;0;0m\x1b[48;2;255;0;0m▀\x1b[38;2;0;0;255m\x1b[48;2;0;0;255m▀\x1b[0m\n'
+    );
+  });
+
+  it('composites transparent cells onto a background', () => {
+    const text = renderTerminal(createImage(1, 2, [RED, CLEAR]), { background: '#ffffff' });
+    expect(text).toBe('\x1b[38;2;255;0;0m\x1b[48;2;255;255;255m▀\x1b[0m\n');
+  });
+
+  it('rejects invalid options', () => {
+    const image = createImage(1, 1, [RED]);
+    expect(() => renderTerminal(image, { mode: 'sixel' })).toThrow('Unknown terminal mode: sixel');
+    expect(() => renderTerminal(image, { mode: 'ascii', ramp: '' })).toThrow('non-empty string');
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest';
+import { TILED_FORMATS, extractTiles, renderTileset, encodeTiledMap, encodeTilemapJson } from '../src/tilemap.js';
+
+const PALETTE = [
+  { r: 0, g: 0, b: 0 },
+  { r: 255, g: 255, b: 255 },
+  { r: 255, g: 0, b: 0 },
+  { r: 250, g: 0, b: 0 }
+];
+
+// 2x2 tile patterns, row-major
+const A = [0, 1, 0, 0];
+const A_FLIP_X = [1, 0, 0, 0];
+const A_FLIP_Y = [0, 0, 0, 1];
+const B = [2, 2, 2, 2];
+const B_NEAR = [2, 2, 2, 3];
+
+// Lays out 2x2 tiles into an indexed result
+function tiledResult(tileRows) {
+  const rows = tileRows.length * 2;
+  const cols = tileRows[0].length * 2;
+  const indices = new Uint8Array(cols * rows);
+  tileRows.forEach((tileRow, ty) => {
+    tileRow.forEach((tile, tx) => {
+      tile.forEach((index, i) => {
+        indices[(ty * 2 + Math.floor(i / 2)) * cols + tx * 2 + (i % 2)] = index;
+      });
+    });
+  });
+  return { imageData: new ImageData(cols, rows), palette: PALETTE, indices, cols, rows };
+}
+
+// Rebuilds the image indices from a tilemap
+function reconstruct(tilemap) {
+  const { tileWidth, tileHeight, width, tiles, map } = tilemap;
+  const cols = width * tileWidth;
+  const output = new Array(cols * tilemap.height * tileHeight);
+  map.forEach(({ tile, flipX, flipY }, cell) => {
+    const left = (cell % width) * tileWidth;
+    const top = Math.floor(cell / width) * tileHeight;
+    for (let y = 0; y < tileHeight; y++) {
+      for (let x = 0; x < tileWidth; x++) {
+        const sx = flipX ? tileWidth - 1 - x : x;
+        const sy = flipY ? tileHeight - 1 - y : y;
+        output[(top + y) * cols + left + x] = tiles[tile][sy * tileWidth + sx];
+      }
+    }
+  });
+  return output;
+}
+
+describe('Tilemap', () => {
+  it('lists the Tiled formats', () => {
+    expect(TILED_FORMATS).toEqual(['tmx', 'json']);
+  });
+
+  it('removes duplicate tiles', () => {
+    const result = tiledResult([[A, B, A], [B, B, A]]);
+    const tilemap = extractTiles(result, { tileSize: 2 });
+
+    expect(tilemap).toMatchObject({ tileWidth: 2, tileHeight: 2, width: 3, height: 2 });
+    expect(tilemap.tiles.map(tile => Array.from(tile))).toEqual([A, B]);
+    expect(tilemap.map.map(cell => cell.tile)).toEqual([0, 1, 0, 1, 1, 0]);
+    expect(reconstruct(tilemap)).toEqual(Array.from(result.indices));
+  });
+
+  it('stores flipped duplicates once with flip flags', () => {
+    const result = tiledResult([[A, A_FLIP_X, A_FLIP_Y]]);
+    const tilemap = extractTiles(result, { tileSize: 2 });
+
+    expect(tilemap.tiles).toHaveLength(1);
+    expect(tilemap.map).toEqual([
+      { tile: 0, flipX: false, flipY: false },
+      { tile: 0, flipX: true, flipY: false },
+      { tile: 0, flipX: false, flipY: true }
+    ]);
+    expect(reconstruct(tilemap)).toEqual(Array.from(result.indices));
+  });
+
+  it('keeps flipped tiles separate when flips are disabled', () => {
+    const tilemap = extractTiles(tiledResult([[A, A_FLIP_X, A_FLIP_Y]]), { tileSize: 2, flips: false });
+    expect(tilemap.tiles).toHaveLength(3);
+    expect(tilemap.map.every(cell => !cell.flipX && !cell.flipY)).toBe(true);
+  });
+
+  it('merges the most similar tiles to honor maxTiles', () => {
+    const result = tiledResult([[A, B, B], [B_NEAR, A, B]]);
+    const tilemap = extractTiles(result, { tileSize: 2, maxTiles: 2 });
+
+    // B_NEAR is only one shade away from B, which is used more often
+    expect(tilemap.tiles.map(tile => Array.from(tile))).toEqual([A, B]);
+    expect(tilemap.map.map(cell => cell.tile)).toEqual([0, 1, 1, 1, 0, 1]);
+  });
+
+  it('pads partial tiles with a transparent entry', () => {
+    const result = { imageData: new ImageData(3, 2), palette: PALETTE.slice(0, 2), indices: Uint8Array.from([0, 1, 1, 1, 0, 0]), cols: 3, rows: 2 };
+    const tilemap = extractTiles(result, { tileSize: 2 });
+
+    expect(tilemap.width).toBe(2);
+    expect(tilemap.palette).toHaveLength(3);
+    expect(tilemap.palette[2]).toEqual({ r: 0, g: 0, b: 0, a: 0 });
+    expect(Array.from(tilemap.tiles[1])).toEqual([1, 2, 0, 2]);
+  });
+
+  it('indexes plain ImageData by its colors', () => {
+    const imageData = new ImageData(4, 2);
+    for (let i = 0; i < 8; i++) {
+      imageData.data.set(i % 4 < 2 ? [10, 20, 30, 255] : [40, 50, 60, 255], i * 4);
+    }
+    const tilemap = extractTiles(imageData, { tileSize: 2 });
+    expect(tilemap.palette).toEqual([{ r: 10, g: 20, b: 30, a: 255 }, { r: 40, g: 50, b: 60, a: 255 }]);
+    expect(tilemap.tiles).toHaveLength(2);
+  });
+
+  it('rejects invalid options', () => {
+    const result = tiledResult([[A]]);
+    expect(() => extractTiles(result, { tileSize: 0 })).toThrow('Invalid tile size');
+    expect(() => extractTiles(result, { maxTiles: 0 })).toThrow('Invalid maxTiles');
+  });
+
+  it('renders the tileset image in rows of tiles', () => {
+    const tilemap = extractTiles(tiledResult([[A, B, B_NEAR]]), { tileSize: 2 });
+    const tileset = renderTileset(tilemap, { columns: 2 });
+
+    expect(tileset.cols).toBe(4);
+    expect(tileset.rows).toBe(4);
+    expect(tileset.imageData.width).toBe(4);
+    // Tile 2 starts the second row; the unused slot is transparent
+    expect(Array.from(tileset.indices.slice(8, 12))).toEqual([2, 2, 4, 4]);
+    expect(tileset.palette[4].a).toBe(0);
+    expect(Array.from(tileset.imageData.data.slice(0, 8))).toEqual([0, 0, 0, 255, 255, 255, 255, 255]);
+  });
+
+  it('exports a Tiled TMX map with flip bits', () => {
+    const tilemap = extractTiles(tiledResult([[A, A_FLIP_X], [B, A_FLIP_Y]]), { tileSize: 2 });
+    const tmx = encodeTiledMap(tilemap, { image: 'tiles & more.png' });
+    const doc = new window.DOMParser().parseFromString(tmx, 'application/xml');
+    expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+
+    const map = doc.documentElement;
+    expect(map.getAttribute('width')).toBe('2');
+    expect(map.getAttribute('tilewidth')).toBe('2');
+    const tileset = map.getElementsByTagName('tileset')[0];
+    expect(tileset.getAttribute('tilecount')).toBe('2');
+    expect(tileset.getAttribute('columns')).toBe('2');
+    expect(map.getElementsByTagName('image')[0].getAttribute('source')).toBe('tiles & more.png');
+
+    const data = map.getElementsByTagName('data')[0].textContent.trim().split(/[,\s]+/).map(Number);
+    expect(data).toEqual([1, 0x80000001, 2, 0x40000001]);
+  });
+
+  it('exports a Tiled JSON map', () => {
+    const tilemap = extractTiles(tiledResult([[A, B, A_FLIP_X]]), { tileSize: 2 });
+    const json = JSON.parse(encodeTiledMap(tilemap, { format: 'json' }));
+
+    expect(json).toMatchObject({ type: 'map', orientation: 'orthogonal', width: 3, height: 1, tilewidth: 2, tileheight: 2 });
+    expect(json.tilesets[0]).toMatchObject({ firstgid: 1, tilecount: 2, columns: 2, image: 'tileset.png', imagewidth: 4, imageheight: 2 });
+    expect(json.layers[0]).toMatchObject({ type: 'tilelayer', width: 3, height: 1 });
+    expect(json.layers[0].data).toEqual([1, 2, 0x80000001]);
+    expect(() => encodeTiledMap(tilemap, { format: 'xml' })).toThrow('Unknown Tiled format: xml');
+  });
+
+  it('exports a plain JSON tilemap', () => {
+    const tilemap = extractTiles(tiledResult([[A, B], [A_FLIP_Y, A_FLIP_X]]), { tileSize: 2 });
+    const json = JSON.parse(encodeTilemapJson(tilemap));
+
+    expect(json).toMatchObject({ tileWidth: 2, tileHeight: 2, width: 2, height: 2, tileCount: 2, tilesetColumns: 2 });
+    expect(json.tiles).toEqual([0, 1, 0, 0]);
+    expect(json.flips).toEqual([0, 0, 2, 1]);
+    expect(json.palette[0]).toEqual({ r: 0, g: 0, b: 0, a: 255 });
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  getTileLayout,
+  cropImageData,
+  calculateEdgeStatistics,
+  calculateTileEdgeMap
+} from '../src/tiling.js';
+import { calculateEdgeMap, getEdgeThreshold } from '../src/edgeDetection.js';
+import { pixelateImageEdgeAware } from '../src/pixelate.js';
+import { setSurfaceBackend } from '../src/surface.js';
+
+// Noisy background with a bright disc, so edges and thresholds are non-trivial
+function createImage(width = 97, height = 73) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  let seed = 7;
+  const random = () => (seed = (seed * 1103515245 + 12345) & 0x7fffffff) / 0x7fffffff;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inside = (x - 45) ** 2 + (y - 35) ** 2 < 600;
+      data.set([inside ? 210 : 40 + random() * 40, (x * 5) % 256, inside ? 60 : 170, 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+afterEach(() => {
+  setSurfaceBackend(null);
+});
+
+describe('getTileLayout', () => {
+  it('covers the image with block-aligned tiles', () => {
+    const tiles = getTileLayout(25, 10, 10, 4);
+    expect(tiles).toEqual([
+      { x: 0, y: 0, width: 8, height: 8 },
+      { x: 8, y: 0, width: 8, height: 8 },
+      { x: 16, y: 0, width: 8, height: 8 },
+      { x: 24, y: 0, width: 1, height: 8 },
+      { x: 0, y: 8, width: 8, height: 2 },
+      { x: 8, y: 8, width: 8, height: 2 },
+      { x: 16, y: 8, width: 8, height: 2 },
+      { x: 24, y: 8, width: 1, height: 2 }
+    ]);
+    expect(getTileLayout(6, 6, 2, 5)[1]).toEqual({ x: 5, y: 0, width: 1, height: 5 });
+    expect(() => getTileLayout(6, 6, 0)).toThrow('Tile size must be at least 1');
+  });
+
+  it('crops rectangles', () => {
+    const image = createImage(4, 3);
+    const crop = cropImageData(image, 1, 1, 2, 2);
+    expect(crop.width).toBe(2);
+    expect(Array.from(crop.data.slice(0, 4))).toEqual(Array.from(image.data.slice(20, 24)));
+  });
+});
+
+describe('Tiled edge maps', () => {
+  it.each([16, 23, 1000])('match the whole-image edge map with %i pixel tiles', (tileSize) => {
+    const image = createImage();
+    const expected = calculateEdgeMap(image, { edgeSharpness: 0.8 });
+    const statistics = calculateEdgeStatistics(image, { edgeSharpness: 0.8, tileSize });
+
+    for (const tile of getTileLayout(image.width, image.height, tileSize)) {
+      const edgeMap = calculateTileEdgeMap(image, tile, statistics);
+      for (let row = 0; row < tile.height; row++) {
+        const start = (tile.y + row) * image.width + tile.x;
+        expect(Array.from(edgeMap.subarray(row * tile.width, (row + 1) * tile.width)))
+          .toEqual(Array.from(expected.subarray(start, start + tile.width)));
+      }
+    }
+  });
+
+  it('handles images without edges', () => {
+    const image = { width: 8, height: 8, data: new Uint8ClampedArray(256).fill(255) };
+    const statistics = calculateEdgeStatistics(image, { tileSize: 4 });
+    expect(statistics.threshold).toBe(getEdgeThreshold(0.8));
+    expect(Array.from(calculateTileEdgeMap(image, { x: 0, y: 0, width: 8, height: 8 }, statistics)))
+      .toEqual(Array.from(calculateEdgeMap(image)));
+  });
+});
+
+describe('pixelateImageEdgeAware with tileSize', () => {
+  it.each([
+    [{}],
+    [{ colorLimit: 6, dither: 'floyd-steinberg' }],
+    [{ palette: 'pico-8', outputScale: 'native', returnIndexed: true }],
+    [{ upscaler: 'epx', contrast: 1.3, linearLight: true }],
+    [{ useSplines: true }],
+    [{ useSplines: true, colorLimit: 6, outputScale: 2 }]
+  ])('matches untiled processing with %j', async (options) => {
+    setSurfaceBackend('pure');
+    const image = createImage();
+    const expected = await pixelateImageEdgeAware(image, 5, options);
+    const tiled = await pixelateImageEdgeAware(image, 5, { ...options, tileSize: 17 });
+
+    if (options.returnIndexed) {
+      expect(tiled.indices).toEqual(expected.indices);
+      expect([tiled.cols, tiled.rows]).toEqual([expected.cols, expected.rows]);
+    }
+    const expectedData = options.returnIndexed ? expected.imageData : expected;
+    const tiledData = options.returnIndexed ? tiled.imageData : tiled;
+    expect([tiledData.width, tiledData.height]).toEqual([expectedData.width, expectedData.height]);
+    expect(Array.from(tiledData.data)).toEqual(Array.from(expectedData.data));
+  });
+
+  it('rejects unsupported options', async () => {
+    const image = createImage(16, 16);
+    await expect(pixelateImageEdgeAware(image, 2.5, { tileSize: 8 })).rejects.toThrow('integer pixel size');
+    await expect(pixelateImageEdgeAware(image, 4, { tileSize: 8, captureIntermediates: true })).rejects.toThrow('not supported with tileSize');
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { UPSCALERS, getUpscaleFactor, upscalePixelArt } from '../src/upscale.js';
+
+const RED = [255, 0, 0, 255];
+const BLUE = [0, 0, 255, 255];
+
+function createImage(width, height, colorAt) {
+  const imageData = new ImageData(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      imageData.data.set(colorAt(x, y), (y * width + x) * 4);
+    }
+  }
+  return imageData;
+}
+
+// Red below and on the diagonal, blue above it
+function staircase(size) {
+  return createImage(size, size, (x, y) => (x <= y ? RED : BLUE));
+}
+
+function pixelAt(imageData, x, y) {
+  const idx = (y * imageData.width + x) * 4;
+  return Array.from(imageData.data.slice(idx, idx + 4));
+}
+
+function uniqueColors(imageData) {
+  const colors = new Set();
+  for (let i = 0; i < imageData.data.length; i += 4) {
+    colors.add(Array.from(imageData.data.slice(i, i + 4)).join(','));
+  }
+  return colors;
+}
+
+describe('Pixel-art upscalers', () => {
+  it('lists every upscaler with its factor', () => {
+    expect(UPSCALERS).toEqual(['epx', 'scale2x', 'scale3x', 'eagle', 'hq2x', 'hq3x', 'hq4x', 'xbr']);
+    expect(getUpscaleFactor('scale3x')).toBe(3);
+    expect(getUpscaleFactor('hq4x')).toBe(4);
+    expect(getUpscaleFactor('xbr')).toBe(2);
+  });
+
+  it('throws for unknown upscalers', () => {
+    expect(() => upscalePixelArt(staircase(2), 'hq5x')).toThrow('Unknown upscaler: hq5x');
+  });
+
+  it.each(UPSCALERS)('%s scales by its factor and leaves flat areas untouched', (upscaler) => {
+    const factor = getUpscaleFactor(upscaler);
+    const output = upscalePixelArt(createImage(3, 2, () => RED), upscaler);
+    expect(output.width).toBe(3 * factor);
+    expect(output.height).toBe(2 * factor);
+    expect([...uniqueColors(output)]).toEqual([RED.join(',')]);
+  });
+
+  it('Scale2x fills in the steps of a diagonal', () => {
+    const output = upscalePixelArt(staircase(3), 'scale2x');
+    // Center pixel is red with blue above and to the right: its top-right subpixel turns blue
+    expect(pixelAt(output, 2, 2)).toEqual(RED);
+    expect(pixelAt(output, 3, 2)).toEqual(BLUE);
+    expect(pixelAt(output, 2, 3)).toEqual(RED);
+    expect(pixelAt(output, 3, 3)).toEqual(RED);
+  });
+
+  it('EPX is the same filter as Scale2x', () => {
+    const image = staircase(5);
+    expect(upscalePixelArt(image, 'epx').data).toEqual(upscalePixelArt(image, 'scale2x').data);
+  });
+
+  it.each(['scale2x', 'scale3x', 'eagle'])('%s keeps the input palette', (upscaler) => {
+    const image = createImage(8, 8, (x, y) => [[255, 0, 0, 255], [0, 255, 0, 255], [0, 0, 255, 255]][(x * 7 + y * 3 + x * y) % 3]);
+    const input = uniqueColors(image);
+    for (const color of uniqueColors(upscalePixelArt(image, upscaler))) {
+      expect(input.has(color)).toBe(true);
+    }
+  });
+
+  it('Eagle only changes corners surrounded by one color', () => {
+    const output = upscalePixelArt(staircase(3), 'eagle');
+    // The blue pixel at (1, 0) has red to the left, below-left and below
+    expect(pixelAt(output, 2, 1)).toEqual(RED);
+    expect(pixelAt(output, 3, 1)).toEqual(BLUE);
+  });
+
+  it.each(['hq2x', 'hq3x', 'hq4x', 'xbr'])('%s blends colors along a diagonal edge', (upscaler) => {
+    const output = upscalePixelArt(staircase(6), upscaler);
+    const blended = [...uniqueColors(output)].filter(color => color !== RED.join(',') && color !== BLUE.join(','));
+    expect(blended.length).toBeGreaterThan(0);
+    for (const color of blended) {
+      const [r, g, b, a] = color.split(',').map(Number);
+      expect(r).toBeGreaterThan(0);
+      expect(b).toBeGreaterThan(0);
+      expect(g).toBe(0);
+      expect(a).toBe(255);
+    }
+  });
+
+  it.each(['hq2x', 'xbr'])('%s does not darken edges next to transparent pixels', (upscaler) => {
+    const image = createImage(6, 6, (x, y) => (x <= y ? RED : [0, 0, 0, 0]));
+    const output = upscalePixelArt(image, upscaler);
+    for (let i = 0; i < output.data.length; i += 4) {
+      if (output.data[i + 3] > 0) {
+        expect(Array.from(output.data.slice(i, i + 3))).toEqual([255, 0, 0]);
+      }
+    }
+  });
+});
@@ -0,0 +1,142 @@
+// @vitest-environment node
+// worker_threads needs the file: URL of src/worker.js, which the jsdom environment turns into http:
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  createWorkerPool,
+  serializeWorkerValue,
+  deserializeWorkerValue
+} from '../src/workerPool.js';
+import { setSurfaceBackend, PixelSurface } from '../src/surface.js';
+import { pixelateImage, pixelateImageEdgeAware, convertToImageData } from '../src/pixelate.js';
+
+// Diagonal red/blue split with some noise, so the edge-aware grid has work to do
+function createImage(width = 32, height = 24) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const noise = (x * 7 + y * 13) % 16;
+      data.set(x > y ? [220 - noise, 30, 30, 255] : [30, 30, 220 - noise, 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+let pool;
+
+beforeEach(() => {
+  setSurfaceBackend('pure');
+});
+
+afterEach(() => {
+  if (pool) {
+    pool.terminate();
+    pool = null;
+  }
+  setSurfaceBackend(null);
+});
+
+describe('Worker value serialization', () => {
+  it('round-trips image data and surfaces, collecting buffers to transfer', () => {
+    const image = createImage(4, 4);
+    const surface = new PixelSurface(2, 2);
+    surface._usingGPU = false;
+    const transfer = new Set();
+
+    const serialized = serializeWorkerValue({ imageData: image, canvas: surface, cols: 2, list: [image] }, transfer);
+    expect(serialized.imageData.$image).toMatchObject({ width: 4, height: 4 });
+    expect(serialized.canvas).toMatchObject({ usingGPU: false });
+    expect(transfer.size).toBe(2);
+
+    const restored = deserializeWorkerValue(serialized);
+    expect(restored.cols).toBe(2);
+    expect(Array.from(restored.imageData.data)).toEqual(Array.from(image.data));
+    expect(restored.canvas).toBeInstanceOf(PixelSurface);
+    expect(restored.canvas._usingGPU).toBe(false);
+    expect(restored.list[0].width).toBe(4);
+  });
+});
+
+describe('createWorkerPool', () => {
+  it('validates the pool size', () => {
+    expect(() => createWorkerPool({ size: 0 })).toThrow('Worker pool size must be a positive integer');
+  });
+
+  it('produces the same result as the main thread', async () => {
+    pool = createWorkerPool({ size: 1 });
+    const image = createImage();
+
+    const simple = await pool.pixelateImage(image, 4);
+    const expected = await pixelateImage(image, 4);
+    expect(Array.from(simple.data)).toEqual(Array.from(expected.data));
+
+    const edgeAware = await pool.pixelateImageEdgeAware(image, 4, { colorLimit: 4 });
+    const expectedEdgeAware = await pixelateImageEdgeAware(image, 4, { colorLimit: 4 });
+    expect(Array.from(edgeAware.data)).toEqual(Array.from(expectedEdgeAware.data));
+  });
+
+  it('runs several images in parallel and keeps the input by default', async () => {
+    pool = createWorkerPool({ size: 2 });
+    const images = [createImage(16, 16), createImage(24, 12), createImage(8, 20)];
+
+    const results = await Promise.all(images.map(image => pool.pixelateImage(image, 4)));
+    expect(results.map(result => [result.width, result.height])).toEqual([[16, 16], [24, 12], [8, 20]]);
+    expect(images[0].data.length).toBe(16 * 16 * 4);
+  });
+
+  it('transfers the input buffer when asked to', async () => {
+    pool = createWorkerPool({ size: 1 });
+    const image = createImage(8, 8);
+    await pool.pixelateImage(image, 2, { transfer: true });
+    expect(image.data.length).toBe(0);
+  });
+
+  it('streams progress and rebuilds canvases', async () => {
+    pool = createWorkerPool({ size: 1 });
+    const progress = [];
+
+    const result = await pool.pixelateImageEdgeAware(createImage(), 4, {
+      captureIntermediates: true,
+      onProgress: update => progress.push(update)
+    });
+    expect(progress).toContainEqual(expect.objectContaining({ stage: 'edge-detection', usingGPU: false }));
+    expect(progress.at(-1)).toMatchObject({ stage: 'quantization', fraction: 1 });
+    expect(result.canvas).toBeInstanceOf(PixelSurface);
+    expect(result.intermediates.length).toBeGreaterThan(0);
+    expect(convertToImageData(result.intermediates[0].canvas).width).toBe(32);
+  });
+
+  it('rejects failed jobs and keeps serving later ones', async () => {
+    pool = createWorkerPool({ size: 1 });
+    await expect(pool.pixelateImageEdgeAware(createImage(), 4, { palette: 'no-such-palette' }))
+      .rejects.toThrow('Unknown palette: no-such-palette');
+    const result = await pool.pixelateImage(createImage(8, 8), 2);
+    expect(result.width).toBe(8);
+  });
+
+  it('cancels queued and running jobs with their signal', async () => {
+    pool = createWorkerPool({ size: 1 });
+    const running = new AbortController();
+    const queued = new AbortController();
+    const first = pool.pixelateImageEdgeAware(createImage(), 4, { signal: running.signal });
+    const second = pool.pixelateImageEdgeAware(createImage(), 4, { signal: queued.signal });
+    const third = pool.pixelateImage(createImage(8, 8), 2);
+
+    queued.abort();
+    running.abort();
+    await expect(first).rejects.toMatchObject({ name: 'AbortError' });
+    await expect(second).rejects.toMatchObject({ name: 'AbortError' });
+    expect((await third).width).toBe(8);
+
+    const controller = new AbortController();
+    controller.abort();
+    await expect(pool.pixelateImage(createImage(), 4, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('rejects jobs after terminate', async () => {
+    pool = createWorkerPool({ size: 1 });
+    const running = pool.pixelateImage(createImage(), 4);
+    pool.terminate();
+    await expect(running).rejects.toThrow('Worker pool has been terminated');
+    await expect(pool.pixelateImage(createImage(), 4)).rejects.toThrow('Worker pool has been terminated');
+  });
+});